@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { getConfigValue, loadProcessEnv } from '../src/utils/config.js';
+import { parseFigmaUrl, normalizeNodeId } from '../src/utils/figmaUrl.js';
+import { rewriteAssetReferences } from '../src/utils/figmaAssets.js';
+import { setLogLevel } from '../src/utils/logger.js';
+import { LLM_PROVIDERS, resolveProviderConfig } from '../src/services/llmProviders.js';
+import {
+  loadDesign,
+  generateComponents,
+  generatePage,
+  resolveGeneratedResources,
+  validateGenerationMode,
+} from '../src/services/headlessGeneration.js';
+import { buildProjectFiles } from '../src/services/projectDownloadService.js';
+
+// Headless generation for scripts and pre-commit jobs:
+//   figma-react generate --file KEY --node 1:23 --out src/components --mode ai|template [--page]
+
+const USAGE = `Usage: figma-react generate --file <key|url> [options]
+
+Options:
+  -f, --file <key|url>      Figma file key or URL; a node-id in the URL selects that node
+  -n, --node <id>           Node to generate, repeat or comma-separate for several
+  -o, --out <dir>           Directory for the generated files (default: src/components)
+  -m, --mode <ai|template>  ai uses the configured LLM, template compiles without one (default: ai)
+      --page                Generate one page from the nodes, or from every frame of a page
+      --page-name <name>    Page (name or id) used by --page without nodes (default: first page)
+      --project <dir>       Scaffold a runnable Vite project instead of writing into --out
+      --provider <id>       LLM provider: ${Object.keys(LLM_PROVIDERS).join(', ')}
+      --model <name>        Model of the provider
+      --version <id>        Generate from a version in the file history
+      --public <dir>        Directory for downloaded images (default: public)
+      --no-assets           Do not download images
+  -t, --token <token>       Figma access token (default: FIGMA_ACCESS_TOKEN)
+      --verbose             Also show the progress output of the services
+  -h, --help                Show this help
+
+FIGMA_ACCESS_TOKEN and the VITE_* provider keys are read from the environment or a .env
+file in the working directory.`;
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f' },
+  node: { type: 'string', short: 'n', multiple: true },
+  out: { type: 'string', short: 'o', default: 'src/components' },
+  mode: { type: 'string', short: 'm', default: 'ai' },
+  page: { type: 'boolean', default: false },
+  'page-name': { type: 'string' },
+  project: { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  version: { type: 'string' },
+  public: { type: 'string', default: 'public' },
+  'no-assets': { type: 'boolean', default: false },
+  token: { type: 'string', short: 't' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Usage errors exit with 2 and point at the help
+const createUsageError = (message) => {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+};
+
+const print = (message) => process.stdout.write(`${message}\n`);
+
+const writeOutputFile = async (path, content) => {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, typeof content === 'string' ? content : Buffer.from(content));
+  print(`  wrote ${path}`);
+};
+
+const getNodeIds = (target, values) => [...new Set([
+  ...target.nodeIds,
+  ...(values.node || []).flatMap(value => value.split(',')).map(normalizeNodeId).filter(Boolean),
+])];
+
+// Fail before any request when the chosen provider has no key
+const getLlmSettings = (values) => {
+  const llmSettings = { provider: values.provider, model: values.model };
+  const config = resolveProviderConfig(llmSettings);
+  const provider = LLM_PROVIDERS[config.provider];
+  if (provider.requiresApiKey && !config.apiKey && !config.proxied) {
+    throw createUsageError(`${config.label} needs an API key. Set ${provider.apiKeyEnv} or use --mode template.`);
+  }
+  return llmSettings;
+};
+
+const generate = async (values) => {
+  const target = parseFigmaUrl(values.file || '');
+  if (!target) {
+    throw createUsageError('Pass a Figma file key or URL with --file');
+  }
+
+  const nodeIds = getNodeIds(target, values);
+  if (!values.page && nodeIds.length === 0) {
+    throw createUsageError('Pass --node (or a URL with node-id) to choose components, or --page to generate a page');
+  }
+  if (values.project && !values.page && nodeIds.length > 1) {
+    throw createUsageError('--project scaffolds one component; pass a single --node or use --page');
+  }
+
+  const mode = validateGenerationMode(values.mode);
+  const llmSettings = mode === 'ai' ? getLlmSettings(values) : {};
+  const accessToken = values.token || getConfigValue('FIGMA_ACCESS_TOKEN');
+  if (!accessToken) {
+    throw createUsageError('Set FIGMA_ACCESS_TOKEN or pass --token');
+  }
+
+  print(`Loading ${nodeIds.length > 0 ? `${nodeIds.length} node${nodeIds.length > 1 ? 's' : ''} of ` : ''}${target.fileKey}...`);
+  const design = await loadDesign({ fileKey: target.fileKey, nodeIds, accessToken, version: values.version });
+
+  const results = values.page
+    ? [{ status: 'generated', ...await generatePage(design, { nodeIds, pageName: values['page-name'], mode, llmSettings }) }]
+    : await generateComponents(design, nodeIds, { mode, llmSettings, onProgress: print });
+
+  const generated = results.filter(result => result.status === 'generated');
+  results
+    .filter(result => result.status === 'failed')
+    .forEach(result => print(`  failed ${result.name}: ${result.error}`));
+  if (generated.length === 0) {
+    return 1;
+  }
+
+  const resources = await resolveGeneratedResources(
+    generated.flatMap(result => result.nodes || [result.node]),
+    { fileKey: target.fileKey, accessToken, includeAssets: !values['no-assets'] }
+  );
+  resources.failed.forEach(item => print(`  skipped ${item.componentName || item.name || 'asset'}: ${item.reason}`));
+
+  if (values.project) {
+    const [result] = generated;
+    const project = buildProjectFiles(result.code, result.componentName, values.page, resources);
+    const projectDir = resolve(values.project);
+    for (const [path, content] of Object.entries(project.files)) {
+      await writeOutputFile(join(projectDir, path), content);
+    }
+    for (const asset of project.assets) {
+      await writeOutputFile(join(projectDir, asset.path), asset.data);
+    }
+    print(`Scaffolded ${project.componentName} into ${projectDir}. Run npm install && npm run dev there.`);
+  } else {
+    const outDir = resolve(values.out);
+    for (const result of generated) {
+      await writeOutputFile(join(outDir, result.fileName), rewriteAssetReferences(result.code, resources.assets));
+    }
+    // Generated code imports icons from ./icons/ and references images under /assets/
+    for (const icon of resources.icons) {
+      await writeOutputFile(join(outDir, 'icons', basename(icon.path)), icon.code);
+    }
+    for (const asset of resources.assets) {
+      await writeOutputFile(join(resolve(values.public), asset.finalUrl), asset.data);
+    }
+    print(`Generated ${generated.length} of ${results.length} in ${outDir}`);
+  }
+
+  return generated.length === results.length ? 0 : 1;
+};
+
+const run = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw createUsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    print(USAGE);
+    return 0;
+  }
+  if (positionals[0] !== 'generate') {
+    throw createUsageError(`Unknown command "${positionals[0]}"`);
+  }
+
+  // The CLI prints its own summary; service progress is only shown with --verbose.
+  // Warnings and errors always reach stderr.
+  setLogLevel(values.verbose ? 'info' : 'warn');
+
+  return generate(values);
+};
+
+loadProcessEnv();
+run(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    process.stderr.write(`figma-react: ${error.message}\n`);
+    if (error.usage) {
+      process.stderr.write('Run figma-react --help for usage.\n');
+    }
+    process.exitCode = error.usage ? 2 : 1;
+  });
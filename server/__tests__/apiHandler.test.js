@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { createServer, request } from 'node:http'
+import { createApiHandler } from '../apiHandler.js'
+import { createProjectStore } from '../projectStore.js'
+import { postJson } from '../http.js'
+
+vi.unmock('jszip')
+
+const card = {
+  id: '12:34',
+  name: 'Promo Card',
+  type: 'FRAME',
+  absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 120 },
+  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+  children: [
+    {
+      id: '12:35',
+      name: 'Title',
+      type: 'TEXT',
+      characters: 'Welcome',
+      absoluteBoundingBox: { x: 16, y: 16, width: 200, height: 24 },
+      style: { fontFamily: 'Inter', fontSize: 18, fontWeight: 600 },
+      fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+    },
+  ],
+}
+
+const download = (url, options = {}) => new Promise((resolve, reject) => {
+  request(url, options, (response) => {
+    const chunks = []
+    response.on('data', chunk => chunks.push(chunk))
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }))
+  }).on('error', reject).end()
+})
+
+describe('generation API', () => {
+  let server
+  let baseUrl
+  const projects = createProjectStore({ maxProjects: 2 })
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    server = createServer(createApiHandler({ projects, allowedOrigins: ['http://localhost:5173'] }))
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(() => new Promise(resolve => server.close(resolve)))
+
+  it('should generate components from raw node JSON and serve the project zip', async () => {
+    const response = await postJson(`${baseUrl}/components/generate`, { node: card, mode: 'template' })
+
+    expect(response.status).toBe(200)
+    const [component] = response.data.components
+    expect(component).toMatchObject({ id: '12:34', status: 'generated', componentName: 'PromoCard', fileName: 'PromoCard.jsx' })
+    expect(component.code).toContain('Welcome')
+    expect(component.node).toBeUndefined()
+
+    const zip = await download(`${baseUrl}${component.projectUrl}`)
+    expect(zip.status).toBe(200)
+    expect(zip.headers['content-type']).toBe('application/zip')
+    expect(zip.headers['content-disposition']).toContain('promocard-react-project.zip')
+    expect(zip.body.subarray(0, 2).toString()).toBe('PK')
+  })
+
+  it('should generate a page from raw nodes', async () => {
+    const response = await postJson(`${baseUrl}/pages/generate`, {
+      nodes: [card, { ...card, id: '12:40', name: 'Footer', absoluteBoundingBox: { x: 0, y: 200, width: 320, height: 80 } }],
+      mode: 'template',
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.data.page).toMatchObject({ frameCount: 2 })
+    expect(response.data.page.code).toContain('<PromoCard />')
+    expect(response.data.page.code).toContain('<Footer />')
+    expect(response.data.projectUrl).toMatch(/^\/projects\/[\w-]+\.zip$/)
+  })
+
+  it('should reject invalid requests', async () => {
+    const missingToken = await postJson(`${baseUrl}/components/generate`, { fileKey: 'h75EVNeBrTXsSzjbF3ywpe', nodeId: '1-2' })
+    expect(missingToken.status).toBe(401)
+
+    const badMode = await postJson(`${baseUrl}/components/generate`, { node: card, mode: 'magic' })
+    expect(badMode).toEqual({ status: 400, data: { error: 'Unknown mode "magic". Use one of: ai, template' } })
+
+    const badProvider = await postJson(`${baseUrl}/pages/generate`, { node: card, provider: 'acme' })
+    expect(badProvider.status).toBe(400)
+
+    const noTarget = await postJson(`${baseUrl}/components/generate`, {})
+    expect(noTarget.status).toBe(400)
+
+    for (const body of [null, 'card', 42]) {
+      const notAnObject = await postJson(`${baseUrl}/pages/generate`, body)
+      expect(notAnObject).toEqual({ status: 400, data: { error: 'Request body must be a JSON object' } })
+    }
+
+    const wrongMethod = await download(`${baseUrl}/components/generate`)
+    expect(wrongMethod.status).toBe(405)
+
+    const unknownProject = await download(`${baseUrl}/projects/missing.zip`)
+    expect(unknownProject.status).toBe(404)
+  })
+
+  it('should refuse requests a foreign web page could send', async () => {
+    const plainText = await postJson(`${baseUrl}/components/generate`, { node: card, mode: 'template' }, {
+      headers: { 'Content-Type': 'text/plain' },
+    })
+    expect(plainText.status).toBe(415)
+
+    const foreign = await postJson(`${baseUrl}/components/generate`, { node: card, mode: 'template' }, {
+      headers: { Origin: 'https://evil.example' },
+    })
+    expect(foreign).toEqual({ status: 403, data: { error: 'Origin https://evil.example is not allowed. Add it to API_ALLOWED_ORIGINS.' } })
+
+    const preflight = await download(`${baseUrl}/components/generate`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'http://localhost:5173' },
+    })
+    expect(preflight.status).toBe(204)
+    expect(preflight.headers['access-control-allow-origin']).toBe('http://localhost:5173')
+  })
+
+  it('should only keep the newest projects', () => {
+    const store = createProjectStore({ maxProjects: 2 })
+    const first = store.add({ projectName: 'a' })
+    store.add({ projectName: 'b' })
+    const third = store.add({ projectName: 'c' })
+
+    expect(store.size).toBe(2)
+    expect(store.get(first)).toBeNull()
+    expect(store.get(third)).toMatchObject({ id: third, projectName: 'c' })
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest'
+import { createServer, request } from 'node:http'
+import { createProxyHandler } from '../proxyHandler.js'
+import { loadProxyConfig } from '../config.js'
+
+const APP_ORIGIN = 'http://localhost:5173'
+
+const send = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = request(url, { method, headers }, (response) => {
+    const chunks = []
+    response.on('data', chunk => chunks.push(chunk))
+    response.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8')
+      resolve({ status: response.statusCode, headers: response.headers, text })
+    })
+  })
+  req.on('error', reject)
+  req.end(body)
+})
+
+describe('key proxy', () => {
+  let server
+  let baseUrl
+  const upstream = vi.fn()
+
+  beforeAll(async () => {
+    const config = loadProxyConfig({
+      FIGMA_ACCESS_TOKEN: 'figd_server_token',
+      VITE_GEMINI_API_KEY: 'gemini-key',
+      VITE_FIGMA_OAUTH_CLIENT_ID: 'client-123',
+      FIGMA_OAUTH_CLIENT_SECRET: 'secret-456',
+    })
+    server = createServer(createProxyHandler({ ...config, allowedOrigins: [APP_ORIGIN], fetchImpl: upstream }))
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(() => new Promise(resolve => server.close(resolve)))
+
+  beforeEach(() => {
+    upstream.mockReset()
+  })
+
+  it('should report which keys are configured without revealing them', async () => {
+    const response = await send(`${baseUrl}/status`, { headers: { Origin: APP_ORIGIN } })
+
+    expect(response.status).toBe(200)
+    expect(response.headers['access-control-allow-origin']).toBe(APP_ORIGIN)
+    expect(JSON.parse(response.text)).toEqual({ figma: true, providers: { gemini: true, openai: false, local: true } })
+    expect(response.text).not.toContain('figd_server_token')
+  })
+
+  it('should add the server token to Figma requests unless the app sends one', async () => {
+    upstream.mockImplementation(async () => new Response('{"name":"Design"}', { headers: { 'content-type': 'application/json' } }))
+
+    const response = await send(`${baseUrl}/figma/files/abc/nodes?ids=1%3A2`)
+    await send(`${baseUrl}/figma/files/abc`, { headers: { Authorization: 'Bearer oauth-token' } })
+
+    expect(response.status).toBe(200)
+    expect(response.headers['content-type']).toBe('application/json')
+    expect(response.text).toBe('{"name":"Design"}')
+    expect(upstream.mock.calls[0][0]).toBe('https://api.figma.com/v1/files/abc/nodes?ids=1%3A2')
+    expect(upstream.mock.calls[0][1].headers).toEqual({ 'X-Figma-Token': 'figd_server_token' })
+    expect(upstream.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer oauth-token' })
+  })
+
+  it('should send the Gemini key in a header and stream the response back', async () => {
+    upstream.mockResolvedValueOnce(new Response('data: {"candidates":[]}\n\n', { headers: { 'content-type': 'text/event-stream' } }))
+
+    const response = await send(`${baseUrl}/llm/gemini/gemini-2.5-flash:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      headers: { Origin: APP_ORIGIN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents: [] }),
+    })
+
+    const [url, init] = upstream.mock.calls[0]
+    expect(response.status).toBe(200)
+    expect(response.text).toBe('data: {"candidates":[]}\n\n')
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse')
+    expect(init.headers['x-goog-api-key']).toBe('gemini-key')
+    expect(JSON.parse(init.body)).toEqual({ contents: [] })
+  })
+
+  it('should add the client secret to OAuth token requests and return only the tokens', async () => {
+    upstream.mockResolvedValueOnce(Response.json({ access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600, user_id: 7, scope: 'x' }))
+    upstream.mockResolvedValueOnce(Response.json({ message: 'Invalid refresh token' }, { status: 400 }))
+
+    const exchange = await send(`${baseUrl}/oauth/token`, {
+      method: 'POST',
+      headers: { Origin: APP_ORIGIN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ grant_type: 'authorization_code', code: 'the-code', code_verifier: 'verifier', redirect_uri: APP_ORIGIN }),
+    })
+    const refresh = await send(`${baseUrl}/oauth/token`, {
+      method: 'POST',
+      headers: { Origin: APP_ORIGIN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ grant_type: 'refresh_token', refresh_token: 'stale' }),
+    })
+
+    const [url, init] = upstream.mock.calls[0]
+    const params = new URLSearchParams(init.body)
+    expect(url).toBe('https://api.figma.com/v1/oauth/token')
+    expect(params.get('client_id')).toBe('client-123')
+    expect(params.get('client_secret')).toBe('secret-456')
+    expect(params.get('code_verifier')).toBe('verifier')
+    expect(JSON.parse(exchange.text)).toEqual({ access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600, user_id: 7 })
+    expect(exchange.text).not.toContain('secret-456')
+
+    expect(upstream.mock.calls[1][0]).toBe('https://api.figma.com/v1/oauth/refresh')
+    expect(refresh.status).toBe(400)
+    expect(JSON.parse(refresh.text).error).toBe('Invalid refresh token')
+  })
+
+  it('should refuse other origins, missing keys and unlisted paths', async () => {
+    const foreign = await send(`${baseUrl}/status`, { headers: { Origin: 'https://evil.example.com' } })
+    const missingKey = await send(`${baseUrl}/llm/openai/chat/completions`, { method: 'POST', body: '{}' })
+    const unlisted = await send(`${baseUrl}/llm/gemini/gemini-2.5-flash:countTokens`, { method: 'POST', body: '{}' })
+    const preflight = await send(`${baseUrl}/llm/gemini/x:generateContent`, { method: 'OPTIONS', headers: { Origin: APP_ORIGIN } })
+    const nullToken = await send(`${baseUrl}/oauth/token`, { method: 'POST', body: 'null' })
+
+    expect(foreign.status).toBe(403)
+    expect(missingKey.status).toBe(401)
+    expect(JSON.parse(missingKey.text).error).toBe('OPENAI_API_KEY is not set for the proxy')
+    expect(unlisted.status).toBe(404)
+    expect(preflight.status).toBe(204)
+    expect(preflight.headers['access-control-allow-headers']).toContain('X-Figma-Token')
+    expect(nullToken.status).toBe(400)
+    expect(JSON.parse(nullToken.text).error).toBe('Request body must be a JSON object')
+    expect(upstream).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, readFile, rm, access } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+vi.mock('../../src/services/figmaApi.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getFigmaFileNodes: vi.fn(),
+}))
+
+import { getFigmaFileNodes } from '../../src/services/figmaApi.js'
+import { regenerateWatch } from '../regenerate.js'
+import { normalizeWatches } from '../config.js'
+
+const buildCard = ({ color = { r: 1, g: 1, b: 1, a: 1 }, title = 'Welcome' } = {}) => ({
+  id: '12:34',
+  name: 'Promo Card',
+  type: 'FRAME',
+  absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 120 },
+  fills: [{ type: 'SOLID', color }],
+  children: [
+    {
+      id: '12:35',
+      name: 'Title',
+      type: 'TEXT',
+      characters: title,
+      absoluteBoundingBox: { x: 16, y: 16, width: 200, height: 24 },
+      style: { fontFamily: 'Inter', fontSize: 18, fontWeight: 600 },
+      fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+    },
+  ],
+})
+
+const mockFile = (card, version) => {
+  getFigmaFileNodes.mockResolvedValueOnce({
+    name: 'Marketing Site',
+    version,
+    document: { id: '0:0', type: 'DOCUMENT', children: [card] },
+  })
+}
+
+const [watch] = normalizeWatches([{ fileKey: 'FileKey', nodeIds: ['12:34', '99:1'], mode: 'template' }])
+
+describe('regenerateWatch', () => {
+  let outputDir
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    outputDir = await mkdtemp(join(tmpdir(), 'figma-webhook-'))
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    await rm(outputDir, { recursive: true, force: true })
+  })
+
+  it('should write components and a manifest, then skip unchanged designs', async () => {
+    mockFile(buildCard(), '100')
+    const first = await regenerateWatch(watch, { accessToken: 'token', outputDir })
+
+    expect(getFigmaFileNodes).toHaveBeenCalledWith('FileKey', ['12:34', '99:1'], 'token')
+    expect(first.results.map(result => result.status)).toEqual(['generated', 'missing'])
+    const code = await readFile(join(outputDir, 'FileKey', 'PromoCard.jsx'), 'utf8')
+    expect(code).toContain('Welcome')
+    const manifest = JSON.parse(await readFile(join(outputDir, 'FileKey', 'manifest.json'), 'utf8'))
+    expect(manifest.components['12:34']).toMatchObject({ fileName: 'PromoCard.jsx', mode: 'template', version: '100' })
+
+    mockFile(buildCard(), '101')
+    const second = await regenerateWatch(watch, { accessToken: 'token', outputDir })
+
+    expect(second.results[0].status).toBe('unchanged')
+    await expect(access(join(outputDir, 'FileKey', 'PromoCard.jsx.diff'))).rejects.toThrow()
+  })
+
+  it('should regenerate changed components and write a diff', async () => {
+    mockFile(buildCard(), '100')
+    await regenerateWatch(watch, { accessToken: 'token', outputDir })
+
+    mockFile(buildCard({ title: 'Welcome back' }), '102')
+    const result = await regenerateWatch(watch, { accessToken: 'token', outputDir })
+
+    expect(result.results[0]).toMatchObject({ status: 'regenerated', fileName: 'PromoCard.jsx' })
+    const diff = await readFile(join(outputDir, 'FileKey', 'PromoCard.jsx.diff'), 'utf8')
+    expect(diff).toContain('+++ PromoCard.jsx')
+    expect(diff).toContain('Welcome back')
+  })
+})
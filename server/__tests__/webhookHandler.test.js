@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { createServer } from 'node:http'
+import { createWebhookHandler, verifyPasscode, WEBHOOK_PATH } from '../webhookHandler.js'
+import { createRegenerationQueue } from '../regenerationQueue.js'
+import { normalizeWatches } from '../config.js'
+import { loadFixture, replayPayload } from '../replay.js'
+import { postJson } from '../http.js'
+
+const PASSCODE = 'local-passcode'
+
+const watches = normalizeWatches([
+  { fileKey: 'h75EVNeBrTXsSzjbF3ywpe', nodeIds: ['12:34'], mode: 'template' },
+  { fileKey: 'OtherFile', nodeIds: ['1:2'], mode: 'template', libraryFileKeys: ['LibraryFile'] },
+])
+
+describe('webhook receiver', () => {
+  let server
+  let url
+  const runJob = vi.fn(async ({ watch }) => ({ fileKey: watch.fileKey, results: [] }))
+  const queue = createRegenerationQueue(runJob)
+
+  beforeAll(async () => {
+    server = createServer(createWebhookHandler({ passcode: PASSCODE, watches, queue }))
+    await new Promise(resolve => server.listen(0, resolve))
+    url = `http://localhost:${server.address().port}${WEBHOOK_PATH}`
+  })
+
+  afterAll(() => new Promise(resolve => server.close(resolve)))
+
+  it('should compare passcodes exactly', () => {
+    expect(verifyPasscode(PASSCODE, PASSCODE)).toBe(true)
+    expect(verifyPasscode('local-passcod', PASSCODE)).toBe(false)
+    expect(verifyPasscode(undefined, PASSCODE)).toBe(false)
+    expect(verifyPasscode(PASSCODE, '')).toBe(false)
+  })
+
+  it('should reject recorded payloads with the wrong passcode', async () => {
+    const response = await replayPayload(url, await loadFixture('file-update.json'))
+
+    expect(response.status).toBe(401)
+    expect(runJob).not.toHaveBeenCalled()
+  })
+
+  it('should answer pings and queue file updates for watched files', async () => {
+    const ping = await replayPayload(url, await loadFixture('ping.json'), { passcode: PASSCODE })
+    expect(ping).toEqual({ status: 200, data: { ok: true } })
+
+    const update = await replayPayload(url, await loadFixture('file-update.json'), { passcode: PASSCODE })
+    await queue.onIdle()
+
+    expect(update.status).toBe(200)
+    expect(update.data.queued).toEqual([watches[0].id])
+    expect(runJob).toHaveBeenCalledTimes(1)
+    expect(runJob.mock.calls[0][0].event).toMatchObject({ type: 'FILE_UPDATE', fileName: 'Marketing Site' })
+    expect(runJob.mock.calls[0][0].event.passcode).toBeUndefined()
+  })
+
+  it('should queue watches that use a published library', async () => {
+    runJob.mockClear()
+    const response = await replayPayload(url, await loadFixture('library-publish.json'), { passcode: PASSCODE, fileKey: 'LibraryFile' })
+    await queue.onIdle()
+
+    expect(response.data.queued).toEqual([watches[1].id])
+    expect(runJob.mock.calls[0][0].event.modifiedComponents).toEqual(['Button', 'Card'])
+  })
+
+  it('should reject malformed requests', async () => {
+    const notFound = await replayPayload(url.replace(WEBHOOK_PATH, '/other'), {})
+    expect(notFound.status).toBe(404)
+
+    const ignored = await replayPayload(url, { passcode: PASSCODE, event_type: 'FILE_DELETE', file_key: 'h75EVNeBrTXsSzjbF3ywpe' })
+    expect(ignored.data).toEqual({ ok: true, ignored: 'FILE_DELETE' })
+  })
+
+  it('should answer 400 to bodies that are not JSON objects', async () => {
+    for (const body of [null, [], 'FILE_UPDATE', 42]) {
+      const response = await postJson(url, body)
+      expect(response).toEqual({ status: 400, data: { error: 'Request body must be a JSON object' } })
+    }
+
+    // The receiver is still up
+    const ping = await replayPayload(url, await loadFixture('ping.json'), { passcode: PASSCODE })
+    expect(ping.status).toBe(200)
+  })
+})
+
+describe('createRegenerationQueue', () => {
+  it('should run jobs one at a time and coalesce repeated keys', async () => {
+    const order = []
+    let release
+    const gate = new Promise(resolve => { release = resolve })
+    const queue = createRegenerationQueue(async (job) => {
+      order.push(job.label)
+      if (job.label === 'first') await gate
+    })
+
+    queue.enqueue('a', { label: 'first' })
+    queue.enqueue('a', { label: 'second' })
+    queue.enqueue('a', { label: 'third' })
+    queue.enqueue('b', { label: 'other' })
+    expect(queue.size).toBe(2)
+
+    release()
+    await queue.onIdle()
+    expect(order).toEqual(['first', 'third', 'other'])
+  })
+
+  it('should report failed jobs and keep going', async () => {
+    const onError = vi.fn()
+    const onResult = vi.fn()
+    const queue = createRegenerationQueue(async (job) => {
+      if (job.fail) throw new Error('boom')
+      return 'done'
+    }, { onResult, onError })
+
+    queue.enqueue('a', { fail: true })
+    queue.enqueue('b', {})
+    await queue.onIdle()
+
+    expect(onError).toHaveBeenCalledWith({ fail: true }, expect.objectContaining({ message: 'boom' }))
+    expect(onResult).toHaveBeenCalledWith({}, 'done')
+  })
+})
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { getConfigValue, loadProcessEnv } from '../src/utils/config.js';
+import { createApiHandler } from './apiHandler.js';
+import { createProjectStore } from './projectStore.js';
+import { parseAllowedOrigins } from './config.js';
+
+// Local HTTP API over the generation pipeline. It listens on localhost only unless
+// API_HOST says otherwise, because it generates with the keys from the server's .env.
+
+const DEFAULT_PORT = 4100;
+const DEFAULT_HOST = '127.0.0.1';
+
+loadProcessEnv();
+
+const port = Number(getConfigValue('API_PORT')) || DEFAULT_PORT;
+const host = getConfigValue('API_HOST', DEFAULT_HOST);
+const server = createServer(createApiHandler({
+  projects: createProjectStore(),
+  defaultAccessToken: getConfigValue('FIGMA_ACCESS_TOKEN', ''),
+  allowedOrigins: parseAllowedOrigins(getConfigValue('API_ALLOWED_ORIGINS', '')),
+}));
+
+server.listen(port, host, () => {
+  console.log(`Generation API listening on http://${host}:${port}`);
+  console.log('POST /components/generate, POST /pages/generate, GET /projects/:id.zip');
+});
@@ -0,0 +1,226 @@
+import { readJsonBody, sendJson, createHttpError } from './http.js';
+import { buildDocumentFromNodes, parseFigmaFileJson } from '../src/services/figmaApi.js';
+import { LLM_PROVIDERS } from '../src/services/llmProviders.js';
+import {
+  loadDesign,
+  generateComponents,
+  generatePage,
+  findDesignPage,
+  resolveGeneratedResources,
+  GENERATION_MODES,
+} from '../src/services/headlessGeneration.js';
+import { buildProjectFiles, createProjectZip } from '../src/services/projectDownloadService.js';
+import { parseFigmaUrl, normalizeNodeId } from '../src/utils/figmaUrl.js';
+
+// HTTP front of the headless generation pipeline for internal tools and editor extensions:
+//   POST /components/generate  file key + node ids, or raw node JSON
+//   POST /pages/generate       file key (+ page or node ids), or raw file / node JSON
+//   GET  /projects/:id.zip     Vite project scaffolded around a generated component or page
+
+const MAX_BODY_SIZE = 20 * 1024 * 1024; // Raw file exports can be large
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Figma-Token',
+  'Access-Control-Max-Age': '600',
+};
+
+// Generation settings shared by both endpoints
+const getGenerationOptions = (body) => {
+  const mode = body.mode || 'ai';
+  if (!GENERATION_MODES.includes(mode)) {
+    throw createHttpError(400, `Unknown mode "${mode}". Use one of: ${GENERATION_MODES.join(', ')}`);
+  }
+  if (body.provider && !LLM_PROVIDERS[body.provider]) {
+    throw createHttpError(400, `Unknown provider "${body.provider}". Available providers: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    mode,
+    llmSettings: mode === 'ai' ? { provider: body.provider, model: body.model } : {},
+    includeAssets: body.includeAssets !== false,
+  };
+};
+
+// Raw nodes are wrapped like a /files/:key/nodes response; nodes without an id get one
+const buildDesignFromNodes = (nodes) => {
+  if (!nodes.every(node => node && typeof node === 'object' && node.type)) {
+    throw createHttpError(400, 'Every raw node needs at least a type, as in the Figma REST API');
+  }
+
+  const entries = nodes.map((node, index) => [node.id || `raw:${index + 1}`, { document: { ...node, id: node.id || `raw:${index + 1}` } }]);
+  const nodeIds = entries.map(([id]) => id);
+  const { document } = buildDocumentFromNodes({ nodes: Object.fromEntries(entries) }, nodeIds);
+  return { design: { name: nodes[0].name, document }, nodeIds, fileKey: null };
+};
+
+// The design a request refers to: raw JSON from the caller, or a file fetched from Figma
+const resolveDesign = async (body, { req, defaultAccessToken }) => {
+  if (body.node || body.nodes) {
+    return buildDesignFromNodes(body.nodes || [body.node]);
+  }
+  if (body.file) {
+    try {
+      return { design: parseFigmaFileJson(body.file), nodeIds: (body.nodeIds || []).map(normalizeNodeId), fileKey: null };
+    } catch (error) {
+      throw createHttpError(400, error.message);
+    }
+  }
+
+  const target = parseFigmaUrl(body.fileKey || body.fileUrl || '');
+  if (!target) {
+    throw createHttpError(400, 'Send fileKey (or fileUrl) with nodeId or nodeIds, or raw Figma JSON in node, nodes or file');
+  }
+
+  const nodeIds = [...new Set([
+    ...target.nodeIds,
+    ...[body.nodeId, ...(body.nodeIds || [])].filter(Boolean).map(normalizeNodeId),
+  ])];
+  const accessToken = body.accessToken || req.headers['x-figma-token'] || defaultAccessToken;
+  if (!accessToken) {
+    throw createHttpError(401, 'A Figma access token is required: set FIGMA_ACCESS_TOKEN for the server or send an X-Figma-Token header');
+  }
+
+  const design = await loadDesign({ fileKey: target.fileKey, nodeIds, accessToken, version: body.version || null });
+  return { design, nodeIds, fileKey: target.fileKey, accessToken };
+};
+
+const toProjectSummary = (projectId) => ({ projectId, projectUrl: `/projects/${projectId}.zip` });
+
+// Keep the scaffolded project so it can be downloaded as a zip
+const storeProject = (projects, code, componentName, pageGenerationMode, resources) => projects.add(
+  buildProjectFiles(code, componentName, pageGenerationMode, resources)
+);
+
+const handleGenerateComponents = async (req, res, { body, projects, defaultAccessToken, signal }) => {
+  const options = getGenerationOptions(body);
+  const { design, nodeIds, fileKey, accessToken } = await resolveDesign(body, { req, defaultAccessToken });
+  if (nodeIds.length === 0) {
+    throw createHttpError(400, 'Choose the components with nodeId or nodeIds, or use /pages/generate for a whole page');
+  }
+
+  const results = await generateComponents(design, nodeIds, { ...options, signal });
+  const generated = results.filter(result => result.status === 'generated');
+  const resources = generated.length > 0
+    ? await resolveGeneratedResources(generated.map(result => result.node), { fileKey, accessToken, includeAssets: options.includeAssets })
+    : { assets: [], icons: [], failed: [] };
+
+  const components = results.map((result) => {
+    const summary = { ...result };
+    delete summary.node;
+    return result.status === 'generated'
+      ? { ...summary, ...toProjectSummary(storeProject(projects, result.code, result.componentName, false, resources)) }
+      : summary;
+  });
+
+  sendJson(res, generated.length > 0 ? 200 : 502, {
+    fileKey,
+    version: design.version || null,
+    components,
+    warnings: resources.failed.map(item => `${item.componentName || item.name || 'Asset'}: ${item.reason}`),
+  });
+};
+
+const handleGeneratePage = async (req, res, { body, projects, defaultAccessToken, signal }) => {
+  const options = getGenerationOptions(body);
+  const { design, nodeIds, fileKey, accessToken } = await resolveDesign(body, { req, defaultAccessToken });
+
+  try {
+    findDesignPage(design, body.pageName);
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+
+  const page = await generatePage(design, { ...options, nodeIds, pageName: body.pageName, signal });
+
+  const resources = await resolveGeneratedResources(page.nodes, { fileKey, accessToken, includeAssets: options.includeAssets });
+  const { nodes, ...result } = page;
+
+  sendJson(res, 200, {
+    fileKey,
+    version: design.version || null,
+    page: { ...result, frameCount: nodes.length },
+    ...toProjectSummary(storeProject(projects, page.code, page.componentName, true, resources)),
+    warnings: resources.failed.map(item => `${item.componentName || item.name || 'Asset'}: ${item.reason}`),
+  });
+};
+
+const handleProjectZip = async (req, res, { projects, params }) => {
+  const project = projects.get(params[0]);
+  if (!project) {
+    throw createHttpError(404, 'Project not found. Projects are kept in memory until the server restarts.');
+  }
+
+  const zip = await createProjectZip(project, 'nodebuffer');
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Length': zip.length,
+    'Content-Disposition': `attachment; filename="${project.projectName}.zip"`,
+  });
+  res.end(zip);
+};
+
+const ROUTES = [
+  { method: 'GET', pattern: /^\/health$/, handle: (req, res) => sendJson(res, 200, { ok: true }) },
+  { method: 'POST', pattern: /^\/components\/generate$/, handle: handleGenerateComponents, readsBody: true },
+  { method: 'POST', pattern: /^\/pages\/generate$/, handle: handleGeneratePage, readsBody: true },
+  { method: 'GET', pattern: /^\/projects\/([\w-]+)\.zip$/, handle: handleProjectZip },
+];
+
+export const createApiHandler = ({ projects, defaultAccessToken = '', allowedOrigins = [] }) => async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  // The API spends the server's Figma token and LLM keys, so web pages may only call it
+  // from listed origins. Requests without an Origin come from local tools.
+  const origin = req.headers.origin;
+  if (origin) {
+    if (!allowedOrigins.includes(origin)) {
+      sendJson(res, 403, { error: `Origin ${origin} is not allowed. Add it to API_ALLOWED_ORIGINS.` });
+      return;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const matches = ROUTES.filter(route => route.pattern.test(pathname));
+  const route = matches.find(item => item.method === req.method);
+
+  if (!route) {
+    sendJson(res, matches.length > 0 ? 405 : 404, { error: matches.length > 0 ? 'Method not allowed' : 'Not found' });
+    return;
+  }
+
+  // A JSON content type cannot be sent cross-site without a CORS preflight
+  if (route.readsBody && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    sendJson(res, 415, { error: 'Send the request body as JSON with Content-Type: application/json' });
+    return;
+  }
+
+  // Stop generating when the caller goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const body = route.readsBody ? await readJsonBody(req, { limit: MAX_BODY_SIZE }) : null;
+    await route.handle(req, res, {
+      body,
+      projects,
+      defaultAccessToken,
+      signal: controller.signal,
+      params: pathname.match(route.pattern).slice(1),
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (!error.statusCode) {
+      console.error(`${req.method} ${pathname} failed:`, error.message);
+    }
+    sendJson(res, error.statusCode || 500, { error: error.message });
+  }
+};
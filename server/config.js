@@ -0,0 +1,106 @@
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { buildSnapshotKey } from '../src/services/componentSync.js';
+import { LLM_PROVIDERS } from '../src/services/llmProviders.js';
+
+// Settings for the webhook receiver and the key proxy, read from process.env (see
+// loadProcessEnv). The receiver's provider keys are resolved by the LLM provider layer.
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_OUTPUT_DIR = 'generated';
+const DEFAULT_WATCH_FILE = 'server/watch.json';
+const DEFAULT_PROXY_PORT = 4200;
+const DEFAULT_PROXY_HOST = '127.0.0.1';
+const DEFAULT_ALLOWED_ORIGINS = 'http://localhost:5173,http://127.0.0.1:5173';
+
+// Validate watch entries and fill in defaults
+export const normalizeWatches = (watches) => {
+  if (!Array.isArray(watches) || watches.length === 0) {
+    throw new Error('The watch file must list at least one watch');
+  }
+
+  return watches.map((watch, index) => {
+    if (!watch?.fileKey) {
+      throw new Error(`Watch ${index + 1} is missing a fileKey`);
+    }
+    if (!Array.isArray(watch.nodeIds) || watch.nodeIds.length === 0) {
+      throw new Error(`Watch ${index + 1} must list the nodeIds of the components to regenerate`);
+    }
+
+    if (watch.provider && !LLM_PROVIDERS[watch.provider]) {
+      throw new Error(`Watch ${index + 1} uses unknown provider "${watch.provider}". Available providers: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+    }
+
+    const mode = watch.mode === 'template' ? 'template' : 'ai';
+    return {
+      id: buildSnapshotKey(watch.fileKey, watch.nodeIds),
+      fileKey: watch.fileKey,
+      nodeIds: watch.nodeIds,
+      libraryFileKeys: watch.libraryFileKeys || [],
+      mode,
+      llmSettings: mode === 'ai' ? { provider: watch.provider, model: watch.model } : {},
+    };
+  });
+};
+
+export const loadWebhookConfig = async (env = process.env) => {
+  if (!env.FIGMA_WEBHOOK_PASSCODE) {
+    throw new Error('FIGMA_WEBHOOK_PASSCODE is not set. Use the passcode the webhook was created with.');
+  }
+  if (!env.FIGMA_ACCESS_TOKEN) {
+    throw new Error('FIGMA_ACCESS_TOKEN is not set. The receiver needs a personal access token to fetch changed files.');
+  }
+
+  const watchFile = resolve(env.WEBHOOK_WATCH_FILE || DEFAULT_WATCH_FILE);
+  let watches;
+  try {
+    watches = JSON.parse(await readFile(watchFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the watch file ${watchFile}: ${error.message}`);
+  }
+
+  return {
+    passcode: env.FIGMA_WEBHOOK_PASSCODE,
+    accessToken: env.FIGMA_ACCESS_TOKEN,
+    port: Number(env.WEBHOOK_PORT) || DEFAULT_PORT,
+    outputDir: resolve(env.WEBHOOK_OUTPUT_DIR || DEFAULT_OUTPUT_DIR),
+    watchFile,
+    watches: normalizeWatches(watches.watches || watches),
+  };
+};
+
+// Comma-separated list of browser origins, without trailing slashes
+export const parseAllowedOrigins = (value = '') => value
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// Proxy keys use names without the VITE_ prefix so Vite can never bundle them. The
+// prefixed names are still read so a .env written for the direct mode keeps working.
+const readProxySetting = (env, name) => env[name] || env[`VITE_${name}`] || '';
+
+export const loadProxyConfig = (env = process.env) => ({
+  port: Number(env.PROXY_PORT) || DEFAULT_PROXY_PORT,
+  host: env.PROXY_HOST || DEFAULT_PROXY_HOST,
+  allowedOrigins: parseAllowedOrigins(env.PROXY_ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS),
+  figmaToken: env.FIGMA_ACCESS_TOKEN || '',
+  // The client id is public and shared with the app; the secret has no VITE_ fallback
+  oauth: {
+    clientId: readProxySetting(env, 'FIGMA_OAUTH_CLIENT_ID'),
+    clientSecret: env.FIGMA_OAUTH_CLIENT_SECRET || '',
+  },
+  providers: {
+    gemini: {
+      apiKey: readProxySetting(env, 'GEMINI_API_KEY'),
+      baseUrl: LLM_PROVIDERS.gemini.defaultBaseUrl,
+    },
+    openai: {
+      apiKey: readProxySetting(env, 'OPENAI_API_KEY'),
+      baseUrl: readProxySetting(env, 'OPENAI_BASE_URL') || LLM_PROVIDERS.openai.defaultBaseUrl,
+    },
+    local: {
+      apiKey: readProxySetting(env, 'LOCAL_LLM_API_KEY'),
+      baseUrl: readProxySetting(env, 'LOCAL_LLM_BASE_URL') || LLM_PROVIDERS.local.defaultBaseUrl,
+    },
+  },
+});
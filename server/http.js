@@ -0,0 +1,91 @@
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+
+// Small helpers shared by the Node entry points in server/. The browser app never imports these.
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024; // 1 MB, far above any Figma webhook payload
+
+// Errors carry the status code the response should use
+export const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const sendJson = (res, statusCode, body) => {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+};
+
+export const readJsonBody = (req, { limit = DEFAULT_BODY_LIMIT } = {}) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(createHttpError(413, 'Request body is too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text.trim()) {
+      reject(createHttpError(400, 'Request body is empty'));
+      return;
+    }
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      reject(createHttpError(400, 'Request body is not valid JSON'));
+      return;
+    }
+    // Every endpoint reads fields from the body, so null, arrays and bare values are refused here
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      reject(createHttpError(400, 'Request body must be a JSON object'));
+      return;
+    }
+    resolve(body);
+  });
+
+  req.on('error', reject);
+});
+
+// POST a JSON body with node:http so callers do not depend on a global fetch
+export const postJson = (url, body, { headers = {} } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const payload = JSON.stringify(body);
+  const request = (target.protocol === 'https:' ? httpsRequest : httpRequest)(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers,
+    },
+  }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let data = text;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        // Non-JSON responses are returned as text
+      }
+      resolve({ status: response.statusCode, data });
+    });
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(payload);
+});
@@ -0,0 +1,25 @@
+import { randomUUID } from 'node:crypto';
+
+// Generated projects kept in memory so GET /projects/:id.zip can build the zip later.
+// The oldest project is dropped once the limit is reached; nothing is written to disk.
+
+const DEFAULT_MAX_PROJECTS = 50;
+
+export const createProjectStore = ({ maxProjects = DEFAULT_MAX_PROJECTS } = {}) => {
+  const projects = new Map();
+
+  return {
+    add: (project) => {
+      const id = randomUUID();
+      projects.set(id, { ...project, id, createdAt: new Date().toISOString() });
+      if (projects.size > maxProjects) {
+        projects.delete(projects.keys().next().value);
+      }
+      return id;
+    },
+    get: (id) => projects.get(id) || null,
+    get size() {
+      return projects.size;
+    },
+  };
+};
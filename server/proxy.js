@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { loadProxyConfig } from './config.js';
+import { loadProcessEnv } from '../src/utils/config.js';
+import { createProxyHandler } from './proxyHandler.js';
+
+// Keeps the Figma token and LLM keys on the server. Point the app at it with
+// VITE_PROXY_URL (npm run setup does both), then run `npm run proxy` next to `npm run dev`.
+
+const config = loadProxyConfig(loadProcessEnv());
+const server = createServer(createProxyHandler(config));
+
+server.listen(config.port, config.host, () => {
+  const providers = Object.entries(config.providers)
+    .filter(([id, provider]) => id === 'local' || provider.apiKey)
+    .map(([id]) => id);
+  console.log(`Key proxy listening on http://${config.host}:${config.port}`);
+  console.log(`Figma token: ${config.figmaToken ? 'configured' : 'not set, the app must send one'}; LLM providers: ${providers.join(', ')}`);
+  console.log(`Figma sign-in: ${config.oauth.clientId && config.oauth.clientSecret ? 'configured' : 'not set'}`);
+  console.log(`Allowed origins: ${config.allowedOrigins.join(', ')}`);
+});
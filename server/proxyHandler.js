@@ -0,0 +1,229 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { readJsonBody, sendJson, createHttpError } from './http.js';
+
+// Key proxy for the browser app. It holds the Figma token and LLM keys so none of them
+// are bundled into the client:
+//   GET  /status          which keys are configured (never the keys themselves)
+//   GET  /figma/*         Figma REST API; the caller's token wins over FIGMA_ACCESS_TOKEN
+//   POST /llm/<provider>/* generation requests, with the provider key added here
+//   POST /oauth/token     Figma OAuth code exchange and refresh, with the client secret added here
+
+const FIGMA_API_BASE_URL = 'https://api.figma.com/v1';
+const MAX_BODY_SIZE = 10 * 1024 * 1024; // Prompts carry the simplified design JSON
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'cache-control', 'retry-after'];
+
+// Upstream paths each provider may be called on, and how its key is sent
+const bearerAuth = (apiKey) => ({ Authorization: `Bearer ${apiKey}` });
+const LLM_ROUTES = {
+  gemini: {
+    path: /^[\w.-]+:(generateContent|streamGenerateContent)$/,
+    keyName: 'GEMINI_API_KEY',
+    auth: (apiKey) => ({ 'x-goog-api-key': apiKey }),
+  },
+  openai: { path: /^chat\/completions$/, keyName: 'OPENAI_API_KEY', auth: bearerAuth },
+  local: { path: /^chat\/completions$/, keyName: null, auth: bearerAuth },
+};
+
+// Token requests the app may make and the fields each one passes on
+const OAUTH_GRANTS = {
+  authorization_code: {
+    url: `${FIGMA_API_BASE_URL}/oauth/token`,
+    fields: ['code', 'code_verifier', 'redirect_uri'],
+    params: { grant_type: 'authorization_code' },
+  },
+  refresh_token: {
+    url: `${FIGMA_API_BASE_URL}/oauth/refresh`,
+    fields: ['refresh_token'],
+    params: {},
+  },
+};
+const OAUTH_TOKEN_FIELDS = ['access_token', 'refresh_token', 'expires_in', 'user_id', 'user_id_string'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Figma-Token',
+  'Access-Control-Max-Age': '600',
+};
+
+// Copy status, a few safe headers and the (possibly streamed) body back to the caller
+const pipeUpstream = async (res, upstream) => {
+  const headers = {};
+  FORWARDED_RESPONSE_HEADERS.forEach((name) => {
+    const value = upstream.headers.get(name);
+    if (value) headers[name] = value;
+  });
+
+  res.writeHead(upstream.status, headers);
+  if (!upstream.body) {
+    res.end();
+    return;
+  }
+  await pipeline(Readable.fromWeb(upstream.body), res);
+};
+
+const fetchUpstream = async (fetchImpl, url, init, label) => {
+  try {
+    return await fetchImpl(url, init);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw createHttpError(502, `Could not reach ${label}: ${error.message}`);
+  }
+};
+
+const handleStatus = (req, res, { figmaToken, providers }) => {
+  sendJson(res, 200, {
+    figma: Boolean(figmaToken),
+    providers: Object.fromEntries(Object.entries(LLM_ROUTES).map(([id, route]) => [
+      id,
+      !route.keyName || Boolean(providers[id]?.apiKey),
+    ])),
+  });
+};
+
+// OAuth bearer tokens and pasted tokens from the app are passed through unchanged
+const handleFigma = async (req, res, { params, search, figmaToken, fetchImpl, signal }) => {
+  const headers = {};
+  if (req.headers.authorization) {
+    headers.Authorization = req.headers.authorization;
+  } else {
+    const token = req.headers['x-figma-token'] || figmaToken;
+    if (!token) {
+      throw createHttpError(401, 'No Figma token: sign in, paste a personal access token, or set FIGMA_ACCESS_TOKEN for the proxy');
+    }
+    headers['X-Figma-Token'] = token;
+  }
+
+  const upstream = await fetchUpstream(fetchImpl, `${FIGMA_API_BASE_URL}/${params[0]}${search}`, { headers, signal }, 'the Figma API');
+  await pipeUpstream(res, upstream);
+};
+
+const handleLlm = async (req, res, { params, search, providers, fetchImpl, signal }) => {
+  const [providerId, path] = params;
+  const route = LLM_ROUTES[providerId];
+  const upstreamConfig = providers[providerId];
+  if (!route || !upstreamConfig) {
+    throw createHttpError(404, `Unknown LLM provider "${providerId}". Available providers: ${Object.keys(LLM_ROUTES).join(', ')}`);
+  }
+  if (!route.path.test(path)) {
+    throw createHttpError(404, `The proxy does not forward ${path} for ${providerId}`);
+  }
+  if (route.keyName && !upstreamConfig.apiKey) {
+    throw createHttpError(401, `${route.keyName} is not set for the proxy`);
+  }
+
+  const body = await readJsonBody(req, { limit: MAX_BODY_SIZE });
+  const upstream = await fetchUpstream(fetchImpl, `${upstreamConfig.baseUrl.replace(/\/$/, '')}/${path}${search}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(upstreamConfig.apiKey ? route.auth(upstreamConfig.apiKey) : {}),
+    },
+    body: JSON.stringify(body),
+    signal,
+  }, providerId);
+  await pipeUpstream(res, upstream);
+};
+
+// Figma only exchanges tokens for requests carrying the client secret, which must never
+// reach the browser. The app sends the code or refresh token and gets back only the tokens.
+const handleOAuthToken = async (req, res, { oauth, fetchImpl, signal }) => {
+  if (!oauth.clientId || !oauth.clientSecret) {
+    throw createHttpError(503, 'Figma sign-in is not configured for the proxy. Set FIGMA_OAUTH_CLIENT_ID and FIGMA_OAUTH_CLIENT_SECRET.');
+  }
+
+  const body = await readJsonBody(req, { limit: MAX_BODY_SIZE });
+  const grant = OAUTH_GRANTS[body.grant_type];
+  if (!grant) {
+    throw createHttpError(400, `Unsupported grant_type "${body.grant_type}". Use one of: ${Object.keys(OAUTH_GRANTS).join(', ')}`);
+  }
+  const missing = grant.fields.filter(name => !body[name]);
+  if (missing.length > 0) {
+    throw createHttpError(400, `Missing ${missing.join(', ')}`);
+  }
+
+  const params = new URLSearchParams({ client_id: oauth.clientId, client_secret: oauth.clientSecret, ...grant.params });
+  grant.fields.forEach(name => params.set(name, body[name]));
+  const upstream = await fetchUpstream(fetchImpl, grant.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString(),
+    signal,
+  }, 'the Figma API');
+
+  const data = await upstream.json().catch(() => ({}));
+  if (!upstream.ok) {
+    throw createHttpError(upstream.status, data.message || data.error || `Figma answered ${upstream.status}`);
+  }
+  sendJson(res, 200, Object.fromEntries(OAUTH_TOKEN_FIELDS
+    .filter(name => data[name] !== undefined)
+    .map(name => [name, data[name]])));
+};
+
+const ROUTES = [
+  { method: 'GET', pattern: /^\/status$/, handle: handleStatus },
+  { method: 'GET', pattern: /^\/figma\/(.+)$/, handle: handleFigma },
+  { method: 'POST', pattern: /^\/llm\/([\w-]+)\/(.+)$/, handle: handleLlm },
+  { method: 'POST', pattern: /^\/oauth\/token$/, handle: handleOAuthToken },
+];
+
+export const createProxyHandler = ({
+  figmaToken = '',
+  providers = {},
+  oauth = {},
+  allowedOrigins = [],
+  fetchImpl = globalThis.fetch,
+}) => async (req, res) => {
+  const { pathname, search } = new URL(req.url, 'http://localhost');
+
+  // Only the app's own origins may use the keys; requests without an Origin come from local tools
+  const origin = req.headers.origin;
+  if (origin) {
+    if (!allowedOrigins.includes(origin)) {
+      sendJson(res, 403, { error: `Origin ${origin} is not allowed. Add it to PROXY_ALLOWED_ORIGINS.` });
+      return;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const matches = ROUTES.filter(route => route.pattern.test(pathname));
+  const route = matches.find(item => item.method === req.method);
+  if (!route) {
+    sendJson(res, matches.length > 0 ? 405 : 404, { error: matches.length > 0 ? 'Method not allowed' : 'Not found' });
+    return;
+  }
+
+  // Cancel the upstream request when the app aborts a generation
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    await route.handle(req, res, {
+      figmaToken,
+      providers,
+      oauth,
+      fetchImpl,
+      search,
+      signal: controller.signal,
+      params: pathname.match(route.pattern).slice(1),
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    if (!error.statusCode) {
+      console.error(`${req.method} ${pathname} failed:`, error.message);
+    }
+    sendJson(res, error.statusCode || 500, { error: error.message });
+  }
+};
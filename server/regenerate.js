@@ -0,0 +1,107 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getFigmaFileNodes, findNodeById } from '../src/services/figmaApi.js';
+import { getComponentSignature, regenerateComponent } from '../src/services/componentSync.js';
+import { toComponentName } from '../src/services/templateGenerator.js';
+import { diffLines, summarizeLineDiff, formatUnifiedDiff } from '../src/utils/textDiff.js';
+
+// Regenerates the watched components of one file into <outputDir>/<fileKey>/. A manifest
+// there records the design signature each component was generated from, so a webhook
+// only regenerates what actually changed, like the in-app design sync.
+
+const MANIFEST_FILE = 'manifest.json';
+
+const readManifest = async (fileDir) => {
+  try {
+    return JSON.parse(await readFile(join(fileDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { components: {} };
+    throw error;
+  }
+};
+
+const readExistingFile = async (path) => {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+};
+
+// Two layers with the same name get the node id appended instead of overwriting each other
+const pickFileName = (node, components) => {
+  const baseName = toComponentName(node.name);
+  const taken = Object.values(components).some(entry => entry.id !== node.id && entry.fileName === `${baseName}.jsx`);
+  return taken ? `${baseName}_${node.id.replace(/[^a-zA-Z0-9]/g, '_')}.jsx` : `${baseName}.jsx`;
+};
+
+export const regenerateWatch = async (watch, { accessToken, outputDir, signal } = {}) => {
+  const fileDir = join(outputDir, watch.fileKey);
+  const data = await getFigmaFileNodes(watch.fileKey, watch.nodeIds, accessToken);
+  const manifest = await readManifest(fileDir);
+  const components = { ...manifest.components };
+  const results = [];
+
+  await mkdir(fileDir, { recursive: true });
+
+  for (const nodeId of watch.nodeIds) {
+    const entry = components[nodeId];
+    const node = findNodeById(data.document, nodeId);
+    if (!node) {
+      results.push({ id: nodeId, name: entry?.name || nodeId, status: 'missing' });
+      continue;
+    }
+
+    const signature = getComponentSignature(node);
+    if (entry && entry.signature === signature && entry.mode === watch.mode) {
+      results.push({ id: nodeId, name: node.name, status: 'unchanged', fileName: entry.fileName });
+      continue;
+    }
+
+    try {
+      const code = await regenerateComponent(node, { mode: watch.mode, llmSettings: watch.llmSettings, signal });
+      const fileName = entry?.fileName || pickFileName(node, components);
+      const filePath = join(fileDir, fileName);
+      const before = await readExistingFile(filePath);
+      const diff = diffLines(before, code);
+
+      await writeFile(filePath, code);
+      if (before) {
+        await writeFile(`${filePath}.diff`, formatUnifiedDiff(diff, { oldName: `${fileName} (previous)`, newName: fileName }));
+      }
+
+      components[nodeId] = {
+        id: nodeId,
+        name: node.name,
+        type: node.type,
+        mode: watch.mode,
+        signature,
+        fileName,
+        version: data.version,
+        generatedAt: new Date().toISOString(),
+      };
+      results.push({
+        id: nodeId,
+        name: node.name,
+        status: before ? 'regenerated' : 'generated',
+        fileName,
+        stats: summarizeLineDiff(diff),
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // The manifest keeps the old signature so the next webhook retries this component
+      results.push({ id: nodeId, name: node.name, status: 'failed', error: error.message });
+    }
+  }
+
+  await writeFile(join(fileDir, MANIFEST_FILE), JSON.stringify({
+    fileKey: watch.fileKey,
+    name: data.name,
+    version: data.version,
+    updatedAt: new Date().toISOString(),
+    components,
+  }, null, 2));
+
+  return { fileKey: watch.fileKey, version: data.version, outputDir: fileDir, results };
+};
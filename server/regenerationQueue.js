@@ -0,0 +1,45 @@
+// Runs regeneration jobs one at a time. Figma sends FILE_UPDATE after every editing session
+// and retries unanswered deliveries, so a key that is already waiting is replaced by the
+// newer job instead of being queued twice.
+export const createRegenerationQueue = (runJob, { onResult, onError } = {}) => {
+  const pending = new Map();
+  let running = null;
+
+  const drain = async () => {
+    while (pending.size > 0) {
+      const [key, job] = pending.entries().next().value;
+      pending.delete(key);
+      try {
+        const result = await runJob(job);
+        onResult?.(job, result);
+      } catch (error) {
+        onError?.(job, error);
+      }
+    }
+  };
+
+  const start = () => {
+    running = drain().finally(() => {
+      running = null;
+      // A job enqueued while the last one was settling
+      if (pending.size > 0) start();
+    });
+  };
+
+  return {
+    enqueue: (key, job) => {
+      pending.set(key, job);
+      if (!running) start();
+      return pending.size;
+    },
+    get size() {
+      return pending.size;
+    },
+    // Resolves once every queued job has finished
+    onIdle: async () => {
+      while (running) {
+        await running;
+      }
+    },
+  };
+};
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { postJson } from './http.js';
+import { loadProcessEnv } from '../src/utils/config.js';
+import { WEBHOOK_PATH } from './webhookHandler.js';
+
+// Local stand-in for Figma: posts recorded webhook payloads to the receiver.
+// Usage: node server/replay.js [payload.json ...] [--url <receiver url>] [--file-key <key>]
+// Without payload files every fixture in server/fixtures is sent in order.
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const FIXTURE_FILES = ['ping.json', 'file-update.json', 'library-publish.json'];
+
+export const loadPayload = async (path) => JSON.parse(await readFile(path, 'utf8'));
+
+export const loadFixture = (name) => loadPayload(join(FIXTURES_DIR, name));
+
+// Recorded payloads get the local passcode, a fresh timestamp and optionally a watched file key
+export const replayPayload = (url, payload, { passcode, fileKey } = {}) => postJson(url, {
+  ...payload,
+  ...(fileKey && payload.file_key ? { file_key: fileKey } : {}),
+  passcode: passcode ?? payload.passcode,
+  timestamp: new Date().toISOString(),
+});
+
+const parseArgs = (args) => {
+  const options = { files: [] };
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--url') options.url = args[++index];
+    else if (args[index] === '--file-key') options.fileKey = args[++index];
+    else options.files.push(args[index]);
+  }
+  return options;
+};
+
+const main = async () => {
+  loadProcessEnv();
+  const options = parseArgs(process.argv.slice(2));
+  const url = options.url || `http://localhost:${process.env.WEBHOOK_PORT || 4000}${WEBHOOK_PATH}`;
+  const payloads = options.files.length > 0
+    ? await Promise.all(options.files.map(loadPayload))
+    : await Promise.all(FIXTURE_FILES.map(loadFixture));
+
+  for (const payload of payloads) {
+    const response = await replayPayload(url, payload, {
+      passcode: process.env.FIGMA_WEBHOOK_PASSCODE,
+      fileKey: options.fileKey,
+    });
+    console.log(`${payload.event_type} -> ${response.status} ${JSON.stringify(response.data)}`);
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { loadWebhookConfig } from './config.js';
+import { loadProcessEnv } from '../src/utils/config.js';
+import { createWebhookHandler, WEBHOOK_PATH } from './webhookHandler.js';
+import { createRegenerationQueue } from './regenerationQueue.js';
+import { regenerateWatch } from './regenerate.js';
+
+// Receives Figma FILE_UPDATE and LIBRARY_PUBLISH webhooks and regenerates the watched
+// components into the output directory. Run `npm run webhook`, then `npm run webhook:replay`
+// to post the recorded payloads in server/fixtures without exposing a public endpoint.
+
+const logResult = ({ watch, event }, result) => {
+  const counts = result.results.reduce((totals, entry) => ({ ...totals, [entry.status]: (totals[entry.status] || 0) + 1 }), {});
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`[${event.type}] ${watch.fileKey} @ ${result.version}: ${summary} -> ${result.outputDir}`);
+  result.results
+    .filter(entry => entry.status === 'failed')
+    .forEach(entry => console.error(`  ${entry.name}: ${entry.error}`));
+};
+
+const logError = ({ watch, event }, error) => {
+  console.error(`[${event.type}] Regeneration of ${watch.fileKey} failed:`, error.message);
+};
+
+const main = async () => {
+  loadProcessEnv();
+  const config = await loadWebhookConfig();
+
+  const queue = createRegenerationQueue(
+    ({ watch }) => regenerateWatch(watch, { accessToken: config.accessToken, outputDir: config.outputDir }),
+    { onResult: logResult, onError: logError }
+  );
+  const server = createServer(createWebhookHandler({ passcode: config.passcode, watches: config.watches, queue }));
+
+  server.listen(config.port, () => {
+    console.log(`Figma webhook receiver listening on http://localhost:${config.port}${WEBHOOK_PATH}`);
+    console.log(`Watching ${config.watches.length} component set${config.watches.length === 1 ? '' : 's'} from ${config.watchFile}`);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+import { timingSafeEqual } from 'node:crypto';
+import { readJsonBody, sendJson } from './http.js';
+
+// Figma webhooks (https://www.figma.com/developers/api#webhooks_v2) post JSON with the
+// passcode chosen when the webhook was created. Only file and library changes queue work.
+
+export const WEBHOOK_PATH = '/webhooks/figma';
+export const REGENERATION_EVENTS = ['FILE_UPDATE', 'LIBRARY_PUBLISH'];
+
+export const verifyPasscode = (received, expected) => {
+  if (typeof received !== 'string' || !expected) return false;
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+  return receivedBuffer.length === expectedBuffer.length && timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+// A watch is affected by edits to its own file and by publishes of the libraries it uses
+export const findAffectedWatches = (payload, watches) => watches.filter(watch => (
+  watch.fileKey === payload.file_key
+  || (payload.event_type === 'LIBRARY_PUBLISH' && watch.libraryFileKeys.includes(payload.file_key))
+));
+
+// Fields worth keeping in logs and results; the passcode is dropped
+const summarizeEvent = (payload) => ({
+  type: payload.event_type,
+  fileKey: payload.file_key,
+  fileName: payload.file_name,
+  webhookId: payload.webhook_id,
+  timestamp: payload.timestamp,
+  modifiedComponents: (payload.modified_components || []).map(component => component.name),
+  createdComponents: (payload.created_components || []).map(component => component.name),
+});
+
+// Figma expects a quick 200, so regeneration is only queued here and runs afterwards
+const handleWebhook = async (req, res, { passcode, watches, queue, path }) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== path) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, error.statusCode || 400, { error: error.message });
+    return;
+  }
+
+  if (!verifyPasscode(payload.passcode, passcode)) {
+    console.warn('Rejected webhook with an invalid passcode');
+    sendJson(res, 401, { error: 'Invalid passcode' });
+    return;
+  }
+
+  if (payload.event_type === 'PING') {
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  if (!REGENERATION_EVENTS.includes(payload.event_type)) {
+    sendJson(res, 200, { ok: true, ignored: payload.event_type || 'unknown' });
+    return;
+  }
+
+  const event = summarizeEvent(payload);
+  const affected = findAffectedWatches(payload, watches);
+  affected.forEach(watch => queue.enqueue(watch.id, { watch, event }));
+
+  console.log(`${event.type} for ${event.fileName || event.fileKey}: ${affected.length} watch${affected.length === 1 ? '' : 'es'} queued`);
+  sendJson(res, 200, { ok: true, queued: affected.map(watch => watch.id) });
+};
+
+export const createWebhookHandler = ({ passcode, watches, queue, path = WEBHOOK_PATH }) => async (req, res) => {
+  // An error escaping the request handler would be an unhandled rejection and stop the receiver
+  try {
+    await handleWebhook(req, res, { passcode, watches, queue, path });
+  } catch (error) {
+    console.error(`${req.method} ${req.url} failed:`, error.message);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    sendJson(res, 500, { error: error.message });
+  }
+};
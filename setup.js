@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
-const path = require('path');
-const readline = require('readline');
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+const PROXY_URL = 'http://localhost:4200';
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -20,49 +21,88 @@ function question(prompt) {
 async function setup() {
   try {
     console.log('This setup will help you configure your API keys.\n');
-    
-    const figmaToken = await question('Enter your Figma Access Token (or press Enter to skip): ');
-    const geminiKey = await question('Enter your Google Gemini API Key (or press Enter to skip): ');
-    
+    console.log('With the key proxy (recommended) the keys stay in .env for `npm run proxy` and are never');
+    console.log('bundled into the app. Without it the app calls Figma and Gemini directly, which puts the');
+    console.log('Gemini key in the browser bundle: only use that for local development.\n');
+
+    const useProxy = !(await question('Use the key proxy? (Y/n): ')).trim().toLowerCase().startsWith('n');
+    const figmaClientId = (await question('Enter your Figma OAuth app client ID (or press Enter to skip): ')).trim();
+    // The proxy exchanges the sign-in tokens, so the client secret never reaches the browser
+    const figmaClientSecret = useProxy && figmaClientId
+      ? (await question('Enter the OAuth app client secret for the proxy: ')).trim()
+      : '';
+    // Personal access tokens only go to the proxy: Vite would bake a VITE_ token into the client bundle
+    const figmaToken = useProxy
+      ? (await question('Enter a Figma personal access token for the proxy (or press Enter to skip): ')).trim()
+      : '';
+    const geminiKey = (await question('Enter your Google Gemini API Key (or press Enter to skip): ')).trim();
+
     let envContent = '';
-    
-    if (figmaToken.trim()) {
-      envContent += `VITE_FIGMA_ACCESS_TOKEN=${figmaToken.trim()}\n`;
+
+    if (figmaClientId) {
+      envContent += `VITE_FIGMA_OAUTH_CLIENT_ID=${figmaClientId}\n`;
     }
-    
-    if (geminiKey.trim()) {
-      envContent += `VITE_GEMINI_API_KEY=${geminiKey.trim()}\n`;
+
+    if (useProxy) {
+      envContent += '\n# Key proxy: run `npm run proxy` next to `npm run dev`\n';
+      envContent += `VITE_PROXY_URL=${PROXY_URL}\n`;
+      if (figmaToken) {
+        envContent += `FIGMA_ACCESS_TOKEN=${figmaToken}\n`;
+      }
+      if (figmaClientSecret) {
+        envContent += `FIGMA_OAUTH_CLIENT_SECRET=${figmaClientSecret}\n`;
+      }
+      if (geminiKey) {
+        envContent += `GEMINI_API_KEY=${geminiKey}\n`;
+      }
+    } else if (geminiKey) {
+      envContent += `VITE_GEMINI_API_KEY=${geminiKey}\n`;
     }
-    
+
     if (envContent) {
       envContent += '\n# Application Configuration\n';
       envContent += 'VITE_APP_NAME=Figma to React Generator\n';
       envContent += 'VITE_APP_VERSION=1.0.0\n';
       envContent += 'VITE_DEV_MODE=true\n';
       envContent += 'VITE_API_BASE_URL=https://api.figma.com/v1\n';
-      
-      fs.writeFileSync('.env', envContent);
+
+      fs.writeFileSync('.env', envContent.trimStart());
       console.log('\n✅ .env file created successfully!');
     } else {
       console.log('\n⚠️  No API keys provided. You can add them later to the .env file.');
       console.log('   See env.example for reference.');
     }
-    
+
     console.log('\n📋 Next steps:');
     console.log('1. Run: npm install');
-    console.log('2. Run: npm start');
-    console.log('3. Open http://localhost:5173 in your browser');
-    
-    if (!figmaToken.trim()) {
-      console.log('\n🔑 To get your Figma Access Token:');
-      console.log('   Visit: https://www.figma.com/developers/api#access-tokens');
+    if (useProxy) {
+      console.log('2. Run: npm run proxy (keep it running)');
+      console.log('3. Run: npm start');
+      console.log('4. Open http://localhost:5173 in your browser');
+    } else {
+      console.log('2. Run: npm start');
+      console.log('3. Open http://localhost:5173 in your browser');
     }
-    
-    if (!geminiKey.trim()) {
+
+    if (figmaClientId && !useProxy) {
+      console.log('\n⚠️  "Sign in with Figma" needs the key proxy, which holds the client secret.');
+      console.log('   Paste a personal access token in the app instead, or run setup again with the proxy.');
+    }
+
+    if (!figmaClientId) {
+      console.log('\n🔑 To enable "Sign in with Figma":');
+      console.log('   Register an OAuth app at https://www.figma.com/developers/apps');
+      console.log('   and add http://localhost:5173/ as a callback URL.');
+      console.log(useProxy && figmaToken
+        ? '   Until then the proxy loads files with its personal access token.'
+        : '   Without it, paste a personal access token in the app instead.');
+    }
+
+    if (!geminiKey) {
       console.log('\n🔑 To get your Google Gemini API Key:');
       console.log('   Visit: https://makersuite.google.com/app/apikey');
     }
-    
+
   } catch (error) {
     console.error('❌ Setup failed:', error.message);
   } finally {
@@ -71,6 +111,3 @@ async function setup() {
 }
 
 setup();
-
-
-
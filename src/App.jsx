@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import {
   Box,
   CssBaseline,
@@ -15,6 +15,10 @@ import {
   Chip,
   Stack,
   Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   Refresh as RefreshIcon,
@@ -23,6 +27,9 @@ import {
   Assessment as AssessmentIcon,
   Code as CodeIcon,
   CheckCircle as CheckCircleIcon,
+  Storage as StorageIcon,
+  History as HistoryIcon,
+  Sync as SyncIcon,
 } from '@mui/icons-material';
 
 import FileInput from './components/FileInput';
@@ -36,46 +43,126 @@ import AppLayout from './components/layout/AppLayout';
 import Surface from './components/ui/Surface';
 import StatusIndicator from './components/ui/StatusIndicator';
 import EmptyState from './components/ui/EmptyState';
+import ModelSelector from './components/ModelSelector';
+import PagePicker from './components/PagePicker';
+import CacheManager from './components/CacheManager';
+import VersionHistory from './components/VersionHistory';
+import SyncResults from './components/SyncResults';
+import GenerationHistory from './components/GenerationHistory';
 
 import { 
   getFigmaFile, 
+  getFigmaFileNodes,
+  parseFigmaFileJson,
+  getFigmaLocalVariables,
+  getFigmaComments,
+  findNodeById,
   getFigmaImages, 
   findAllComponents, 
-  extractSimplifiedMetadata,
   getComponentsWithPagination,
   getComponentsByType,
   getTopLevelComponents,
   batchProcessComponents,
   setProgressCallback,
-  optimizeMetadataForTokens,
+  setFigmaAuthProvider,
   validateAndSanitizeComponent
 } from './services/figmaApi';
 import { 
   generateReactComponent, 
   generateCompletePage, 
   generateVisuallyAccurateComponent,
-  generateWithFallback 
+  generateWithFallback,
+  refineGeneratedComponent,
 } from './services/geminiApi';
+import { getDefaultProviderId, resolveProviderConfig } from './services/llmProviders';
+import { getProxyStatus } from './services/keyProxy';
+import { loadFigmaFileWithCache } from './services/figmaCache';
+import {
+  isOAuthConfigured,
+  startFigmaLogin,
+  completeFigmaLogin,
+  getFigmaSession,
+  signOutFigma,
+  figmaOAuthProvider,
+} from './services/figmaAuth';
+import { resolveProjectAssets } from './services/assetService';
+import { resolveVectorIcons } from './services/iconService';
+import { compileNodeToJsx, compilePageToJsx } from './services/templateGenerator';
+import {
+  prepareComponentMetadata,
+  recordGeneratedComponent,
+  getSyncSnapshot,
+  syncGeneratedComponents,
+} from './services/componentSync';
+import { recordGeneration, getHistoryFileKey } from './services/generationHistory';
 import { AppError, logError, classifyError } from './utils/errorHandler';
+import { buildThemeTokens } from './utils/figmaVariables';
+import { getFigmaPages, getDefaultPageId, getPageScope, restorePageScope } from './utils/figmaPages';
+import { normalizeComments, groupCommentsByNode, getNodeComments } from './utils/figmaComments';
+import { addRefinement, getRefinementInstructions } from './utils/codeRevisions';
 import { createAppTheme } from './theme';
 
 const DRAWER_WIDTH = 320;
 
+// Generations are kept per component and per page (or frame) in the generation history
+const getComponentHistoryTarget = (component) => (component
+  ? { type: 'component', id: component.id, name: component.name }
+  : null);
+
+const getPageHistoryTarget = (fileData, pageId, frameId) => {
+  const { root } = getPageScope(fileData, { pageId, frameId });
+  return root ? { type: 'page', id: root.id, name: root.name } : null;
+};
+
+// Download a file or node selection, optionally at a version from its history, through the cache
+const fetchFigmaDesign = (key, token, nodeIds = [], version = null) => loadFigmaFileWithCache(key, token, {
+  nodeIds,
+  version,
+  fetchFile: () => (nodeIds.length > 0
+    ? getFigmaFileNodes(key, nodeIds, token, {
+      includeGeometry: false,
+      includePluginData: false,
+      version,
+    })
+    : getFigmaFile(key, token, {
+      includeGeometry: false, // Don't include geometry to save bandwidth
+      includePluginData: false, // Don't include plugin data
+      includeBranchData: false, // Don't include branch data
+      version,
+    })),
+});
+
 function App() {
   const [fileLoaded, setFileLoaded] = useState(false);
   const [fileKey, setFileKey] = useState('');
   const [accessToken, setAccessToken] = useState('');
+  const [figmaSession, setFigmaSession] = useState(() => getFigmaSession());
+  const [returnFileInput, setReturnFileInput] = useState('');
+  const [proxyStatus, setProxyStatus] = useState(null);
+  const [loadedNodeIds, setLoadedNodeIds] = useState([]);
+  // Version id picked from the file history; empty while the latest version is loaded
+  const [pinnedVersionId, setPinnedVersionId] = useState('');
+  const [themeTokens, setThemeTokens] = useState(null);
+  const [commentsByNode, setCommentsByNode] = useState({});
+  // Bumped by every load or import so late responses for an earlier file are dropped
+  const fileLoadIdRef = useRef(0);
   const [components, setComponents] = useState([]);
   const [selectedComponent, setSelectedComponent] = useState(null);
   const [componentImage, setComponentImage] = useState(null);
   const [generatedCode, setGeneratedCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [codeLoading, setCodeLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false);
   const [error, setError] = useState('');
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   
   // Enhanced error handling state
   const [errorDialog, setErrorDialog] = useState({ open: false, error: null });
+  const [cacheManagerOpen, setCacheManagerOpen] = useState(false);
+  const [versionHistoryOpen, setVersionHistoryOpen] = useState(false);
+  const [syncResult, setSyncResult] = useState(null);
+  const [syncResultsOpen, setSyncResultsOpen] = useState(false);
+  const [generationHistoryOpen, setGenerationHistoryOpen] = useState(false);
   const [loadingState, setLoadingState] = useState({
     active: false,
     message: '',
@@ -93,11 +180,25 @@ function App() {
   // Filter state
   const [componentType, setComponentType] = useState('all');
   const [allComponentsData, setAllComponentsData] = useState(null); // Store full data for filtering
+  const [selectedPageId, setSelectedPageId] = useState('');
+  const [selectedFrameId, setSelectedFrameId] = useState('');
   
   // Page generation state
   const [pageGenerationMode, setPageGenerationMode] = useState(false);
   const [selectedComponentsForPage, setSelectedComponentsForPage] = useState([]);
   
+  // LLM provider and model used for the next generation
+  const [llmSettings, setLlmSettings] = useState(() => ({ provider: getDefaultProviderId(), model: '' }));
+  
+  // 'ai' generates with the selected model, 'template' compiles the design deterministically
+  const [generationMode, setGenerationMode] = useState('ai');
+  
+  // Send the selected layer's open Figma comments to the LLM as extra instructions
+  const [includeComments, setIncludeComments] = useState(false);
+  
+  // Refinement turns of a generated component; they apply while their active revision is on screen
+  const [revisionState, setRevisionState] = useState({ componentId: null, revisions: [], activeId: null });
+  
   // Dark mode state
   const [darkMode, setDarkMode] = useState(true);
 
@@ -106,11 +207,139 @@ function App() {
     document.documentElement.setAttribute('data-mui-color-scheme', darkMode ? 'dark' : 'light');
   }, [darkMode]);
 
-  const handleLoadFile = useCallback(async (key, token) => {
+  // Finish a Figma sign-in when the OAuth redirect lands back on the app
+  useEffect(() => {
+    completeFigmaLogin()
+      .then((result) => {
+        if (!result) return;
+        setFigmaSession(result.session);
+        setReturnFileInput(result.returnState?.fileInput || '');
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Ask the key proxy, when one is configured, which keys it holds
+  useEffect(() => {
+    const controller = new AbortController();
+    getProxyStatus({ signal: controller.signal })
+      .then(setProxyStatus)
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Signed-in sessions send a bearer token instead of X-Figma-Token
+  useEffect(() => {
+    setFigmaAuthProvider(figmaSession ? figmaOAuthProvider : null);
+  }, [figmaSession]);
+
+  // Pages and their top-level frames for the page picker
+  const figmaPages = useMemo(() => getFigmaPages(allComponentsData), [allComponentsData]);
+
+  // Comments pinned to the selected layer or anything inside it
+  const selectedComments = useMemo(() => {
+    if (!selectedComponent) return [];
+    const node = findNodeById(allComponentsData?.document, selectedComponent.id) || selectedComponent;
+    return getNodeComments(commentsByNode, node);
+  }, [selectedComponent, allComponentsData, commentsByNode]);
+
+  // Run one page (or frame) of the loaded file through the component pipeline
+  const loadComponentList = useCallback(async (fileData, scope) => {
+    // Use enhanced batch processing with progress tracking
+    const componentOptions = {
+      maxComponents: 100, // Conservative limit
+      maxDepth: 2, // Shallow depth to avoid memory issues
+      includeTypes: ['COMPONENT_SET', 'COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
+      excludeTypes: ['SLICE', 'VECTOR', 'BOOLEAN_OPERATION', 'LINE', 'REGULAR_POLYGON', 'STAR'],
+      minSize: 30, // Filter out very small elements
+      maxSize: 1500, // Filter out very large elements
+      batchSize: 10, // Process in batches of 10
+    };
+    
+    // Use batch processing for better performance and progress tracking
+    const batchResult = await batchProcessComponents(
+      getPageScope(fileData, scope).nodes,
+      {
+        ...componentOptions,
+        onProgress: (progress) => {
+          console.log(`Processing components: ${progress.processed}/${progress.total} (${progress.percentage}%)`);
+        }
+      }
+    );
+    
+    // Validate and sanitize components
+    const sanitizedComponents = batchResult.components
+      .map(component => validateAndSanitizeComponent(component))
+      .filter(Boolean);
+    
+    // Apply pagination to the processed components
+    const startIndex = 0;
+    const endIndex = pageSize;
+    const paginatedComponents = sanitizedComponents.slice(startIndex, endIndex);
+    
+    setComponents(paginatedComponents);
+    setTotalComponents(sanitizedComponents.length);
+    setHasMore(endIndex < sanitizedComponents.length);
+    setCurrentPage(0);
+    setComponentType('all');
+    setSelectedComponent(null);
+    setSelectedComponentsForPage([]);
+    
+    return { paginatedComponents, sanitizedComponents, batchResult };
+  }, [pageSize]);
+
+  // Run loaded file data through the component pipeline. Shared by API loads and
+  // offline imports so both produce the same component list.
+  const processFileData = useCallback(async (fileData, loadInfo = {}) => {
+    // Store the full data for filtering
+    setAllComponentsData(fileData);
+    
+    // Open the first page that is not an archive; other pages are picked in the sidebar
+    const scope = { pageId: getDefaultPageId(getFigmaPages(fileData)), frameId: '' };
+    setSelectedPageId(scope.pageId);
+    setSelectedFrameId('');
+    
+    const { paginatedComponents, sanitizedComponents, batchResult } = await loadComponentList(fileData, scope);
+    setFileLoaded(true);
+    
+    showSuccess(
+      `Successfully loaded ${paginatedComponents.length} of ${sanitizedComponents.length} components`,
+      loadInfo.fromCache
+        ? 'Loaded from the local cache (file unchanged since the last download)'
+        : `Enhanced processing completed with ${batchResult.metadata.batchesProcessed} batches`
+    );
+  }, [loadComponentList]);
+
+  // Browse another page or frame of the loaded file
+  const handlePageScopeChange = useCallback(async (pageId, frameId = '') => {
+    if (!allComponentsData) return;
+    
+    setSelectedPageId(pageId);
+    setSelectedFrameId(frameId);
+    setGeneratedCode('');
+    
+    try {
+      await loadComponentList(allComponentsData, { pageId, frameId });
+    } catch (err) {
+      showError(err, { operation: 'changePage', source: 'figma', pageId, frameId });
+    }
+  }, [allComponentsData, loadComponentList]);
+
+  const handleLoadFile = useCallback(async (key, token, loadOptions = {}) => {
+    const nodeIds = loadOptions.nodeIds || [];
+    const version = loadOptions.version || null;
+    
     setLoading(true);
     setError('');
     setFileKey(key);
     setAccessToken(token);
+    setLoadedNodeIds(nodeIds);
+    setPinnedVersionId(version || '');
+    setThemeTokens(null);
+    setCommentsByNode({});
+    const loadId = ++fileLoadIdRef.current;
+    const isCurrentLoad = () => loadId === fileLoadIdRef.current;
     
     // Start enhanced loading state
     startLoading('Loading Figma file...', [
@@ -130,65 +359,32 @@ function App() {
     });
     
     try {
-      // Use enhanced file loading with validation and progress tracking
-      const fileData = await getFigmaFile(key, token, {
-        includeGeometry: false, // Don't include geometry to save bandwidth
-        includePluginData: false, // Don't include plugin data
-        includeBranchData: false, // Don't include branch data
-      });
+      // Use enhanced file loading with validation and progress tracking.
+      // When the URL pointed at specific nodes, only those subtrees are fetched.
+      // Unchanged files are served from the IndexedDB cache after a depth=1 version check.
+      const { data: fileData, fromCache } = await fetchFigmaDesign(key, token, nodeIds, version);
       
-      // Store the full data for filtering
-      setAllComponentsData(fileData);
+      await processFileData(fileData, { fromCache });
       
-      // Use enhanced batch processing with progress tracking
-      const componentOptions = {
-        maxComponents: 100, // Conservative limit
-        maxDepth: 2, // Shallow depth to avoid memory issues
-        includeTypes: ['COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
-        excludeTypes: ['SLICE', 'VECTOR', 'BOOLEAN_OPERATION', 'LINE', 'REGULAR_POLYGON', 'STAR'],
-        minSize: 30, // Filter out very small elements
-        maxSize: 1500, // Filter out very large elements
-        batchSize: 10, // Process in batches of 10
-      };
+      // Design tokens are optional: the variables endpoint is not available on every plan
+      getFigmaLocalVariables(key, token)
+        .then((variablesMeta) => {
+          if (isCurrentLoad()) setThemeTokens(buildThemeTokens(variablesMeta));
+        })
+        .catch((variablesError) => console.warn('Figma variables not loaded:', variablesError.message));
       
-      // Use batch processing for better performance and progress tracking
-      const batchResult = await batchProcessComponents(
-        Object.values(fileData.document.children),
-        {
-          ...componentOptions,
-          onProgress: (progress) => {
-            console.log(`Processing components: ${progress.processed}/${progress.total} (${progress.percentage}%)`);
-          }
-        }
-      );
-      
-      // Validate and sanitize components
-      const sanitizedComponents = batchResult.components
-        .map(component => validateAndSanitizeComponent(component))
-        .filter(Boolean);
-      
-      // Apply pagination to the processed components
-      const startIndex = 0;
-      const endIndex = pageSize;
-      const paginatedComponents = sanitizedComponents.slice(startIndex, endIndex);
-      
-      setComponents(paginatedComponents);
-      setTotalComponents(sanitizedComponents.length);
-      setHasMore(endIndex < sanitizedComponents.length);
-      setCurrentPage(0);
-      setFileLoaded(true);
-      
-      showSuccess(
-        `Successfully loaded ${paginatedComponents.length} of ${sanitizedComponents.length} components`,
-        `Enhanced processing completed with ${batchResult.metadata.batchesProcessed} batches`
-      );
+      // Comments need the file_comments:read scope; the preview works without them
+      getFigmaComments(key, token)
+        .then((rawComments) => {
+          if (isCurrentLoad()) setCommentsByNode(groupCommentsByNode(normalizeComments(rawComments)));
+        })
+        .catch((commentsError) => console.warn('Figma comments not loaded:', commentsError.message));
       
     } catch (err) {
       showError(err, { 
         operation: 'loadFile', 
         source: 'figma',
         fileKey: key,
-        componentCount: sanitizedComponents?.length || 0 
       });
       setError(err.message);
     } finally {
@@ -197,13 +393,61 @@ function App() {
       // Clear progress callback
       setProgressCallback(null);
     }
-  }, [pageSize]);
+  }, [processFileData]);
+
+  // Import a saved /files/:key JSON export without any network calls
+  const handleImportFile = useCallback(async (file) => {
+    setLoading(true);
+    setError('');
+    setFileKey('');
+    setAccessToken('');
+    setLoadedNodeIds([]);
+    setPinnedVersionId('');
+    setThemeTokens(null);
+    setCommentsByNode({});
+    fileLoadIdRef.current += 1;
+    
+    startLoading('Importing Figma JSON...', [
+      { title: 'Reading file', description: `Parsing ${file.name}` },
+      { title: 'Processing components', description: 'Analyzing design structure' },
+      { title: 'Optimizing data', description: 'Preparing for code generation' },
+    ]);
+    
+    setProgressCallback((progress) => {
+      updateLoadingState({
+        message: progress.message,
+        progress: progress.percentage,
+        currentStep: Math.floor((progress.percentage || 0) / 34),
+      });
+    });
+    
+    try {
+      const text = await file.text();
+      const fileData = parseFigmaFileJson(text, { fileName: file.name });
+      
+      await processFileData(fileData);
+    } catch (err) {
+      showError(err, { 
+        operation: 'importFile', 
+        source: 'import',
+        fileName: file.name,
+      });
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      stopLoading();
+      setProgressCallback(null);
+    }
+  }, [processFileData]);
 
   const handleComponentSelect = useCallback(async (component) => {
     setSelectedComponent(component);
     setGeneratedCode('');
     setComponentImage(null);
     
+    // Imported files have no file key or token, so there is no rendered image to fetch
+    if (!fileKey || !accessToken) return;
+    
     try {
       // Fetch component image
       const imagesData = await getFigmaImages(fileKey, [component.id], accessToken);
@@ -215,10 +459,84 @@ function App() {
     }
   }, [fileKey, accessToken]);
 
+  // Show streamed tokens as they arrive; the final result is cleaned once the stream ends
+  const handleStreamChunk = useCallback((delta, text) => {
+    setGeneratedCode(text);
+  }, []);
+
+  // Compile the selected design without an LLM; the full subtree comes from the loaded document
+  const handleCompileCode = useCallback(() => {
+    if (pageGenerationMode) {
+      const nodes = selectedComponentsForPage.map(component => 
+        findNodeById(allComponentsData?.document, component.id) || component
+      );
+      return compilePageToJsx(nodes);
+    }
+    
+    const node = findNodeById(allComponentsData?.document, selectedComponent.id) || selectedComponent;
+    return compileNodeToJsx(node);
+  }, [allComponentsData, selectedComponent, selectedComponentsForPage, pageGenerationMode]);
+
+  // Download the images and vector icons used by the generated design for the project zip.
+  // Icon modules are always returned because the generated code imports them.
+  const handleResolveAssets = useCallback(async () => {
+    const sources = pageGenerationMode ? selectedComponentsForPage : [selectedComponent].filter(Boolean);
+    const nodes = sources.map(component => findNodeById(allComponentsData?.document, component.id) || component);
+    const [assetResult, iconResult] = await Promise.all([
+      resolveProjectAssets(nodes, { fileKey, accessToken })
+        .catch(assetError => ({ assets: [], failed: [{ reason: assetError.message }] })),
+      resolveVectorIcons(nodes, { fileKey, accessToken }),
+    ]);
+    
+    return {
+      assets: assetResult.assets,
+      icons: iconResult.icons,
+      failed: [...assetResult.failed, ...iconResult.failed],
+    };
+  }, [allComponentsData, selectedComponent, selectedComponentsForPage, pageGenerationMode, fileKey, accessToken]);
+
+  // Record generated components so a later sync can regenerate only what changed
+  const rememberGeneratedCode = useCallback((code, mode) => {
+    if (!fileKey || !selectedComponent) return;
+    
+    const node = findNodeById(allComponentsData?.document, selectedComponent.id) || selectedComponent;
+    recordGeneratedComponent(fileKey, loadedNodeIds, { node, code, mode, version: allComponentsData?.version })
+      .catch((syncError) => console.warn('Generated code not recorded for sync:', syncError.message));
+  }, [fileKey, loadedNodeIds, allComponentsData, selectedComponent]);
+
+  // Imported files have no file key but still get a history
+  const historyFileKey = useMemo(() => getHistoryFileKey(fileKey, allComponentsData), [fileKey, allComponentsData]);
+
+  // Keep every result with the model, prompt hash and options it came from
+  const addToGenerationHistory = useCallback((target, code, details) => {
+    if (!historyFileKey || !target) return;
+    
+    const { provider, model } = details.mode === 'ai' ? resolveProviderConfig(llmSettings) : {};
+    recordGeneration(historyFileKey, target, { provider, model, ...details, code })
+      .catch((historyError) => console.warn('Generation not added to the history:', historyError.message));
+  }, [historyFileKey, llmSettings]);
+
   const handleGenerateCode = useCallback(async () => {
     if (!selectedComponent) return;
     
+    if (generationMode === 'template') {
+      setError('');
+      try {
+        const code = handleCompileCode();
+        setGeneratedCode(code);
+        rememberGeneratedCode(code, 'template');
+        addToGenerationHistory(getComponentHistoryTarget(selectedComponent), code, { mode: 'template' });
+        showSuccess('React component compiled from the design (no LLM used)');
+      } catch (err) {
+        setError(err.message);
+        showError(err, { operation: 'compileCode', source: 'template', componentName: selectedComponent.name });
+      }
+      return;
+    }
+    
     setCodeLoading(true);
+    setStreaming(true);
+    setGeneratedCode('');
     setError('');
     
     // Start enhanced loading for code generation
@@ -230,43 +548,36 @@ function App() {
     ]);
     
     try {
-      // Extract metadata with enhanced options
-      const metadata = extractSimplifiedMetadata(selectedComponent, {
-        maxDepth: 2,
-        maxChildren: 3,
-        includeDetailedText: true,
-        includeEffects: true,
-        includeConstraints: false,
-        tokenBudget: 1000, // Conservative token budget
-      });
-      
-      if (!metadata) {
-        throw new Error('Failed to extract component metadata');
-      }
-      
-      // Optimize metadata for token limits
-      const optimizedMetadata = optimizeMetadataForTokens(metadata, 800);
-      
-      // Validate and sanitize the metadata
-      const sanitizedMetadata = validateAndSanitizeComponent(optimizedMetadata);
-      
-      if (!sanitizedMetadata) {
-        throw new Error('Component metadata validation failed');
-      }
+      // Extract, token-limit and sanitize the metadata (shared with design sync)
+      const sanitizedMetadata = prepareComponentMetadata(selectedComponent);
       
       // Try visual similarity generation first, with fallback to standard generation
       let code;
+      let strategy = 'visual similarity';
+      let promptHash = null;
+      const handlePrompt = (hash) => {
+        promptHash = hash;
+      };
       try {
         // Use enhanced visual similarity generation
         code = await generateVisuallyAccurateComponent(sanitizedMetadata, {
           useTemplate: false, // Use AI generation for better results
           maxTokens: 4000,
           temperature: 0.5,
+          ...llmSettings,
+          onChunk: handleStreamChunk,
+          onPrompt: handlePrompt,
+          comments: includeComments ? selectedComments : [],
         });
         
         updateLoadingState({ currentStep: 3 });
         showSuccess('React component generated with enhanced visual similarity!');
       } catch (visualError) {
+        // An interrupted stream keeps its partial output; don't replace it with a fallback
+        if (visualError.partialText) {
+          throw visualError;
+        }
+        
         console.log('Visual similarity generation failed, using fallback:', visualError.message);
         
         updateLoadingState({ 
@@ -276,44 +587,192 @@ function App() {
         
         // Fallback to standard generation with multiple strategies
         const relatedComponents = components.slice(0, 3);
-        code = await generateWithFallback(sanitizedMetadata, relatedComponents);
+        strategy = 'fallback';
+        code = await generateWithFallback(sanitizedMetadata, relatedComponents, {
+          ...llmSettings,
+          onChunk: handleStreamChunk,
+          onPrompt: handlePrompt,
+          comments: includeComments ? selectedComments : [],
+        });
         
         showWarning('React component generated using fallback strategy');
       }
       
       setGeneratedCode(code);
-    } catch (err) {
-      showError(err, { 
-        operation: 'generateCode', 
-        source: 'gemini',
-        componentName: selectedComponent?.name,
-        componentType: selectedComponent?.type 
+      rememberGeneratedCode(code, 'ai');
+      addToGenerationHistory(getComponentHistoryTarget(selectedComponent), code, {
+        mode: 'ai',
+        promptHash,
+        options: {
+          strategy,
+          temperature: strategy === 'fallback' ? null : 0.5, // Fallback strategies pick their own
+          comments: includeComments ? selectedComments.length : 0,
+        },
       });
-      setError(err.message);
+    } catch (err) {
+      if (err.partialText) {
+        setGeneratedCode(err.partialText);
+        showWarning(`Generation was interrupted: ${err.message}. Showing partial output.`);
+      } else {
+        showError(err, { 
+          operation: 'generateCode', 
+          source: 'gemini',
+          componentName: selectedComponent?.name,
+          componentType: selectedComponent?.type 
+        });
+        setError(err.message);
+      }
     } finally {
       setCodeLoading(false);
+      setStreaming(false);
       stopLoading();
     }
-  }, [selectedComponent, components]);
+  }, [selectedComponent, components, llmSettings, handleStreamChunk, generationMode, handleCompileCode, includeComments, selectedComments, rememberGeneratedCode, addToGenerationHistory]);
+
+  // Revisions only apply to the code they produced; a new generation, sync or selection leaves them behind
+  const codeRevisions = useMemo(() => {
+    const { componentId, revisions, activeId } = revisionState;
+    const active = revisions.find(revision => revision.id === activeId);
+
+    return componentId === selectedComponent?.id && active?.code === generatedCode ? revisions : [];
+  }, [revisionState, selectedComponent, generatedCode]);
+
+  // Revise the code on screen (hand edits included) with a follow-up instruction
+  const handleRefineCode = useCallback(async (instruction, baseCode) => {
+    if (!baseCode) return false;
+    // Refinement sends the selected component's metadata, so page code cannot be refined
+    if (pageGenerationMode || !selectedComponent) {
+      showWarning('Refinement works on a single generated component. Select a component outside Page Mode.');
+      return false;
+    }
+
+    const previousCode = generatedCode;
+    const activeId = codeRevisions.length > 0 ? revisionState.activeId : null;
+
+    setCodeLoading(true);
+    setStreaming(true);
+    setError('');
+
+    let promptHash = null;
+
+    try {
+      const code = await refineGeneratedComponent(baseCode, instruction, prepareComponentMetadata(selectedComponent), {
+        ...llmSettings,
+        previousInstructions: getRefinementInstructions(codeRevisions, activeId),
+        onChunk: handleStreamChunk,
+        onPrompt: (hash) => {
+          promptHash = hash;
+        },
+      });
+
+      const revisions = addRefinement(codeRevisions, activeId, { baseCode, code, instruction });
+      setRevisionState({ componentId: selectedComponent.id, revisions, activeId: revisions[revisions.length - 1].id });
+      setGeneratedCode(code);
+      rememberGeneratedCode(code, 'ai');
+      addToGenerationHistory(getComponentHistoryTarget(selectedComponent), code, {
+        mode: 'ai',
+        kind: 'refined',
+        instruction,
+        promptHash,
+        options: { temperature: 0.3 },
+      });
+      showSuccess('Component revised');
+      return true;
+    } catch (err) {
+      // The stream replaced the code on screen; put back what was there, hand edits included
+      setGeneratedCode(previousCode);
+
+      if (err.partialText) {
+        showWarning(`Refinement was interrupted: ${err.message}. The previous code was kept.`);
+      } else {
+        showError(err, {
+          operation: 'refineCode',
+          source: 'gemini',
+          componentName: selectedComponent?.name,
+        });
+      }
+      return false;
+    } finally {
+      setCodeLoading(false);
+      setStreaming(false);
+    }
+  }, [selectedComponent, pageGenerationMode, generatedCode, codeRevisions, revisionState.activeId, llmSettings, handleStreamChunk, rememberGeneratedCode, addToGenerationHistory]);
+
+  const handleSelectRevision = useCallback((revisionId) => {
+    const revision = revisionState.revisions.find(item => item.id === revisionId);
+    if (!revision) return;
+
+    setRevisionState(current => ({ ...current, activeId: revisionId }));
+    setGeneratedCode(revision.code);
+  }, [revisionState.revisions]);
+
+  // Component or page whose generations the history dialog shows
+  const generationHistoryTarget = useMemo(() => (pageGenerationMode
+    ? getPageHistoryTarget(allComponentsData, selectedPageId, selectedFrameId)
+    : getComponentHistoryTarget(selectedComponent)
+  ), [pageGenerationMode, allComponentsData, selectedPageId, selectedFrameId, selectedComponent]);
+
+  // Put an earlier generation back into the code view; the sync snapshot follows for components
+  const handleRestoreGeneration = useCallback((entry) => {
+    setGeneratedCode(entry.code);
+    setError('');
+    if (!pageGenerationMode) {
+      rememberGeneratedCode(entry.code, entry.mode);
+    }
+    setGenerationHistoryOpen(false);
+    setSnackbar({ open: true, message: `Restored the generation from ${new Date(entry.createdAt).toLocaleString()}`, severity: 'success' });
+  }, [pageGenerationMode, rememberGeneratedCode]);
 
   const handleGenerateFullPage = useCallback(async () => {
     if (!allComponentsData) return;
     
     setCodeLoading(true);
+    setStreaming(true);
+    setGeneratedCode('');
     setError('');
     setPageGenerationMode(true);
     
+    const historyTarget = getPageHistoryTarget(allComponentsData, selectedPageId, selectedFrameId);
+    
     try {
-      const code = await generateCompletePage(allComponentsData, selectedComponentsForPage);
+      if (generationMode === 'template') {
+        const code = handleCompileCode();
+        setGeneratedCode(code);
+        addToGenerationHistory(historyTarget, code, { mode: 'template' });
+        setSnackbar({ open: true, message: 'Page compiled from the design (no LLM used)', severity: 'success' });
+        return;
+      }
+      
+      let promptHash = null;
+      const code = await generateCompletePage(allComponentsData, selectedComponentsForPage, {
+        ...llmSettings,
+        onChunk: handleStreamChunk,
+        onPrompt: (hash) => {
+          promptHash = hash;
+        },
+        pageId: selectedPageId,
+        frameId: selectedFrameId,
+      });
       setGeneratedCode(code);
+      addToGenerationHistory(historyTarget, code, {
+        mode: 'ai',
+        promptHash,
+        options: { components: selectedComponentsForPage.length },
+      });
       setSnackbar({ open: true, message: 'Complete page generated successfully!', severity: 'success' });
     } catch (err) {
-      setError(err.message);
-      setSnackbar({ open: true, message: err.message, severity: 'error' });
+      if (err.partialText) {
+        setGeneratedCode(err.partialText);
+        setSnackbar({ open: true, message: `Generation was interrupted: ${err.message}. Showing partial output.`, severity: 'warning' });
+      } else {
+        setError(err.message);
+        setSnackbar({ open: true, message: err.message, severity: 'error' });
+      }
     } finally {
       setCodeLoading(false);
+      setStreaming(false);
     }
-  }, [allComponentsData, selectedComponentsForPage]);
+  }, [allComponentsData, selectedComponentsForPage, llmSettings, handleStreamChunk, generationMode, handleCompileCode, selectedPageId, selectedFrameId, addToGenerationHistory]);
 
   const handleComponentSelectForPage = useCallback((component) => {
     setSelectedComponentsForPage(prev => {
@@ -337,12 +796,109 @@ function App() {
     setDarkMode(!darkMode);
   };
 
+  // The file input is handed back after the redirect so the user does not paste it twice
+  const handleFigmaSignIn = (fileInput) => {
+    startFigmaLogin({ fileInput }).catch((err) => setError(err.message));
+  };
+
+  const handleFigmaSignOut = () => {
+    signOutFigma();
+    setFigmaSession(null);
+    setAccessToken('');
+  };
+
   const handleRefresh = () => {
     if (fileKey && accessToken) {
-      handleLoadFile(fileKey, accessToken);
+      handleLoadFile(fileKey, accessToken, { nodeIds: loadedNodeIds, version: pinnedVersionId });
     }
   };
 
+  // Load another version of the same file and selection; null goes back to the latest version
+  const handleLoadVersion = (versionId) => {
+    setVersionHistoryOpen(false);
+    handleLoadFile(fileKey, accessToken, { nodeIds: loadedNodeIds, version: versionId });
+  };
+
+  // Re-fetch the latest design and regenerate only the generated components that changed
+  const handleSyncDesign = async () => {
+    if (!fileKey || !accessToken) return;
+    
+    setCodeLoading(true);
+    setError('');
+    startLoading('Syncing with Figma...', [
+      { title: 'Fetching latest design', description: 'Downloading the file if it changed' },
+      { title: 'Detecting changes', description: 'Comparing component metadata' },
+      { title: 'Regenerating', description: 'Only changed components are regenerated' },
+    ]);
+    
+    try {
+      const snapshot = await getSyncSnapshot(fileKey, loadedNodeIds);
+      if (!snapshot || Object.keys(snapshot.components).length === 0) {
+        showWarning('Nothing to sync yet. Generate components first; sync regenerates the ones that changed in Figma.');
+        return;
+      }
+      
+      const { data: fileData } = await fetchFigmaDesign(fileKey, accessToken, loadedNodeIds);
+      setPinnedVersionId('');
+      
+      // Reload the list without losing the page, frame and component being worked on
+      const scope = restorePageScope(fileData, { pageId: selectedPageId, frameId: selectedFrameId });
+      const previousComponentId = selectedComponent?.id;
+      const previousPageSelection = selectedComponentsForPage.map(component => component.id);
+      setAllComponentsData(fileData);
+      setSelectedPageId(scope.pageId);
+      setSelectedFrameId(scope.frameId);
+      const { sanitizedComponents } = await loadComponentList(fileData, scope);
+      const findReloaded = (id) => sanitizedComponents.find(component => component.id === id)
+        || findNodeById(fileData.document, id);
+      const reselected = previousComponentId ? findReloaded(previousComponentId) : null;
+      setSelectedComponent(reselected || null);
+      if (previousComponentId && !reselected) {
+        setGeneratedCode('');
+      }
+      setSelectedComponentsForPage(previousPageSelection.map(findReloaded).filter(Boolean));
+      updateLoadingState({ currentStep: 1, message: 'Detecting changed components...' });
+      
+      const result = await syncGeneratedComponents(snapshot, fileData.document, {
+        llmSettings,
+        version: fileData.version,
+        onProgress: (message, progress) => updateLoadingState({ currentStep: 2, message, progress }),
+      });
+      
+      setSyncResult(result);
+      setSyncResultsOpen(true);
+      result.results
+        .filter(entry => entry.after)
+        .forEach(entry => addToGenerationHistory(getComponentHistoryTarget(entry), entry.after, {
+          mode: entry.mode,
+          options: { source: 'design sync' },
+        }));
+      
+      // Keep the open component in step with its regenerated code
+      const selectedResult = result.results.find(entry => entry.id === previousComponentId && entry.after);
+      if (selectedResult) {
+        setGeneratedCode(selectedResult.after);
+      }
+    } catch (err) {
+      showError(err, { operation: 'syncDesign', source: 'figma', fileKey });
+      setError(err.message);
+    } finally {
+      setCodeLoading(false);
+      stopLoading();
+    }
+  };
+  
+  // Show a regenerated component from the sync results in the code view
+  const handleOpenSyncedCode = (entry) => {
+    const component = components.find(item => item.id === entry.id)
+      || findNodeById(allComponentsData?.document, entry.id);
+    if (component) {
+      setSelectedComponent(component);
+    }
+    setGeneratedCode(entry.after);
+    setSyncResultsOpen(false);
+  };
+
   const handleNextPage = () => {
     if (!hasMore || !allComponentsData) return;
     
@@ -350,14 +906,14 @@ function App() {
     const componentOptions = {
       maxComponents: 100,
       maxDepth: 2,
-      includeTypes: ['COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
+      includeTypes: ['COMPONENT_SET', 'COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
       excludeTypes: ['SLICE', 'VECTOR', 'BOOLEAN_OPERATION', 'LINE', 'REGULAR_POLYGON', 'STAR'],
       minSize: 30,
       maxSize: 1500,
     };
     
     const paginatedData = getComponentsWithPagination(
-      Object.values(allComponentsData.document.children),
+      getPageScope(allComponentsData, { pageId: selectedPageId, frameId: selectedFrameId }).nodes,
       nextPage,
       pageSize,
       componentOptions
@@ -375,14 +931,14 @@ function App() {
     const componentOptions = {
       maxComponents: 100,
       maxDepth: 2,
-      includeTypes: ['COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
+      includeTypes: ['COMPONENT_SET', 'COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'],
       excludeTypes: ['SLICE', 'VECTOR', 'BOOLEAN_OPERATION', 'LINE', 'REGULAR_POLYGON', 'STAR'],
       minSize: 30,
       maxSize: 1500,
     };
     
     const paginatedData = getComponentsWithPagination(
-      Object.values(allComponentsData.document.children),
+      getPageScope(allComponentsData, { pageId: selectedPageId, frameId: selectedFrameId }).nodes,
       prevPage,
       pageSize,
       componentOptions
@@ -409,9 +965,9 @@ function App() {
     
     let filteredComponents;
     if (type === 'all') {
-      componentOptions.includeTypes = ['COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'];
+      componentOptions.includeTypes = ['COMPONENT_SET', 'COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'];
       const paginatedData = getComponentsWithPagination(
-        Object.values(allComponentsData.document.children),
+        getPageScope(allComponentsData, { pageId: selectedPageId, frameId: selectedFrameId }).nodes,
         0,
         pageSize,
         componentOptions
@@ -422,7 +978,7 @@ function App() {
     } else {
       componentOptions.includeTypes = [type];
       filteredComponents = getComponentsByType(
-        Object.values(allComponentsData.document.children),
+        getPageScope(allComponentsData, { pageId: selectedPageId, frameId: selectedFrameId }).nodes,
         type,
         componentOptions
       );
@@ -510,8 +1066,9 @@ function App() {
     
     // Implement retry logic based on error context
     if (error?.context?.operation === 'loadFile') {
+      // Retry the same selection and version; a failed load keeps the version pinned
       if (fileKey && accessToken) {
-        handleLoadFile(fileKey, accessToken);
+        handleLoadFile(fileKey, accessToken, { nodeIds: loadedNodeIds, version: pinnedVersionId });
       }
     } else if (error?.context?.operation === 'generateCode') {
       if (selectedComponent) {
@@ -539,6 +1096,13 @@ function App() {
           >
             <FileInput 
               onLoadFile={handleLoadFile} 
+              onImportFile={handleImportFile}
+              oauthEnabled={isOAuthConfigured()}
+              figmaSession={figmaSession}
+              proxyHasFigmaToken={Boolean(proxyStatus?.figma)}
+              onSignIn={handleFigmaSignIn}
+              onSignOut={handleFigmaSignOut}
+              defaultFileInput={returnFileInput}
               loading={loading} 
               error={error}
               darkMode={darkMode}
@@ -699,6 +1263,72 @@ function App() {
                 </Tooltip>
               </Box>
               
+              <Tooltip title="Inspect and purge cached Figma files">
+                <Button
+                  variant="outlined"
+                  size="medium"
+                  onClick={() => setCacheManagerOpen(true)}
+                  startIcon={<StorageIcon sx={{ fontSize: '1.1rem' }} />}
+                  sx={{
+                    height: 40,
+                    fontWeight: 600,
+                    textTransform: 'none',
+                    borderRadius: 2,
+                    fontSize: '0.9rem',
+                    borderColor: 'divider',
+                    color: 'text.primary',
+                  }}
+                >
+                  Cache
+                </Button>
+              </Tooltip>
+              
+              <Tooltip title="Fetch the latest design and regenerate only the generated components that changed">
+                <span>
+                  <Button
+                    variant="outlined"
+                    size="medium"
+                    onClick={handleSyncDesign}
+                    disabled={!fileKey || !accessToken || loading || codeLoading}
+                    startIcon={<SyncIcon sx={{ fontSize: '1.1rem' }} />}
+                    sx={{
+                      height: 40,
+                      fontWeight: 600,
+                      textTransform: 'none',
+                      borderRadius: 2,
+                      fontSize: '0.9rem',
+                      borderColor: 'divider',
+                      color: 'text.primary',
+                    }}
+                  >
+                    Sync
+                  </Button>
+                </span>
+              </Tooltip>
+              
+              <Tooltip title="Load an earlier version or see what changed between versions">
+                <span>
+                  <Button
+                    variant="outlined"
+                    size="medium"
+                    onClick={() => setVersionHistoryOpen(true)}
+                    disabled={!fileKey || !accessToken}
+                    startIcon={<HistoryIcon sx={{ fontSize: '1.1rem' }} />}
+                    sx={{
+                      height: 40,
+                      fontWeight: 600,
+                      textTransform: 'none',
+                      borderRadius: 2,
+                      fontSize: '0.9rem',
+                      borderColor: pinnedVersionId ? 'warning.main' : 'divider',
+                      color: 'text.primary',
+                    }}
+                  >
+                    {pinnedVersionId ? 'Old Version' : 'History'}
+                  </Button>
+                </span>
+              </Tooltip>
+              
               <Tooltip title="Refresh Components">
                 <span>
                   <Button
@@ -741,6 +1371,17 @@ function App() {
             <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
               {/* Filter Controls */}
               <Surface padding={2} elevation={0} variant="filled">
+                {figmaPages.length > 0 && (
+                  <Box sx={{ mb: 2 }}>
+                    <PagePicker
+                      pages={figmaPages}
+                      pageId={selectedPageId}
+                      frameId={selectedFrameId}
+                      onChange={handlePageScopeChange}
+                      disabled={loading || codeLoading}
+                    />
+                  </Box>
+                )}
                 {pageGenerationMode ? (
                   <Stack spacing={2}>
                     <Box>
@@ -809,6 +1450,7 @@ function App() {
                         onChange={(e) => handleTypeFilter(e.target.value)}
                       >
                         <MenuItem value="all">All Types</MenuItem>
+                        <MenuItem value="COMPONENT_SET">Variant Sets</MenuItem>
                         <MenuItem value="COMPONENT">Components</MenuItem>
                         <MenuItem value="INSTANCE">Instances</MenuItem>
                         <MenuItem value="FRAME">Frames</MenuItem>
@@ -903,6 +1545,55 @@ function App() {
                 )}
               </Surface>
               
+              {/* Model Selection */}
+              <Surface padding={2} elevation={0} variant="filled">
+                <ToggleButtonGroup
+                  value={generationMode}
+                  exclusive
+                  fullWidth
+                  size="small"
+                  onChange={(event, mode) => mode && setGenerationMode(mode)}
+                  disabled={codeLoading}
+                  sx={{ mb: 1.5 }}
+                >
+                  <ToggleButton value="ai" sx={{ textTransform: 'none' }}>
+                    AI Model
+                  </ToggleButton>
+                  <Tooltip title="Compile the design tree to JSX without sending it to an LLM. Output is identical for the same design.">
+                    <ToggleButton value="template" sx={{ textTransform: 'none' }}>
+                      Deterministic
+                    </ToggleButton>
+                  </Tooltip>
+                </ToggleButtonGroup>
+                {generationMode === 'ai' && (
+                  <>
+                    <ModelSelector
+                      proxyStatus={proxyStatus}
+                      value={llmSettings}
+                      onChange={setLlmSettings}
+                      disabled={codeLoading}
+                    />
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          size="small"
+                          checked={includeComments}
+                          onChange={(event) => setIncludeComments(event.target.checked)}
+                          disabled={codeLoading}
+                        />
+                      }
+                      label={
+                        <Typography variant="body2">
+                          Include Figma comments as instructions
+                          {selectedComments.length > 0 && ` (${selectedComments.filter(comment => !comment.resolved).length} open)`}
+                        </Typography>
+                      }
+                      sx={{ mt: 1 }}
+                    />
+                  </>
+                )}
+              </Surface>
+              
               {/* Component List */}
               <Box sx={{ flex: 1, overflow: 'hidden' }}>
                 <ComponentList
@@ -943,6 +1634,7 @@ function App() {
                 loading={loading}
                 pageGenerationMode={pageGenerationMode}
                 selectedComponentsForPage={selectedComponentsForPage}
+                comments={selectedComments}
               />
             </Box>
             
@@ -955,11 +1647,19 @@ function App() {
               <CodeDisplay
                 generatedCode={generatedCode}
                 loading={codeLoading}
+                streaming={streaming}
+                themeTokens={themeTokens}
+                onResolveAssets={handleResolveAssets}
                 error={error}
                 selectedComponent={selectedComponent}
                 onGenerateCode={handleGenerateCode}
                 pageGenerationMode={pageGenerationMode}
                 selectedComponentsForPage={selectedComponentsForPage}
+                onRefineCode={generationMode === 'ai' && !pageGenerationMode ? handleRefineCode : null}
+                revisions={codeRevisions}
+                activeRevisionId={revisionState.activeId}
+                onSelectRevision={handleSelectRevision}
+                onOpenHistory={historyFileKey && generationHistoryTarget ? () => setGenerationHistoryOpen(true) : null}
                 onShowNotification={(message, severity = 'success') => 
                   setSnackbar({ open: true, message, severity })
                 }
@@ -1003,6 +1703,43 @@ function App() {
           onRetry={handleErrorRetry}
           showTechnicalDetails={import.meta.env.DEV}
         />
+        
+        <CacheManager
+          open={cacheManagerOpen}
+          onClose={() => setCacheManagerOpen(false)}
+        />
+        
+        <VersionHistory
+          open={versionHistoryOpen}
+          onClose={() => setVersionHistoryOpen(false)}
+          fileKey={fileKey}
+          accessToken={accessToken}
+          loadedVersionId={allComponentsData?.version || ''}
+          pinnedVersionId={pinnedVersionId}
+          loadedNodeIds={loadedNodeIds}
+          currentRoot={selectedComponent
+            ? findNodeById(allComponentsData?.document, selectedComponent.id)
+            : allComponentsData?.document || null}
+          selectedNodeId={selectedComponent?.id || null}
+          onLoadVersion={handleLoadVersion}
+          disabled={loading || codeLoading}
+        />
+        
+        <SyncResults
+          open={syncResultsOpen}
+          onClose={() => setSyncResultsOpen(false)}
+          result={syncResult}
+          onOpenCode={handleOpenSyncedCode}
+        />
+        
+        <GenerationHistory
+          open={generationHistoryOpen}
+          onClose={() => setGenerationHistoryOpen(false)}
+          fileKey={historyFileKey}
+          target={generationHistoryTarget}
+          onRestore={handleRestoreGeneration}
+          disabled={codeLoading}
+        />
       </ThemeProvider>
     </ErrorBoundary>
   );
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import { listCachedFiles, deleteCachedFile, clearFigmaCache } from '../services/figmaCache';
+import { isIndexedDbAvailable } from '../utils/indexedDb';
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'unknown');
+
+const CacheManager = ({ open = false, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setEntries(await listCachedFiles());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      loadEntries();
+    }
+  }, [open, loadEntries]);
+
+  const handleDelete = async (key) => {
+    try {
+      await deleteCachedFile(key);
+      setEntries(prev => prev.filter(entry => entry.key !== key));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClearAll = async () => {
+    try {
+      await clearFigmaCache();
+      setEntries([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+          <Typography variant="h6">Figma File Cache</Typography>
+          <Chip label={`${entries.length} files · ${formatBytes(totalBytes)}`} size="small" />
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        {!isIndexedDbAvailable() && (
+          <Alert severity="warning">
+            This browser does not provide IndexedDB, so Figma files are downloaded on every load.
+          </Alert>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            No cached files. Files are cached after they are loaded and reused while their last modified date is unchanged.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {entries.map(entry => (
+              <ListItem
+                key={entry.key}
+                divider
+                secondaryAction={
+                  <Tooltip title="Remove from cache">
+                    <IconButton edge="end" onClick={() => handleDelete(entry.key)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="body2" fontWeight={600} noWrap>{entry.name}</Typography>
+                      {entry.nodeIds.length > 0 && (
+                        <Chip label={`${entry.nodeIds.length} nodes`} size="small" variant="outlined" />
+                      )}
+                    </Box>
+                  }
+                  secondary={
+                    <>
+                      {`Version ${entry.version} · ${formatBytes(entry.size)} · modified ${formatDate(entry.lastModified)}`}
+                      <br />
+                      {`Cached ${formatDate(entry.cachedAt)} · reused ${entry.hits || 0} times`}
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          color="error"
+          startIcon={<DeleteSweepIcon />}
+          onClick={handleClearAll}
+          disabled={entries.length === 0}
+        >
+          Purge Cache
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CacheManager;
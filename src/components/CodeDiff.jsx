@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react';
+import { Box, Typography } from '@mui/material';
+import { diffLines, buildDiffHunks, pairDiffLines } from '../utils/textDiff';
+
+const LINE_STYLES = {
+  added: { prefix: '+', bgcolor: 'rgba(46, 160, 67, 0.15)' },
+  removed: { prefix: '-', bgcolor: 'rgba(248, 81, 73, 0.15)' },
+  equal: { prefix: ' ', bgcolor: 'transparent' },
+};
+
+const NUMBER_SX = { width: 40, flexShrink: 0, textAlign: 'right', pr: 1, color: 'text.disabled' };
+
+// One side of a split row; an empty cell keeps the two columns aligned
+const renderSplitCell = (entry, side) => (
+  <Box
+    sx={{
+      flex: 1,
+      minWidth: 0,
+      display: 'flex',
+      whiteSpace: 'pre-wrap', // Wrap long lines so both columns stay visible
+      wordBreak: 'break-all',
+      bgcolor: entry ? LINE_STYLES[entry.type].bgcolor : 'action.hover',
+      borderLeft: side === 'right' ? 1 : 0,
+      borderColor: 'divider',
+    }}
+  >
+    <Box component="span" sx={NUMBER_SX}>
+      {entry ? (side === 'left' ? entry.oldNumber : entry.newNumber) : ''}
+    </Box>
+    <Box component="span" sx={{ pr: 2 }}>
+      {entry ? `${LINE_STYLES[entry.type].prefix} ${entry.line}` : ''}
+    </Box>
+  </Box>
+);
+
+// Line diff of two versions of generated code, unified or side by side ('split')
+const CodeDiff = ({ before = '', after = '', diff = null, context = 3, maxHeight = 400, layout = 'unified' }) => {
+  const hunks = useMemo(
+    () => buildDiffHunks(diff || diffLines(before, after), context),
+    [diff, before, after, context]
+  );
+
+  if (hunks.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+        The code is identical.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box
+      sx={{
+        maxHeight,
+        overflow: 'auto',
+        border: 1,
+        borderColor: 'divider',
+        borderRadius: 1,
+        fontFamily: 'monospace',
+        fontSize: '0.8rem',
+        lineHeight: 1.5,
+      }}
+    >
+      {hunks.map((hunk) => (
+        <Box key={`${hunk.oldStart}-${hunk.newStart}`}>
+          <Box sx={{ px: 1, color: 'text.secondary', bgcolor: 'action.hover' }}>
+            @@ -{hunk.oldStart} +{hunk.newStart} @@
+          </Box>
+          {layout === 'split' && pairDiffLines(hunk.lines).map(({ left, right }, index) => (
+            <Box key={`${left?.oldNumber}-${right?.newNumber}-${index}`} sx={{ display: 'flex' }}>
+              {renderSplitCell(left, 'left')}
+              {renderSplitCell(right, 'right')}
+            </Box>
+          ))}
+          {layout !== 'split' && hunk.lines.map((entry, index) => (
+            <Box
+              key={`${entry.oldNumber}-${entry.newNumber}-${index}`}
+              sx={{ display: 'flex', whiteSpace: 'pre', bgcolor: LINE_STYLES[entry.type].bgcolor }}
+            >
+              <Box component="span" sx={NUMBER_SX}>
+                {entry.oldNumber ?? ''}
+              </Box>
+              <Box component="span" sx={NUMBER_SX}>
+                {entry.newNumber ?? ''}
+              </Box>
+              <Box component="span" sx={{ pr: 2 }}>
+                {LINE_STYLES[entry.type].prefix} {entry.line}
+              </Box>
+            </Box>
+          ))}
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default CodeDiff;
@@ -21,6 +21,7 @@ import {
   Grid,
   Card,
   CardContent,
+  LinearProgress,
 } from '@mui/material';
 import {
   ContentCopy as CopyIcon,
@@ -32,25 +33,32 @@ import {
   CheckCircle as CheckIcon,
   Analytics as AnalyticsIcon,
   Palette as PaletteIcon,
+  Restore as RestoreIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { 
-  vscDarkPlus, 
-  vs 
-} from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { generateProjectDownload } from '../services/projectDownloadService';
+import PreviewSandbox from './PreviewSandbox';
+import CodeEditor from './CodeEditor';
+import RefinementBar from './RefinementBar';
 import { analyzeReactCode, generatePreviewMetadata, formatCodeStatistics } from '../utils/codeAnalysis';
-import prettier from 'prettier/standalone';
-import parserBabel from 'prettier/parser-babel';
+import { formatCode } from '../utils/codeFormatter';
 
 const CodeDisplay = ({ 
   generatedCode, 
   loading, 
+  streaming = false,
+  themeTokens = null,
+  onResolveAssets = null,
   error, 
   selectedComponent,
   onGenerateCode,
   pageGenerationMode = false,
   selectedComponentsForPage = [],
+  onRefineCode = null,
+  revisions = [],
+  activeRevisionId = null,
+  onSelectRevision,
+  onOpenHistory = null,
   onShowNotification
 }) => {
   const theme = useTheme();
@@ -58,40 +66,50 @@ const CodeDisplay = ({
   const [downloadLoading, setDownloadLoading] = useState(false);
   const [activeTab, setActiveTab] = useState(0);
   const [copySuccess, setCopySuccess] = useState(false);
-  const [isFormatted, setIsFormatted] = useState(false);
+  const [formatting, setFormatting] = useState(false);
+  // Hand edits are kept apart from the model output and dropped when new code is generated
+  const [edits, setEdits] = useState({ source: generatedCode, code: null });
+
+  // While a response is streaming, the partial code replaces the loading spinner
+  const isStreamingCode = loading && streaming && Boolean(generatedCode);
+  const showLoadingSpinner = loading && !isStreamingCode;
+  const showCode = Boolean(generatedCode) && (!loading || isStreamingCode);
+
+  // The edited version is what gets previewed, copied and downloaded
+  const editedCode = edits.source === generatedCode ? edits.code : null;
+  const currentCode = editedCode ?? generatedCode;
+  const isEdited = editedCode !== null && editedCode !== generatedCode;
+
+  const handleCodeChange = useCallback((code) => {
+    setEdits({ source: generatedCode, code });
+  }, [generatedCode]);
 
-  // Format code using Prettier
-  const formatCode = useCallback((code) => {
-    if (!code) return '';
-    
+  const handleRevertEdits = useCallback(() => {
+    setEdits({ source: generatedCode, code: null });
+  }, [generatedCode]);
+
+  // Prettier runs on the current code and the result becomes an edit
+  const handleFormatCode = useCallback(async () => {
+    setFormatting(true);
     try {
-      return prettier.format(code, {
-        parser: 'babel',
-        plugins: [parserBabel],
-        semi: true,
-        singleQuote: true,
-        tabWidth: 2,
-        trailingComma: 'es5',
-        printWidth: 80,
-        bracketSpacing: true,
-        jsxBracketSameLine: false,
-        arrowParens: 'avoid',
-      });
+      handleCodeChange(await formatCode(currentCode));
     } catch (error) {
       console.warn('Failed to format code:', error);
-      return code; // Return original code if formatting fails
+      if (onShowNotification) {
+        onShowNotification(`Could not format the code: ${error.message.split('\n')[0]}`, 'error');
+      }
+    } finally {
+      setFormatting(false);
     }
-  }, []);
+  }, [currentCode, handleCodeChange, onShowNotification]);
 
-  // Memoized formatted code
-  const formattedCode = useMemo(() => {
-    return isFormatted ? formatCode(generatedCode) : generatedCode;
-  }, [generatedCode, isFormatted, formatCode]);
+  // Follow-up instructions revise the code on screen, hand edits included
+  const handleRefine = useCallback((instruction) => onRefineCode(instruction, currentCode), [onRefineCode, currentCode]);
 
   // Memoized code analysis
   const codeAnalysis = useMemo(() => {
-    return generatedCode ? generatePreviewMetadata(generatedCode) : null;
-  }, [generatedCode]);
+    return currentCode ? generatePreviewMetadata(currentCode) : null;
+  }, [currentCode]);
 
   // Memoized code statistics
   const codeStatistics = useMemo(() => {
@@ -100,9 +118,9 @@ const CodeDisplay = ({
 
   // Enhanced copy functionality with better feedback
   const handleCopyCode = useCallback(async () => {
-    if (formattedCode) {
+    if (currentCode) {
       try {
-        await navigator.clipboard.writeText(formattedCode);
+        await navigator.clipboard.writeText(currentCode);
         setCopySuccess(true);
         if (onShowNotification) {
           onShowNotification('Code copied to clipboard!', 'success');
@@ -114,12 +132,7 @@ const CodeDisplay = ({
         }
       }
     }
-  }, [formattedCode, onShowNotification]);
-
-  // Toggle code formatting
-  const handleToggleFormat = useCallback(() => {
-    setIsFormatted(!isFormatted);
-  }, [isFormatted]);
+  }, [currentCode, onShowNotification]);
 
   // Reset copy success state after 2 seconds
   useEffect(() => {
@@ -136,11 +149,6 @@ const CodeDisplay = ({
     setActiveTab(newValue);
   }, []);
 
-  // Get syntax highlighting theme based on current theme
-  const syntaxTheme = useMemo(() => {
-    return theme.palette.mode === 'dark' ? vscDarkPlus : vs;
-  }, [theme.palette.mode]);
-
   const handleDownloadMenuOpen = (event) => {
     setDownloadMenuAnchor(event.currentTarget);
   };
@@ -150,9 +158,9 @@ const CodeDisplay = ({
   };
 
   const handleDownloadCodeOnly = () => {
-    if (generatedCode) {
+    if (currentCode) {
       const fileName = pageGenerationMode ? 'complete-page.jsx' : `${selectedComponent?.name || 'component'}.jsx`;
-      const blob = new Blob([generatedCode], { type: 'text/plain' });
+      const blob = new Blob([currentCode], { type: 'text/plain' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -170,7 +178,7 @@ const CodeDisplay = ({
   };
 
   const handleDownloadCompleteProject = async () => {
-    if (!generatedCode) return;
+    if (!currentCode) return;
     
     setDownloadLoading(true);
     handleDownloadMenuClose();
@@ -180,16 +188,35 @@ const CodeDisplay = ({
         ? 'CompletePage' 
         : selectedComponent?.name || 'GeneratedComponent';
       
+      // Images and icons are optional: a failed lookup still downloads the code
+      let assetResult = { assets: [], icons: [], failed: [] };
+      if (onResolveAssets) {
+        try {
+          assetResult = await onResolveAssets();
+        } catch (assetError) {
+          console.warn('Failed to bundle design images:', assetError);
+          assetResult = { assets: [], icons: [], failed: [{ reason: assetError.message }] };
+        }
+      }
+      
       const result = await generateProjectDownload(
-        generatedCode, 
+        currentCode, 
         componentName, 
-        pageGenerationMode
+        pageGenerationMode,
+        { themeTokens, assets: assetResult.assets, icons: assetResult.icons || [] }
       );
       
       if (onShowNotification) {
+        const bundled = [
+          result.assetCount > 0 ? `${result.assetCount} images in public/assets` : null,
+          result.iconCount > 0 ? `${result.iconCount} icons in src/components/icons` : null,
+        ].filter(Boolean);
+        const assetNote = bundled.length > 0 ? ` with ${bundled.join(' and ')}` : '';
         onShowNotification(
-          `Complete React project downloaded as ${result.fileName}! Ready to run with npm install && npm run dev`, 
-          'success'
+          assetResult.failed.length > 0
+            ? `Project downloaded as ${result.fileName}${assetNote}, but ${assetResult.failed.length} images or icons could not be exported`
+            : `Complete React project downloaded as ${result.fileName}${assetNote}! Ready to run with npm install && npm run dev`, 
+          assetResult.failed.length > 0 ? 'warning' : 'success'
         );
       }
       
@@ -206,11 +233,53 @@ const CodeDisplay = ({
     }
   };
 
-  // Enhanced code display component with tabs
-  const CodeDisplayTabs = ({ code, showPreview = false }) => (
+  // Format and revert actions, shared by the page and component headers
+  const renderEditActions = () => (
+    <>
+      {isEdited && (
+        <Chip label="Edited" size="small" color="primary" variant="outlined" sx={{ alignSelf: 'center' }} />
+      )}
+      {isEdited && (
+        <Tooltip title="Discard edits and restore the generated code">
+          <IconButton size="small" onClick={handleRevertEdits} disabled={loading}>
+            <RestoreIcon />
+          </IconButton>
+        </Tooltip>
+      )}
+      <Tooltip title="Format with Prettier">
+        <IconButton size="small" onClick={handleFormatCode} disabled={loading || formatting}>
+          {formatting ? <CircularProgress size={20} /> : <FormatIcon />}
+        </IconButton>
+      </Tooltip>
+    </>
+  );
+
+  // Earlier generations stay reachable when nothing is generated yet
+  const renderHistoryAction = () => onOpenHistory && (
+    <Tooltip title="Generation history: compare and restore earlier results">
+      <span>
+        <IconButton size="small" onClick={onOpenHistory} disabled={loading}>
+          <HistoryIcon />
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+
+  const renderStreamingIndicator = () => (
+    <Box sx={{ mb: 1 }}>
+      <LinearProgress sx={{ borderRadius: 1, mb: 0.5 }} />
+      <Typography variant="caption" color="text.secondary">
+        Streaming response from the model...
+      </Typography>
+    </Box>
+  );
+
+  // Enhanced code display with tabs. Rendered as a plain function rather than a
+  // nested component so the preview iframe is not remounted on every render.
+  const renderCodeDisplayTabs = ({ showPreview = false }) => (
     <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
       <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
-        <Tabs value={activeTab} onChange={handleTabChange} aria-label="code display tabs">
+        <Tabs value={showPreview ? activeTab : 0} onChange={handleTabChange} aria-label="code display tabs">
           <Tab 
             label="Code" 
             icon={<CodeIcon />} 
@@ -237,35 +306,28 @@ const CodeDisplay = ({
       </Box>
       
       <Box sx={{ flex: 1, overflow: 'hidden' }}>
-        {activeTab === 0 && (
+        {(activeTab === 0 || !showPreview) && (
           <Box
             sx={{
               height: '100%',
-              overflowY: 'auto',
-              overflowX: 'auto',
+              overflow: 'hidden',
               borderRadius: 1,
               position: 'relative',
-              '& .react-syntax-highlighter': {
-                margin: 0,
-                borderRadius: 0,
-                height: 'auto',
-                minHeight: '100%',
+              '& .cm-editor': {
+                height: '100%',
               },
-              '& .react-syntax-highlighter pre': {
-                margin: 0,
-                borderRadius: 0,
-                padding: '16px !important',
-                minHeight: '100%',
+              '& .cm-scroller': {
+                lineHeight: 1.5,
               },
-              '&::-webkit-scrollbar': {
+              '& .cm-scroller::-webkit-scrollbar': {
                 width: '8px',
                 height: '8px',
               },
-              '&::-webkit-scrollbar-track': {
+              '& .cm-scroller::-webkit-scrollbar-track': {
                 backgroundColor: theme.palette.mode === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
                 borderRadius: '4px',
               },
-              '&::-webkit-scrollbar-thumb': {
+              '& .cm-scroller::-webkit-scrollbar-thumb': {
                 backgroundColor: theme.palette.mode === 'dark' ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.3)',
                 borderRadius: '4px',
                 '&:hover': {
@@ -274,32 +336,12 @@ const CodeDisplay = ({
               },
             }}
           >
-            <SyntaxHighlighter
-              language="jsx"
-              style={syntaxTheme}
-              customStyle={{
-                margin: 0,
-                borderRadius: 0,
-                fontSize: '0.875rem',
-                lineHeight: 1.5,
-                height: 'auto',
-                maxHeight: 'none',
-                overflow: 'visible',
-                backgroundColor: 'transparent',
-              }}
-              showLineNumbers={true}
-              wrapLines={false}
-              wrapLongLines={false}
-              lineNumberStyle={{
-                color: theme.palette.mode === 'dark' ? '#6e7681' : '#656d76',
-                fontSize: '0.75rem',
-                minWidth: '2.5em',
-                paddingRight: '1em',
-                userSelect: 'none',
-              }}
-            >
-              {code}
-            </SyntaxHighlighter>
+            {/* Streaming output is shown read-only until the response is complete */}
+            <CodeEditor
+              value={isStreamingCode ? generatedCode : currentCode}
+              onChange={handleCodeChange}
+              readOnly={isStreamingCode}
+            />
           </Box>
         )}
         
@@ -413,27 +455,7 @@ const CodeDisplay = ({
         )}
         
         {activeTab === 2 && showPreview && (
-          <Box
-            sx={{
-              height: '100%',
-              p: 2,
-              overflow: 'auto',
-              backgroundColor: 'background.default',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-            }}
-          >
-            <Box sx={{ textAlign: 'center' }}>
-              <PreviewIcon sx={{ fontSize: 48, color: 'grey.400', mb: 2 }} />
-              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                Visual Preview Coming Soon
-              </Typography>
-              <Typography variant="caption" color="text.secondary">
-                Live component preview will be available in a future update
-              </Typography>
-            </Box>
-          </Box>
+          <PreviewSandbox code={currentCode} />
         )}
       </Box>
     </Box>
@@ -452,15 +474,7 @@ const CodeDisplay = ({
               <Box sx={{ display: 'flex', gap: 1 }}>
                 {generatedCode && (
                   <>
-                    <Tooltip title={isFormatted ? "Show original code" : "Format code"}>
-                      <IconButton 
-                        size="small" 
-                        onClick={handleToggleFormat}
-                        color={isFormatted ? "primary" : "default"}
-                      >
-                        <FormatIcon />
-                      </IconButton>
-                    </Tooltip>
+                    {renderEditActions()}
                     <Tooltip title="Copy code">
                       <IconButton size="small" onClick={handleCopyCode}>
                         {copySuccess ? <CheckIcon color="success" /> : <CopyIcon />}
@@ -477,6 +491,7 @@ const CodeDisplay = ({
                     </Tooltip>
                   </>
                 )}
+                {renderHistoryAction()}
               </Box>
             </Box>
             
@@ -490,7 +505,7 @@ const CodeDisplay = ({
 
           {/* Content */}
           <Box sx={{ flex: 1, p: 2, overflow: 'auto' }}>
-            {loading && (
+            {showLoadingSpinner && (
               <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '100%' }}>
                 <CircularProgress size={40} sx={{ mb: 2 }} />
                 <Typography variant="body2" color="text.secondary">
@@ -516,7 +531,9 @@ const CodeDisplay = ({
               </Alert>
             )}
 
-            {generatedCode && !loading && (
+            {isStreamingCode && renderStreamingIndicator()}
+
+            {showCode && (
               <Box
                 sx={{
                   height: '100%',
@@ -527,7 +544,7 @@ const CodeDisplay = ({
                   overflow: 'hidden',
                 }}
               >
-                <CodeDisplayTabs code={formattedCode} showPreview={true} />
+                {renderCodeDisplayTabs({ showPreview: !isStreamingCode })}
               </Box>
             )}
 
@@ -642,15 +659,7 @@ const CodeDisplay = ({
             <Box sx={{ display: 'flex', gap: 1 }}>
               {generatedCode && (
                 <>
-                  <Tooltip title={isFormatted ? "Show original code" : "Format code"}>
-                    <IconButton 
-                      size="small" 
-                      onClick={handleToggleFormat}
-                      color={isFormatted ? "primary" : "default"}
-                    >
-                      <FormatIcon />
-                    </IconButton>
-                  </Tooltip>
+                  {renderEditActions()}
                   <Tooltip title="Copy code">
                     <IconButton size="small" onClick={handleCopyCode}>
                       {copySuccess ? <CheckIcon color="success" /> : <CopyIcon />}
@@ -667,6 +676,7 @@ const CodeDisplay = ({
                   </Tooltip>
                 </>
               )}
+              {renderHistoryAction()}
             </Box>
           </Box>
           
@@ -704,7 +714,7 @@ const CodeDisplay = ({
 
         {/* Content */}
         <Box sx={{ flex: 1, p: 2, overflow: 'auto' }}>
-          {loading && (
+          {showLoadingSpinner && (
             <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '100%' }}>
               <CircularProgress size={40} sx={{ mb: 2 }} />
               <Typography variant="body2" color="text.secondary">
@@ -719,7 +729,9 @@ const CodeDisplay = ({
             </Alert>
           )}
 
-          {generatedCode && !loading && (
+          {isStreamingCode && renderStreamingIndicator()}
+
+          {showCode && (
             <Box
               sx={{
                 height: '100%',
@@ -730,7 +742,7 @@ const CodeDisplay = ({
                 overflow: 'hidden',
               }}
             >
-              <CodeDisplayTabs code={formattedCode} showPreview={true} />
+              {renderCodeDisplayTabs({ showPreview: !isStreamingCode })}
             </Box>
           )}
 
@@ -754,6 +766,17 @@ const CodeDisplay = ({
             </Box>
           )}
         </Box>
+
+        {/* Component code only; kept mounted during a refinement so the picker and the typed instruction stay put */}
+        {generatedCode && onRefineCode && !pageGenerationMode && (
+          <RefinementBar
+            onRefine={handleRefine}
+            revisions={revisions}
+            activeRevisionId={activeRevisionId}
+            onSelectRevision={onSelectRevision}
+            disabled={loading}
+          />
+        )}
       </Paper>
 
       {/* Download Menu */}
@@ -0,0 +1,46 @@
+import React, { useMemo } from 'react';
+import { useTheme } from '@mui/material';
+import CodeMirror from '@uiw/react-codemirror';
+import { javascript } from '@codemirror/lang-javascript';
+import { linter, lintGutter } from '@codemirror/lint';
+import { lintGeneratedCode } from '../utils/codeLint';
+
+// Map the 1-based line/column diagnostics onto document ranges; each marker runs to the end of its line
+const getEditorDiagnostics = (view) => {
+  const { doc } = view.state;
+
+  return lintGeneratedCode(doc.toString()).map((diagnostic) => {
+    const line = doc.line(Math.min(Math.max(diagnostic.line, 1), doc.lines));
+    return {
+      from: Math.min(line.from + diagnostic.column - 1, line.to),
+      to: line.to,
+      severity: diagnostic.severity,
+      message: diagnostic.message,
+    };
+  });
+};
+
+const CodeEditor = ({ value, onChange, readOnly = false }) => {
+  const theme = useTheme();
+
+  // Partial code from a running stream is not linted
+  const extensions = useMemo(() => [
+    javascript({ jsx: true }),
+    ...(readOnly ? [] : [lintGutter(), linter(getEditorDiagnostics, { delay: 400 })]),
+  ], [readOnly]);
+
+  return (
+    <CodeMirror
+      value={value}
+      onChange={onChange}
+      readOnly={readOnly}
+      editable={!readOnly}
+      theme={theme.palette.mode === 'dark' ? 'dark' : 'light'}
+      extensions={extensions}
+      height="100%"
+      style={{ height: '100%', fontSize: '0.875rem' }}
+    />
+  );
+};
+
+export default CodeEditor;
@@ -16,6 +16,7 @@ import {
   CropSquare as FrameIcon,
   ViewModule as ComponentIcon,
   Memory as MemoryIcon,
+  DashboardCustomize as ComponentSetIcon,
 } from '@mui/icons-material';
 
 const ComponentList = ({ 
@@ -32,6 +33,8 @@ const ComponentList = ({
 }) => {
   const getComponentIcon = (type) => {
     switch (type) {
+      case 'COMPONENT_SET':
+        return <ComponentSetIcon />;
       case 'COMPONENT':
         return <ComponentIcon />;
       case 'INSTANCE':
@@ -45,6 +48,7 @@ const ComponentList = ({
 
   const getComponentTypeColor = (type) => {
     switch (type) {
+      case 'COMPONENT_SET':
       case 'COMPONENT':
         return 'primary';
       case 'INSTANCE':
@@ -229,6 +233,7 @@ const ComponentList = ({
                       }}
                     >
                       {component.type} • {Math.round(component.absoluteBoundingBox?.width || 0)}×{Math.round(component.absoluteBoundingBox?.height || 0)}
+                      {component.componentProps?.length > 0 && ` • ${component.componentProps.length} props`}
                       {pageGenerationMode && isComponentSelectedForPage(component) && (
                         <Box 
                           component="span" 
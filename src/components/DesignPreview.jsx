@@ -16,7 +16,8 @@ const DesignPreview = ({
   componentImage, 
   loading,
   pageGenerationMode = false,
-  selectedComponentsForPage = []
+  selectedComponentsForPage = [],
+  comments = []
 }) => {
   if (pageGenerationMode) {
     return (
@@ -157,6 +158,52 @@ const DesignPreview = ({
           )}
         </Box>
 
+        {/* Figma comments pinned to this layer or its children */}
+        {comments.length > 0 && (
+          <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Designer Notes
+            </Typography>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+              {comments.map((comment) => (
+                <Card
+                  key={comment.id}
+                  variant="outlined"
+                  sx={{ opacity: comment.resolved ? 0.6 : 1 }}
+                >
+                  <CardContent sx={{ '&:last-child': { pb: 2 } }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                      <Typography variant="subtitle2">
+                        {comment.author}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {comment.createdAt ? new Date(comment.createdAt).toLocaleDateString() : ''}
+                        {comment.nodeName && ` · on ${comment.nodeName}`}
+                      </Typography>
+                      {comment.resolved && (
+                        <Chip label="Resolved" size="small" color="success" variant="outlined" sx={{ ml: 'auto' }} />
+                      )}
+                    </Box>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                      {comment.message}
+                    </Typography>
+                    {comment.replies.map((reply) => (
+                      <Box key={reply.id} sx={{ mt: 1, pl: 1.5, borderLeft: 2, borderColor: 'divider' }}>
+                        <Typography variant="caption" color="text.secondary">
+                          {reply.author}
+                        </Typography>
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                          {reply.message}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </CardContent>
+                </Card>
+              ))}
+            </Box>
+          </Box>
+        )}
+
         {/* Component Metadata */}
         <Box>
           <Typography variant="h6" gutterBottom>
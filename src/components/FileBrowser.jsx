@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  List,
+  ListItemButton,
+  ListItemText,
+  Collapse,
+  CircularProgress,
+  Avatar,
+} from '@mui/material';
+import {
+  Folder as FolderIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  InsertDriveFile as FileIcon,
+} from '@mui/icons-material';
+import { getFigmaTeamProjects, getFigmaProjectFiles } from '../services/figmaApi';
+import { parseFigmaTeamId } from '../utils/figmaUrl';
+
+const TEAM_STORAGE_KEY = 'figma-browser-team';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'unknown');
+
+const readSavedTeam = () => {
+  try {
+    return localStorage.getItem(TEAM_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const FileBrowser = ({ accessToken = '', onOpenFile, loading = false }) => {
+  const [teamInput, setTeamInput] = useState(readSavedTeam);
+  const [team, setTeam] = useState(null);
+  const [teamLoading, setTeamLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedProjectId, setExpandedProjectId] = useState(null);
+  // Files are fetched once per project when it is first expanded
+  const [projectFiles, setProjectFiles] = useState({});
+
+  const teamId = parseFigmaTeamId(teamInput);
+  const teamInputInvalid = Boolean(teamInput.trim()) && !teamId;
+
+  const handleBrowse = async (e) => {
+    e.preventDefault();
+    if (!teamId || !accessToken) return;
+
+    setTeamLoading(true);
+    setError('');
+    setExpandedProjectId(null);
+    setProjectFiles({});
+    try {
+      setTeam(await getFigmaTeamProjects(teamId, accessToken));
+      try {
+        localStorage.setItem(TEAM_STORAGE_KEY, teamInput.trim());
+      } catch {
+        // Remembering the team is a convenience only
+      }
+    } catch (err) {
+      setTeam(null);
+      setError(err.message);
+    } finally {
+      setTeamLoading(false);
+    }
+  };
+
+  const handleToggleProject = async (projectId) => {
+    if (expandedProjectId === projectId) {
+      setExpandedProjectId(null);
+      return;
+    }
+
+    setExpandedProjectId(projectId);
+    if (projectFiles[projectId]?.files || projectFiles[projectId]?.loading) return;
+
+    setProjectFiles(prev => ({ ...prev, [projectId]: { loading: true } }));
+    try {
+      const { files } = await getFigmaProjectFiles(projectId, accessToken);
+      setProjectFiles(prev => ({ ...prev, [projectId]: { files } }));
+    } catch (err) {
+      setProjectFiles(prev => ({ ...prev, [projectId]: { error: err.message } }));
+    }
+  };
+
+  const renderFiles = (projectId) => {
+    const entry = projectFiles[projectId] || {};
+
+    if (entry.loading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={20} />
+        </Box>
+      );
+    }
+    if (entry.error) {
+      return <Alert severity="error" sx={{ mx: 2, my: 1 }}>{entry.error}</Alert>;
+    }
+    if (entry.files?.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary" sx={{ px: 4, py: 1 }}>
+          No files in this project
+        </Typography>
+      );
+    }
+
+    return (
+      <List dense disablePadding>
+        {(entry.files || []).map(file => (
+          <ListItemButton
+            key={file.key}
+            onClick={() => onOpenFile(file.key)}
+            disabled={loading}
+            sx={{ pl: 4, gap: 1.5 }}
+          >
+            <Avatar
+              variant="rounded"
+              src={file.thumbnailUrl || undefined}
+              alt=""
+              sx={{ width: 64, height: 40, bgcolor: 'action.hover' }}
+            >
+              <FileIcon fontSize="small" />
+            </Avatar>
+            <ListItemText
+              primary={file.name}
+              secondary={`Modified ${formatDate(file.lastModified)}`}
+              primaryTypographyProps={{ noWrap: true, fontWeight: 600 }}
+            />
+          </ListItemButton>
+        ))}
+      </List>
+    );
+  };
+
+  return (
+    <Paper
+      className="file-input-paper"
+      sx={{
+        p: 3,
+        borderRadius: 4,
+        width: '100%',
+        maxWidth: 420,
+        maxHeight: 'calc(100vh - 140px)',
+        display: 'flex',
+        flexDirection: 'column',
+        boxShadow: '0 20px 40px rgba(0, 0, 0, 0.1)',
+      }}
+    >
+      <Typography variant="h6" sx={{ fontWeight: 700 }}>
+        Browse Team Files
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        List a team&apos;s projects and open a file without copying its key.
+      </Typography>
+
+      <Box component="form" onSubmit={handleBrowse} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          label="Team URL or ID"
+          value={teamInput}
+          onChange={(e) => setTeamInput(e.target.value)}
+          placeholder="figma.com/files/team/123..."
+          size="small"
+          fullWidth
+          error={teamInputInvalid}
+          helperText={
+            teamInputInvalid
+              ? 'Not a valid Figma team URL or id'
+              : !accessToken
+                ? 'Sign in or enter an access token first'
+                : ' '
+          }
+          disabled={teamLoading}
+        />
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={!teamId || !accessToken || teamLoading}
+          sx={{ height: 40, textTransform: 'none' }}
+        >
+          {teamLoading ? <CircularProgress size={20} color="inherit" /> : 'Browse'}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {team && (
+        <Box sx={{ mt: 1, overflowY: 'auto', flexGrow: 1 }}>
+          <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
+            {team.name} · {team.projects.length} projects
+          </Typography>
+          <List dense disablePadding>
+            {team.projects.map(project => (
+              <React.Fragment key={project.id}>
+                <ListItemButton onClick={() => handleToggleProject(project.id)}>
+                  <FolderIcon fontSize="small" sx={{ mr: 1.5, color: 'text.secondary' }} />
+                  <ListItemText primary={project.name} primaryTypographyProps={{ noWrap: true }} />
+                  {expandedProjectId === project.id ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                </ListItemButton>
+                <Collapse in={expandedProjectId === project.id} timeout="auto" unmountOnExit>
+                  {renderFiles(project.id)}
+                </Collapse>
+              </React.Fragment>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default FileBrowser;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import {
   Box,
   TextField,
@@ -12,6 +12,7 @@ import {
   AppBar,
   Toolbar,
   Tooltip,
+  Divider,
 } from '@mui/material';
 import {
   Visibility as VisibilityIcon,
@@ -19,24 +20,111 @@ import {
   Link as LinkIcon,
   DarkMode as DarkModeIcon,
   LightMode as LightModeIcon,
+  UploadFile as UploadFileIcon,
+  Login as LoginIcon,
+  Logout as LogoutIcon,
 } from '@mui/icons-material';
+import { parseFigmaUrl } from '../utils/figmaUrl';
+import { PROXY_ACCESS_TOKEN } from '../services/figmaApi';
+import FileBrowser from './FileBrowser';
 
-const FileInput = ({ onLoadFile, loading, error, darkMode, onToggleDarkMode }) => {
-  const [fileKey, setFileKey] = useState('');
+const FileInput = ({
+  onLoadFile,
+  onImportFile,
+  oauthEnabled = false,
+  figmaSession = null,
+  proxyHasFigmaToken = false,
+  onSignIn,
+  onSignOut,
+  defaultFileInput = '',
+  loading,
+  error,
+  darkMode,
+  onToggleDarkMode,
+}) => {
+  const [fileInput, setFileInput] = useState(defaultFileInput);
   const [accessToken, setAccessToken] = useState('');
   const [showToken, setShowToken] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [importError, setImportError] = useState('');
+  const jsonInputRef = useRef(null);
+
+  // Accept either a raw file key or a full Figma URL with an optional node-id
+  const parsedFile = useMemo(() => parseFigmaUrl(fileInput), [fileInput]);
+  const fileInputInvalid = Boolean(fileInput.trim()) && !parsedFile;
+
+  // Signed-in users authenticate with their OAuth session instead of a pasted token.
+  // When the key proxy holds a Figma token, a pasted token is optional and overrides it.
+  const pastedToken = accessToken.trim() || (proxyHasFigmaToken ? PROXY_ACCESS_TOKEN : '');
+  const token = figmaSession ? figmaSession.accessToken : pastedToken;
+
+  // Restore the file the user entered before being redirected to Figma
+  useEffect(() => {
+    if (defaultFileInput) {
+      setFileInput(defaultFileInput);
+    }
+  }, [defaultFileInput]);
+
+  const getFileHelperText = () => {
+    if (fileInputInvalid) {
+      return 'Not a valid Figma file key or URL';
+    }
+    if (parsedFile?.nodeIds.length > 0) {
+      return `Only node ${parsedFile.nodeIds.join(', ')} will be loaded from file ${parsedFile.fileKey}`;
+    }
+    return 'Paste a Figma URL (include ?node-id= to load a single frame) or just the file key';
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (fileKey.trim() && accessToken.trim()) {
-      onLoadFile(fileKey.trim(), accessToken.trim());
+    if (parsedFile && token) {
+      onLoadFile(parsedFile.fileKey, token, { nodeIds: parsedFile.nodeIds });
     }
   };
 
+  // Files picked in the team browser load straight away with the same credentials
+  const handleOpenBrowsedFile = (fileKey) => {
+    setFileInput(fileKey);
+    onLoadFile(fileKey, token, { nodeIds: [] });
+  };
+
   const handleShowToken = () => {
     setShowToken(!showToken);
   };
 
+  // Saved /files/:key responses are imported locally, no token required
+  const handleJsonFile = (file) => {
+    if (!file || loading) return;
+
+    const isJson = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+    if (!isJson) {
+      setImportError('Please choose a .json file exported from the Figma REST API');
+      return;
+    }
+
+    setImportError('');
+    onImportFile(file);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!loading) {
+      setDragActive(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleJsonFile(e.dataTransfer.files?.[0]);
+  };
+
+  const handleJsonInputChange = (e) => {
+    handleJsonFile(e.target.files?.[0]);
+    // Allow re-importing the same file after edits
+    e.target.value = '';
+  };
+
   return (
     <Box 
       className="file-input-container file-input-background"
@@ -129,11 +217,13 @@ const FileInput = ({ onLoadFile, loading, error, darkMode, onToggleDarkMode }) =
           display: 'flex', 
           alignItems: 'center', 
           justifyContent: 'center',
+          flexWrap: 'wrap',
+          overflowY: 'auto',
           width: '100%',
           px: 2,
         }}
       >
-        <Box sx={{ maxWidth: 650, mx: 'auto', p: 3, width: '100%' }}>
+        <Box sx={{ maxWidth: 650, p: 3, width: '100%' }}>
           <Paper 
             className="file-input-paper"
             sx={{ 
@@ -170,40 +260,76 @@ const FileInput = ({ onLoadFile, loading, error, darkMode, onToggleDarkMode }) =
             <form onSubmit={handleSubmit}>
               <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
                 <TextField
-                  label="Figma File Key"
-                  value={fileKey}
-                  onChange={(e) => setFileKey(e.target.value)}
-                  placeholder="e.g., abcdefghijklmnop"
+                  label="Figma File URL or Key"
+                  value={fileInput}
+                  onChange={(e) => setFileInput(e.target.value)}
+                  placeholder="e.g., https://www.figma.com/design/KEY/Name?node-id=1-23"
                   required
                   fullWidth
-                  helperText="Find this in your Figma file URL: figma.com/file/KEY/..."
+                  error={fileInputInvalid}
+                  helperText={getFileHelperText()}
                   disabled={loading}
                 />
 
-                <TextField
-                  label="Personal Access Token"
-                  type={showToken ? 'text' : 'password'}
-                  value={accessToken}
-                  onChange={(e) => setAccessToken(e.target.value)}
-                  placeholder="Enter your Figma personal access token"
-                  required
-                  fullWidth
-                  helperText="Get this from Figma Settings > Account > Personal access tokens"
-                  disabled={loading}
-                  InputProps={{
-                    endAdornment: (
-                      <InputAdornment position="end">
-                        <IconButton
-                          onClick={handleShowToken}
-                          edge="end"
-                          disabled={loading}
-                        >
-                          {showToken ? <VisibilityOffIcon /> : <VisibilityIcon />}
-                        </IconButton>
-                      </InputAdornment>
-                    ),
-                  }}
-                />
+                {figmaSession ? (
+                  <Alert
+                    severity="success"
+                    action={
+                      <Button color="inherit" size="small" startIcon={<LogoutIcon />} onClick={onSignOut} disabled={loading}>
+                        Sign out
+                      </Button>
+                    }
+                  >
+                    Signed in with Figma. Files are loaded with your OAuth session.
+                  </Alert>
+                ) : oauthEnabled && (
+                  <>
+                    <Button
+                      variant="outlined"
+                      size="large"
+                      startIcon={<LoginIcon />}
+                      onClick={() => onSignIn(fileInput)}
+                      disabled={loading}
+                      sx={{ height: 52, textTransform: 'none', fontWeight: 600, borderRadius: 2.5 }}
+                    >
+                      Sign in with Figma
+                    </Button>
+                    <Divider>
+                      <Typography variant="caption" color="text.secondary">
+                        OR USE A PERSONAL ACCESS TOKEN
+                      </Typography>
+                    </Divider>
+                  </>
+                )}
+
+                {!figmaSession && (
+                  <TextField
+                    label="Personal Access Token"
+                    type={showToken ? 'text' : 'password'}
+                    value={accessToken}
+                    onChange={(e) => setAccessToken(e.target.value)}
+                    placeholder="Enter your Figma personal access token"
+                    required={!proxyHasFigmaToken}
+                    fullWidth
+                    helperText={proxyHasFigmaToken
+                      ? 'Optional: the key proxy uses its own token when this is empty'
+                      : 'Get this from Figma Settings > Account > Personal access tokens'}
+                    disabled={loading}
+                    InputProps={{
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            onClick={handleShowToken}
+                            edge="end"
+                            disabled={loading}
+                          >
+                            {showToken ? <VisibilityOffIcon /> : <VisibilityIcon />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                )}
 
                 {error && (
                   <Alert severity="error">
@@ -215,7 +341,7 @@ const FileInput = ({ onLoadFile, loading, error, darkMode, onToggleDarkMode }) =
                   type="submit"
                   variant="contained"
                   size="large"
-                  disabled={!fileKey.trim() || !accessToken.trim() || loading}
+                  disabled={!parsedFile || !token || loading}
                   startIcon={loading ? <CircularProgress size={22} color="inherit" /> : <LinkIcon sx={{ fontSize: '1.2rem' }} />}
                   sx={{
                     height: 56,
@@ -242,25 +368,81 @@ const FileInput = ({ onLoadFile, loading, error, darkMode, onToggleDarkMode }) =
               </Box>
             </form>
 
+            {onImportFile && (
+              <>
+                <Divider sx={{ my: 3 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    OR WORK OFFLINE
+                  </Typography>
+                </Divider>
+
+                <Box
+                  onDragOver={handleDragOver}
+                  onDragLeave={() => setDragActive(false)}
+                  onDrop={handleDrop}
+                  onClick={() => !loading && jsonInputRef.current?.click()}
+                  sx={{
+                    p: 3,
+                    textAlign: 'center',
+                    borderRadius: 2,
+                    border: '2px dashed',
+                    borderColor: dragActive ? 'primary.main' : 'divider',
+                    backgroundColor: dragActive ? 'action.hover' : 'transparent',
+                    cursor: loading ? 'default' : 'pointer',
+                    transition: 'all 0.2s ease',
+                  }}
+                >
+                  <UploadFileIcon sx={{ fontSize: 36, color: 'text.secondary', mb: 1 }} />
+                  <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                    Drop an exported Figma JSON file here or click to browse
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    A saved response from the /v1/files/:key endpoint. Nothing is sent to Figma.
+                  </Typography>
+                  <input
+                    ref={jsonInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    hidden
+                    data-testid="figma-json-input"
+                    onChange={handleJsonInputChange}
+                  />
+                </Box>
+
+                {importError && (
+                  <Alert severity="warning" sx={{ mt: 2 }}>
+                    {importError}
+                  </Alert>
+                )}
+              </>
+            )}
+
             <Box sx={{ mt: 4, p: 2, backgroundColor: 'background.default', borderRadius: 1 }}>
               <Typography variant="subtitle2" gutterBottom>
-                How to get your Figma file key and access token:
+                How to get your Figma file link and access token:
               </Typography>
               <Typography variant="body2" color="text.secondary" component="div">
                 <ol style={{ margin: 0, paddingLeft: 20 }}>
                   <li>
-                    <strong>File Key:</strong> Open your Figma file and copy the key from the URL:
+                    <strong>File URL:</strong> Copy the link to your file, or right-click a frame and choose "Copy link to selection" to load just that frame:
                     <br />
-                    <code>figma.com/file/YOUR_FILE_KEY/...</code>
+                    <code>figma.com/design/YOUR_FILE_KEY/...?node-id=1-23</code>
                   </li>
                   <li>
-                    <strong>Access Token:</strong> Go to Figma Settings → Account → Personal access tokens → Create new token
+                    <strong>Access Token:</strong> {oauthEnabled
+                      ? 'Sign in with Figma, or go to Figma Settings → Account → Personal access tokens → Create new token'
+                      : 'Go to Figma Settings → Account → Personal access tokens → Create new token'}
                   </li>
                 </ol>
               </Typography>
             </Box>
           </Paper>
         </Box>
+
+        {/* Team browser next to the form */}
+        <Box sx={{ maxWidth: 420, p: 3, width: '100%' }}>
+          <FileBrowser accessToken={token} onOpenFile={handleOpenBrowsedFile} loading={loading} />
+        </Box>
       </Box>
     </Box>
   );
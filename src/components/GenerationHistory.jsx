@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  Stack,
+} from '@mui/material';
+import {
+  Compare as CompareIcon,
+  Delete as DeleteIcon,
+  Restore as RestoreIcon,
+} from '@mui/icons-material';
+import CodeDiff from './CodeDiff';
+import { getGenerationHistory, deleteGenerationEntry, clearGenerationHistory } from '../services/generationHistory';
+import { diffLines, summarizeLineDiff } from '../utils/textDiff';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const getEntrySource = (entry) => (entry.mode === 'template'
+  ? 'Deterministic'
+  : [entry.provider, entry.model].filter(Boolean).join(' · ') || 'AI model');
+
+const getEntryTitle = (entry) => (entry.kind === 'refined' ? `Refined: ${entry.instruction}` : 'Generated');
+
+const formatOptions = (options = {}) => Object.entries(options)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => `${name}: ${value}`)
+  .join(', ');
+
+/**
+ * Lists the stored generations of the selected component or page. Any two can be compared
+ * side by side and any one restored into the code view.
+ */
+const GenerationHistory = ({
+  open = false,
+  onClose,
+  fileKey,
+  target = null,
+  onRestore,
+  disabled = false,
+}) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setEntries(await getGenerationHistory(fileKey, target));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fileKey, target]);
+
+  useEffect(() => {
+    if (open) {
+      setComparing(false);
+      setSelectedIds([]);
+      loadEntries();
+    }
+  }, [open, loadEntries]);
+
+  // Two entries can be selected; picking a third replaces the one picked first
+  const handleToggleSelect = (entryId) => {
+    setSelectedIds(current => (current.includes(entryId)
+      ? current.filter(id => id !== entryId)
+      : [...current, entryId].slice(-2)));
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      setEntries(await deleteGenerationEntry(fileKey, target, entry.id));
+      setSelectedIds(current => current.filter(id => id !== entry.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearGenerationHistory(fileKey, target);
+      setEntries([]);
+      setSelectedIds([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderComparison = () => {
+    // Always diff from the older generation to the newer one
+    const [older, newer] = entries
+      .filter(entry => selectedIds.includes(entry.id))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const diff = diffLines(older.code, newer.code);
+    const { added, removed } = summarizeLineDiff(diff);
+
+    return (
+      <Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="subtitle1" fontWeight={600}>
+            {formatDate(older.createdAt)} → {formatDate(newer.createdAt)}
+          </Typography>
+          <Button size="small" onClick={() => setComparing(false)}>
+            Back to generations
+          </Button>
+        </Box>
+        <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+          <Chip label={`+${added}`} size="small" color="success" variant="outlined" />
+          <Chip label={`-${removed}`} size="small" color="error" variant="outlined" />
+        </Stack>
+        <Box sx={{ display: 'flex', mb: 0.5 }}>
+          {[older, newer].map(entry => (
+            <Box key={entry.id} sx={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 1 }}>
+              <Typography variant="caption" color="text.secondary" noWrap>
+                {getEntrySource(entry)} · {getEntryTitle(entry)}
+              </Typography>
+              <Button size="small" startIcon={<RestoreIcon />} onClick={() => onRestore(entry)} disabled={disabled}>
+                Restore
+              </Button>
+            </Box>
+          ))}
+        </Box>
+        <CodeDiff diff={diff} layout="split" maxHeight={480} />
+      </Box>
+    );
+  };
+
+  const renderEntries = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Select two generations to compare them side by side.
+      </Typography>
+      <List dense disablePadding>
+        {entries.map((entry, index) => (
+          <ListItem
+            key={entry.id}
+            divider
+            secondaryAction={
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  size="small"
+                  variant="outlined"
+                  startIcon={<RestoreIcon />}
+                  onClick={() => onRestore(entry)}
+                  disabled={disabled}
+                >
+                  Restore
+                </Button>
+                <Tooltip title="Delete this generation">
+                  <IconButton size="small" onClick={() => handleDelete(entry)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            }
+            sx={{ pr: 20 }}
+          >
+            <ListItemIcon sx={{ minWidth: 36 }}>
+              <Checkbox
+                edge="start"
+                size="small"
+                checked={selectedIds.includes(entry.id)}
+                onChange={() => handleToggleSelect(entry.id)}
+                inputProps={{ 'aria-label': `Select generation from ${formatDate(entry.createdAt)}` }}
+              />
+            </ListItemIcon>
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="body2" fontWeight={600} noWrap>{getEntryTitle(entry)}</Typography>
+                  {index === 0 && <Chip label="Latest" size="small" color="primary" />}
+                </Box>
+              }
+              secondary={[
+                formatDate(entry.createdAt),
+                getEntrySource(entry),
+                entry.promptHash && `prompt #${entry.promptHash}`,
+                formatOptions(entry.options),
+              ].filter(Boolean).join(' · ')}
+              secondaryTypographyProps={{ sx: { wordBreak: 'break-word' } }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+          <Typography variant="h6">Generation History</Typography>
+          {target && (
+            <Chip label={`${target.type === 'page' ? 'Page' : 'Component'}: ${target.name}`} size="small" />
+          )}
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {comparing && selectedIds.length === 2 ? renderComparison() : loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            Nothing has been generated for this {target?.type === 'page' ? 'page' : 'component'} yet.
+          </Typography>
+        ) : renderEntries()}
+      </DialogContent>
+      <DialogActions>
+        {!comparing && entries.length > 0 && (
+          <Button color="error" onClick={handleClear} sx={{ mr: 'auto' }}>
+            Clear History
+          </Button>
+        )}
+        {!comparing && (
+          <Button
+            variant="contained"
+            startIcon={<CompareIcon />}
+            onClick={() => setComparing(true)}
+            disabled={selectedIds.length !== 2}
+          >
+            Compare
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default GenerationHistory;
@@ -0,0 +1,71 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  TextField,
+  Typography,
+  Chip,
+} from '@mui/material';
+import { listProviders } from '../services/llmProviders';
+
+const ModelSelector = ({ value, onChange, proxyStatus = null, disabled = false }) => {
+  const providers = useMemo(() => listProviders(proxyStatus), [proxyStatus]);
+  const activeProvider = providers.find(provider => provider.id === value.provider) || providers[0];
+
+  const handleProviderChange = (event) => {
+    const provider = providers.find(item => item.id === event.target.value);
+    onChange({ provider: provider.id, model: provider.defaultModel });
+  };
+
+  const handleModelChange = (event, model) => {
+    // An empty model falls back to the provider default at generation time
+    onChange({ ...value, model: model || '' });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+      <FormControl fullWidth size="small" disabled={disabled}>
+        <InputLabel>LLM Provider</InputLabel>
+        <Select
+          value={activeProvider.id}
+          label="LLM Provider"
+          onChange={handleProviderChange}
+        >
+          {providers.map(provider => (
+            <MenuItem key={provider.id} value={provider.id}>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', width: '100%', gap: 1 }}>
+                <Typography variant="body2">{provider.label}</Typography>
+                {!provider.configured && (
+                  <Chip label="No API key" size="small" color="warning" variant="outlined" />
+                )}
+              </Box>
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <Autocomplete
+        freeSolo
+        size="small"
+        disabled={disabled}
+        options={activeProvider.models}
+        value={value.model || null}
+        onChange={handleModelChange}
+        onInputChange={(event, model, reason) => {
+          if (reason === 'input') {
+            handleModelChange(event, model);
+          }
+        }}
+        renderInput={(params) => (
+          <TextField {...params} label="Model" placeholder={activeProvider.defaultModel} />
+        )}
+      />
+    </Box>
+  );
+};
+
+export default ModelSelector;
@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography,
+  Chip,
+} from '@mui/material';
+
+const PagePicker = ({ pages, pageId, frameId, onChange, disabled = false }) => {
+  const activePage = pages.find(page => page.id === pageId) || pages[0];
+  const frames = activePage ? activePage.frames : [];
+
+  const handlePageChange = (event) => {
+    onChange(event.target.value, '');
+  };
+
+  const handleFrameChange = (event) => {
+    onChange(activePage.id, event.target.value);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+      <FormControl fullWidth size="small" disabled={disabled}>
+        <InputLabel>Figma Page</InputLabel>
+        <Select
+          value={activePage ? activePage.id : ''}
+          label="Figma Page"
+          onChange={handlePageChange}
+        >
+          {pages.map(page => (
+            <MenuItem key={page.id} value={page.id}>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', width: '100%', gap: 1 }}>
+                <Typography variant="body2" noWrap>{page.name}</Typography>
+                {page.isArchive ? (
+                  <Chip label="Archive" size="small" variant="outlined" />
+                ) : (
+                  <Typography variant="caption" color="text.secondary">
+                    {page.frames.length} frames
+                  </Typography>
+                )}
+              </Box>
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl fullWidth size="small" disabled={disabled || frames.length === 0}>
+        <InputLabel>Frame</InputLabel>
+        <Select
+          value={frames.some(frame => frame.id === frameId) ? frameId : ''}
+          label="Frame"
+          onChange={handleFrameChange}
+          displayEmpty
+        >
+          <MenuItem value="">
+            <Typography variant="body2">Whole page</Typography>
+          </MenuItem>
+          {frames.map(frame => (
+            <MenuItem key={frame.id} value={frame.id}>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', width: '100%', gap: 1 }}>
+                <Typography variant="body2" noWrap>{frame.name}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {frame.width}×{frame.height}
+                </Typography>
+              </Box>
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    </Box>
+  );
+};
+
+export default PagePicker;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  AlertTitle,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  Chip,
+  useTheme,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  CheckCircle as CheckIcon,
+  ErrorOutline as ErrorOutlineIcon,
+} from '@mui/icons-material';
+import { createAppTheme } from '../theme';
+
+// preview.html compiles and renders the code (see src/preview/PreviewFrame.jsx). Without
+// allow-same-origin the frame gets an opaque origin, so generated code cannot reach the
+// app's window, storage or tokens.
+const PREVIEW_URL = `${import.meta.env.BASE_URL}preview.html`;
+
+const PreviewSandbox = ({ code }) => {
+  const theme = useTheme();
+  const iframeRef = useRef(null);
+  const buildCounter = useRef(0);
+  const [frameReady, setFrameReady] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [build, setBuild] = useState({ id: null, status: 'compiling', error: null });
+  const [runtimeError, setRuntimeError] = useState(null);
+
+  const darkMode = theme.palette.mode === 'dark';
+  const previewTheme = useMemo(() => createAppTheme(darkMode), [darkMode]);
+
+  // Results from the preview frame; anything posted by other windows is ignored
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (!iframeRef.current || event.source !== iframeRef.current.contentWindow) return;
+
+      const { type, buildId, error } = event.data || {};
+      if (type === 'ready') {
+        setFrameReady(true);
+      } else if (type === 'built') {
+        setBuild(current => (current.id === buildId
+          ? { id: buildId, status: error ? 'error' : 'ready', error: error || null }
+          : current));
+      } else if (type === 'runtimeError') {
+        setRuntimeError(current => (buildId === buildCounter.current ? error : current));
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  // Send the code to the frame whenever it, the theme or the frame itself changes
+  useEffect(() => {
+    if (!frameReady) return;
+
+    buildCounter.current += 1;
+    const buildId = buildCounter.current;
+    setRuntimeError(null);
+    setBuild({ id: buildId, status: 'compiling', error: null });
+    // An opaque origin cannot be named as the target
+    iframeRef.current?.contentWindow?.postMessage({ type: 'render', buildId, code, darkMode }, '*');
+  }, [frameReady, code, darkMode]);
+
+  // Reloading replaces the frame, which runs the current code from scratch
+  const handleReload = () => {
+    setFrameReady(false);
+    setRuntimeError(null);
+    setBuild({ id: null, status: 'compiling', error: null });
+    setReloadKey((key) => key + 1);
+  };
+
+  const activeError = build.error || runtimeError;
+
+  const renderStatus = () => {
+    if (build.status === 'compiling') {
+      return <Chip size="small" label="Compiling..." icon={<CircularProgress size={12} />} />;
+    }
+    if (activeError) {
+      return <Chip size="small" color="error" variant="outlined" label="Error" icon={<ErrorOutlineIcon />} />;
+    }
+    return <Chip size="small" color="success" variant="outlined" label="Rendered" icon={<CheckIcon />} />;
+  };
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', backgroundColor: 'background.default' }}>
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          px: 2,
+          py: 1,
+          borderBottom: 1,
+          borderColor: 'divider',
+        }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="subtitle2">Live Preview</Typography>
+          {renderStatus()}
+        </Box>
+        <Tooltip title="Reload preview">
+          <IconButton size="small" onClick={handleReload}>
+            <RefreshIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {activeError && (
+        <Alert severity="error" sx={{ m: 2, mb: 0 }}>
+          <AlertTitle>
+            {activeError.type === 'compile' ? 'Compile error' : 'Runtime error'}
+            {activeError.line && ` (line ${activeError.line}, column ${activeError.column})`}
+          </AlertTitle>
+          <Box
+            component="pre"
+            sx={{ m: 0, fontFamily: 'monospace', fontSize: '0.75rem', whiteSpace: 'pre-wrap' }}
+          >
+            {activeError.message}
+          </Box>
+        </Alert>
+      )}
+
+      <Box sx={{ flex: 1, p: 2, minHeight: 0 }}>
+        <Box
+          component="iframe"
+          key={reloadKey}
+          ref={iframeRef}
+          title="Component preview"
+          src={PREVIEW_URL}
+          sandbox="allow-scripts"
+          sx={{
+            width: '100%',
+            height: '100%',
+            border: 1,
+            borderColor: 'divider',
+            borderRadius: 1,
+            backgroundColor: previewTheme.palette.background.default,
+          }}
+        />
+      </Box>
+    </Box>
+  );
+};
+
+export default PreviewSandbox;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  TextField,
+  IconButton,
+  Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import { getRevisionLabel } from '../utils/codeRevisions';
+
+// Follow-up prompt for the generated component, with a picker for earlier revisions
+const RefinementBar = ({ onRefine, revisions = [], activeRevisionId, onSelectRevision, disabled = false }) => {
+  const [instruction, setInstruction] = useState('');
+  const [refining, setRefining] = useState(false);
+
+  const canSubmit = Boolean(instruction.trim()) && !disabled && !refining;
+
+  // The instruction stays in the field when the turn fails so it can be sent again
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+
+    setRefining(true);
+    try {
+      const refined = await onRefine(instruction.trim());
+      if (refined) setInstruction('');
+    } finally {
+      setRefining(false);
+    }
+  };
+
+  return (
+    <Box
+      component="form"
+      onSubmit={handleSubmit}
+      sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 2, borderTop: 1, borderColor: 'divider' }}
+    >
+      {revisions.length > 1 && (
+        <FormControl size="small" sx={{ minWidth: 180, maxWidth: 240 }} disabled={disabled || refining}>
+          <InputLabel>Revision</InputLabel>
+          <Select
+            value={revisions.some(revision => revision.id === activeRevisionId) ? activeRevisionId : ''}
+            label="Revision"
+            onChange={(event) => onSelectRevision(event.target.value)}
+          >
+            {revisions.map((revision, index) => (
+              <MenuItem key={revision.id} value={revision.id}>
+                {getRevisionLabel(revision, index)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      <TextField
+        fullWidth
+        size="small"
+        value={instruction}
+        onChange={(event) => setInstruction(event.target.value)}
+        placeholder='Describe a change, e.g. "make the button full width"'
+        disabled={disabled || refining}
+        inputProps={{ 'aria-label': 'Refinement instruction' }}
+      />
+
+      <Tooltip title="Revise the component">
+        <span>
+          <IconButton type="submit" color="primary" disabled={!canSubmit}>
+            {refining ? <CircularProgress size={20} /> : <SendIcon />}
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+};
+
+export default RefinementBar;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+} from '@mui/material';
+import { ExpandMore as ExpandMoreIcon } from '@mui/icons-material';
+import CodeDiff from './CodeDiff';
+
+const STATUS_CHIPS = {
+  regenerated: { label: 'Regenerated', color: 'primary' },
+  failed: { label: 'Failed', color: 'error' },
+  removed: { label: 'Removed from design', color: 'warning' },
+  unchanged: { label: 'Unchanged', color: 'default' },
+};
+
+// Regenerated components first, unchanged last
+const STATUS_ORDER = ['regenerated', 'failed', 'removed', 'unchanged'];
+
+const SyncResults = ({ open = false, onClose, result, onOpenCode }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (!result) return null;
+
+  const results = [...result.results].sort(
+    (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+          <Typography variant="h6">Design Sync</Typography>
+          <Chip
+            label={`${result.regenerated} of ${result.results.length} components regenerated`}
+            size="small"
+            color={result.regenerated > 0 ? 'primary' : 'default'}
+          />
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        {result.regenerated === 0 && result.failed === 0 && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            None of the generated components changed in Figma.
+          </Alert>
+        )}
+        {result.failed > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {result.failed} changed component{result.failed > 1 ? 's' : ''} could not be regenerated and will be retried on the next sync.
+          </Alert>
+        )}
+        {results.map(entry => (
+          <Accordion
+            key={entry.id}
+            expanded={expandedId === entry.id}
+            onChange={(event, isExpanded) => setExpandedId(isExpanded ? entry.id : null)}
+            disabled={entry.status !== 'regenerated' && entry.status !== 'failed'}
+            disableGutters
+          >
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, width: '100%' }}>
+                <Typography variant="body2" fontWeight={600} noWrap>{entry.name}</Typography>
+                <Chip size="small" variant="outlined" label={entry.mode === 'template' ? 'Deterministic' : 'AI'} />
+                <Chip size="small" {...STATUS_CHIPS[entry.status]} />
+                {entry.stats && (
+                  <Typography variant="caption" sx={{ ml: 'auto', mr: 1, fontFamily: 'monospace' }}>
+                    <Box component="span" sx={{ color: 'success.main' }}>+{entry.stats.added}</Box>
+                    {' '}
+                    <Box component="span" sx={{ color: 'error.main' }}>-{entry.stats.removed}</Box>
+                  </Typography>
+                )}
+              </Box>
+            </AccordionSummary>
+            <AccordionDetails>
+              {entry.status === 'failed' ? (
+                <Alert severity="error">{entry.error}</Alert>
+              ) : (
+                <>
+                  <CodeDiff diff={entry.diff} />
+                  {onOpenCode && (
+                    <Button size="small" sx={{ mt: 1 }} onClick={() => onOpenCode(entry)}>
+                      Open new code
+                    </Button>
+                  )}
+                </>
+              )}
+            </AccordionDetails>
+          </Accordion>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SyncResults;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Stack,
+} from '@mui/material';
+import { Compare as CompareIcon } from '@mui/icons-material';
+import { getFigmaFileVersions, getFigmaFile, getFigmaFileNodes, findNodeById } from '../services/figmaApi';
+import { diffFigmaTrees, describeDesignChange } from '../services/figmaDiff';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'unknown');
+
+const CHANGE_COLORS = {
+  added: 'success',
+  removed: 'error',
+  moved: 'info',
+  renamed: 'default',
+  text: 'secondary',
+  fills: 'warning',
+  layout: 'primary',
+};
+
+const getVersionTitle = (version) => version.label || `Autosave ${formatDate(version.createdAt)}`;
+
+/**
+ * Lists the file's saved versions, loads one of them and shows what changed between a
+ * version and the loaded design. With a component selected only its subtree is fetched
+ * and compared.
+ */
+const VersionHistory = ({
+  open = false,
+  onClose,
+  fileKey,
+  accessToken,
+  loadedVersionId = '',
+  pinnedVersionId = '',
+  loadedNodeIds = [],
+  currentRoot = null,
+  selectedNodeId = null,
+  onLoadVersion,
+  disabled = false,
+}) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [comparingId, setComparingId] = useState(null);
+  const [comparison, setComparison] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setVersions(await getFigmaFileVersions(fileKey, accessToken));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fileKey, accessToken]);
+
+  useEffect(() => {
+    if (open && fileKey && accessToken) {
+      setComparison(null);
+      loadVersions();
+    }
+  }, [open, fileKey, accessToken, loadVersions]);
+
+  // Fetch the same scope (selected component, loaded nodes or whole file) at the other version
+  const fetchVersionRoot = async (versionId) => {
+    if (selectedNodeId) {
+      const data = await getFigmaFileNodes(fileKey, [selectedNodeId], accessToken, { version: versionId });
+      return findNodeById(data.document, selectedNodeId);
+    }
+    const data = loadedNodeIds.length > 0
+      ? await getFigmaFileNodes(fileKey, loadedNodeIds, accessToken, { version: versionId })
+      : await getFigmaFile(fileKey, accessToken, { version: versionId });
+    return data.document;
+  };
+
+  const handleCompare = async (version) => {
+    setComparingId(version.id);
+    setError('');
+    try {
+      const versionRoot = await fetchVersionRoot(version.id);
+      if (!versionRoot) {
+        throw new Error(`"${currentRoot.name}" does not exist in ${getVersionTitle(version)}`);
+      }
+
+      // Always diff from the older design to the newer one
+      const pinned = versions.find(item => item.id === pinnedVersionId);
+      const versionIsNewer = Boolean(pinned) && version.createdAt > pinned.createdAt;
+      setComparison({
+        version,
+        versionIsNewer,
+        diff: versionIsNewer
+          ? diffFigmaTrees(currentRoot, versionRoot)
+          : diffFigmaTrees(versionRoot, currentRoot),
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setComparingId(null);
+    }
+  };
+
+  const renderComparison = () => {
+    const { version, versionIsNewer, diff } = comparison;
+    const from = versionIsNewer ? 'the loaded design' : getVersionTitle(version);
+    const to = versionIsNewer ? getVersionTitle(version) : 'the loaded design';
+
+    return (
+      <Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="subtitle1" fontWeight={600}>
+            {diff.rootName}: {from} → {to}
+          </Typography>
+          <Button size="small" onClick={() => setComparison(null)}>
+            Back to versions
+          </Button>
+        </Box>
+
+        {diff.total === 0 ? (
+          <Alert severity="success">No structural, text, fill or layout changes.</Alert>
+        ) : (
+          <>
+            <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', gap: 1 }}>
+              {Object.entries(diff.summary)
+                .filter(([, count]) => count > 0)
+                .map(([kind, count]) => (
+                  <Chip key={kind} label={`${count} ${kind}`} size="small" color={CHANGE_COLORS[kind]} />
+                ))}
+            </Stack>
+            {diff.truncated && (
+              <Alert severity="info" sx={{ mb: 1 }}>
+                Showing the first {diff.changes.length} of {diff.total} changes.
+              </Alert>
+            )}
+            <List dense disablePadding>
+              {diff.changes.map((change, index) => (
+                <ListItem key={`${change.kind}-${change.nodeId}-${index}`} divider alignItems="flex-start">
+                  <Chip
+                    label={change.kind}
+                    size="small"
+                    variant="outlined"
+                    color={CHANGE_COLORS[change.kind]}
+                    sx={{ mr: 1.5, mt: 0.5, minWidth: 72 }}
+                  />
+                  <ListItemText
+                    primary={describeDesignChange(change)}
+                    primaryTypographyProps={{ variant: 'body2', sx: { wordBreak: 'break-word' } }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+          <Typography variant="h6">Version History</Typography>
+          <Chip
+            label={pinnedVersionId ? `Viewing version ${loadedVersionId}` : 'Viewing latest'}
+            size="small"
+            color={pinnedVersionId ? 'warning' : 'default'}
+          />
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {comparison ? renderComparison() : loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : versions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            No saved versions for this file.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {currentRoot
+                ? `Compare shows what changed in ${selectedNodeId ? `"${currentRoot.name}"` : 'the loaded design'} between a version and what is loaded now.`
+                : 'Load a file to compare versions.'}
+            </Typography>
+            <List dense disablePadding>
+              {versions.map(version => (
+                <ListItem
+                  key={version.id}
+                  divider
+                  secondaryAction={
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <Button
+                        size="small"
+                        startIcon={comparingId === version.id ? <CircularProgress size={14} /> : <CompareIcon />}
+                        onClick={() => handleCompare(version)}
+                        disabled={disabled || !currentRoot || Boolean(comparingId) || version.id === loadedVersionId}
+                      >
+                        Compare
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        onClick={() => onLoadVersion(version.id)}
+                        disabled={disabled || version.id === loadedVersionId}
+                      >
+                        Load
+                      </Button>
+                    </Box>
+                  }
+                  sx={{ pr: 24 }}
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="body2" fontWeight={600} noWrap>{getVersionTitle(version)}</Typography>
+                        {version.id === loadedVersionId && <Chip label="Loaded" size="small" color="primary" />}
+                      </Box>
+                    }
+                    secondary={`${version.author} · ${formatDate(version.createdAt)}${version.description ? ` · ${version.description}` : ''}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {pinnedVersionId && (
+          <Button onClick={() => onLoadVersion(null)} disabled={disabled}>
+            Back to Latest
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VersionHistory;
@@ -4,14 +4,9 @@ import userEvent from '@testing-library/user-event'
 import { renderWithTheme } from '../../test/utils.js'
 import CodeDisplay from '../CodeDisplay.jsx'
 
-// Mock react-syntax-highlighter
-vi.mock('react-syntax-highlighter', () => ({
-  Prism: ({ children, ...props }) => <pre data-testid="syntax-highlighter" {...props}>{children}</pre>,
-}))
-
-vi.mock('react-syntax-highlighter/dist/esm/styles/prism', () => ({
-  vscDarkPlus: {},
-  vs: {},
+// Mock the CodeMirror editor
+vi.mock('../CodeEditor', () => ({
+  default: ({ value }) => <pre data-testid="code-editor">{value}</pre>,
 }))
 
 describe('CodeDisplay Component', () => {
@@ -56,8 +51,8 @@ export default TestComponent;`
   it('should display generated code with syntax highlighting', () => {
     renderWithTheme(<CodeDisplay {...mockProps} generatedCode={sampleCode} />)
 
-    expect(screen.getByTestId('syntax-highlighter')).toBeInTheDocument()
-    expect(screen.getByTestId('syntax-highlighter')).toHaveTextContent('TestComponent')
+    expect(screen.getByTestId('code-editor')).toBeInTheDocument()
+    expect(screen.getByTestId('code-editor')).toHaveTextContent('TestComponent')
   })
 
   it('should show loading state', () => {
@@ -234,12 +229,12 @@ export default TestComponent;`
       <CodeDisplay {...mockProps} generatedCode={sampleCode} darkMode={false} />
     )
 
-    let highlighter = screen.getByTestId('syntax-highlighter')
-    expect(highlighter).toBeInTheDocument()
+    let editor = screen.getByTestId('code-editor')
+    expect(editor).toBeInTheDocument()
 
     rerender(<CodeDisplay {...mockProps} generatedCode={sampleCode} darkMode={true} />)
     
-    highlighter = screen.getByTestId('syntax-highlighter')
-    expect(highlighter).toBeInTheDocument()
+    editor = screen.getByTestId('code-editor')
+    expect(editor).toBeInTheDocument()
   })
 })
\ No newline at end of file
@@ -85,7 +85,7 @@ describe('FileInput Component', () => {
     await user.type(tokenInput, 'test-token-123')
     await user.click(loadButton)
 
-    expect(mockOnLoadFile).toHaveBeenCalledWith('test123', 'test-token-123')
+    expect(mockOnLoadFile).toHaveBeenCalledWith('test123', 'test-token-123', { nodeIds: [] })
   })
 
   it('should show loading state', () => {
@@ -135,14 +135,17 @@ describe('FileInput Component', () => {
       {
         url: 'https://www.figma.com/file/abc123/TestFile',
         expectedKey: 'abc123',
+        expectedNodeIds: [],
       },
       {
         url: 'https://figma.com/file/xyz789/AnotherFile?node-id=1%3A2',
         expectedKey: 'xyz789',
+        expectedNodeIds: ['1:2'],
       },
       {
         url: 'https://www.figma.com/design/def456/DesignFile',
         expectedKey: 'def456',
+        expectedNodeIds: [],
       },
     ]
 
@@ -152,7 +155,7 @@ describe('FileInput Component', () => {
       await user.type(tokenInput, 'test-token')
       await user.click(loadButton)
 
-      expect(mockOnLoadFile).toHaveBeenCalledWith(testCase.expectedKey, 'test-token')
+      expect(mockOnLoadFile).toHaveBeenCalledWith(testCase.expectedKey, 'test-token', { nodeIds: testCase.expectedNodeIds })
       mockOnLoadFile.mockClear()
     }
   })
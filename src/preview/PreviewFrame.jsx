@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { CssBaseline, ThemeProvider } from '@mui/material';
+import { createAppTheme } from '../theme';
+import { buildPreviewComponent } from '../utils/previewCompiler';
+
+// Rendered by preview.html. PreviewSandbox loads that page in an iframe sandboxed without
+// allow-same-origin, so generated code is compiled and run here with an opaque origin and
+// no access to the app's storage, tokens or DOM. Code comes in and results go out by postMessage:
+//   app -> frame  { type: 'render', buildId, code, darkMode }
+//   frame -> app  { type: 'ready' }, { type: 'built', buildId, error }, { type: 'runtimeError', buildId, error }
+
+// The app's origin is unknown to an opaque frame, and the messages carry no secrets
+const postToApp = (message) => window.parent.postMessage(message, '*');
+
+// Catches errors thrown while rendering the generated component
+class PreviewErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    if (this.props.onError) {
+      this.props.onError(error, errorInfo);
+    }
+  }
+
+  render() {
+    return this.state.hasError ? null : this.props.children;
+  }
+}
+
+const PreviewFrame = () => {
+  const latestBuildId = useRef(null);
+  const [build, setBuild] = useState({ id: null, Component: null, darkMode: false });
+
+  const theme = useMemo(() => createAppTheme(build.darkMode), [build.darkMode]);
+
+  useEffect(() => {
+    const handleMessage = async (event) => {
+      if (event.source !== window.parent || event.data?.type !== 'render') return;
+
+      const { buildId, code, darkMode } = event.data;
+      latestBuildId.current = buildId;
+      const result = await buildPreviewComponent(code);
+      // A newer render request arrived while this one was compiling
+      if (latestBuildId.current !== buildId) return;
+
+      setBuild({ id: buildId, Component: result.Component, darkMode: Boolean(darkMode) });
+      postToApp({ type: 'built', buildId, error: result.error });
+    };
+
+    window.addEventListener('message', handleMessage);
+    postToApp({ type: 'ready' });
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  const handleRuntimeError = (error) => {
+    postToApp({
+      type: 'runtimeError',
+      buildId: build.id,
+      error: { type: 'runtime', message: error.message, line: null, column: null },
+    });
+  };
+
+  const { Component } = build;
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      {Component && (
+        // A new build id remounts the boundary, so a runtime error does not hide the next build
+        <PreviewErrorBoundary key={build.id} onError={handleRuntimeError}>
+          <Component />
+        </PreviewErrorBoundary>
+      )}
+    </ThemeProvider>
+  );
+};
+
+export default PreviewFrame;
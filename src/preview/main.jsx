@@ -0,0 +1,4 @@
+import { createRoot } from 'react-dom/client'
+import PreviewFrame from './PreviewFrame.jsx'
+
+createRoot(document.getElementById('preview-root')).render(<PreviewFrame />)
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { resetStores } from '../../test/indexedDbMock.js'
+
+vi.mock('../../utils/indexedDb.js', () => import('../../test/indexedDbMock.js'))
+
+vi.mock('../geminiApi.js', () => ({
+  generateVisuallyAccurateComponent: vi.fn(),
+  generateWithFallback: vi.fn(),
+}))
+
+const { generateVisuallyAccurateComponent, generateWithFallback } = await import('../geminiApi.js')
+const {
+  buildSnapshotKey,
+  getSyncSnapshot,
+  recordGeneratedComponent,
+  planComponentSync,
+  syncGeneratedComponents,
+} = await import('../componentSync.js')
+
+const solid = (r, g, b) => ({ type: 'SOLID', color: { r, g, b, a: 1 } })
+
+const frame = (id, name, overrides = {}) => ({
+  id,
+  name,
+  type: 'FRAME',
+  fills: [solid(1, 1, 1)],
+  absoluteBoundingBox: { x: 0, y: 0, width: 200, height: 80 },
+  children: [{ id: `${id}-t`, name: 'Label', type: 'TEXT', characters: name, absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 20 } }],
+  ...overrides,
+})
+
+const documentWith = (...frames) => ({
+  id: '0:0',
+  type: 'DOCUMENT',
+  children: [{ id: '0:1', name: 'Page', type: 'CANVAS', children: frames }],
+})
+
+describe('componentSync', () => {
+  beforeEach(() => {
+    resetStores()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    generateVisuallyAccurateComponent.mockReset()
+    generateWithFallback.mockReset()
+  })
+
+  it('should key snapshots by file and sorted node selection', () => {
+    expect(buildSnapshotKey('abc')).toBe('abc')
+    expect(buildSnapshotKey('abc', ['2:1', '1:1'])).toBe('abc#1:1,2:1')
+  })
+
+  it('should only plan components whose metadata changed, ignoring canvas position', async () => {
+    await recordGeneratedComponent('abc', [], { node: frame('1:1', 'Card'), code: 'card v1', mode: 'template' })
+    await recordGeneratedComponent('abc', [], { node: frame('1:2', 'Banner'), code: 'banner v1', mode: 'template' })
+    await recordGeneratedComponent('abc', [], { node: frame('1:3', 'Footer'), code: 'footer v1', mode: 'template' })
+
+    const moved = frame('1:1', 'Card', { absoluteBoundingBox: { x: 400, y: 300, width: 200, height: 80 } })
+    moved.children[0].absoluteBoundingBox = { x: 400, y: 300, width: 100, height: 20 }
+    const recolored = frame('1:2', 'Banner', { fills: [solid(0, 0, 0)] })
+    const plan = planComponentSync(await getSyncSnapshot('abc'), documentWith(moved, recolored))
+
+    expect(plan.unchanged.map(({ entry }) => entry.id)).toEqual(['1:1'])
+    expect(plan.changed.map(({ entry }) => entry.id)).toEqual(['1:2'])
+    expect(plan.removed.map(({ entry }) => entry.id)).toEqual(['1:3'])
+  })
+
+  it('should regenerate changed components and diff old against new code', async () => {
+    await recordGeneratedComponent('abc', [], { node: frame('1:1', 'Card'), code: 'const Card = () => null;\nexport default Card;', mode: 'ai' })
+    await recordGeneratedComponent('abc', [], { node: frame('1:2', 'Banner'), code: 'banner v1', mode: 'ai' })
+    generateVisuallyAccurateComponent.mockResolvedValue('const Card = () => <div />;\nexport default Card;')
+
+    const result = await syncGeneratedComponents(
+      await getSyncSnapshot('abc'),
+      documentWith(frame('1:1', 'Card', { cornerRadius: 12 }), frame('1:2', 'Banner')),
+      { llmSettings: { provider: 'gemini' }, version: '202' }
+    )
+
+    expect(generateVisuallyAccurateComponent).toHaveBeenCalledTimes(1)
+    expect(generateVisuallyAccurateComponent.mock.calls[0][1]).toMatchObject({ provider: 'gemini' })
+    const card = result.results.find(entry => entry.id === '1:1')
+    expect(card.status).toBe('regenerated')
+    expect(card.stats).toEqual({ added: 1, removed: 1 })
+    expect(result.results.find(entry => entry.id === '1:2').status).toBe('unchanged')
+
+    const snapshot = await getSyncSnapshot('abc')
+    expect(snapshot.version).toBe('202')
+    expect(snapshot.components['1:1'].code).toContain('<div />')
+
+    // The regenerated design is the new baseline
+    const again = planComponentSync(snapshot, documentWith(frame('1:1', 'Card', { cornerRadius: 12 })))
+    expect(again.changed).toEqual([])
+  })
+
+  it('should keep the recorded code when regeneration fails', async () => {
+    await recordGeneratedComponent('abc', [], { node: frame('1:1', 'Card'), code: 'card v1', mode: 'ai' })
+    generateVisuallyAccurateComponent.mockRejectedValue(new Error('quota'))
+    generateWithFallback.mockRejectedValue(new Error('All generation strategies failed'))
+
+    const result = await syncGeneratedComponents(await getSyncSnapshot('abc'), documentWith(frame('1:1', 'Card', { opacity: 0.5 })))
+
+    expect(result.failed).toBe(1)
+    expect(result.results[0]).toMatchObject({ status: 'failed', error: 'All generation strategies failed' })
+    expect((await getSyncSnapshot('abc')).components['1:1'].code).toBe('card v1')
+  })
+})
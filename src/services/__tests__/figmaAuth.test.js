@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() },
+}))
+
+vi.stubEnv('VITE_FIGMA_OAUTH_CLIENT_ID', 'client-123')
+vi.stubEnv('VITE_FIGMA_OAUTH_REDIRECT_URI', 'http://localhost:5173/')
+vi.stubEnv('VITE_PROXY_URL', 'http://localhost:4200')
+
+const { default: axios } = await import('axios')
+const {
+  createCodeChallenge,
+  generateCodeVerifier,
+  buildAuthorizationUrl,
+  completeFigmaLogin,
+  getFigmaSession,
+  getValidAccessToken,
+  isExpiredTokenError,
+} = await import('../figmaAuth.js')
+
+const savePendingLogin = (pending) => {
+  sessionStorage.setItem('figma-oauth-pending', JSON.stringify({
+    redirectUri: 'http://localhost:5173/',
+    codeVerifier: 'verifier',
+    returnState: null,
+    ...pending,
+  }))
+}
+
+describe('figmaAuth', () => {
+  beforeEach(() => {
+    sessionStorage.clear()
+    axios.post.mockReset()
+  })
+
+  it('should derive the S256 challenge from the verifier (RFC 7636 example)', async () => {
+    expect(await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+    expect(generateCodeVerifier()).toMatch(/^[A-Za-z0-9_-]{43}$/)
+  })
+
+  it('should request an authorization code with PKCE', () => {
+    const url = new URL(buildAuthorizationUrl({
+      clientId: 'client-123',
+      redirectUri: 'http://localhost:5173/',
+      scope: 'file_content:read',
+      state: 'xyz',
+      codeChallenge: 'challenge',
+    }))
+
+    expect(url.origin + url.pathname).toBe('https://www.figma.com/oauth')
+    expect(url.searchParams.get('response_type')).toBe('code')
+    expect(url.searchParams.get('code_challenge')).toBe('challenge')
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256')
+  })
+
+  it('should exchange the code for a session and hand back the return state', async () => {
+    savePendingLogin({ state: 'xyz', returnState: { fileInput: 'abc' } })
+    axios.post.mockResolvedValue({ data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 } })
+
+    const result = await completeFigmaLogin('http://localhost:5173/?code=the-code&state=xyz')
+
+    const [url, body] = axios.post.mock.calls[0]
+    expect(url).toBe('http://localhost:4200/oauth/token')
+    expect(body.code_verifier).toBe('verifier')
+    expect(body.grant_type).toBe('authorization_code')
+    expect(result.session.accessToken).toBe('access-1')
+    expect(result.returnState).toEqual({ fileInput: 'abc' })
+    expect(getFigmaSession().refreshToken).toBe('refresh-1')
+  })
+
+  it('should reject callbacks whose state does not match', async () => {
+    savePendingLogin({ state: 'expected' })
+
+    await expect(completeFigmaLogin('http://localhost:5173/?code=the-code&state=forged'))
+      .rejects.toThrow('state mismatch')
+    expect(axios.post).not.toHaveBeenCalled()
+    expect(await completeFigmaLogin('http://localhost:5173/')).toBeNull()
+  })
+
+  it('should refresh the token shortly before it expires', async () => {
+    sessionStorage.setItem('figma-oauth-session', JSON.stringify({
+      accessToken: 'old',
+      refreshToken: 'refresh-1',
+      expiresAt: Date.now() + 1000,
+    }))
+    axios.post.mockResolvedValue({ data: { access_token: 'new', expires_in: 3600 } })
+
+    const [first, second] = await Promise.all([getValidAccessToken(), getValidAccessToken()])
+
+    expect(first).toBe('new')
+    expect(second).toBe('new')
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(getFigmaSession().refreshToken).toBe('refresh-1')
+  })
+  it('should never send the client secret from the browser', async () => {
+    vi.stubEnv('FIGMA_OAUTH_CLIENT_SECRET', 'secret-456')
+    vi.stubEnv('VITE_FIGMA_OAUTH_CLIENT_SECRET', 'secret-456')
+    savePendingLogin({ state: 'xyz' })
+    axios.post.mockResolvedValue({ data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 1 } })
+
+    await completeFigmaLogin('http://localhost:5173/?code=the-code&state=xyz')
+    await getValidAccessToken()
+
+    expect(axios.post).toHaveBeenCalledTimes(2)
+    axios.post.mock.calls.forEach(([url, body, config]) => {
+      expect(url).toBe('http://localhost:4200/oauth/token')
+      expect(JSON.stringify([body, config])).not.toMatch(/secret/)
+    })
+  })
+
+  it('should only refresh for rejected tokens, not for missing scopes', () => {
+    const httpError = (status, data = {}) => ({ response: { status, data } })
+
+    expect(isExpiredTokenError(httpError(401))).toBe(true)
+    expect(isExpiredTokenError(httpError(403, { status: 403, err: 'Token expired' }))).toBe(true)
+    expect(isExpiredTokenError(httpError(403, { status: 403, err: 'Invalid scope(s): file_comments:read' }))).toBe(false)
+    expect(isExpiredTokenError(httpError(403))).toBe(false)
+    expect(isExpiredTokenError(httpError(429))).toBe(false)
+    expect(isExpiredTokenError(new Error('Network Error'))).toBe(false)
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { STORES, getStore, resetStores } from '../../test/indexedDbMock.js'
+
+vi.mock('../../utils/indexedDb.js', () => import('../../test/indexedDbMock.js'))
+
+vi.mock('../figmaApi.js', () => ({
+  getFigmaFileVersion: vi.fn(),
+}))
+
+const { getFigmaFileVersion } = await import('../figmaApi.js')
+const {
+  buildFileCacheKey,
+  loadFigmaFileWithCache,
+  listCachedFiles,
+  deleteCachedFile,
+  clearFigmaCache,
+} = await import('../figmaCache.js')
+
+const fileData = { name: 'Design system', document: { id: '0:0', children: [] } }
+
+describe('figmaCache', () => {
+  beforeEach(() => {
+    resetStores()
+    getFigmaFileVersion.mockReset()
+    getFigmaFileVersion.mockResolvedValue({ name: 'Design system', version: '101', lastModified: '2026-01-01T00:00:00Z' })
+  })
+
+  it('should key entries by file, version and sorted node ids', () => {
+    expect(buildFileCacheKey('abc', '101')).toBe('abc@101')
+    expect(buildFileCacheKey('abc', '101', ['2:2', '1:1'])).toBe('abc@101#1:1,2:2')
+  })
+
+  it('should download once and reuse the payload while lastModified is unchanged', async () => {
+    const fetchFile = vi.fn().mockResolvedValue(fileData)
+
+    const first = await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+    const second = await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+
+    expect(first.fromCache).toBe(false)
+    expect(second.fromCache).toBe(true)
+    expect(second.data).toEqual(fileData)
+    expect(second.entry.hits).toBe(1)
+    expect(fetchFile).toHaveBeenCalledTimes(1)
+    expect(getFigmaFileVersion).toHaveBeenCalledTimes(2)
+  })
+
+  it('should download again and replace the old version when the file changed', async () => {
+    const fetchFile = vi.fn().mockResolvedValue(fileData)
+    await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+
+    getFigmaFileVersion.mockResolvedValue({ name: 'Design system', version: '102', lastModified: '2026-01-02T00:00:00Z' })
+    const result = await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+
+    expect(result.fromCache).toBe(false)
+    expect(fetchFile).toHaveBeenCalledTimes(2)
+    expect((await listCachedFiles()).map(entry => entry.key)).toEqual(['abc@102'])
+  })
+
+  it('should cache node selections separately and support purging', async () => {
+    const fetchFile = vi.fn().mockResolvedValue(fileData)
+    await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+    await loadFigmaFileWithCache('abc', 'token', { fetchFile, nodeIds: ['1:2'] })
+
+    expect(await listCachedFiles()).toHaveLength(2)
+
+    await deleteCachedFile('abc@101#1:2')
+    expect((await listCachedFiles()).map(entry => entry.key)).toEqual(['abc@101'])
+
+    await clearFigmaCache()
+    expect(await listCachedFiles()).toEqual([])
+    expect(getStore(STORES.FIGMA_FILE_PAYLOADS).size).toBe(0)
+  })
+
+  it('should still load the file when writing the cache fails', async () => {
+    const circular = { document: {} }
+    circular.self = circular
+    const fetchFile = vi.fn().mockResolvedValue(circular)
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const result = await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+
+    expect(result.data).toBe(circular)
+    expect(result.entry).toBeNull()
+    warn.mockRestore()
+  })
+  it('should load the file without the cache when the version check fails', async () => {
+    getFigmaFileVersion.mockRejectedValueOnce(new Error('Request failed with status code 429'))
+    const fetchFile = vi.fn().mockResolvedValue(fileData)
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const result = await loadFigmaFileWithCache('abc', 'token', { fetchFile })
+
+    expect(result).toEqual({ data: fileData, fromCache: false, entry: null })
+    expect(getStore(STORES.FIGMA_FILE_ENTRIES).size).toBe(0)
+    warn.mockRestore()
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { diffFigmaTrees, describeDesignChange } from '../figmaDiff.js'
+
+const solid = (r, g, b) => ({ type: 'SOLID', color: { r, g, b, a: 1 } })
+
+const text = (id, name, characters) => ({
+  id,
+  name,
+  type: 'TEXT',
+  characters,
+  absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 20 },
+})
+
+const card = (overrides = {}) => ({
+  id: '1:1',
+  name: 'Card',
+  type: 'FRAME',
+  layoutMode: 'VERTICAL',
+  itemSpacing: 8,
+  paddingLeft: 16,
+  paddingRight: 16,
+  paddingTop: 16,
+  paddingBottom: 16,
+  fills: [solid(1, 1, 1)],
+  absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 200 },
+  children: [
+    text('1:2', 'Title', 'Pricing'),
+    text('1:3', 'Body', 'Pick a plan'),
+    {
+      id: '1:4',
+      name: 'Actions',
+      type: 'FRAME',
+      absoluteBoundingBox: { x: 0, y: 150, width: 320, height: 40 },
+      children: [text('1:5', 'Label', 'Buy')],
+    },
+  ],
+  ...overrides,
+})
+
+describe('figmaDiff', () => {
+  it('should report nothing for identical versions', () => {
+    const diff = diffFigmaTrees(card(), card())
+
+    expect(diff.total).toBe(0)
+    expect(diff.changes).toEqual([])
+    expect(diff.changedNodeIds).toEqual([])
+  })
+
+  it('should detect text, fill and layout changes', () => {
+    const after = card({ itemSpacing: 12, fills: [solid(0, 0, 0)] })
+    after.children[0] = text('1:2', 'Title', 'Plans & pricing')
+
+    const diff = diffFigmaTrees(card(), after)
+
+    expect(diff.summary).toMatchObject({ text: 1, fills: 1, layout: 1, added: 0, removed: 0 })
+    const textChange = diff.changes.find(change => change.kind === 'text')
+    expect(textChange).toMatchObject({ nodeId: '1:2', before: 'Pricing', after: 'Plans & pricing' })
+    expect(diff.changes.find(change => change.kind === 'fills')).toMatchObject({ before: ['#ffffff'], after: ['#000000'] })
+
+    const layout = diff.changes.find(change => change.kind === 'layout')
+    expect(layout.properties).toContainEqual({ property: 'itemSpacing', before: 8, after: 12 })
+    expect(layout.properties.find(property => property.property === 'css').after).toContain('gap: 12px')
+    expect(describeDesignChange(textChange)).toBe('Text of Card / Title: "Pricing" → "Plans & pricing"')
+  })
+
+  it('should report only the top of added and removed subtrees', () => {
+    const after = card()
+    after.children = [
+      after.children[0],
+      after.children[2],
+      {
+        id: '1:9',
+        name: 'Badge',
+        type: 'FRAME',
+        absoluteBoundingBox: { x: 0, y: 0, width: 40, height: 20 },
+        children: [text('1:10', 'Badge Label', 'New')],
+      },
+    ]
+
+    const diff = diffFigmaTrees(card(), after)
+
+    expect(diff.changes.filter(change => change.kind === 'added')).toEqual([
+      expect.objectContaining({ nodeId: '1:9', descendants: 1, path: ['Card', 'Badge'] }),
+    ])
+    expect(diff.changes.filter(change => change.kind === 'removed').map(change => change.nodeId)).toEqual(['1:3'])
+    expect(diff.changedNodeIds).toContain('1:1')
+  })
+
+  it('should detect moved layers and reordered children', () => {
+    const after = card()
+    const label = after.children[2].children.pop()
+    after.children = [label, after.children[1], after.children[0], after.children[2]]
+
+    const diff = diffFigmaTrees(card(), after)
+
+    const moved = diff.changes.find(change => change.kind === 'moved')
+    expect(moved).toMatchObject({ nodeId: '1:5', before: 'Card / Actions', after: 'Card' })
+    expect(diff.changes.find(change => change.kind === 'layout' && change.nodeId === '1:1').properties)
+      .toContainEqual({ property: 'child order', before: null, after: null })
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseFigmaFileJson,
+  batchProcessComponents,
+  validateAndSanitizeComponent,
+} from '../figmaApi.js'
+
+const exportedFile = {
+  name: 'Saved Design',
+  version: '123',
+  lastModified: '2025-01-01T00:00:00Z',
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [
+      {
+        id: '0:1',
+        name: 'Page 1',
+        type: 'CANVAS',
+        children: [
+          {
+            id: '1:2',
+            name: 'Card',
+            type: 'FRAME',
+            absoluteBoundingBox: { x: 0, y: 0, width: 320, height: 200 },
+            children: [],
+          },
+        ],
+      },
+    ],
+  },
+  components: {},
+  styles: {},
+}
+
+describe('parseFigmaFileJson', () => {
+  it('should accept a saved /files/:key response', () => {
+    const result = parseFigmaFileJson(JSON.stringify(exportedFile), { fileName: 'design.json' })
+
+    expect(result.document.children[0].name).toBe('Page 1')
+    expect(result.metadata).toMatchObject({
+      source: 'import',
+      importedFrom: 'design.json',
+      version: '123',
+      name: 'Saved Design',
+    })
+  })
+
+  it('should wrap a saved nodes response in a document', () => {
+    const result = parseFigmaFileJson({
+      name: 'Saved Design',
+      nodes: {
+        '1:2': { document: exportedFile.document.children[0].children[0], components: {}, styles: {} },
+      },
+    })
+
+    expect(result.document.type).toBe('DOCUMENT')
+    expect(result.document.children[0].children[0].id).toBe('1:2')
+  })
+
+  it('should feed the same processing pipeline as API loads', async () => {
+    const fileData = parseFigmaFileJson(exportedFile)
+    const { components } = await batchProcessComponents(Object.values(fileData.document.children), {
+      includeTypes: ['FRAME'],
+      minSize: 30,
+      maxSize: 1500,
+    })
+    const sanitized = components.map(component => validateAndSanitizeComponent(component)).filter(Boolean)
+
+    expect(sanitized.map(component => component.name)).toContain('Card')
+  })
+
+  it('should reject files that are not Figma exports', () => {
+    expect(() => parseFigmaFileJson('{not json')).toThrow('Invalid JSON file')
+    expect(() => parseFigmaFileJson({ foo: 'bar' })).toThrow('Invalid Figma export')
+    expect(() => parseFigmaFileJson({ document: { type: 'FRAME' } })).toThrow('Invalid Figma export')
+  })
+})
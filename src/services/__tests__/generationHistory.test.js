@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { STORES, getStore, resetStores } from '../../test/indexedDbMock.js'
+
+vi.mock('../../utils/indexedDb.js', () => import('../../test/indexedDbMock.js'))
+
+const {
+  buildHistoryKey,
+  getHistoryFileKey,
+  getGenerationHistory,
+  recordGeneration,
+  deleteGenerationEntry,
+  clearGenerationHistory,
+} = await import('../generationHistory.js')
+
+const card = { type: 'component', id: '1:2', name: 'Card' }
+const page = { type: 'page', id: '0:1', name: 'Home' }
+
+describe('generationHistory', () => {
+  beforeEach(() => {
+    resetStores()
+  })
+
+  it('should keep generations per component and page, newest first', async () => {
+    await recordGeneration('file', card, { code: 'v1', mode: 'ai', provider: 'gemini', model: 'gemini-2.5-flash', promptHash: '42', options: { temperature: 0.5 } })
+    await recordGeneration('file', card, { code: 'v2', mode: 'template' })
+    await recordGeneration('file', page, { code: 'page', mode: 'ai' })
+
+    const entries = await getGenerationHistory('file', card)
+    expect(entries.map(entry => entry.code)).toEqual(['v2', 'v1'])
+    expect(entries[1]).toMatchObject({ mode: 'ai', kind: 'generated', provider: 'gemini', model: 'gemini-2.5-flash', promptHash: '42', options: { temperature: 0.5 } })
+    expect(typeof entries[1].createdAt).toBe('number')
+    expect(await getGenerationHistory('file', page)).toHaveLength(1)
+    expect(getStore(STORES.GENERATION_HISTORY).get(buildHistoryKey('file', card)).target).toEqual(card)
+  })
+
+  it('should not store a result identical to the newest entry', async () => {
+    await recordGeneration('file', card, { code: 'same', mode: 'template' })
+    const entries = await recordGeneration('file', card, { code: 'same', mode: 'template' })
+
+    expect(entries).toHaveLength(1)
+  })
+
+  it('should cap the history at 30 entries', async () => {
+    for (let i = 0; i < 32; i++) {
+      await recordGeneration('file', card, { code: `v${i}`, mode: 'ai' })
+    }
+
+    const entries = await getGenerationHistory('file', card)
+    expect(entries).toHaveLength(30)
+    expect(entries[0].code).toBe('v31')
+    expect(entries[29].code).toBe('v2')
+  })
+
+  it('should delete one entry or the whole history', async () => {
+    await recordGeneration('file', card, { code: 'v1', mode: 'ai' })
+    const [latest] = await recordGeneration('file', card, { code: 'v2', mode: 'ai' })
+
+    const remaining = await deleteGenerationEntry('file', card, latest.id)
+    expect(remaining.map(entry => entry.code)).toEqual(['v1'])
+
+    await clearGenerationHistory('file', card)
+    expect(await getGenerationHistory('file', card)).toEqual([])
+  })
+
+  it('should key imported files by document name and root id', async () => {
+    const imported = { name: 'Marketing Site', document: { id: '0:0', type: 'DOCUMENT', children: [] }, metadata: { source: 'import' } }
+
+    expect(getHistoryFileKey('abc', imported)).toBe('abc')
+    expect(getHistoryFileKey('', imported)).toBe('import:Marketing Site:0:0')
+    expect(getHistoryFileKey('', null)).toBe('')
+
+    await recordGeneration(getHistoryFileKey('', imported), card, { code: 'v1', mode: 'template' })
+    const reimported = structuredClone(imported)
+    expect((await getGenerationHistory(getHistoryFileKey('', reimported), card)).map(entry => entry.code)).toEqual(['v1'])
+  })
+
+  it('should ignore generations without a file or target', async () => {
+    expect(await recordGeneration('', card, { code: 'v1', mode: 'ai' })).toEqual([])
+    expect(await recordGeneration('file', null, { code: 'v1', mode: 'ai' })).toEqual([])
+    expect(await getGenerationHistory('file', null)).toEqual([])
+  })
+})
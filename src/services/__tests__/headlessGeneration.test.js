@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../figmaApi.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getFigmaFile: vi.fn(),
+  getFigmaFileNodes: vi.fn(),
+}))
+
+import { getFigmaFile, getFigmaFileNodes } from '../figmaApi.js'
+import {
+  loadDesign,
+  generateComponents,
+  generatePage,
+  getExportedComponentName,
+  validateGenerationMode,
+} from '../headlessGeneration.js'
+
+const frame = (id, name, y = 0) => ({
+  id,
+  name,
+  type: 'FRAME',
+  absoluteBoundingBox: { x: 0, y, width: 400, height: 200 },
+  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+  children: [
+    {
+      id: `${id}-text`,
+      name: 'Heading',
+      type: 'TEXT',
+      characters: `${name} heading`,
+      absoluteBoundingBox: { x: 16, y: y + 16, width: 200, height: 24 },
+      style: { fontFamily: 'Inter', fontSize: 24, fontWeight: 700 },
+      fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+    },
+  ],
+})
+
+const design = {
+  name: 'Marketing Site',
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [
+      { id: '0:1', name: 'Desktop', type: 'CANVAS', children: [frame('1:1', 'Hero'), frame('1:2', 'Footer', 400)] },
+      { id: '0:2', name: 'Mobile', type: 'CANVAS', children: [frame('2:1', 'Mobile Hero')] },
+    ],
+  },
+}
+
+describe('headlessGeneration', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  it('should load the node selection or the whole file', async () => {
+    getFigmaFileNodes.mockResolvedValue('nodes')
+    getFigmaFile.mockResolvedValue('file')
+
+    expect(await loadDesign({ fileKey: 'Key', nodeIds: ['1:1'], accessToken: 'token', version: '7' })).toBe('nodes')
+    expect(getFigmaFileNodes).toHaveBeenCalledWith('Key', ['1:1'], 'token', { version: '7' })
+    expect(await loadDesign({ fileKey: 'Key', accessToken: 'token' })).toBe('file')
+    expect(getFigmaFile).toHaveBeenCalledWith('Key', 'token', { version: null })
+  })
+
+  it('should compile components in template mode and report missing nodes', async () => {
+    const onProgress = vi.fn()
+    const results = await generateComponents(design, ['1:1', '9:9'], { mode: 'template', onProgress })
+
+    expect(results[0]).toMatchObject({ id: '1:1', status: 'generated', componentName: 'Hero', fileName: 'Hero.jsx' })
+    expect(results[0].code).toContain('Hero heading')
+    expect(results[1]).toMatchObject({ id: '9:9', status: 'failed', error: 'Node 9:9 not found in the Figma file' })
+    expect(onProgress).toHaveBeenCalledWith('Generating Hero (1 of 2)...')
+  })
+
+  it('should compile every frame of the chosen page', async () => {
+    const page = await generatePage(design, { pageName: 'mobile', mode: 'template' })
+
+    expect(page).toMatchObject({ name: 'Mobile', componentName: 'MobilePage', fileName: 'MobilePage.jsx' })
+    expect(page.nodes.map(node => node.id)).toEqual(['2:1'])
+
+    const desktop = await generatePage(design, { mode: 'template' })
+    expect(desktop.code).toContain('Hero heading')
+    expect(desktop.code).toContain('Footer heading')
+    await expect(generatePage(design, { pageName: 'Tablet', mode: 'template' }))
+      .rejects.toThrow('Page "Tablet" not found. Pages in this file: Desktop, Mobile')
+  })
+
+  it('should name files after the exported component', () => {
+    expect(getExportedComponentName('const Card = () => null;\nexport default Card;', 'Other')).toBe('Card')
+    expect(getExportedComponentName('export default function PricingTable() {}', 'Other')).toBe('PricingTable')
+    expect(getExportedComponentName('no export', 'promo card')).toBe('PromoCard')
+    expect(() => validateGenerationMode('magic')).toThrow('Unknown mode "magic"')
+  })
+})
@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  LLM_PROVIDERS,
+  resolveProviderConfig,
+  listProviders,
+  callLLM,
+  streamLLM,
+  parseServerSentEvents,
+} from '../llmProviders.js'
+import { setConfigSource } from '../../utils/config.js'
+
+const jsonResponse = (data, init = {}) => ({
+  ok: init.ok ?? true,
+  status: init.status ?? 200,
+  statusText: init.statusText ?? 'OK',
+  json: async () => data,
+})
+
+const streamResponse = (chunks, failAfter = null) => {
+  const encoder = new TextEncoder()
+  let index = 0
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (failAfter !== null && index === failAfter) {
+            throw new Error('network connection lost')
+          }
+          if (index >= chunks.length) {
+            return { done: true, value: undefined }
+          }
+          return { done: false, value: encoder.encode(chunks[index++]) }
+        },
+      }),
+    },
+  }
+}
+
+describe('llmProviders', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn())
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  describe('resolveProviderConfig', () => {
+    it('should fall back to provider defaults', () => {
+      const config = resolveProviderConfig({ provider: 'local' })
+      expect(config.provider).toBe('local')
+      expect(config.model).toBe(LLM_PROVIDERS.local.defaultModel)
+      expect(config.baseUrl).toBe('http://localhost:11434/v1')
+    })
+
+    it('should prefer explicit options', () => {
+      const config = resolveProviderConfig({ provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test', baseUrl: 'http://proxy/v1' })
+      expect(config).toMatchObject({ model: 'gpt-4o', apiKey: 'sk-test', baseUrl: 'http://proxy/v1' })
+    })
+
+    it('should reject unknown providers', () => {
+      expect(() => resolveProviderConfig({ provider: 'nope' })).toThrow('Unknown LLM provider')
+    })
+  })
+
+  describe('key proxy', () => {
+    beforeEach(() => {
+      setConfigSource({ VITE_PROXY_URL: 'http://localhost:4200' })
+    })
+
+    afterEach(() => {
+      setConfigSource()
+    })
+
+    it('should send requests to the proxy without a key', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'code' }] } }],
+      }))
+
+      await callLLM('prompt', { provider: 'gemini', apiKey: 'ignored' })
+      const [url, request] = fetch.mock.calls[0]
+
+      expect(url).toBe('http://localhost:4200/llm/gemini/gemini-2.5-flash:generateContent')
+      expect(request.headers).not.toHaveProperty('x-goog-api-key')
+    })
+
+    it('should take configured providers from the proxy status', () => {
+      const providers = listProviders({ figma: true, providers: { gemini: true, openai: false, local: true } })
+      expect(providers.map(provider => provider.configured)).toEqual([true, false, true])
+    })
+  })
+
+  describe('listProviders', () => {
+    it('should describe every registered provider', () => {
+      const ids = listProviders().map(provider => provider.id)
+      expect(ids).toEqual(['gemini', 'openai', 'local'])
+    })
+  })
+
+  describe('callLLM', () => {
+    it('should send Gemini requests to the selected model', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'const A = () => null;' }] } }],
+      }))
+
+      const text = await callLLM('prompt', { provider: 'gemini', model: 'gemini-2.5-pro', apiKey: 'key' })
+
+      expect(text).toBe('const A = () => null;')
+      const [url, request] = fetch.mock.calls[0]
+      expect(url).toMatch(/\/gemini-2\.5-pro:generateContent$/)
+      expect(request.headers['x-goog-api-key']).toBe('key')
+    })
+
+    it('should send chat completion requests for OpenAI-compatible providers', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        choices: [{ message: { content: 'code' } }],
+      }))
+
+      const text = await callLLM('prompt', { provider: 'openai', apiKey: 'sk-test', temperature: 0.2, maxOutputTokens: 100 })
+      const [url, request] = fetch.mock.calls[0]
+      const body = JSON.parse(request.body)
+
+      expect(text).toBe('code')
+      expect(url).toBe('https://api.openai.com/v1/chat/completions')
+      expect(request.headers.Authorization).toBe('Bearer sk-test')
+      expect(body).toMatchObject({ model: 'gpt-4o-mini', temperature: 0.2, max_tokens: 100 })
+    })
+
+    it('should call local servers without an API key', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        choices: [{ message: { content: 'local code' } }],
+      }))
+
+      const text = await callLLM('prompt', { provider: 'local', baseUrl: 'http://localhost:8080/v1' })
+      const [url, request] = fetch.mock.calls[0]
+
+      expect(text).toBe('local code')
+      expect(url).toBe('http://localhost:8080/v1/chat/completions')
+      expect(request.headers.Authorization).toBeUndefined()
+    })
+
+    it('should require an API key for hosted providers', async () => {
+      await expect(callLLM('prompt', { provider: 'openai' })).rejects.toThrow('API key not found')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('should not retry invalid requests', async () => {
+      fetch.mockResolvedValue(jsonResponse({ error: { message: 'bad model' } }, { ok: false, status: 400 }))
+
+      await expect(callLLM('prompt', { provider: 'openai', apiKey: 'sk-test' })).rejects.toThrow('Invalid request: bad model')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry server errors with backoff', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({}, { ok: false, status: 503 }))
+        .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'ok' } }] }))
+
+      const text = await callLLM('prompt', { provider: 'local', baseDelay: 1 })
+
+      expect(text).toBe('ok')
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('parseServerSentEvents', () => {
+    it('should return complete events and keep the remainder', () => {
+      const { events, rest } = parseServerSentEvents('data: {"a":1}\n\ndata: {"b":2}\n\ndata: {"c"')
+      expect(events).toEqual(['{"a":1}', '{"b":2}'])
+      expect(rest).toBe('data: {"c"')
+    })
+  })
+
+  describe('streamLLM', () => {
+    it('should emit chunks progressively for chat completion streams', async () => {
+      fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"choices":[{"delta":{"content":"const "}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"A = 1;"}}]}\n\ndata: [DONE]\n\n',
+      ]))
+      const onChunk = vi.fn()
+
+      const text = await streamLLM('prompt', { provider: 'local', onChunk })
+
+      expect(text).toBe('const A = 1;')
+      expect(onChunk).toHaveBeenNthCalledWith(1, 'const ', 'const ')
+      expect(onChunk).toHaveBeenNthCalledWith(2, 'A = 1;', 'const A = 1;')
+      expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true)
+    })
+
+    it('should use the Gemini SSE endpoint', async () => {
+      fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"candidates":[{"content":{"parts":[{"text":"hello"}]}}]}\r\n\r\n',
+      ]))
+
+      const text = await streamLLM('prompt', { provider: 'gemini', apiKey: 'key', onChunk: vi.fn() })
+
+      expect(text).toBe('hello')
+      expect(fetch.mock.calls[0][0]).toMatch(/:streamGenerateContent\?alt=sse$/)
+    })
+
+    it('should attach partial output when the stream is interrupted', async () => {
+      fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"choices":[{"delta":{"content":"partial"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":" more"}}]}\n\n',
+      ], 1))
+
+      const error = await streamLLM('prompt', { provider: 'local', onChunk: vi.fn() }).catch(err => err)
+
+      expect(error.message).toBe('network connection lost')
+      expect(error.partialText).toBe('partial')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+})
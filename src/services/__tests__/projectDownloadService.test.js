@@ -201,6 +201,55 @@ ${sampleCode}
       expect(theme).toContain('components')
     })
 
+    it('should build the theme from imported Figma variables', async () => {
+      const themeTokens = {
+        collections: ['Colors'],
+        variableCount: 2,
+        modes: {
+          light: { palette: { primary: { main: '#ff0000' } }, spacing: 4 },
+          dark: { palette: { primary: { main: '#880000' } } },
+        },
+      }
+
+      await generateProjectDownload(sampleCode, 'TestComponent', false, { themeTokens })
+
+      const theme = mockZip.file.mock.calls.find(call => call[0] === 'src/theme/index.js')[1]
+      expect(theme).toContain('Design tokens imported from Figma variables (Colors)')
+      expect(theme).toContain('"main": "#ff0000"')
+      expect(theme).toContain('"main": "#880000"')
+      expect(theme).toContain("export const darkTheme = createAppTheme('dark')")
+      expect(theme).toContain('components')
+    })
+
+    it('should bundle image assets and rewrite their references', async () => {
+      const code = sampleCode.replace("sx={{ p: 2 }}", "sx={{ backgroundImage: 'url(/assets/abc123.png)' }}")
+      const data = new Uint8Array([1, 2, 3]).buffer
+      const assets = [{
+        kind: 'fill',
+        imageRef: 'abc123',
+        url: '/assets/abc123.png',
+        finalUrl: '/assets/abc123.jpg',
+        path: 'public/assets/abc123.jpg',
+        data,
+      }]
+
+      const result = await generateProjectDownload(code, 'TestComponent', false, { assets })
+
+      expect(result.assetCount).toBe(1)
+      expect(mockZip.file).toHaveBeenCalledWith('public/assets/abc123.jpg', data, { binary: true })
+      const component = mockZip.file.mock.calls.find(call => call[0] === 'src/components/TestComponent.jsx')[1]
+      expect(component).toContain("url(/assets/abc123.jpg)")
+    })
+
+    it('should write vector icon modules next to the component', async () => {
+      const icons = [{ componentName: 'CloseIcon', path: 'src/components/icons/CloseIcon.jsx', code: 'export default CloseIcon;' }]
+
+      const result = await generateProjectDownload(sampleCode, 'TestComponent', false, { icons })
+
+      expect(result.iconCount).toBe(1)
+      expect(mockZip.file).toHaveBeenCalledWith('src/components/icons/CloseIcon.jsx', 'export default CloseIcon;')
+    })
+
     it('should handle ZIP generation errors', async () => {
       mockZip.generateAsync.mockRejectedValueOnce(new Error('ZIP generation failed'))
 
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest'
+import { compileNodeToJsx, compilePageToJsx, toComponentName, formatSx } from '../templateGenerator.js'
+import { compilePreviewCode } from '../../utils/previewCompiler.js'
+
+const solid = (r, g, b, a = 1) => ({ type: 'SOLID', color: { r, g, b, a } })
+
+const card = {
+  id: '1:1',
+  name: 'Product card',
+  type: 'FRAME',
+  layoutMode: 'VERTICAL',
+  itemSpacing: 8,
+  paddingTop: 16,
+  paddingRight: 16,
+  paddingBottom: 16,
+  paddingLeft: 16,
+  cornerRadius: 12,
+  absoluteBoundingBox: { x: 100, y: 100, width: 320, height: 200 },
+  fills: [solid(1, 1, 1)],
+  strokes: [solid(0, 0, 0, 0.12)],
+  strokeWeight: 1,
+  effects: [{ type: 'DROP_SHADOW', offset: { x: 0, y: 2 }, radius: 8, color: { r: 0, g: 0, b: 0, a: 0.1 } }],
+  children: [
+    {
+      id: '1:2',
+      name: 'Title',
+      type: 'TEXT',
+      characters: 'Hello {world}',
+      layoutAlign: 'STRETCH',
+      textAutoResize: 'HEIGHT',
+      style: { fontFamily: 'Inter', fontSize: 20, fontWeight: 600, lineHeightPx: 28, textCase: 'UPPER' },
+      fills: [solid(0.1, 0.1, 0.1)],
+      absoluteBoundingBox: { x: 116, y: 116, width: 288, height: 28 },
+    },
+    {
+      id: '1:3',
+      name: 'Badge',
+      type: 'FRAME',
+      absoluteBoundingBox: { x: 116, y: 152, width: 100, height: 40 },
+      children: [
+        {
+          id: '1:4',
+          name: 'Dot',
+          type: 'ELLIPSE',
+          fills: [solid(1, 0, 0)],
+          absoluteBoundingBox: { x: 126, y: 162, width: 8, height: 8 },
+        },
+      ],
+    },
+    { id: '1:5', name: 'Hidden', type: 'TEXT', characters: 'secret', visible: false },
+  ],
+}
+
+const buttonSet = {
+  id: '2:1',
+  name: 'Button',
+  type: 'COMPONENT_SET',
+  componentPropertyDefinitions: {
+    Size: { type: 'VARIANT', defaultValue: 'Small', variantOptions: ['Small', 'Large'] },
+    'Label#2:0': { type: 'TEXT', defaultValue: 'Click me' },
+    'Show icon#2:1': { type: 'BOOLEAN', defaultValue: false },
+  },
+  children: ['Small', 'Large'].map((size, index) => ({
+    id: `2:${index + 2}`,
+    name: `Size=${size}`,
+    type: 'COMPONENT',
+    layoutMode: 'HORIZONTAL',
+    absoluteBoundingBox: { x: 0, y: index * 60, width: 80 + index * 40, height: 32 },
+    children: [
+      {
+        id: `3:${index}`,
+        name: 'Icon',
+        type: 'ELLIPSE',
+        componentPropertyReferences: { visible: 'Show icon#2:1' },
+        absoluteBoundingBox: { x: 0, y: 0, width: 16, height: 16 },
+      },
+      {
+        id: `4:${index}`,
+        name: 'Label',
+        type: 'TEXT',
+        characters: 'Click me',
+        componentPropertyReferences: { characters: 'Label#2:0' },
+        absoluteBoundingBox: { x: 0, y: 0, width: 50, height: 20 },
+      },
+    ],
+  })),
+}
+
+describe('templateGenerator', () => {
+  it('should produce identical output for the same input', () => {
+    expect(compileNodeToJsx(card)).toBe(compileNodeToJsx(structuredClone(card)))
+  })
+
+  it('should compile the full tree to nested MUI JSX', () => {
+    const code = compileNodeToJsx(card)
+
+    expect(code).toContain("import { Box, Typography } from '@mui/material';")
+    expect(code).toContain('const ProductCard = () => {')
+    expect(code).toContain("flexDirection: 'column'")
+    expect(code).toContain("gap: '8px'")
+    expect(code).toContain("padding: '16px'")
+    expect(code).toContain("border: '1px solid rgba(0, 0, 0, 0.12)'")
+    expect(code).toContain("boxShadow: '0px 2px 8px rgba(0, 0, 0, 0.1)'")
+    expect(code).toContain("textTransform: 'uppercase'")
+    expect(code).toContain('{"Hello {world}"}')
+    expect(code).not.toContain('secret')
+    expect(code).toContain('export default ProductCard;')
+  })
+
+  it('should position children of non auto-layout frames absolutely', () => {
+    const code = compileNodeToJsx(card)
+
+    expect(code).toContain("position: 'relative'")
+    expect(code).toMatch(/position: 'absolute',\s+left: '10px',\s+top: '10px',/)
+    expect(code).toContain("borderRadius: '50%'")
+  })
+
+  it('should render exportable layers as bundled images', () => {
+    const hero = {
+      ...card,
+      children: [{
+        id: '7:1',
+        name: 'Hero "art"',
+        type: 'GROUP',
+        exportSettings: [{ format: 'JPG', constraint: { type: 'SCALE', value: 2 } }],
+        absoluteBoundingBox: { x: 116, y: 116, width: 200, height: 100 },
+        children: [{ id: '7:2', name: 'Shape', type: 'RECTANGLE', fills: [solid(1, 0, 0)] }],
+      }],
+    }
+    const code = compileNodeToJsx(hero)
+
+    expect(code).toContain('<Box component="img" src="/assets/hero-art-7-1.jpg" alt={"Hero \\"art\\""}')
+    expect(code).not.toContain('Shape')
+    expect(compilePreviewCode(code).error).toBeNull()
+  })
+
+  it('should import vector layers as icon components', () => {
+    const icon = (id) => ({
+      id,
+      name: 'icon/close',
+      type: 'INSTANCE',
+      componentId: '8:0',
+      absoluteBoundingBox: { x: 116, y: 116, width: 24, height: 24 },
+      children: [{ id: `${id}-v`, name: 'Vector', type: 'VECTOR', fills: [solid(0, 0, 0)] }],
+    })
+    const code = compileNodeToJsx({ ...card, children: [icon('8:1'), icon('8:2')] })
+
+    expect(code).toContain("import CloseIcon from './icons/CloseIcon';")
+    expect(code.match(/import CloseIcon/g)).toHaveLength(1)
+    expect(code.match(/<CloseIcon sx=\{\{[^}]*width: '24px', height: '24px'[^}]*\}\} \/>/g)).toHaveLength(2)
+    expect(code).not.toContain('Vector')
+    expect(compilePreviewCode(code).error).toBeNull()
+  })
+
+  it('should compile variant sets into one component with props', () => {
+    const code = compileNodeToJsx(buttonSet)
+
+    expect(code).toContain("const Button = ({ size = 'small', label = 'Click me', showIcon = false }) => {")
+    expect(code).toContain("if (size === 'large') {")
+    expect(code).toContain('{showIcon && (')
+    expect(code).toContain('{label}')
+  })
+
+  it('should emit code the preview compiler accepts', () => {
+    expect(compilePreviewCode(compileNodeToJsx(card)).error).toBeNull()
+    expect(compilePreviewCode(compilePageToJsx([buttonSet, card])).error).toBeNull()
+  })
+
+  it('should stack page sections in reading order', () => {
+    const header = { ...card, id: '9:9', name: 'Header', absoluteBoundingBox: { x: 0, y: 0, width: 10, height: 10 } }
+    const code = compilePageToJsx([card, header, { ...card, id: '9:10' }])
+
+    expect(code).toMatch(/<Header \/>\n\s+<ProductCard \/>\n\s+<ProductCard2 \/>/)
+    expect(code).toContain('export default GeneratedPage;')
+  })
+
+  it('should format names and sx objects', () => {
+    expect(toComponentName('3 column grid')).toBe('Component3ColumnGrid')
+    expect(toComponentName('')).toBe('GeneratedComponent')
+    expect(toComponentName('Box')).toBe('BoxComponent')
+    expect(formatSx({})).toBeNull()
+    expect(formatSx({ p: 1, color: "it's" })).toBe("sx={{ p: 1, color: 'it\\'s' }}")
+  })
+})
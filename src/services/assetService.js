@@ -0,0 +1,109 @@
+import { getFigmaImages, getFigmaImageFills } from './figmaApi.js';
+import { collectImageAssets, getImageFillUrl, getExtensionForContentType } from '../utils/figmaAssets.js';
+
+// Downloads image fills and exportable layers so they can be bundled under
+// public/assets/ in the downloaded project. Individual failures are reported
+// back instead of failing the whole download.
+
+const MAX_EXPORT_BATCH = 50;
+const DOWNLOAD_CONCURRENCY = 4;
+
+const downloadBinary = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Asset download failed with status ${response.status}`);
+  }
+  return {
+    data: await response.arrayBuffer(),
+    contentType: response.headers.get('content-type') || '',
+  };
+};
+
+// Render exportable layers in batches that share format and scale
+const getExportUrls = async (exports, fileKey, accessToken) => {
+  const groups = new Map();
+  exports.forEach((asset) => {
+    const groupKey = `${asset.format}@${asset.scale}`;
+    groups.set(groupKey, [...(groups.get(groupKey) || []), asset]);
+  });
+
+  const urls = {};
+  for (const group of groups.values()) {
+    for (let index = 0; index < group.length; index += MAX_EXPORT_BATCH) {
+      const batch = group.slice(index, index + MAX_EXPORT_BATCH);
+      const result = await getFigmaImages(fileKey, batch.map(asset => asset.nodeId), accessToken, {
+        format: group[0].format,
+        scale: group[0].scale,
+        maxNodes: MAX_EXPORT_BATCH,
+      });
+      Object.assign(urls, result.images);
+    }
+  }
+
+  return urls;
+};
+
+// Download a single planned asset and work out its final file name
+const downloadAsset = async (asset, sourceUrl) => {
+  const { data, contentType } = await downloadBinary(sourceUrl);
+
+  // Image fills keep their original format, which is only known after download
+  const finalUrl = asset.kind === 'fill'
+    ? getImageFillUrl(asset.imageRef, getExtensionForContentType(contentType, asset.format))
+    : asset.url;
+
+  return {
+    ...asset,
+    finalUrl,
+    path: `public${finalUrl}`,
+    data,
+  };
+};
+
+// Resolve and download every image used by the given nodes
+export const resolveProjectAssets = async (nodes, { fileKey, accessToken } = {}) => {
+  const planned = collectImageAssets(nodes);
+
+  if (planned.length === 0) {
+    return { assets: [], failed: [] };
+  }
+  if (!fileKey || !accessToken) {
+    // Offline imports have no file key to render images with
+    return {
+      assets: [],
+      failed: planned.map(asset => ({ ...asset, reason: 'Images can only be downloaded for files loaded from Figma' })),
+    };
+  }
+
+  const fills = planned.filter(asset => asset.kind === 'fill');
+  const exports = planned.filter(asset => asset.kind === 'export');
+
+  const [fillUrls, exportUrls] = await Promise.all([
+    fills.length > 0 ? getFigmaImageFills(fileKey, accessToken) : {},
+    exports.length > 0 ? getExportUrls(exports, fileKey, accessToken) : {},
+  ]);
+
+  const assets = [];
+  const failed = [];
+
+  for (let index = 0; index < planned.length; index += DOWNLOAD_CONCURRENCY) {
+    const batch = planned.slice(index, index + DOWNLOAD_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map((asset) => {
+      const sourceUrl = asset.kind === 'fill' ? fillUrls[asset.imageRef] : exportUrls[asset.nodeId];
+      if (!sourceUrl) {
+        return Promise.reject(new Error('Figma did not return an image URL'));
+      }
+      return downloadAsset(asset, sourceUrl);
+    }));
+
+    results.forEach((result, resultIndex) => {
+      if (result.status === 'fulfilled') {
+        assets.push(result.value);
+      } else {
+        failed.push({ ...batch[resultIndex], reason: result.reason.message });
+      }
+    });
+  }
+
+  return { assets, failed };
+};
@@ -0,0 +1,192 @@
+import {
+  extractSimplifiedMetadata,
+  optimizeMetadataForTokens,
+  validateAndSanitizeComponent,
+  findNodeById,
+} from './figmaApi.js';
+import { generateVisuallyAccurateComponent, generateWithFallback } from './geminiApi.js';
+import { compileNodeToJsx } from './templateGenerator.js';
+import { STORES, isIndexedDbAvailable, idbGet, idbPut } from '../utils/indexedDb.js';
+import { diffLines, summarizeLineDiff } from '../utils/textDiff.js';
+import { logger } from '../utils/logger.js';
+
+// Change-driven regeneration. Every generated component is recorded in a snapshot of the
+// loaded file together with a signature of the metadata it was generated from. A sync
+// re-fetches the file and regenerates only the components whose signature changed.
+
+// Snapshots fall back to memory when IndexedDB is unavailable, so sync still works per session
+const memorySnapshots = new Map();
+
+// Same file and node selection share a snapshot across versions
+export const buildSnapshotKey = (fileKey, nodeIds = []) => {
+  const nodes = [...nodeIds].sort().join(',');
+  return nodes ? `${fileKey}#${nodes}` : fileKey;
+};
+
+export const getSyncSnapshot = async (fileKey, nodeIds = []) => {
+  const key = buildSnapshotKey(fileKey, nodeIds);
+  if (!isIndexedDbAvailable()) return memorySnapshots.get(key) || null;
+  return (await idbGet(STORES.SYNC_SNAPSHOTS, key)) || null;
+};
+
+const saveSyncSnapshot = async (snapshot) => {
+  if (!isIndexedDbAvailable()) {
+    memorySnapshots.set(snapshot.key, snapshot);
+    return;
+  }
+  await idbPut(STORES.SYNC_SNAPSHOTS, snapshot.key, snapshot);
+};
+
+const METADATA_OPTIONS = {
+  maxDepth: 2,
+  maxChildren: 3,
+  includeDetailedText: true,
+  includeEffects: true,
+  includeConstraints: false,
+  tokenBudget: 1000, // Conservative token budget
+};
+
+// Simplified, token-limited metadata the generators work from
+export const prepareComponentMetadata = (node) => {
+  const metadata = extractSimplifiedMetadata(node, METADATA_OPTIONS);
+
+  if (!metadata) {
+    throw new Error('Failed to extract component metadata');
+  }
+
+  const sanitizedMetadata = validateAndSanitizeComponent(optimizeMetadataForTokens(metadata, 800));
+  if (!sanitizedMetadata) {
+    throw new Error('Component metadata validation failed');
+  }
+
+  return sanitizedMetadata;
+};
+
+// Simplified metadata before token trimming, so radius, opacity and effects count as changes.
+// Canvas position does not affect the generated code, so moving a frame is not a change.
+export const getComponentSignature = (node) => JSON.stringify(
+  extractSimplifiedMetadata(node, METADATA_OPTIONS),
+  (key, value) => (key === 'x' || key === 'y' ? undefined : value)
+);
+
+// Remember generated code and the design it came from for the next sync
+export const recordGeneratedComponent = async (fileKey, nodeIds, { node, code, mode, version = null }) => {
+  if (!fileKey || !node?.id || !code) return null;
+
+  const existing = await getSyncSnapshot(fileKey, nodeIds);
+  const snapshot = {
+    key: buildSnapshotKey(fileKey, nodeIds),
+    fileKey,
+    nodeIds: [...nodeIds].sort(),
+    components: {},
+    ...existing,
+    version: version || existing?.version || null,
+    updatedAt: Date.now(),
+  };
+  snapshot.components = {
+    ...snapshot.components,
+    [node.id]: {
+      id: node.id,
+      name: node.name,
+      type: node.type,
+      mode,
+      signature: getComponentSignature(node),
+      code,
+      generatedAt: Date.now(),
+    },
+  };
+
+  await saveSyncSnapshot(snapshot);
+  return snapshot;
+};
+
+// Generate one component the way the main view does: visual prompt first, then fallbacks
+export const regenerateComponent = async (node, { mode = 'ai', llmSettings = {}, signal } = {}) => {
+  if (mode === 'template') {
+    return compileNodeToJsx(node);
+  }
+
+  const metadata = prepareComponentMetadata(node);
+  try {
+    return await generateVisuallyAccurateComponent(metadata, {
+      useTemplate: false,
+      maxTokens: 4000,
+      temperature: 0.5,
+      ...llmSettings,
+      signal,
+    });
+  } catch (error) {
+    if (error.partialText || signal?.aborted) throw error;
+    logger.info('Visual similarity generation failed during sync, using fallback:', error.message);
+    return generateWithFallback(metadata, [], { ...llmSettings, signal });
+  }
+};
+
+// Compare recorded components against a freshly fetched document
+export const planComponentSync = (snapshot, document) => {
+  const plan = { changed: [], unchanged: [], removed: [] };
+
+  Object.values(snapshot?.components || {}).forEach((entry) => {
+    const node = findNodeById(document, entry.id);
+    if (!node) {
+      plan.removed.push({ entry });
+      return;
+    }
+
+    const signature = getComponentSignature(node);
+    if (signature === entry.signature) {
+      plan.unchanged.push({ entry, node });
+    } else {
+      plan.changed.push({ entry, node, signature });
+    }
+  });
+
+  return plan;
+};
+
+// Regenerate the changed components one at a time and diff old against new code.
+// Failed components keep their recorded code so the next sync retries them.
+export const syncGeneratedComponents = async (snapshot, document, options = {}) => {
+  const { llmSettings = {}, version = null, signal, onProgress } = options;
+
+  const plan = planComponentSync(snapshot, document);
+  const results = [
+    ...plan.removed.map(({ entry }) => ({ id: entry.id, name: entry.name, mode: entry.mode, status: 'removed', before: entry.code })),
+    ...plan.unchanged.map(({ entry }) => ({ id: entry.id, name: entry.name, mode: entry.mode, status: 'unchanged', before: entry.code })),
+  ];
+  const components = { ...snapshot.components };
+
+  for (const [index, { entry, node, signature }] of plan.changed.entries()) {
+    onProgress?.(`Regenerating ${node.name} (${index + 1} of ${plan.changed.length})...`, Math.round((index / plan.changed.length) * 100));
+
+    try {
+      const code = await regenerateComponent(node, { mode: entry.mode, llmSettings, signal });
+      const diff = diffLines(entry.code, code);
+      results.push({
+        id: entry.id,
+        name: node.name,
+        mode: entry.mode,
+        status: 'regenerated',
+        before: entry.code,
+        after: code,
+        diff,
+        stats: summarizeLineDiff(diff),
+      });
+      components[entry.id] = { ...entry, name: node.name, type: node.type, signature, code, generatedAt: Date.now() };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      results.push({ id: entry.id, name: node.name, mode: entry.mode, status: 'failed', before: entry.code, error: error.message });
+    }
+  }
+
+  const updatedSnapshot = { ...snapshot, components, version: version || snapshot.version, updatedAt: Date.now() };
+  await saveSyncSnapshot(updatedSnapshot);
+
+  return {
+    version: updatedSnapshot.version,
+    results,
+    regenerated: results.filter(result => result.status === 'regenerated').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    snapshot: updatedSnapshot,
+  };
+};
@@ -1,7 +1,16 @@
 import axios from 'axios';
 import { AppError, logError, withRetry } from '../utils/errorHandler.js';
+import { extractComponentProps, summarizeVariants } from '../utils/componentProps.js';
+import { translateAutoLayout } from '../utils/autoLayout.js';
+import { collectImageAssets } from '../utils/figmaAssets.js';
+import { collectVectorIcons } from '../utils/svgIcons.js';
+import { getProxyUrl, isProxyEnabled } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
 
 const FIGMA_API_BASE_URL = 'https://api.figma.com/v1';
+const MAX_CHILD_LAYOUTS = 8; // Direct children whose flex CSS is kept for prompts
+const MAX_IMAGE_ASSETS = 12; // Image fills and exportable layers listed per component
+const MAX_VECTOR_ICONS = 12; // Icon components listed per component
 
 // Create axios instance for Figma API with enhanced configuration
 const figmaApi = axios.create({
@@ -11,12 +20,46 @@ const figmaApi = axios.create({
   retryDelay: 1000, // Initial retry delay in ms
 });
 
+// Stands in for a personal access token when the key proxy holds the Figma token.
+// It passes the token checks in the UI and services and is dropped before the request is sent.
+export const PROXY_ACCESS_TOKEN = 'figma-key-proxy';
+
+// OAuth sessions replace the personal access token with a bearer token
+let authProvider = null;
+
+export const setFigmaAuthProvider = (provider) => {
+  authProvider = provider;
+};
+
+figmaApi.interceptors.request.use(async (config) => {
+  // The proxy forwards /figma/* to the REST API and adds its own token when none is sent
+  if (isProxyEnabled()) {
+    config.baseURL = `${getProxyUrl()}/figma`;
+    if (config.headers['X-Figma-Token'] === PROXY_ACCESS_TOKEN) {
+      delete config.headers['X-Figma-Token'];
+    }
+  }
+  if (authProvider) {
+    const token = await authProvider.getAccessToken();
+    delete config.headers['X-Figma-Token'];
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
 // Add request interceptor for retry logic
 figmaApi.interceptors.response.use(
   (response) => response,
   async (error) => {
     const config = error.config;
     
+    // An expired or revoked bearer token is refreshed once before giving up
+    if (authProvider && config && !config.__authRetried && authProvider.shouldRefresh(error)) {
+      config.__authRetried = true;
+      await authProvider.refresh();
+      return figmaApi(config);
+    }
+    
     // If we haven't set up retry config, initialize it
     if (!config.__retryCount) {
       config.__retryCount = 0;
@@ -36,7 +79,7 @@ figmaApi.interceptors.response.use(
       // Calculate exponential backoff delay
       const delay = (config.retryDelay || 1000) * Math.pow(2, config.__retryCount - 1);
       
-      console.log(`Retrying Figma API request (attempt ${config.__retryCount}/${config.retry || 3}) after ${delay}ms delay`);
+      logger.info(`Retrying Figma API request (attempt ${config.__retryCount}/${config.retry || 3}) after ${delay}ms delay`);
       
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -96,11 +139,6 @@ export const getFigmaFile = async (fileKey, accessToken, options = {}) => {
     validateFileKey(fileKey);
     validateAccessToken(accessToken);
     
-    updateProgress('Validating Figma credentials...', 10);
-    
-    // Test connection first with a simple request
-    await testFigmaConnection(fileKey, accessToken);
-    
     updateProgress('Fetching Figma file data...', 30);
     
     const response = await figmaApi.get(`/files/${fileKey}`, {
@@ -112,6 +150,7 @@ export const getFigmaFile = async (fileKey, accessToken, options = {}) => {
         geometry: options.includeGeometry ? 'paths' : undefined,
         plugin_data: options.includePluginData ? '*' : undefined,
         branch_data: options.includeBranchData ? 'true' : undefined,
+        version: options.version || undefined,
       },
     });
     
@@ -143,44 +182,384 @@ export const getFigmaFile = async (fileKey, accessToken, options = {}) => {
     return enhancedData;
     
   } catch (error) {
-    console.error('Error fetching Figma file:', error);
+    logger.error('Error fetching Figma file:', error.message);
+    throw createFileRequestError(error);
+  }
+};
+
+// Map Figma file request failures to user-facing errors
+const REQUEST_RESOURCES = {
+  file: { label: 'file', id: 'file key' },
+  team: { label: 'team', id: 'team id' },
+  project: { label: 'project', id: 'project id' },
+};
+
+const createFileRequestError = (error, resource = 'file') => {
+  const { label, id } = REQUEST_RESOURCES[resource] || REQUEST_RESOURCES.file;
+  
+  if (error.response?.status === 401) {
+    return new Error('Invalid Figma access token. Please check your token and try again.');
+  } else if (error.response?.status === 403) {
+    return new Error(`Access denied. You may not have permission to access this Figma ${label}.`);
+  } else if (error.response?.status === 404) {
+    return new Error(`Figma ${label} not found. Please check the ${id} and try again.`);
+  } else if (error.response?.status === 429) {
+    return new Error('Rate limit exceeded. Please wait a moment and try again.');
+  } else if (error.code === 'ECONNABORTED') {
+    return new Error('Request timeout. The Figma file may be too large or the connection is slow.');
+  } else if (error.code === 'NETWORK_ERROR') {
+    return new Error('Network error. Please check your internet connection and try again.');
+  }
+  
+  return new Error(`Failed to fetch Figma ${label}: ${error.response?.data?.message || error.message}`);
+};
+
+// Wrap the subtrees returned by the nodes endpoint in a document with a single page,
+// so they can be processed exactly like a full file
+export const buildDocumentFromNodes = (nodesData, nodeIds = []) => {
+  const entries = nodeIds.length > 0
+    ? nodeIds.map(id => [id, nodesData.nodes?.[id]])
+    : Object.entries(nodesData.nodes || {});
+
+  const missingNodes = entries.filter(([, entry]) => !entry?.document).map(([id]) => id);
+  const documents = entries.filter(([, entry]) => entry?.document).map(([, entry]) => entry.document);
+
+  const mergeEntries = (key) => Object.assign(
+    {},
+    ...entries.filter(([, entry]) => entry?.[key]).map(([, entry]) => entry[key])
+  );
+
+  return {
+    document: {
+      id: '0:0',
+      name: 'Document',
+      type: 'DOCUMENT',
+      children: [
+        {
+          id: '0:1',
+          name: documents.length === 1 ? documents[0].name : 'Selected nodes',
+          type: 'CANVAS',
+          children: documents,
+        },
+      ],
+    },
+    components: mergeEntries('components'),
+    componentSets: mergeEntries('componentSets'),
+    styles: mergeEntries('styles'),
+    missingNodes,
+  };
+};
+
+// Fetch only the given nodes and their subtrees instead of the whole document
+export const getFigmaFileNodes = async (fileKey, nodeIds, accessToken, options = {}) => {
+  try {
+    // Validate inputs
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
     
-    // Provide more specific error messages
-    if (error.response?.status === 401) {
-      throw new Error('Invalid Figma access token. Please check your token and try again.');
-    } else if (error.response?.status === 403) {
-      throw new Error('Access denied. You may not have permission to access this Figma file.');
-    } else if (error.response?.status === 404) {
-      throw new Error('Figma file not found. Please check the file key and try again.');
-    } else if (error.response?.status === 429) {
-      throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-    } else if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout. The Figma file may be too large or the connection is slow.');
-    } else if (error.code === 'NETWORK_ERROR') {
-      throw new Error('Network error. Please check your internet connection and try again.');
+    if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
+      throw new Error('Node IDs are required and must be a non-empty array');
+    }
+    
+    updateProgress(`Fetching ${nodeIds.length} node${nodeIds.length > 1 ? 's' : ''} from Figma...`, 30);
+    
+    const response = await figmaApi.get(`/files/${fileKey}/nodes`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+      params: {
+        ids: nodeIds.join(','),
+        depth: options.depth,
+        geometry: options.includeGeometry ? 'paths' : undefined,
+        plugin_data: options.includePluginData ? '*' : undefined,
+        version: options.version || undefined,
+      },
+    });
+    
+    updateProgress('Processing node data...', 70);
+    
+    if (!response.data || !response.data.nodes) {
+      throw new Error('Invalid response from Figma API - missing nodes data');
+    }
+    
+    const { missingNodes, ...documentData } = buildDocumentFromNodes(response.data, nodeIds);
+    
+    if (missingNodes.length === nodeIds.length) {
+      throw new Error(`Node${nodeIds.length > 1 ? 's' : ''} ${nodeIds.join(', ')} not found in the Figma file.`);
     }
     
-    throw new Error(`Failed to fetch Figma file: ${error.response?.data?.message || error.message}`);
+    if (missingNodes.length > 0) {
+      logger.warn(`Nodes not found in file: ${missingNodes.join(', ')}`);
+    }
+    
+    const enhancedData = {
+      name: response.data.name,
+      lastModified: response.data.lastModified,
+      thumbnailUrl: response.data.thumbnailUrl,
+      version: response.data.version,
+      role: response.data.role,
+      editorType: response.data.editorType,
+      ...documentData,
+      metadata: {
+        fetchedAt: new Date().toISOString(),
+        fileKey,
+        nodeIds,
+        missingNodes,
+        version: response.data.version,
+        lastModified: response.data.lastModified,
+        thumbnailUrl: response.data.thumbnailUrl,
+        name: response.data.name,
+        role: response.data.role,
+        editorType: response.data.editorType,
+      }
+    };
+    
+    updateProgress('Node data loaded successfully', 100);
+    
+    return enhancedData;
+    
+  } catch (error) {
+    logger.error('Error fetching Figma nodes:', error.message);
+    
+    if (!error.response && !error.code) {
+      throw error;
+    }
+    throw createFileRequestError(error);
   }
 };
 
-// Test Figma API connection
-const testFigmaConnection = async (fileKey, accessToken) => {
+// Load a saved Figma REST response (a /files/:key or /files/:key/nodes payload)
+// without touching the network, returning the same shape as getFigmaFile
+export const parseFigmaFileJson = (json, options = {}) => {
+  let data;
   try {
-    // Make a lightweight request to test the connection
-    await figmaApi.get(`/files/${fileKey}`, {
+    data = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error(`Invalid JSON file: ${error.message}`);
+  }
+  
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid Figma export - expected a JSON object');
+  }
+  
+  updateProgress('Reading exported Figma data...', 30);
+  
+  let fileData;
+  if (data.document) {
+    if (data.document.type !== 'DOCUMENT' || !Array.isArray(data.document.children)) {
+      throw new Error('Invalid Figma export - document must be a DOCUMENT node with pages');
+    }
+    fileData = data;
+  } else if (data.nodes && typeof data.nodes === 'object') {
+    const { missingNodes, ...documentData } = buildDocumentFromNodes(data);
+    if (documentData.document.children[0].children.length === 0) {
+      throw new Error('Invalid Figma export - the nodes payload does not contain any documents');
+    }
+    fileData = { ...data, nodes: undefined, ...documentData, missingNodes };
+  } else {
+    throw new Error('Invalid Figma export - expected the response of GET /v1/files/:key or /v1/files/:key/nodes');
+  }
+  
+  updateProgress('Exported file loaded successfully', 100);
+  
+  return {
+    ...fileData,
+    metadata: {
+      fetchedAt: new Date().toISOString(),
+      source: 'import',
+      importedFrom: options.fileName || null,
+      fileKey: options.fileKey || null,
+      version: fileData.version,
+      lastModified: fileData.lastModified,
+      thumbnailUrl: fileData.thumbnailUrl,
+      name: fileData.name,
+      role: fileData.role,
+      editorType: fileData.editorType,
+    }
+  };
+};
+
+// Cheap freshness check: depth=1 returns the file's version and lastModified
+// without the document tree, so cached payloads can be reused safely.
+export const getFigmaFileVersion = async (fileKey, accessToken) => {
+  try {
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/files/${fileKey}`, {
       headers: {
         'X-Figma-Token': accessToken,
       },
       params: {
-        // Only fetch minimal data for connection test
         depth: 1,
-        geometry: 'paths',
       },
     });
+    
+    if (!response.data?.version) {
+      throw new Error('Invalid response from Figma API - missing version data');
+    }
+    
+    return {
+      name: response.data.name,
+      version: response.data.version,
+      lastModified: response.data.lastModified,
+      thumbnailUrl: response.data.thumbnailUrl,
+    };
+    
+  } catch (error) {
+    logger.error('Error checking Figma file version:', error.message);
+    throw createFileRequestError(error);
+  }
+};
+
+// List the saved versions of a file, newest first. Autosaves have no label.
+export const getFigmaFileVersions = async (fileKey, accessToken) => {
+  try {
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/files/${fileKey}/versions`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!Array.isArray(response.data?.versions)) {
+      throw new Error('Invalid response from Figma API - missing versions data');
+    }
+    
+    return response.data.versions.map(version => ({
+      id: String(version.id),
+      createdAt: version.created_at,
+      label: version.label || '',
+      description: version.description || '',
+      author: version.user?.handle || 'Unknown',
+    }));
+    
+  } catch (error) {
+    logger.error('Error fetching Figma file versions:', error.message);
+    throw createFileRequestError(error);
+  }
+};
+
+// List the projects of a team. Team ids come from figma.com/files/team/:teamId URLs.
+export const getFigmaTeamProjects = async (teamId, accessToken) => {
+  try {
+    if (!teamId || !/^\d+$/.test(String(teamId))) {
+      throw new Error('Team id must be the number from a figma.com/files/team/:id URL');
+    }
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/teams/${teamId}/projects`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!Array.isArray(response.data?.projects)) {
+      throw new Error('Invalid response from Figma API - missing projects data');
+    }
+    
+    return {
+      name: response.data.name,
+      projects: response.data.projects.map(project => ({
+        id: String(project.id),
+        name: project.name,
+      })),
+    };
+    
+  } catch (error) {
+    logger.error('Error fetching Figma team projects:', error.message);
+    throw createFileRequestError(error, 'team');
+  }
+};
+
+// List the files of a project with their thumbnails and last modified dates
+export const getFigmaProjectFiles = async (projectId, accessToken) => {
+  try {
+    if (!projectId) {
+      throw new Error('Project id is required');
+    }
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/projects/${projectId}/files`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!Array.isArray(response.data?.files)) {
+      throw new Error('Invalid response from Figma API - missing files data');
+    }
+    
+    return {
+      name: response.data.name,
+      files: response.data.files.map(file => ({
+        key: file.key,
+        name: file.name,
+        thumbnailUrl: file.thumbnail_url || null,
+        lastModified: file.last_modified || null,
+      })),
+    };
+    
+  } catch (error) {
+    logger.error('Error fetching Figma project files:', error.message);
+    throw createFileRequestError(error, 'project');
+  }
+};
+
+// Fetch the comments left on a file, including replies and resolved threads
+export const getFigmaComments = async (fileKey, accessToken) => {
+  try {
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/files/${fileKey}/comments`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!Array.isArray(response.data?.comments)) {
+      throw new Error('Invalid response from Figma API - missing comments data');
+    }
+    
+    return response.data.comments;
+    
   } catch (error) {
-    // Re-throw with connection-specific context
-    throw new Error(`Connection test failed: ${error.message}`);
+    logger.error('Error fetching Figma comments:', error.message);
+    throw createFileRequestError(error);
+  }
+};
+
+// Fetch local variables and variable collections (design tokens) for a file.
+// The endpoint needs the file_variables:read scope and is only available on
+// Enterprise plans, so callers should treat failures as "no variables".
+export const getFigmaLocalVariables = async (fileKey, accessToken) => {
+  try {
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/files/${fileKey}/variables/local`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!response.data?.meta) {
+      throw new Error('Invalid response from Figma API - missing variables data');
+    }
+    
+    return response.data.meta;
+    
+  } catch (error) {
+    logger.error('Error fetching Figma variables:', error.message);
+    
+    if (error.response?.status === 403) {
+      throw new Error('Figma variables are not available for this file or token (requires the file_variables:read scope).');
+    }
+    
+    throw new Error(`Failed to fetch Figma variables: ${error.response?.data?.message || error.message}`);
   }
 };
 
@@ -200,7 +579,7 @@ export const getFigmaImages = async (fileKey, nodeIds, accessToken, options = {}
     const limitedNodeIds = nodeIds.slice(0, maxNodes);
     
     if (nodeIds.length > maxNodes) {
-      console.warn(`Limited image request to ${maxNodes} nodes (requested ${nodeIds.length})`);
+      logger.warn(`Limited image request to ${maxNodes} nodes (requested ${nodeIds.length})`);
     }
     
     updateProgress(`Fetching images for ${limitedNodeIds.length} components...`, 20);
@@ -232,7 +611,7 @@ export const getFigmaImages = async (fileKey, nodeIds, accessToken, options = {}
       .map(([nodeId]) => nodeId);
     
     if (failedImages.length > 0) {
-      console.warn(`Failed to generate images for nodes: ${failedImages.join(', ')}`);
+      logger.warn(`Failed to generate images for nodes: ${failedImages.join(', ')}`);
     }
     
     return {
@@ -247,7 +626,7 @@ export const getFigmaImages = async (fileKey, nodeIds, accessToken, options = {}
     };
     
   } catch (error) {
-    console.error('Error fetching Figma images:', error);
+    logger.error('Error fetching Figma images:', error.message);
     
     // Provide more specific error messages
     if (error.response?.status === 400) {
@@ -264,10 +643,35 @@ export const getFigmaImages = async (fileKey, nodeIds, accessToken, options = {}
   }
 };
 
+// Resolve image fill references (imageRef) to download URLs. The URLs expire
+// after 14 days, so they are fetched when a project is bundled.
+export const getFigmaImageFills = async (fileKey, accessToken) => {
+  try {
+    validateFileKey(fileKey);
+    validateAccessToken(accessToken);
+    
+    const response = await figmaApi.get(`/files/${fileKey}/images`, {
+      headers: {
+        'X-Figma-Token': accessToken,
+      },
+    });
+    
+    if (!response.data?.meta?.images) {
+      throw new Error('Invalid response from Figma API - missing image fill data');
+    }
+    
+    return response.data.meta.images;
+    
+  } catch (error) {
+    logger.error('Error fetching Figma image fills:', error.message);
+    throw createFileRequestError(error);
+  }
+};
+
 // Extract component metadata from Figma node
 export const extractComponentMetadata = (node) => {
   if (!node) {
-    console.warn('extractComponentMetadata called with null/undefined node');
+    logger.warn('extractComponentMetadata called with null/undefined node');
     return null;
   }
 
@@ -436,7 +840,7 @@ const extractTextContent = (node) => {
 // Enhanced simplified metadata extraction with intelligent token optimization
 export const extractSimplifiedMetadata = (node, options = {}) => {
   if (!node) {
-    console.warn('extractSimplifiedMetadata called with null/undefined node');
+    logger.warn('extractSimplifiedMetadata called with null/undefined node');
     return null;
   }
   
@@ -445,7 +849,7 @@ export const extractSimplifiedMetadata = (node, options = {}) => {
   const finalHeight = node.absoluteBoundingBox?.height || node.size?.y || node.height || 0;
   
   if (finalWidth === 0 || finalHeight === 0) {
-    console.warn(`Component ${node.name || 'unnamed'} (${node.type}) has zero dimensions:`, {
+    logger.warn(`Component ${node.name || 'unnamed'} (${node.type}) has zero dimensions:`, {
       finalWidth,
       finalHeight,
       absoluteBoundingBox: node.absoluteBoundingBox,
@@ -454,7 +858,7 @@ export const extractSimplifiedMetadata = (node, options = {}) => {
       height: node.height,
     });
   } else {
-    console.log(`Component ${node.name || 'unnamed'} (${node.type}) dimensions: ${finalWidth}×${finalHeight}`);
+    logger.info(`Component ${node.name || 'unnamed'} (${node.type}) dimensions: ${finalWidth}×${finalHeight}`);
   }
 
   const {
@@ -546,6 +950,7 @@ export const extractSimplifiedMetadata = (node, options = {}) => {
         .slice(0, maxChildren)
         .map(child => extractSimplifiedMetadata(child, {
           ...options,
+          parentNode: node,
           maxDepth: maxDepth - 1,
           tokenBudget: Math.floor(tokenBudget / 4), // Reduce budget for children
         }))
@@ -558,12 +963,54 @@ export const extractSimplifiedMetadata = (node, options = {}) => {
     // Component-specific properties
     ...(node.componentId && { componentId: node.componentId }),
     ...(node.mainComponent && { isInstance: true }),
+    ...getComponentPropsMetadata(node),
+    ...getAutoLayoutMetadata(node, options.parentNode),
+    
+    // Images bundled under public/assets/ and icon components (listed once, on the top-level component)
+    ...(!options.parentNode && {
+      imageAssets: node.imageAssets || collectImageAssets(node).slice(0, MAX_IMAGE_ASSETS),
+      vectorIcons: node.vectorIcons || collectVectorIcons(node).slice(0, MAX_VECTOR_ICONS),
+    }),
   };
 
   // Remove undefined values to save tokens
   return cleanMetadata(metadata);
 };
 
+// Auto-layout properties plus the exact flex CSS they translate to
+const getAutoLayoutMetadata = (node, parentNode = null) => {
+  const childLayouts = node.childLayouts || (Array.isArray(node.children)
+    ? node.children
+      .filter(child => child.visible !== false)
+      .slice(0, MAX_CHILD_LAYOUTS)
+      .map(child => ({ name: child.name, type: child.type, css: translateAutoLayout(child, node) }))
+    : []);
+
+  return {
+    layoutWrap: node.layoutWrap,
+    counterAxisSpacing: node.counterAxisSpacing,
+    layoutSizingHorizontal: node.layoutSizingHorizontal,
+    layoutSizingVertical: node.layoutSizingVertical,
+    layoutPositioning: node.layoutPositioning,
+    layoutGrow: node.layoutGrow,
+    layoutAlign: node.layoutAlign,
+    layoutCss: node.layoutCss || translateAutoLayout(node, parentNode),
+    childLayouts,
+  };
+};
+
+// Variant sets and component properties become React props with defaults
+const getComponentPropsMetadata = (node) => {
+  const componentProps = node.componentProps || extractComponentProps(node);
+  if (componentProps.length === 0) return {};
+  
+  const variants = node.variants || summarizeVariants(node, componentProps);
+  return {
+    componentProps,
+    ...(variants.length > 0 && { variants }),
+  };
+};
+
 // Detect semantic type of component for better optimization
 const detectComponentSemanticType = (node) => {
   const name = node.name.toLowerCase();
@@ -878,7 +1325,7 @@ export const findAllComponents = (nodes, options = {}) => {
   const {
     maxComponents = 50, // Limit total components to prevent memory issues
     maxDepth = 3, // Limit recursion depth
-    includeTypes = ['COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'], // Only include essential types
+    includeTypes = ['COMPONENT_SET', 'COMPONENT', 'INSTANCE', 'FRAME', 'TEXT'], // Only include essential types
     excludeTypes = ['SLICE', 'VECTOR', 'BOOLEAN_OPERATION', 'LINE', 'REGULAR_POLYGON', 'STAR'], // Exclude complex types
     minSize = 20, // Minimum component size to include (filter out tiny elements)
     maxSize = 2000, // Maximum component size to include (filter out huge elements)
@@ -887,7 +1334,7 @@ export const findAllComponents = (nodes, options = {}) => {
   const components = [];
   let componentCount = 0;
 
-  const traverse = (nodeList, depth = 0) => {
+  const traverse = (nodeList, depth = 0, parentSet = null) => {
     if (!Array.isArray(nodeList) || depth > maxDepth || componentCount >= maxComponents) return;
 
     for (const node of nodeList) {
@@ -908,9 +1355,20 @@ export const findAllComponents = (nodes, options = {}) => {
         height <= maxSize;
 
       if (shouldInclude) {
+        // Resolve variant props while the variant children are still attached
+        const componentProps = extractComponentProps(node, parentSet);
+        
         // Use simplified metadata to reduce memory usage
         const simplifiedNode = {
           ...node,
+          ...(componentProps.length > 0 && {
+            componentProps,
+            variants: summarizeVariants(node, componentProps),
+          }),
+          // Translate auto layout and find images while the children are still attached
+          ...getAutoLayoutMetadata(node),
+          imageAssets: collectImageAssets(node).slice(0, MAX_IMAGE_ASSETS),
+          vectorIcons: collectVectorIcons(node).slice(0, MAX_VECTOR_ICONS),
           children: undefined // Don't include children in the main list to save memory
         };
         components.push(simplifiedNode);
@@ -919,7 +1377,7 @@ export const findAllComponents = (nodes, options = {}) => {
       
       // Continue traversing children if we haven't hit limits
       if (node.children && depth < maxDepth && componentCount < maxComponents) {
-        traverse(node.children, depth + 1);
+        traverse(node.children, depth + 1, node.type === 'COMPONENT_SET' ? node : null);
       }
     }
   };
@@ -928,6 +1386,22 @@ export const findAllComponents = (nodes, options = {}) => {
   return components;
 };
 
+// Find a node anywhere in the document tree, with its children intact
+export const findNodeById = (root, nodeId) => {
+  if (!root || !nodeId) return null;
+  
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.id === nodeId) return node;
+    if (Array.isArray(node.children)) {
+      stack.push(...node.children);
+    }
+  }
+  
+  return null;
+};
+
 // New function to get components with pagination
 export const getComponentsWithPagination = (nodes, page = 0, pageSize = 20, options = {}) => {
   const allComponents = findAllComponents(nodes, options);
@@ -1219,7 +1693,7 @@ export const optimizeMetadataForTokens = (metadata, maxTokens = 1000) => {
     return metadata;
   }
   
-  console.log(`Optimizing metadata: ${currentTokens} tokens -> target: ${maxTokens} tokens`);
+  logger.info(`Optimizing metadata: ${currentTokens} tokens -> target: ${maxTokens} tokens`);
   
   // Create a copy to modify
   let optimized = { ...metadata };
@@ -1291,7 +1765,7 @@ export const optimizeMetadataForTokens = (metadata, maxTokens = 1000) => {
     }
   }
   
-  console.log(`Optimization complete: ${currentTokens} tokens (${Math.round((currentTokens / maxTokens) * 100)}% of limit)`);
+  logger.info(`Optimization complete: ${currentTokens} tokens (${Math.round((currentTokens / maxTokens) * 100)}% of limit)`);
   
   return optimized;
 };
@@ -1339,6 +1813,31 @@ export const validateAndSanitizeComponent = (component) => {
     sanitized.layoutMode = component.layoutMode;
     sanitized.primaryAxisAlignItems = component.primaryAxisAlignItems;
     sanitized.counterAxisAlignItems = component.counterAxisAlignItems;
+    sanitized.layoutWrap = component.layoutWrap;
+    sanitized.itemSpacing = component.itemSpacing;
+    sanitized.counterAxisSpacing = component.counterAxisSpacing;
+  }
+  
+  // Preserve the translated flex CSS so prompts and previews keep the layout
+  if (component.layoutCss && typeof component.layoutCss === 'object') {
+    sanitized.layoutCss = component.layoutCss;
+  }
+  if (Array.isArray(component.childLayouts) && component.childLayouts.length > 0) {
+    sanitized.childLayouts = component.childLayouts.slice(0, MAX_CHILD_LAYOUTS);
+  }
+  if (Array.isArray(component.imageAssets) && component.imageAssets.length > 0) {
+    sanitized.imageAssets = component.imageAssets.slice(0, MAX_IMAGE_ASSETS);
+  }
+  if (Array.isArray(component.vectorIcons) && component.vectorIcons.length > 0) {
+    sanitized.vectorIcons = component.vectorIcons.slice(0, MAX_VECTOR_ICONS);
+  }
+  
+  // Preserve props derived from variants and component properties
+  if (Array.isArray(component.componentProps) && component.componentProps.length > 0) {
+    sanitized.componentProps = component.componentProps.slice(0, 20);
+    if (Array.isArray(component.variants)) {
+      sanitized.variants = component.variants;
+    }
   }
   
   // Sanitize children (limit depth and count)
@@ -0,0 +1,242 @@
+import axios from 'axios';
+import { getConfigValue, getProxyUrl } from '../utils/config.js';
+
+// OAuth2 authorization code flow with PKCE for signing in with Figma instead of
+// pasting a personal access token. Tokens live in sessionStorage, so they are
+// never baked into the bundle and disappear when the tab is closed. Figma requires the
+// client secret to exchange and refresh tokens, so both go through the key proxy's
+// /oauth/token route, which adds FIGMA_OAUTH_CLIENT_SECRET on the server.
+
+const FIGMA_AUTHORIZE_URL = 'https://www.figma.com/oauth';
+
+// Read access to files, versions, comments and projects
+const DEFAULT_SCOPE = 'file_content:read file_metadata:read file_versions:read file_comments:read projects:read';
+
+const PROXY_REQUIRED_MESSAGE = 'Figma sign-in needs the key proxy, which holds the OAuth client secret. Set VITE_PROXY_URL and run `npm run proxy`.';
+
+const PENDING_LOGIN_KEY = 'figma-oauth-pending';
+const SESSION_KEY = 'figma-oauth-session';
+const REFRESH_MARGIN_MS = 60 * 1000; // Refresh a minute before the token expires
+
+let refreshPromise = null;
+
+const getStorage = () => (typeof window !== 'undefined' ? window.sessionStorage : null);
+
+const readJson = (key) => {
+  try {
+    const value = getStorage()?.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return;
+  if (value === null) {
+    storage.removeItem(key);
+  } else {
+    storage.setItem(key, JSON.stringify(value));
+  }
+};
+
+// Client id, redirect URI and scopes of the registered Figma OAuth app
+export const getOAuthConfig = () => ({
+  clientId: getConfigValue('VITE_FIGMA_OAUTH_CLIENT_ID') || '',
+  redirectUri: getConfigValue('VITE_FIGMA_OAUTH_REDIRECT_URI')
+    || (typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : ''),
+  scope: getConfigValue('VITE_FIGMA_OAUTH_SCOPE') || DEFAULT_SCOPE,
+});
+
+export const isOAuthConfigured = () => Boolean(getOAuthConfig().clientId && getProxyUrl());
+
+// Send a token request through the proxy; the client secret is never part of it
+const requestTokens = (params) => {
+  const proxyUrl = getProxyUrl();
+  if (!proxyUrl) {
+    throw new Error(PROXY_REQUIRED_MESSAGE);
+  }
+  return axios.post(`${proxyUrl}/oauth/token`, params);
+};
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = (byteLength = 32) => toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+// PKCE verifier: 43 characters of URL-safe randomness (RFC 7636)
+export const generateCodeVerifier = () => randomString(32);
+
+// S256 challenge sent with the authorization request
+export const createCodeChallenge = async (codeVerifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return toBase64Url(new Uint8Array(digest));
+};
+
+export const buildAuthorizationUrl = ({ clientId, redirectUri, scope, state, codeChallenge }) => {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    response_type: 'code',
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return `${FIGMA_AUTHORIZE_URL}?${params.toString()}`;
+};
+
+// Redirect to Figma's consent screen. returnState is handed back after the redirect.
+export const startFigmaLogin = async (returnState = null) => {
+  const config = getOAuthConfig();
+  if (!config.clientId) {
+    throw new Error('Figma sign-in is not configured. Set VITE_FIGMA_OAUTH_CLIENT_ID to your OAuth app client id.');
+  }
+  if (!getProxyUrl()) {
+    throw new Error(PROXY_REQUIRED_MESSAGE);
+  }
+
+  const codeVerifier = generateCodeVerifier();
+  const state = randomString(16);
+
+  writeJson(PENDING_LOGIN_KEY, {
+    state,
+    codeVerifier,
+    redirectUri: config.redirectUri,
+    returnState,
+  });
+
+  window.location.assign(buildAuthorizationUrl({
+    ...config,
+    state,
+    codeChallenge: await createCodeChallenge(codeVerifier),
+  }));
+};
+
+// Store the token response with an absolute expiry time
+const saveSession = (data, previous = null) => {
+  if (!data?.access_token) {
+    throw new Error('Figma did not return an access token');
+  }
+
+  const session = {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous?.refreshToken || null,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+    userId: data.user_id_string || data.user_id?.toString() || previous?.userId || null,
+  };
+  writeJson(SESSION_KEY, session);
+  return session;
+};
+
+const describeTokenError = (error, action) => {
+  const detail = error.response?.data?.message || error.response?.data?.error || error.message;
+  return new Error(`Figma ${action} failed: ${detail}`);
+};
+
+// Finish the login when Figma redirects back with ?code=...&state=...
+// Returns null when the URL is not an OAuth callback.
+export const completeFigmaLogin = async (url = window.location.href) => {
+  const callbackUrl = new URL(url);
+  const code = callbackUrl.searchParams.get('code');
+  const state = callbackUrl.searchParams.get('state');
+  const oauthError = callbackUrl.searchParams.get('error');
+
+  if (!code && !oauthError) return null;
+
+  const pending = readJson(PENDING_LOGIN_KEY);
+  writeJson(PENDING_LOGIN_KEY, null);
+
+  // Remove the one-time code from the address bar and history
+  if (typeof window !== 'undefined' && window.history?.replaceState) {
+    ['code', 'state', 'error', 'error_description'].forEach(param => callbackUrl.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', `${callbackUrl.pathname}${callbackUrl.search}${callbackUrl.hash}`);
+  }
+
+  if (oauthError) {
+    throw new Error(`Figma sign-in was cancelled: ${oauthError}`);
+  }
+  if (!pending || pending.state !== state) {
+    throw new Error('Figma sign-in could not be verified (state mismatch). Please try again.');
+  }
+
+  try {
+    const response = await requestTokens({
+      grant_type: 'authorization_code',
+      redirect_uri: pending.redirectUri,
+      code,
+      code_verifier: pending.codeVerifier,
+    });
+
+    return { session: saveSession(response.data), returnState: pending.returnState };
+  } catch (error) {
+    if (!error.response) throw error;
+    throw describeTokenError(error, 'sign-in');
+  }
+};
+
+export const getFigmaSession = () => readJson(SESSION_KEY);
+
+export const signOutFigma = () => {
+  writeJson(SESSION_KEY, null);
+};
+
+// Exchange the refresh token for a new access token. Concurrent callers share one request.
+export const refreshFigmaSession = async () => {
+  if (refreshPromise) return refreshPromise;
+
+  const session = getFigmaSession();
+  if (!session?.refreshToken) {
+    throw new Error('Your Figma session has expired. Please sign in again.');
+  }
+
+  refreshPromise = Promise.resolve()
+    .then(() => requestTokens({ grant_type: 'refresh_token', refresh_token: session.refreshToken }))
+    .then(response => saveSession(response.data, session))
+    .catch((error) => {
+      // A rejected refresh token cannot be used again
+      if (error.response?.status === 400 || error.response?.status === 401) {
+        signOutFigma();
+      }
+      throw error.response ? describeTokenError(error, 'token refresh') : error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// Current bearer token, refreshed first when it is about to expire
+export const getValidAccessToken = async () => {
+  const session = getFigmaSession();
+  if (!session) {
+    throw new Error('Not signed in to Figma');
+  }
+
+  if (session.expiresAt && session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    return (await refreshFigmaSession()).accessToken;
+  }
+  return session.accessToken;
+};
+
+// Only a rejected bearer token is worth a refresh. Figma also answers 403 when a scope is
+// missing (e.g. file_comments:read), which a new token would not fix.
+export const isExpiredTokenError = (error) => {
+  const status = error.response?.status;
+  if (status === 401) return true;
+  if (status !== 403) return false;
+
+  const { err, message, error: reason } = error.response?.data || {};
+  return /token/i.test(`${err} ${message} ${reason}`) && /expired|invalid/i.test(`${err} ${message} ${reason}`);
+};
+
+// Auth provider for the Figma API client (see setFigmaAuthProvider)
+export const figmaOAuthProvider = {
+  getAccessToken: getValidAccessToken,
+  refresh: async () => (await refreshFigmaSession()).accessToken,
+  shouldRefresh: isExpiredTokenError,
+};
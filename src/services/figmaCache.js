@@ -0,0 +1,155 @@
+import { getFigmaFileVersion } from './figmaApi.js';
+import { STORES, isIndexedDbAvailable, idbGet, idbPut, idbDelete, idbGetAll, idbClear } from '../utils/indexedDb.js';
+
+// Persistent cache of Figma file and node payloads. Entries are keyed by file key,
+// version and requested node ids; a depth=1 request checks lastModified before reuse.
+// Entry metadata and payloads live in separate stores so the cache can be listed
+// without reading tens of megabytes of JSON.
+
+const MAX_CACHE_ENTRIES = 20;
+const MAX_CACHE_BYTES = 250 * 1024 * 1024; // 250 MB across all payloads
+
+// Build the cache key for a file version and optional node selection
+export const buildFileCacheKey = (fileKey, version, nodeIds = []) => {
+  const nodes = [...nodeIds].sort().join(',');
+  return nodes ? `${fileKey}@${version}#${nodes}` : `${fileKey}@${version}`;
+};
+
+// Same file and node selection, any version
+const isSameSelection = (entry, fileKey, nodeIds) => (
+  entry.fileKey === fileKey && entry.nodeIds.join(',') === [...nodeIds].sort().join(',')
+);
+
+// List cached entries (metadata only), most recently used first
+export const listCachedFiles = async () => {
+  if (!isIndexedDbAvailable()) return [];
+
+  const entries = await idbGetAll(STORES.FIGMA_FILE_ENTRIES);
+  return entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+export const deleteCachedFile = async (key) => {
+  await idbDelete(STORES.FIGMA_FILE_PAYLOADS, key);
+  await idbDelete(STORES.FIGMA_FILE_ENTRIES, key);
+};
+
+export const clearFigmaCache = async () => {
+  if (!isIndexedDbAvailable()) return;
+
+  await idbClear(STORES.FIGMA_FILE_PAYLOADS);
+  await idbClear(STORES.FIGMA_FILE_ENTRIES);
+};
+
+// Read a cached payload when the stored lastModified still matches the file
+export const getCachedFile = async (fileKey, fileVersion, nodeIds = []) => {
+  if (!isIndexedDbAvailable()) return null;
+
+  const key = buildFileCacheKey(fileKey, fileVersion.version, nodeIds);
+  const entry = await idbGet(STORES.FIGMA_FILE_ENTRIES, key);
+  if (!entry || entry.lastModified !== fileVersion.lastModified) return null;
+
+  const payload = await idbGet(STORES.FIGMA_FILE_PAYLOADS, key);
+  if (!payload) {
+    // The payload was evicted or the write never finished; drop the orphaned entry
+    await idbDelete(STORES.FIGMA_FILE_ENTRIES, key);
+    return null;
+  }
+
+  const touchedEntry = { ...entry, lastUsedAt: Date.now(), hits: (entry.hits || 0) + 1 };
+  await idbPut(STORES.FIGMA_FILE_ENTRIES, key, touchedEntry);
+
+  return { entry: touchedEntry, data: payload };
+};
+
+// Evict older versions of the same selection, then the least recently used entries over the limits
+const evictEntries = async (fileKey, nodeIds, keepKey) => {
+  const entries = await listCachedFiles();
+  const survivors = [];
+
+  for (const entry of entries) {
+    if (entry.key !== keepKey && isSameSelection(entry, fileKey, nodeIds)) {
+      await deleteCachedFile(entry.key);
+    } else {
+      survivors.push(entry);
+    }
+  }
+
+  let totalBytes = survivors.reduce((sum, entry) => sum + entry.size, 0);
+  while (survivors.length > 1 && (survivors.length > MAX_CACHE_ENTRIES || totalBytes > MAX_CACHE_BYTES)) {
+    const oldest = survivors.pop();
+    if (oldest.key === keepKey) break;
+    totalBytes -= oldest.size;
+    await deleteCachedFile(oldest.key);
+  }
+};
+
+// Store a payload for a file version
+export const putCachedFile = async (fileKey, fileVersion, nodeIds, data) => {
+  if (!isIndexedDbAvailable()) return null;
+
+  const key = buildFileCacheKey(fileKey, fileVersion.version, nodeIds);
+  const now = Date.now();
+  const entry = {
+    key,
+    fileKey,
+    nodeIds: [...nodeIds].sort(),
+    name: fileVersion.name || data?.name || fileKey,
+    version: fileVersion.version,
+    lastModified: fileVersion.lastModified,
+    thumbnailUrl: fileVersion.thumbnailUrl || null,
+    // JSON length approximates the payload size closely enough for eviction
+    size: JSON.stringify(data).length,
+    cachedAt: now,
+    lastUsedAt: now,
+    hits: 0,
+  };
+
+  // Write the payload first so a listed entry always has data behind it
+  await idbPut(STORES.FIGMA_FILE_PAYLOADS, key, data);
+  await idbPut(STORES.FIGMA_FILE_ENTRIES, key, entry);
+  await evictEntries(fileKey, nodeIds, key);
+
+  return entry;
+};
+
+// Load a file (or node selection) through the cache. fetchFile downloads the payload
+// when the cache misses; cache failures never block loading. Pass version when
+// fetchFile requests a specific version from the file history.
+export const loadFigmaFileWithCache = async (fileKey, accessToken, { nodeIds = [], fetchFile, bypassCache = false, version = null } = {}) => {
+  // Older versions are loaded directly: the cache keeps only the latest version of each selection
+  if (!isIndexedDbAvailable() || version) {
+    return { data: await fetchFile(), fromCache: false, entry: null };
+  }
+
+  let fileVersion;
+  try {
+    fileVersion = await getFigmaFileVersion(fileKey, accessToken);
+  } catch (error) {
+    // Without the version (e.g. the check was rate limited) the cache can be neither read nor written
+    console.warn('Figma version check failed, loading without the cache:', error.message);
+    return { data: await fetchFile(), fromCache: false, entry: null };
+  }
+
+  if (!bypassCache) {
+    try {
+      const cached = await getCachedFile(fileKey, fileVersion, nodeIds);
+      if (cached) {
+        return { data: cached.data, fromCache: true, entry: cached.entry };
+      }
+    } catch (error) {
+      console.warn('Figma cache read failed:', error.message);
+    }
+  }
+
+  const data = await fetchFile();
+
+  let entry = null;
+  try {
+    entry = await putCachedFile(fileKey, fileVersion, nodeIds, data);
+  } catch (error) {
+    // Quota errors and blocked upgrades only cost the next load a download
+    console.warn('Figma cache write failed:', error.message);
+  }
+
+  return { data, fromCache: false, entry };
+};
@@ -0,0 +1,253 @@
+import { extractComponentHierarchy, extractSimplifiedMetadata } from './figmaApi.js';
+import { formatCssDeclarations } from '../utils/autoLayout.js';
+
+// Structural diff between two versions of the same Figma subtree. Nodes are matched
+// by id, which Figma keeps stable across versions of a file, and compared on what
+// the generated code depends on: structure, text, fills and layout.
+
+const MAX_CHANGES = 300; // Larger diffs are truncated; the summary still counts everything
+
+// Auto-layout fields compared as-is, plus the flex CSS they translate to
+const LAYOUT_FIELDS = [
+  'layoutMode',
+  'primaryAxisSizingMode',
+  'counterAxisSizingMode',
+  'primaryAxisAlignItems',
+  'counterAxisAlignItems',
+  'paddingLeft',
+  'paddingRight',
+  'paddingTop',
+  'paddingBottom',
+  'itemSpacing',
+];
+
+const CHANGE_KINDS = ['added', 'removed', 'moved', 'renamed', 'text', 'fills', 'layout'];
+
+// Flatten the hierarchy into id → entry, keeping the raw node next to its hierarchy entry.
+// extractComponentHierarchy maps children one to one, so both trees can be walked together.
+const indexTree = (root) => {
+  const index = new Map();
+
+  const visit = (entry, node, parent, path) => {
+    const entryPath = [...path, entry.name];
+    index.set(entry.id, {
+      entry,
+      node,
+      parent,
+      parentId: parent?.id || null,
+      path: entryPath,
+      childIds: entry.children.map(child => child.id),
+    });
+    entry.children.forEach((child, i) => visit(child, node.children[i], node, entryPath));
+  };
+
+  visit(extractComponentHierarchy(root), root, null, []);
+  return index;
+};
+
+const countDescendants = (entry) => entry.children.reduce(
+  (count, child) => count + 1 + countDescendants(child),
+  0
+);
+
+// Visible fills as short comparable strings (#hex, gradient stops, image refs)
+const describeFills = (fills = []) => fills
+  .filter(fill => fill.visible)
+  .map((fill) => {
+    const opacity = fill.opacity !== 1 ? ` ${Math.round(fill.opacity * 100)}%` : '';
+    if (fill.type === 'SOLID') {
+      // Hex when opaque, rgba when the color itself carries alpha
+      return `${fill.color?.endsWith(', 1)') ? fill.hex : fill.color}${opacity}`;
+    }
+    if (fill.gradientType) {
+      return `${fill.gradientType.toLowerCase()}(${fill.gradientStops.map(stop => stop.color).join(', ')})${opacity}`;
+    }
+    if (fill.type === 'IMAGE') {
+      return `image ${fill.imageRef || fill.imageHash || ''}`.trim();
+    }
+    return fill.type;
+  });
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+
+// Layout snapshot of a node: auto-layout fields, size and the generated flex CSS
+const describeLayout = ({ entry, node, parent }) => {
+  const layout = {};
+  LAYOUT_FIELDS.forEach((field) => {
+    if (entry.metadata[field] !== undefined) {
+      layout[field] = round(entry.metadata[field]);
+    }
+  });
+  layout.width = round(entry.metadata.width);
+  layout.height = round(entry.metadata.height);
+
+  // Passing a parent keeps the lookup shallow (no asset or icon collection for the node)
+  const simplified = extractSimplifiedMetadata(node, {
+    maxDepth: 0,
+    includeDetailedText: false,
+    includeEffects: false,
+    parentNode: parent || { id: null, children: [node] },
+  });
+  const css = formatCssDeclarations(simplified?.layoutCss);
+  if (css) {
+    layout.css = css;
+  }
+
+  return layout;
+};
+
+const compareLayouts = (before, after) => {
+  const properties = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...properties]
+    .filter(property => before[property] !== after[property])
+    .map(property => ({ property, before: before[property] ?? null, after: after[property] ?? null }));
+};
+
+// Child order matters for auto-layout frames, where it is the visual order
+const compareChildOrder = (before, after) => {
+  const afterIds = new Set(after.childIds);
+  const beforeIds = new Set(before.childIds);
+  const beforeOrder = before.childIds.filter(id => afterIds.has(id));
+  const afterOrder = after.childIds.filter(id => beforeIds.has(id));
+  return beforeOrder.join(',') !== afterOrder.join(',');
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+// Diff two versions of a subtree. Returns every change plus per-kind counts and the ids
+// of nodes whose own properties or children changed.
+export const diffFigmaTrees = (beforeRoot, afterRoot) => {
+  if (!beforeRoot || !afterRoot) {
+    throw new Error('Both versions of the design are required to compare them');
+  }
+
+  const before = indexTree(beforeRoot);
+  const after = indexTree(afterRoot);
+  const changes = [];
+  const changedNodeIds = new Set();
+
+  const addChange = (change) => {
+    changes.push(change);
+    changedNodeIds.add(change.nodeId);
+  };
+
+  // Only the top of an added or removed subtree is reported, with its size
+  after.forEach((current, id) => {
+    if (before.has(id)) return;
+    if (current.parentId && !before.has(current.parentId)) return;
+    addChange({
+      kind: 'added',
+      nodeId: id,
+      name: current.entry.name,
+      type: current.entry.type,
+      path: current.path,
+      descendants: countDescendants(current.entry),
+    });
+    if (current.parentId) changedNodeIds.add(current.parentId);
+  });
+
+  before.forEach((previous, id) => {
+    if (after.has(id)) return;
+    if (previous.parentId && !after.has(previous.parentId)) return;
+    addChange({
+      kind: 'removed',
+      nodeId: id,
+      name: previous.entry.name,
+      type: previous.entry.type,
+      path: previous.path,
+      descendants: countDescendants(previous.entry),
+    });
+    if (previous.parentId && after.has(previous.parentId)) changedNodeIds.add(previous.parentId);
+  });
+
+  after.forEach((current, id) => {
+    const previous = before.get(id);
+    if (!previous) return;
+
+    const base = { nodeId: id, name: current.entry.name, type: current.entry.type, path: current.path };
+
+    if (previous.parentId !== current.parentId) {
+      addChange({
+        ...base,
+        kind: 'moved',
+        before: previous.path.slice(0, -1).join(' / '),
+        after: current.path.slice(0, -1).join(' / '),
+      });
+    }
+
+    if (previous.entry.name !== current.entry.name) {
+      addChange({ ...base, kind: 'renamed', before: previous.entry.name, after: current.entry.name });
+    }
+
+    if (current.entry.type === 'TEXT' && previous.entry.metadata.characters !== current.entry.metadata.characters) {
+      addChange({
+        ...base,
+        kind: 'text',
+        before: previous.entry.metadata.characters,
+        after: current.entry.metadata.characters,
+      });
+    }
+
+    const previousFills = describeFills(previous.entry.metadata.fills);
+    const currentFills = describeFills(current.entry.metadata.fills);
+    if (!sameList(previousFills, currentFills)) {
+      addChange({ ...base, kind: 'fills', before: previousFills, after: currentFills });
+    }
+
+    const layoutChanges = compareLayouts(describeLayout(previous), describeLayout(current));
+    if (compareChildOrder(previous, current)) {
+      layoutChanges.push({ property: 'child order', before: null, after: null });
+    }
+    if (layoutChanges.length > 0) {
+      addChange({ ...base, kind: 'layout', properties: layoutChanges });
+    }
+  });
+
+  const summary = Object.fromEntries(CHANGE_KINDS.map(kind => [
+    kind,
+    changes.filter(change => change.kind === kind).length,
+  ]));
+
+  return {
+    rootId: afterRoot.id,
+    rootName: afterRoot.name,
+    summary,
+    total: changes.length,
+    changes: changes.slice(0, MAX_CHANGES),
+    truncated: changes.length > MAX_CHANGES,
+    changedNodeIds: [...changedNodeIds],
+  };
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (value === null || value === undefined || value === '') return 'none';
+  return typeof value === 'string' ? `"${value}"` : String(value);
+};
+
+// One readable line per change, e.g. for a summary panel or a commit message
+export const describeDesignChange = (change) => {
+  const where = change.path.join(' / ');
+  switch (change.kind) {
+    case 'added':
+      return `Added ${change.type.toLowerCase()} ${where}${change.descendants ? ` (${change.descendants} layers inside)` : ''}`;
+    case 'removed':
+      return `Removed ${change.type.toLowerCase()} ${where}${change.descendants ? ` (${change.descendants} layers inside)` : ''}`;
+    case 'moved':
+      return `Moved ${where} from ${change.before || 'the root'} to ${change.after || 'the root'}`;
+    case 'renamed':
+      return `Renamed ${formatValue(change.before)} to ${formatValue(change.after)}`;
+    case 'text':
+      return `Text of ${where}: ${formatValue(change.before)} → ${formatValue(change.after)}`;
+    case 'fills':
+      return `Fills of ${where}: ${formatValue(change.before)} → ${formatValue(change.after)}`;
+    case 'layout':
+      return `Layout of ${where}: ${change.properties
+        .map(({ property, before, after }) => (property === 'child order'
+          ? 'children reordered'
+          : `${property} ${formatValue(before)} → ${formatValue(after)}`))
+        .join('; ')}`;
+    default:
+      return `${change.kind} ${where}`;
+  }
+};
@@ -1,7 +1,13 @@
 import { analyzeVisualRelationships } from './figmaApi.js';
 import { AppError, logError, withRetry, classifyError } from '../utils/errorHandler.js';
-
-const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+import { callLLM, streamLLM, resolveProviderConfig } from './llmProviders.js';
+import { formatPropsForPrompt, formatPropDefault } from '../utils/componentProps.js';
+import { formatCssDeclarations, formatLayoutForPrompt } from '../utils/autoLayout.js';
+import { getPageScope } from '../utils/figmaPages.js';
+import { formatAssetsForPrompt } from '../utils/figmaAssets.js';
+import { formatIconsForPrompt } from '../utils/svgIcons.js';
+import { formatCommentsForPrompt } from '../utils/figmaComments.js';
+import { logger } from '../utils/logger.js';
 
 // Enhanced token estimation with more accurate calculation
 const estimateTokenCount = (text) => {
@@ -15,146 +21,24 @@ const estimateTokenCount = (text) => {
   return baseTokens + overhead;
 };
 
-// Retry configuration for API calls
-const RETRY_CONFIG = {
-  maxRetries: 3,
-  baseDelay: 1000, // 1 second
-  maxDelay: 10000, // 10 seconds
-  backoffFactor: 2,
-};
-
-// Enhanced API call with retry logic
-const callGeminiAPI = async (prompt, options = {}) => {
-  const {
-    maxRetries = RETRY_CONFIG.maxRetries,
-    baseDelay = RETRY_CONFIG.baseDelay,
-    temperature = 0.7,
-    maxOutputTokens = 4096,
-  } = options;
-
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('Gemini API key not found. Please add VITE_GEMINI_API_KEY to your .env file.');
-  }
-
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Gemini API attempt ${attempt + 1}/${maxRetries + 1}`);
-      
-      const response = await fetch(`${GEMINI_API_BASE_URL}?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt,
-                },
-              ],
-            },
-          ],
-          generationConfig: {
-            temperature,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens,
-            candidateCount: 1,
-            stopSequences: [],
-          },
-          safetySettings: [
-            {
-              category: 'HARM_CATEGORY_HARASSMENT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_HATE_SPEECH',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            }
-          ]
-        }),
-      });
+// Send a prompt through the configured LLM provider and track usage statistics.
+// Passing onChunk streams the response instead of waiting for the full text.
+const callModelAPI = async (prompt, options = {}) => {
+  const text = options.onChunk
+    ? await streamLLM(prompt, options)
+    : await callLLM(prompt, options);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        // Handle specific error types
-        if (response.status === 429) {
-          throw new Error('Rate limit exceeded. Please wait before making another request.');
-        } else if (response.status === 400) {
-          throw new Error(`Invalid request: ${errorData.error?.message || 'Bad request'}`);
-        } else if (response.status === 403) {
-          throw new Error('API key invalid or insufficient permissions.');
-        } else if (response.status >= 500) {
-          throw new Error(`Server error (${response.status}). Please try again later.`);
-        }
-        
-        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
-      }
+  // Track API usage statistics
+  apiCallCount++;
+  totalTokensUsed += estimateTokenCount(prompt);
 
-      const data = await response.json();
-      
-      // Validate response structure
-      if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        // Check for safety filter blocks
-        if (data?.candidates?.[0]?.finishReason === 'SAFETY') {
-          throw new Error('Content was blocked by safety filters. Try modifying your design or component names.');
-        }
-        
-        // Check for other finish reasons
-        if (data?.candidates?.[0]?.finishReason === 'MAX_TOKENS') {
-          throw new Error('Response was truncated due to token limit. Try simplifying the component.');
-        }
-        
-        throw new Error('Invalid or empty response from Gemini API');
-      }
+  return text;
+};
 
-      // Track API usage statistics
-      apiCallCount++;
-      totalTokensUsed += estimateTokenCount(prompt);
-      
-      return data.candidates[0].content.parts[0].text;
-      
-    } catch (error) {
-      lastError = error;
-      
-      // Don't retry for certain error types
-      if (error.message.includes('API key') || 
-          error.message.includes('Invalid request') ||
-          error.message.includes('safety filters')) {
-        throw error;
-      }
-      
-      // If this was the last attempt, throw the error
-      if (attempt === maxRetries) {
-        break;
-      }
-      
-      // Calculate delay with exponential backoff
-      const delay = Math.min(
-        baseDelay * Math.pow(RETRY_CONFIG.backoffFactor, attempt),
-        RETRY_CONFIG.maxDelay
-      );
-      
-      console.log(`Retrying in ${delay}ms due to error:`, error.message);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-  
-  throw lastError;
+// Cache key that keeps responses from different providers and models apart
+const generateCacheKey = (prompt, options = {}) => {
+  const { provider, model } = resolveProviderConfig(options);
+  return generatePromptHash(`${provider}:${model}:${prompt}`);
 };
 
 // Prompt optimization strategies
@@ -166,7 +50,7 @@ const optimizePromptForTokens = (prompt, maxTokens) => {
     return optimized;
   }
   
-  console.log(`Optimizing prompt: ${currentTokens} tokens -> target: ${maxTokens} tokens`);
+  logger.info(`Optimizing prompt: ${currentTokens} tokens -> target: ${maxTokens} tokens`);
   
   // Progressive optimization steps
   const optimizationSteps = [
@@ -212,7 +96,7 @@ const optimizePromptForTokens = (prompt, maxTokens) => {
     }
   }
   
-  console.log(`Prompt optimization complete: ${currentTokens} tokens`);
+  logger.info(`Prompt optimization complete: ${currentTokens} tokens`);
   return optimized;
 };
 
@@ -224,7 +108,7 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 const getCachedResponse = (promptHash) => {
   const cached = promptCache.get(promptHash);
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    console.log('Using cached response');
+    logger.info('Using cached response');
     return cached.response;
   }
   return null;
@@ -254,6 +138,13 @@ const generatePromptHash = (prompt) => {
   return hash.toString();
 };
 
+// Tell the caller which prompt a generation used, e.g. for its history entry
+const reportPrompt = (prompt, onPrompt) => {
+  if (onPrompt) {
+    onPrompt(generatePromptHash(prompt));
+  }
+};
+
 // Validate and clean generated code
 const validateAndCleanCode = (code) => {
   if (!code || typeof code !== 'string') {
@@ -595,12 +486,16 @@ const generatePreciseStyling = (metadata) => {
   const visual = analyzeVisualProperties(metadata);
   const styling = {};
   
-  // Dimensions
-  if (metadata.width) {
-    styling.width = `${metadata.width}px`;
-  }
-  if (metadata.height) {
-    styling.height = `${metadata.height}px`;
+  // Sizing, position and flex rules translated from auto layout
+  if (metadata.layoutCss) {
+    Object.assign(styling, metadata.layoutCss);
+  } else {
+    if (metadata.width) {
+      styling.width = `${metadata.width}px`;
+    }
+    if (metadata.height) {
+      styling.height = `${metadata.height}px`;
+    }
   }
   
   // Colors
@@ -631,8 +526,8 @@ const generatePreciseStyling = (metadata) => {
     styling.lineHeight = `${metadata.lineHeightPx}px`;
   }
   
-  // Layout
-  if (visual.layout.type === 'flex') {
+  // Layout (fallback for metadata without the translated flex CSS)
+  if (!metadata.layoutCss && visual.layout.type === 'flex') {
     styling.display = 'flex';
     styling.flexDirection = visual.layout.direction;
     styling.justifyContent = visual.layout.alignment.horizontal;
@@ -641,10 +536,10 @@ const generatePreciseStyling = (metadata) => {
   
   // Spacing
   const { padding, gap } = visual.spacing;
-  if (padding.top || padding.right || padding.bottom || padding.left) {
+  if (!metadata.layoutCss && (padding.top || padding.right || padding.bottom || padding.left)) {
     styling.padding = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
   }
-  if (gap > 0) {
+  if (!metadata.layoutCss && gap > 0) {
     styling.gap = `${gap}px`;
   }
   
@@ -746,7 +641,18 @@ const generateComponentTemplate = (metadata) => {
   // Generate component based on semantic type
   const componentName = metadata.name.replace(/[^a-zA-Z0-9]/g, '') || 'GeneratedComponent';
   
-  template += `const ${componentName} = () => {\n`;
+  // Variant sets get a props signature with the Figma defaults
+  const componentProps = metadata.componentProps || [];
+  if (componentProps.length > 0) {
+    template += `/**\n * ${metadata.name}\n * @param {object} props\n`;
+    componentProps.forEach((prop) => {
+      template += ` * @param {${prop.jsType}} [props.${prop.name}=${formatPropDefault(prop)}]\n`;
+    });
+    template += ` */\n`;
+    template += `const ${componentName} = ({ ${componentProps.map(prop => `${prop.name} = ${formatPropDefault(prop)}`).join(', ')} }) => {\n`;
+  } else {
+    template += `const ${componentName} = () => {\n`;
+  }
   template += `  return (\n`;
   
   switch (semantic.type) {
@@ -945,7 +851,7 @@ const detectComponentSemanticType = (metadata) => {
 };
 
 // Create enhanced visual-similarity focused prompt
-const createVisualSimilarityPrompt = (metadata) => {
+const createVisualSimilarityPrompt = (metadata, promptOptions = {}) => {
   const semantic = detectComponentSemanticType(metadata);
   const visual = analyzeVisualProperties(metadata);
   const hasText = metadata.hasText && metadata.characters;
@@ -1030,6 +936,36 @@ const createVisualSimilarityPrompt = (metadata) => {
     prompt += `\n`;
   }
   
+  // Exact flex rules translated from auto layout
+  const layoutSection = formatLayoutForPrompt(metadata.layoutCss, metadata.childLayouts);
+  if (layoutSection) {
+    prompt += `${layoutSection}\n`;
+  }
+  
+  // Image fills and exported layers ship with the project under /assets/
+  const assetsSection = formatAssetsForPrompt(metadata.imageAssets);
+  if (assetsSection) {
+    prompt += `${assetsSection}\n`;
+  }
+  
+  // Vector layers become SvgIcon components generated next to the component
+  const iconsSection = formatIconsForPrompt(metadata.vectorIcons);
+  if (iconsSection) {
+    prompt += `${iconsSection}\n`;
+  }
+  
+  // Variant sets and component properties become props of a single component
+  const propsSection = formatPropsForPrompt(metadata.componentProps, metadata.variants);
+  if (propsSection) {
+    prompt += `${propsSection}\n`;
+  }
+  
+  // Behavior notes designers left as Figma comments, when the user opted in
+  const notesSection = formatCommentsForPrompt(promptOptions.comments);
+  if (notesSection) {
+    prompt += `${notesSection}\n`;
+  }
+  
   // Add Material-UI specific instructions
   prompt += `MATERIAL-UI IMPLEMENTATION:\n`;
   prompt += `• Primary Components: ${semantic.muiComponents.join(', ')}\n`;
@@ -1097,18 +1033,34 @@ const createMinimalPrompt = (metadata) => {
     prompt += `Text: "${metadata.characters}" (${visual.typography.hierarchy}, ${visual.typography.weight}). `;
   }
   
-  // Add layout
-  if (visual.layout.type === 'flex') {
-    prompt += `Layout: ${visual.layout.direction} flex, ${visual.layout.alignment.horizontal}. `;
+  // Add layout and spacing, preferring the exact flex CSS
+  if (metadata.layoutCss) {
+    prompt += `Layout CSS: ${formatCssDeclarations(metadata.layoutCss)}. `;
+  } else {
+    if (visual.layout.type === 'flex') {
+      prompt += `Layout: ${visual.layout.direction} flex, ${visual.layout.alignment.horizontal}. `;
+    }
+    
+    const { padding, gap } = visual.spacing;
+    if (padding.top || padding.right || padding.bottom || padding.left) {
+      prompt += `Padding: ${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px. `;
+    }
+    if (gap > 0) {
+      prompt += `Gap: ${gap}px. `;
+    }
   }
   
-  // Add spacing
-  const { padding, gap } = visual.spacing;
-  if (padding.top || padding.right || padding.bottom || padding.left) {
-    prompt += `Padding: ${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px. `;
+  if (metadata.imageAssets?.length > 0) {
+    prompt += `Images: ${metadata.imageAssets.map(asset => `${asset.name} → ${asset.url}`).join(', ')}. `;
   }
-  if (gap > 0) {
-    prompt += `Gap: ${gap}px. `;
+  
+  if (metadata.vectorIcons?.length > 0) {
+    prompt += `Icons: ${metadata.vectorIcons.map(icon => `import ${icon.componentName} from '${icon.importPath}'`).join('; ')}. `;
+  }
+  
+  if (metadata.componentProps?.length > 0) {
+    prompt += `\nProps: ${metadata.componentProps.map(prop => `${prop.name}: ${prop.jsType} = ${formatPropDefault(prop)}`).join('; ')}. `;
+    prompt += `One component must cover all variants via these props. `;
   }
   
   prompt += `\nUse Material-UI: ${semantic.muiComponents.join(', ')}. `;
@@ -1124,32 +1076,48 @@ export const generateVisuallyAccurateComponent = async (componentMetadata, optio
       useTemplate = false,
       maxTokens = 4000,
       temperature = 0.5, // Lower temperature for more consistent output
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
+      onPrompt,
+      comments = [],
     } = options;
 
-    console.log(`Generating visually accurate component: ${componentMetadata.name}`);
+    logger.info(`Generating visually accurate component: ${componentMetadata.name}`);
     
     // If using template mode, generate directly from metadata
     if (useTemplate) {
       const template = generateComponentTemplate(componentMetadata);
-      console.log('Generated component using template approach');
+      logger.info('Generated component using template approach');
       return template;
     }
     
     // Use enhanced visual similarity prompt
-    const prompt = createVisualSimilarityPrompt(componentMetadata);
+    const prompt = createVisualSimilarityPrompt(componentMetadata, { comments });
     const estimatedTokens = estimateTokenCount(prompt);
     
-    console.log(`Visual similarity prompt: ${estimatedTokens} tokens`);
+    logger.info(`Visual similarity prompt: ${estimatedTokens} tokens`);
     
     // Optimize if needed
     if (estimatedTokens > maxTokens * 0.8) {
       const optimizedPrompt = optimizePromptForTokens(prompt, Math.floor(maxTokens * 0.8));
       const optimizedTokens = estimateTokenCount(optimizedPrompt);
-      console.log(`Optimized to ${optimizedTokens} tokens`);
+      logger.info(`Optimized to ${optimizedTokens} tokens`);
     }
     
+    reportPrompt(prompt, onPrompt);
+
     // Generate with focus on visual accuracy
-    const generatedText = await callGeminiAPI(prompt, {
+    const generatedText = await callModelAPI(prompt, {
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
       temperature,
       maxOutputTokens: Math.min(4096, maxTokens - estimatedTokens),
     });
@@ -1158,14 +1126,19 @@ export const generateVisuallyAccurateComponent = async (componentMetadata, optio
     const cleanedCode = validateAndCleanCode(generatedText);
     const enhancedCode = enhanceCodeForVisualSimilarity(cleanedCode, componentMetadata);
     
-    console.log(`Successfully generated visually accurate component: ${componentMetadata.name}`);
+    logger.info(`Successfully generated visually accurate component: ${componentMetadata.name}`);
     return enhancedCode;
     
   } catch (error) {
-    console.error('Error generating visually accurate component:', error);
+    logger.error('Error generating visually accurate component:', error.message);
+    
+    // An interrupted stream keeps its partial output instead of being replaced by a template
+    if (error.partialText) {
+      throw error;
+    }
     
     // Fallback to template generation
-    console.log('Falling back to template generation');
+    logger.info('Falling back to template generation');
     return generateComponentTemplate(componentMetadata);
   }
 };
@@ -1207,6 +1180,76 @@ const enhanceCodeForVisualSimilarity = (code, metadata) => {
   return enhanced;
 };
 
+// Create a follow-up prompt that revises existing code instead of starting over
+const createRefinementPrompt = (code, instruction, metadata, previousInstructions = []) => {
+  let prompt = `Revise this React component. Apply the requested change and keep everything else exactly as it is.\n\n`;
+
+  prompt += `COMPONENT: "${metadata.name}" (${metadata.type}, ${metadata.width}×${metadata.height}px)\n\n`;
+
+  if (previousInstructions.length > 0) {
+    prompt += `EARLIER CHANGES (already applied, keep them):\n`;
+    previousInstructions.forEach(previous => {
+      prompt += `• ${previous}\n`;
+    });
+    prompt += `\n`;
+  }
+
+  prompt += `REQUESTED CHANGE:\n${instruction}\n\n`;
+  prompt += `CURRENT CODE:\n\`\`\`jsx\n${code}\n\`\`\`\n\n`;
+  prompt += `ORIGINAL FIGMA METADATA:\n${JSON.stringify(metadata)}\n\n`;
+
+  prompt += `REQUIREMENTS:\n`;
+  prompt += `• Change only what the request asks for; keep styling, text and structure that it does not mention\n`;
+  prompt += `• Stay faithful to the Figma metadata unless the request overrides it\n`;
+  prompt += `• Keep Material-UI, the component name and the default export\n`;
+  prompt += `• Return the COMPLETE revised component, ONLY code, no explanations\n`;
+
+  return prompt;
+};
+
+// Refine generated code with a follow-up instruction; the current code, the instruction
+// and the original metadata go to the model, which returns the revised component
+export const refineGeneratedComponent = async (code, instruction, componentMetadata, options = {}) => {
+  if (!code || !code.trim()) {
+    throw new Error('There is no code to refine');
+  }
+  if (!instruction || !instruction.trim()) {
+    throw new Error('Describe the change to make');
+  }
+
+  const {
+    previousInstructions = [],
+    temperature = 0.3, // Low temperature so untouched parts stay the same
+    provider,
+    model,
+    apiKey,
+    baseUrl,
+    onChunk,
+    signal,
+    onPrompt,
+  } = options;
+
+  logger.info(`Refining component: ${componentMetadata.name}`);
+
+  const prompt = createRefinementPrompt(code, instruction.trim(), componentMetadata, previousInstructions);
+  logger.info(`Refinement prompt: ${estimateTokenCount(prompt)} tokens`);
+
+  reportPrompt(prompt, onPrompt);
+
+  const generatedText = await callModelAPI(prompt, {
+    provider,
+    model,
+    apiKey,
+    baseUrl,
+    onChunk,
+    signal,
+    temperature,
+    maxOutputTokens: 4096,
+  });
+
+  return validateAndCleanCode(generatedText);
+};
+
 // Enhanced React component generation with intelligent optimization
 export const generateReactComponent = async (componentMetadata, allComponents = [], options = {}) => {
   try {
@@ -1215,6 +1258,14 @@ export const generateReactComponent = async (componentMetadata, allComponents =
       maxTokens = 6000,
       temperature = 0.7,
       includeContext = true,
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
+      onPrompt,
+      comments = [],
     } = options;
 
     // Validate input metadata
@@ -1222,7 +1273,7 @@ export const generateReactComponent = async (componentMetadata, allComponents =
       throw new Error('Invalid component metadata provided');
     }
 
-    console.log(`Generating React component: ${componentMetadata.name}`);
+    logger.info(`Generating React component: ${componentMetadata.name}`);
     
     // Determine prompt strategy based on complexity and token budget
     let prompt;
@@ -1231,23 +1282,23 @@ export const generateReactComponent = async (componentMetadata, allComponents =
     if (useDetailedPrompt && includeContext && allComponents.length > 0) {
       // Use detailed prompt with context for complex components
       const visualRelationships = analyzeVisualRelationships([componentMetadata, ...allComponents.slice(0, 3)]);
-      prompt = createComponentPrompt(componentMetadata, visualRelationships);
+      prompt = createComponentPrompt(componentMetadata, visualRelationships, { comments });
       estimatedTokens = estimateTokenCount(prompt);
       
       // If too large, fall back to visual similarity prompt
       if (estimatedTokens > maxTokens) {
-        console.log(`Detailed prompt too large (${estimatedTokens} tokens), using visual similarity prompt`);
-        prompt = createVisualSimilarityPrompt(componentMetadata);
+        logger.info(`Detailed prompt too large (${estimatedTokens} tokens), using visual similarity prompt`);
+        prompt = createVisualSimilarityPrompt(componentMetadata, { comments });
         estimatedTokens = estimateTokenCount(prompt);
       }
     } else {
       // Use visual similarity prompt for better matching
-      prompt = createVisualSimilarityPrompt(componentMetadata);
+      prompt = createVisualSimilarityPrompt(componentMetadata, { comments });
       estimatedTokens = estimateTokenCount(prompt);
       
       // If still too large, fall back to minimal prompt
       if (estimatedTokens > maxTokens) {
-        console.log(`Visual similarity prompt too large (${estimatedTokens} tokens), using minimal prompt`);
+        logger.info(`Visual similarity prompt too large (${estimatedTokens} tokens), using minimal prompt`);
         prompt = createMinimalPrompt(componentMetadata);
         estimatedTokens = estimateTokenCount(prompt);
       }
@@ -1255,7 +1306,7 @@ export const generateReactComponent = async (componentMetadata, allComponents =
     
     // Final fallback for extremely large prompts
     if (estimatedTokens > maxTokens) {
-      console.warn(`Prompt still too large (${estimatedTokens} tokens), using ultra-minimal version`);
+      logger.warn(`Prompt still too large (${estimatedTokens} tokens), using ultra-minimal version`);
       const semantic = detectComponentSemanticType(componentMetadata);
       prompt = `Create ${semantic.type} React component "${componentMetadata.name}" (${componentMetadata.width}×${componentMetadata.height}px). ${componentMetadata.hasText ? `Text: "${componentMetadata.characters}". ` : ''}Use ${semantic.muiComponents[0]} from Material-UI. Return clean code only.`;
       estimatedTokens = estimateTokenCount(prompt);
@@ -1267,10 +1318,12 @@ export const generateReactComponent = async (componentMetadata, allComponents =
       estimatedTokens = estimateTokenCount(prompt);
     }
     
-    console.log(`Using optimized prompt with ${estimatedTokens} estimated tokens`);
+    logger.info(`Using optimized prompt with ${estimatedTokens} estimated tokens`);
     
+    reportPrompt(prompt, onPrompt);
+
     // Check cache first
-    const promptHash = generatePromptHash(prompt);
+    const promptHash = generateCacheKey(prompt, { provider, model });
     const cachedResponse = getCachedResponse(promptHash);
     
     if (cachedResponse) {
@@ -1278,7 +1331,13 @@ export const generateReactComponent = async (componentMetadata, allComponents =
     }
     
     // Generate code using enhanced API call
-    const generatedText = await callGeminiAPI(prompt, {
+    const generatedText = await callModelAPI(prompt, {
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
       temperature,
       maxOutputTokens: Math.min(4096, Math.max(1024, maxTokens - estimatedTokens)),
     });
@@ -1289,11 +1348,16 @@ export const generateReactComponent = async (componentMetadata, allComponents =
     // Validate and clean the generated code
     const cleanedCode = validateAndCleanCode(generatedText);
     
-    console.log(`Successfully generated React component: ${componentMetadata.name}`);
+    logger.info(`Successfully generated React component: ${componentMetadata.name}`);
     return cleanedCode;
     
   } catch (error) {
-    console.error('Error generating React component:', error);
+    logger.error('Error generating React component:', error.message);
+    
+    // Keep interrupted streams intact so the partial output can still be shown
+    if (error.partialText) {
+      throw error;
+    }
     
     // Provide fallback for common errors
     if (error.message.includes('safety filters')) {
@@ -1309,7 +1373,7 @@ export const generateReactComponent = async (componentMetadata, allComponents =
 };
 
 // Create a detailed prompt for component generation
-const createComponentPrompt = (metadata, visualRelationships) => {
+const createComponentPrompt = (metadata, visualRelationships, promptOptions = {}) => {
   // Helper function to format fills (including gradients) - simplified
   const formatFills = (fills) => {
     if (!fills || fills.length === 0) return 'transparent';
@@ -1486,6 +1550,11 @@ ${limitedChildren.length > 0 ? `CHILDREN (${limitedChildren.length}): ${limitedC
   `${index + 1}. ${child.name} (${child.type}) - ${child.width}px×${child.height}px${child.hasText ? ` - "${child.characters}"` : ''}`
 ).join(', ')}` : 'No children'}
 
+${formatLayoutForPrompt(metadata.layoutCss, metadata.childLayouts)}
+${formatAssetsForPrompt(metadata.imageAssets)}
+${formatIconsForPrompt(metadata.vectorIcons)}
+${formatPropsForPrompt(metadata.componentProps, metadata.variants)}
+${formatCommentsForPrompt(promptOptions.comments)}
 ${limitedRelationships.length > 0 ? `RELATIONSHIPS: ${limitedRelationships.map(rel => 
   `${rel.type}: ${rel.component1} and ${rel.component2}`
 ).join(', ')}` : 'No relationships'}
@@ -1516,15 +1585,25 @@ export const generateCompletePage = async (figmaData, selectedComponents = [], o
       maxTokens = 7000,
       temperature = 0.7,
       useOptimizedPrompt = false,
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
+      onPrompt,
+      pageId,
+      frameId,
     } = options;
 
-    console.log('Generating complete page from Figma design');
+    logger.info('Generating complete page from Figma design');
 
-    // Extract page structure and key components
-    const pageStructure = extractPageStructure(figmaData);
-    const keyComponents = extractKeyComponents(figmaData, selectedComponents);
+    // Extract page structure and key components from the chosen page (and frame)
+    const scope = getPageScope(figmaData, { pageId, frameId });
+    const pageStructure = extractPageStructure(scope);
+    const keyComponents = extractKeyComponents(scope, selectedComponents);
     
-    console.log(`Extracted ${keyComponents.length} key components for page generation`);
+    logger.info(`Extracted ${keyComponents.length} key components for page generation`);
     
     // Create appropriate prompt based on complexity
     let prompt;
@@ -1537,11 +1616,11 @@ export const generateCompletePage = async (figmaData, selectedComponents = [], o
     }
     
     estimatedTokens = estimateTokenCount(prompt);
-    console.log(`Page generation estimated token count: ${estimatedTokens}`);
+    logger.info(`Page generation estimated token count: ${estimatedTokens}`);
     
     // Optimize if needed
     if (estimatedTokens > maxTokens) {
-      console.warn('Page prompt too large, optimizing...');
+      logger.warn('Page prompt too large, optimizing...');
       
       if (!useOptimizedPrompt) {
         // Try optimized prompt first
@@ -1559,20 +1638,28 @@ export const generateCompletePage = async (figmaData, selectedComponents = [], o
         throw new Error(`Page too complex to generate within token limits (${estimatedTokens} tokens). Try selecting fewer components or simplifying the design.`);
       }
       
-      console.log(`Optimized to ${estimatedTokens} tokens`);
+      logger.info(`Optimized to ${estimatedTokens} tokens`);
     }
     
+    reportPrompt(prompt, onPrompt);
+
     // Check cache
-    const promptHash = generatePromptHash(prompt);
+    const promptHash = generateCacheKey(prompt, { provider, model });
     const cachedResponse = getCachedResponse(promptHash);
     
     if (cachedResponse) {
-      console.log('Using cached page generation response');
+      logger.info('Using cached page generation response');
       return validateAndCleanCode(cachedResponse);
     }
     
     // Generate page using enhanced API call
-    const generatedText = await callGeminiAPI(prompt, {
+    const generatedText = await callModelAPI(prompt, {
+      provider,
+      model,
+      apiKey,
+      baseUrl,
+      onChunk,
+      signal,
       temperature,
       maxOutputTokens: Math.min(8192, Math.max(2048, maxTokens - estimatedTokens + 1000)),
     });
@@ -1583,11 +1670,16 @@ export const generateCompletePage = async (figmaData, selectedComponents = [], o
     // Validate and clean the generated code
     const cleanedCode = validateAndCleanCode(generatedText);
     
-    console.log('Successfully generated complete page');
+    logger.info('Successfully generated complete page');
     return cleanedCode;
     
   } catch (error) {
-    console.error('Error generating complete page:', error);
+    logger.error('Error generating complete page:', error.message);
+    
+    // Keep interrupted streams intact so the partial output can still be shown
+    if (error.partialText) {
+      throw error;
+    }
     
     // Provide specific error messages
     if (error.message.includes('token limits')) {
@@ -1602,23 +1694,25 @@ export const generateCompletePage = async (figmaData, selectedComponents = [], o
   }
 };
 
-// Extract page structure from Figma data
-const extractPageStructure = (figmaData) => {
-  const pages = figmaData.document.children || [];
-  const mainPage = pages[0] || pages.find(page => page.name.toLowerCase().includes('main')) || pages.find(page => page.name.toLowerCase().includes('page'));
+// Extract page structure from the chosen page, or from one frame of it
+const extractPageStructure = (scope) => {
+  const { page, frame, root } = scope;
   
-  if (!mainPage) {
-    throw new Error('No main page found in Figma design');
+  if (!root) {
+    throw new Error('No page found in Figma design');
   }
   
   // Extract top-level frames and components
-  const topLevelElements = mainPage.children || [];
+  const topLevelElements = (root.children || []).filter(element => element.visible !== false);
+  
+  // Inside a frame, positions are measured from the frame's top-left corner
+  const origin = frame?.absoluteBoundingBox || { x: 0, y: 0 };
   
   // Categorize elements by type and position
   const structure = {
-    pageName: mainPage.name,
-    pageWidth: mainPage.absoluteBoundingBox?.width || 1440,
-    pageHeight: mainPage.absoluteBoundingBox?.height || 1024,
+    pageName: frame ? `${page.name} / ${frame.name}` : (page?.name || root.name),
+    pageWidth: root.absoluteBoundingBox?.width || 1440,
+    pageHeight: root.absoluteBoundingBox?.height || 1024,
     header: null,
     hero: null,
     main: null,
@@ -1634,10 +1728,13 @@ const extractPageStructure = (figmaData) => {
     (a.absoluteBoundingBox?.y || 0) - (b.absoluteBoundingBox?.y || 0)
   );
   
-  sortedElements.forEach((element, index) => {
+  sortedElements.forEach((element) => {
     const name = element.name.toLowerCase();
-    const type = element.type;
-    const bounds = element.absoluteBoundingBox;
+    const bounds = element.absoluteBoundingBox && {
+      ...element.absoluteBoundingBox,
+      x: element.absoluteBoundingBox.x - origin.x,
+      y: element.absoluteBoundingBox.y - origin.y,
+    };
     
     // Categorize by name and position
     if (name.includes('header') || name.includes('nav') || name.includes('top') || 
@@ -1668,7 +1765,7 @@ const extractPageStructure = (figmaData) => {
 };
 
 // Extract key components for detailed generation
-const extractKeyComponents = (figmaData, selectedComponents) => {
+const extractKeyComponents = (scope, selectedComponents) => {
   const allComponents = [];
   
   // Extract from selected components
@@ -1678,12 +1775,11 @@ const extractKeyComponents = (figmaData, selectedComponents) => {
   
   // If no components selected, extract from page structure
   if (allComponents.length === 0) {
-    const pages = figmaData.document.children || [];
-    const mainPage = pages[0];
+    const root = scope.root;
     
-    if (mainPage && mainPage.children) {
+    if (root && root.children) {
       // Extract first 10 components to stay within limits
-      mainPage.children.slice(0, 10).forEach(element => {
+      root.children.slice(0, 10).forEach(element => {
         allComponents.push(extractElementInfo(element));
       });
     }
@@ -1837,7 +1933,7 @@ REQUIREMENTS:
 // Utility functions for cache management and API optimization
 export const clearPromptCache = () => {
   promptCache.clear();
-  console.log('Prompt cache cleared');
+  logger.info('Prompt cache cleared');
 };
 
 export const getCacheStats = () => {
@@ -1864,11 +1960,11 @@ export const getAPIStats = () => {
 export const resetAPIStats = () => {
   apiCallCount = 0;
   totalTokensUsed = 0;
-  console.log('API statistics reset');
+  logger.info('API statistics reset');
 };
 
 // Enhanced error recovery with fallback strategies
-export const generateWithFallback = async (componentMetadata, allComponents = []) => {
+export const generateWithFallback = async (componentMetadata, allComponents = [], options = {}) => {
   const fallbackStrategies = [
     // Strategy 1: Full detailed generation
     { useDetailedPrompt: true, maxTokens: 6000, temperature: 0.7 },
@@ -1887,27 +1983,28 @@ export const generateWithFallback = async (componentMetadata, allComponents = []
   
   for (let i = 0; i < fallbackStrategies.length; i++) {
     try {
-      console.log(`Attempting generation strategy ${i + 1}/${fallbackStrategies.length}`);
+      logger.info(`Attempting generation strategy ${i + 1}/${fallbackStrategies.length}`);
       
       const result = await generateReactComponent(
         componentMetadata, 
         allComponents, 
-        fallbackStrategies[i]
+        { ...options, ...fallbackStrategies[i] }
       );
       
       if (i > 0) {
-        console.log(`Successfully generated using fallback strategy ${i + 1}`);
+        logger.info(`Successfully generated using fallback strategy ${i + 1}`);
       }
       
       return result;
       
     } catch (error) {
       lastError = error;
-      console.log(`Strategy ${i + 1} failed:`, error.message);
+      logger.info(`Strategy ${i + 1} failed:`, error.message);
       
-      // Don't retry for certain error types
+      // Don't retry for certain error types, or after a stream already produced output
       if (error.message.includes('API key') || 
-          error.message.includes('permissions')) {
+          error.message.includes('permissions') ||
+          error.partialText) {
         throw error;
       }
       
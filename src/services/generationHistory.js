@@ -0,0 +1,111 @@
+import { STORES, isIndexedDbAvailable, idbGet, idbPut, idbDelete } from '../utils/indexedDb.js';
+
+// Generation history. Every result generated for a component or a page is kept with the
+// model, prompt hash and options it came from, newest first, so a regeneration no longer
+// throws away the previous result and any two entries can be compared or restored.
+
+const MAX_HISTORY_ENTRIES = 30;
+
+// History falls back to memory when IndexedDB is unavailable, so it still works per session
+const memoryHistory = new Map();
+
+let entryCount = 0;
+
+// A target is what was generated: { type: 'component' | 'page', id, name }
+export const buildHistoryKey = (fileKey, target) => `${fileKey}#${target.type}:${target.id}`;
+
+// Files loaded from Figma are keyed by their file key. Imported exports have none, so they
+// are keyed by the document's name and root id, which stay the same on every import.
+export const getHistoryFileKey = (fileKey, fileData) => {
+  if (fileKey) return fileKey;
+  if (!fileData?.document) return '';
+
+  const name = fileData.name || fileData.metadata?.importedFrom || 'Untitled';
+  return `import:${name}:${fileData.document.id || ''}`;
+};
+
+const readHistory = async (key) => {
+  if (!isIndexedDbAvailable()) return memoryHistory.get(key) || null;
+  return (await idbGet(STORES.GENERATION_HISTORY, key)) || null;
+};
+
+const saveHistory = async (history) => {
+  if (!isIndexedDbAvailable()) {
+    memoryHistory.set(history.key, history);
+    return;
+  }
+  await idbPut(STORES.GENERATION_HISTORY, history.key, history);
+};
+
+// Entries for a component or page, newest first
+export const getGenerationHistory = async (fileKey, target) => {
+  if (!fileKey || !target?.id) return [];
+
+  const history = await readHistory(buildHistoryKey(fileKey, target));
+  return history?.entries || [];
+};
+
+// Add a generation to the front of the target's history. A result identical to the newest
+// entry (such as the same template compiled twice) is not stored again.
+export const recordGeneration = async (fileKey, target, {
+  code,
+  mode,
+  kind = 'generated',
+  provider = null,
+  model = null,
+  promptHash = null,
+  instruction = null,
+  options = {},
+}) => {
+  if (!fileKey || !target?.id || !code) return [];
+
+  const key = buildHistoryKey(fileKey, target);
+  const history = await readHistory(key);
+  const entries = history?.entries || [];
+
+  if (entries[0]?.code === code) return entries;
+
+  entryCount += 1;
+  const entry = {
+    id: `generation-${Date.now()}-${entryCount}`,
+    createdAt: Date.now(),
+    mode,
+    kind,
+    provider,
+    model,
+    promptHash,
+    instruction,
+    options,
+    code,
+  };
+
+  const updated = {
+    key,
+    fileKey,
+    target: { type: target.type, id: target.id, name: target.name || '' },
+    entries: [entry, ...entries].slice(0, MAX_HISTORY_ENTRIES),
+    updatedAt: Date.now(),
+  };
+
+  await saveHistory(updated);
+  return updated.entries;
+};
+
+export const deleteGenerationEntry = async (fileKey, target, entryId) => {
+  const key = buildHistoryKey(fileKey, target);
+  const history = await readHistory(key);
+  if (!history) return [];
+
+  const updated = { ...history, entries: history.entries.filter(entry => entry.id !== entryId) };
+  await saveHistory(updated);
+  return updated.entries;
+};
+
+export const clearGenerationHistory = async (fileKey, target) => {
+  const key = buildHistoryKey(fileKey, target);
+  if (!isIndexedDbAvailable()) {
+    memoryHistory.delete(key);
+    return;
+  }
+  await idbDelete(STORES.GENERATION_HISTORY, key);
+};
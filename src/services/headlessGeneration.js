@@ -0,0 +1,109 @@
+import { getFigmaFile, getFigmaFileNodes, findNodeById } from './figmaApi.js';
+import { generateCompletePage } from './geminiApi.js';
+import { regenerateComponent } from './componentSync.js';
+import { compilePageToJsx, toComponentName } from './templateGenerator.js';
+import { resolveProjectAssets } from './assetService.js';
+import { resolveVectorIcons } from './iconService.js';
+import { getFigmaPages, getDefaultPageId, getPageScope } from '../utils/figmaPages.js';
+
+// Generation without the React UI, used by the CLI and the local HTTP API. Components and
+// pages go through the same services as the app; template mode compiles the node tree
+// without an LLM.
+
+export const GENERATION_MODES = ['ai', 'template'];
+
+export const validateGenerationMode = (mode) => {
+  if (!GENERATION_MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}". Use one of: ${GENERATION_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+// Name of the component a module exports, so the file name matches the code
+export const getExportedComponentName = (code, fallback) => {
+  const match = code.match(/export\s+default\s+(?:function\s+)?([A-Z][\w$]*)/);
+  return match ? match[1] : toComponentName(fallback);
+};
+
+// Fetch the node selection, or the whole file when no nodes are given
+export const loadDesign = ({ fileKey, nodeIds = [], accessToken, version = null }) => (
+  nodeIds.length > 0
+    ? getFigmaFileNodes(fileKey, nodeIds, accessToken, { version })
+    : getFigmaFile(fileKey, accessToken, { version })
+);
+
+// Generate one component per node id, in order. A failed node does not stop the others.
+export const generateComponents = async (design, nodeIds, { mode = 'ai', llmSettings = {}, signal, onProgress } = {}) => {
+  validateGenerationMode(mode);
+  const results = [];
+
+  for (const [index, nodeId] of nodeIds.entries()) {
+    const node = findNodeById(design.document, nodeId);
+    if (!node) {
+      results.push({ id: nodeId, name: nodeId, status: 'failed', error: `Node ${nodeId} not found in the Figma file` });
+      continue;
+    }
+
+    onProgress?.(`Generating ${node.name} (${index + 1} of ${nodeIds.length})...`);
+    try {
+      const code = await regenerateComponent(node, { mode, llmSettings, signal });
+      const componentName = getExportedComponentName(code, node.name);
+      results.push({ id: nodeId, name: node.name, status: 'generated', componentName, fileName: `${componentName}.jsx`, code, node });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      results.push({ id: nodeId, name: node.name, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Pick a page by id or (case-insensitive) name; without one the first non-archive page is used
+export const findDesignPage = (design, pageName = '') => {
+  const pages = getFigmaPages(design);
+  if (!pageName) return pages.find(page => page.id === getDefaultPageId(pages)) || null;
+
+  const wanted = pageName.toLowerCase();
+  const page = pages.find(item => item.id === pageName || item.name.toLowerCase() === wanted);
+  if (!page) {
+    throw new Error(`Page "${pageName}" not found. Pages in this file: ${pages.map(item => item.name).join(', ') || 'none'}`);
+  }
+  return page;
+};
+
+// Generate a full page from the selected frames, or from every frame of a page
+export const generatePage = async (design, { nodeIds = [], pageName = '', mode = 'ai', llmSettings = {}, signal } = {}) => {
+  validateGenerationMode(mode);
+
+  const page = findDesignPage(design, pageName);
+  const scope = getPageScope(design, { pageId: page?.id || '' });
+  const selectedNodes = nodeIds.map(id => findNodeById(design.document, id)).filter(Boolean);
+  const nodes = selectedNodes.length > 0
+    ? selectedNodes
+    : scope.nodes.flatMap(node => (node.type === 'CANVAS' ? node.children || [] : [node]));
+  const pageComponentName = `${toComponentName(page?.name || design.name, 'Generated')}Page`;
+
+  const code = mode === 'template'
+    ? compilePageToJsx(nodes, { pageName: pageComponentName })
+    : await generateCompletePage(design, selectedNodes, { ...llmSettings, pageId: page?.id, signal });
+
+  const componentName = getExportedComponentName(code, pageComponentName);
+  return { name: page?.name || design.name, componentName, fileName: `${componentName}.jsx`, code, nodes };
+};
+
+// Icon modules the generated code imports and, optionally, the images it references
+export const resolveGeneratedResources = async (nodes, { fileKey, accessToken, includeAssets = true } = {}) => {
+  const [assetResult, iconResult] = await Promise.all([
+    includeAssets
+      ? resolveProjectAssets(nodes, { fileKey, accessToken })
+        .catch(assetError => ({ assets: [], failed: [{ reason: assetError.message }] }))
+      : { assets: [], failed: [] },
+    resolveVectorIcons(nodes, { fileKey, accessToken }),
+  ]);
+
+  return {
+    assets: assetResult.assets,
+    icons: iconResult.icons,
+    failed: [...assetResult.failed, ...iconResult.failed],
+  };
+};
@@ -0,0 +1,117 @@
+import { getFigmaImages, findNodeById } from './figmaApi.js';
+import {
+  collectVectorIcons,
+  hasIconGeometry,
+  buildSvgFromGeometry,
+  optimizeSvgMarkup,
+  createSvgIconModule,
+} from '../utils/svgIcons.js';
+
+// Turns vector layers into SvgIcon components under src/components/icons/.
+// Layers loaded with geometry=paths are drawn locally; the rest are exported as
+// SVG through the images endpoint. Icons that cannot be exported still get an
+// empty module so the generated imports keep resolving.
+
+const MAX_EXPORT_BATCH = 50;
+const DOWNLOAD_CONCURRENCY = 4;
+
+const downloadSvg = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`SVG download failed with status ${response.status}`);
+  }
+  return response.text();
+};
+
+// Find the layer of an icon in any of the given subtrees
+const findIconNode = (nodes, icon) => nodes
+  .map(node => findNodeById(node, icon.nodeId))
+  .find(Boolean) || null;
+
+// Export the icons without geometry as SVG
+const getSvgExportUrls = async (icons, fileKey, accessToken) => {
+  const urls = {};
+  for (let index = 0; index < icons.length; index += MAX_EXPORT_BATCH) {
+    const batch = icons.slice(index, index + MAX_EXPORT_BATCH);
+    const result = await getFigmaImages(fileKey, batch.map(icon => icon.nodeId), accessToken, {
+      format: 'svg',
+      maxNodes: MAX_EXPORT_BATCH,
+    });
+    Object.assign(urls, result.images);
+  }
+  return urls;
+};
+
+const toIconFile = (icon, svg) => ({
+  ...icon,
+  code: createSvgIconModule(icon, svg),
+});
+
+// Resolve every icon used by the given nodes into a React module
+export const resolveVectorIcons = async (nodes, { fileKey, accessToken } = {}) => {
+  const roots = (Array.isArray(nodes) ? nodes : [nodes]).filter(Boolean);
+  const planned = collectVectorIcons(roots);
+
+  if (planned.length === 0) {
+    return { icons: [], failed: [] };
+  }
+
+  const icons = [];
+  const failed = [];
+  const pending = [];
+
+  planned.forEach((icon) => {
+    const node = findIconNode(roots, icon);
+    if (node && hasIconGeometry(node)) {
+      try {
+        icons.push(toIconFile(icon, optimizeSvgMarkup(buildSvgFromGeometry(node))));
+        return;
+      } catch (error) {
+        console.warn(`Failed to draw icon ${icon.componentName} from geometry:`, error.message);
+      }
+    }
+    pending.push(icon);
+  });
+
+  if (pending.length > 0 && (!fileKey || !accessToken)) {
+    // Offline imports without geometry have nothing to export the vectors from
+    pending.forEach((icon) => {
+      icons.push(toIconFile(icon));
+      failed.push({ ...icon, reason: 'Icons can only be exported for files loaded from Figma or saved with geometry' });
+    });
+    return { icons, failed };
+  }
+
+  // A failed export request only affects the icons that needed it
+  let exportUrls = {};
+  let exportError = null;
+  if (pending.length > 0) {
+    try {
+      exportUrls = await getSvgExportUrls(pending, fileKey, accessToken);
+    } catch (error) {
+      exportError = error;
+    }
+  }
+
+  for (let index = 0; index < pending.length; index += DOWNLOAD_CONCURRENCY) {
+    const batch = pending.slice(index, index + DOWNLOAD_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map(async (icon) => {
+      const sourceUrl = exportUrls[icon.nodeId];
+      if (!sourceUrl) {
+        throw new Error(exportError?.message || 'Figma did not return an SVG URL');
+      }
+      return toIconFile(icon, optimizeSvgMarkup(await downloadSvg(sourceUrl)));
+    }));
+
+    results.forEach((result, resultIndex) => {
+      if (result.status === 'fulfilled') {
+        icons.push(result.value);
+      } else {
+        icons.push(toIconFile(batch[resultIndex]));
+        failed.push({ ...batch[resultIndex], reason: result.reason.message });
+      }
+    });
+  }
+
+  return { icons, failed };
+};
@@ -0,0 +1,25 @@
+import { getProxyUrl, isProxyEnabled } from '../utils/config.js';
+
+// The key proxy (server/proxy.js) keeps the Figma token and LLM keys out of the browser
+// bundle. The app only asks it which of them are configured.
+
+// { figma: boolean, providers: { [providerId]: boolean } }, or null without a proxy
+export const getProxyStatus = async ({ signal } = {}) => {
+  if (!isProxyEnabled()) {
+    return null;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${getProxyUrl()}/status`, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`The key proxy at ${getProxyUrl()} is not reachable. Start it with npm run proxy and check that PROXY_ALLOWED_ORIGINS includes ${window.location.origin}.`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`The key proxy at ${getProxyUrl()} answered ${response.status}.`);
+  }
+
+  return response.json();
+};
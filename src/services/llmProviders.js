@@ -0,0 +1,430 @@
+import { getConfigValue, getProxyUrl, isProxyEnabled } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+// Pluggable LLM provider layer. Every generation call goes through callLLM so the
+// prompt builders stay independent of the model vendor.
+
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const OPENAI_API_BASE_URL = 'https://api.openai.com/v1';
+const LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+// Retry configuration for API calls
+const RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelay: 1000, // 1 second
+  maxDelay: 10000, // 10 seconds
+  backoffFactor: 2,
+};
+
+const GEMINI_SAFETY_SETTINGS = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+// Request/response shape shared by OpenAI and every server that mimics its chat API
+const buildChatCompletionRequest = (config, prompt, { temperature, maxOutputTokens }) => ({
+  url: `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+  },
+  body: {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature,
+    max_tokens: maxOutputTokens,
+  },
+});
+
+const buildChatCompletionStreamRequest = (config, prompt, settings) => {
+  const request = buildChatCompletionRequest(config, prompt, settings);
+  return { ...request, body: { ...request.body, stream: true } };
+};
+
+const parseChatCompletionChunk = (data) => data?.choices?.[0]?.delta?.content || '';
+
+const parseChatCompletionResponse = (data) => {
+  const choice = data?.choices?.[0];
+
+  if (!choice?.message?.content) {
+    if (choice?.finish_reason === 'content_filter') {
+      throw new Error('Content was blocked by safety filters. Try modifying your design or component names.');
+    }
+    if (choice?.finish_reason === 'length') {
+      throw new Error('Response was truncated due to token limit. Try simplifying the component.');
+    }
+    throw new Error('Invalid or empty response from model API');
+  }
+
+  return choice.message.content;
+};
+
+// Provider registry: defaults, environment lookup and request/response adapters
+export const LLM_PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash',
+    models: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.0-flash'],
+    requiresApiKey: true,
+    apiKeyEnv: 'VITE_GEMINI_API_KEY',
+    defaultBaseUrl: GEMINI_API_BASE_URL,
+    getDefaults: () => ({
+      apiKey: getConfigValue('VITE_GEMINI_API_KEY'),
+      baseUrl: GEMINI_API_BASE_URL,
+      model: getConfigValue('VITE_GEMINI_MODEL'),
+    }),
+    buildRequest: (config, prompt, { temperature, maxOutputTokens }) => ({
+      url: `${config.baseUrl.replace(/\/$/, '')}/${config.model}:generateContent`,
+      // The key goes in a header so it never shows up in URLs, logs or browser history
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { 'x-goog-api-key': config.apiKey } : {}),
+      },
+      body: {
+        contents: [
+          {
+            parts: [
+              {
+                text: prompt,
+              },
+            ],
+          },
+        ],
+        generationConfig: {
+          temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens,
+          candidateCount: 1,
+          stopSequences: [],
+        },
+        safetySettings: GEMINI_SAFETY_SETTINGS,
+      },
+    }),
+    buildStreamRequest: (config, prompt, settings) => {
+      const request = LLM_PROVIDERS.gemini.buildRequest(config, prompt, settings);
+      return {
+        ...request,
+        url: request.url.replace(/:generateContent$/, ':streamGenerateContent?alt=sse'),
+      };
+    },
+    parseStreamChunk: (data) => {
+      const candidate = data?.candidates?.[0];
+      if (candidate?.finishReason === 'SAFETY') {
+        throw new Error('Content was blocked by safety filters. Try modifying your design or component names.');
+      }
+      return (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    },
+    parseResponse: (data) => {
+      const candidate = data?.candidates?.[0];
+
+      if (!candidate?.content?.parts?.[0]?.text) {
+        // Check for safety filter blocks
+        if (candidate?.finishReason === 'SAFETY') {
+          throw new Error('Content was blocked by safety filters. Try modifying your design or component names.');
+        }
+
+        // Check for other finish reasons
+        if (candidate?.finishReason === 'MAX_TOKENS') {
+          throw new Error('Response was truncated due to token limit. Try simplifying the component.');
+        }
+
+        throw new Error('Invalid or empty response from Gemini API');
+      }
+
+      return candidate.content.parts.map(part => part.text || '').join('');
+    },
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+    requiresApiKey: true,
+    apiKeyEnv: 'VITE_OPENAI_API_KEY',
+    defaultBaseUrl: OPENAI_API_BASE_URL,
+    getDefaults: () => ({
+      apiKey: getConfigValue('VITE_OPENAI_API_KEY'),
+      baseUrl: getConfigValue('VITE_OPENAI_BASE_URL') || OPENAI_API_BASE_URL,
+      model: getConfigValue('VITE_OPENAI_MODEL'),
+    }),
+    buildRequest: buildChatCompletionRequest,
+    buildStreamRequest: buildChatCompletionStreamRequest,
+    parseStreamChunk: parseChatCompletionChunk,
+    parseResponse: parseChatCompletionResponse,
+  },
+  local: {
+    id: 'local',
+    label: 'Local (Ollama / llama.cpp)',
+    defaultModel: 'llama3.1',
+    models: ['llama3.1', 'qwen2.5-coder', 'codellama'],
+    requiresApiKey: false,
+    apiKeyEnv: null,
+    defaultBaseUrl: LOCAL_LLM_BASE_URL,
+    // Ollama and the llama.cpp server both expose an OpenAI-compatible /v1 endpoint
+    getDefaults: () => ({
+      apiKey: getConfigValue('VITE_LOCAL_LLM_API_KEY'),
+      baseUrl: getConfigValue('VITE_LOCAL_LLM_BASE_URL') || LOCAL_LLM_BASE_URL,
+      model: getConfigValue('VITE_LOCAL_LLM_MODEL'),
+    }),
+    buildRequest: buildChatCompletionRequest,
+    buildStreamRequest: buildChatCompletionStreamRequest,
+    parseStreamChunk: parseChatCompletionChunk,
+    parseResponse: parseChatCompletionResponse,
+  },
+};
+
+// Provider used when a generation does not pick one explicitly
+export const getDefaultProviderId = () => {
+  const configured = getConfigValue('VITE_LLM_PROVIDER');
+  return LLM_PROVIDERS[configured] ? configured : DEFAULT_PROVIDER;
+};
+
+// Resolve provider, model, key and base URL from explicit options and environment defaults.
+// With the key proxy enabled the request goes to the proxy, which adds the key itself.
+export const resolveProviderConfig = (options = {}) => {
+  const providerId = options.provider || getDefaultProviderId();
+  const provider = LLM_PROVIDERS[providerId];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${providerId}". Available providers: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  const defaults = provider.getDefaults();
+  const model = options.model || defaults.model || provider.defaultModel;
+
+  if (isProxyEnabled()) {
+    return {
+      provider: provider.id,
+      label: provider.label,
+      model,
+      apiKey: undefined,
+      baseUrl: `${getProxyUrl()}/llm/${provider.id}`,
+      proxied: true,
+    };
+  }
+
+  return {
+    provider: provider.id,
+    label: provider.label,
+    model,
+    apiKey: options.apiKey || defaults.apiKey,
+    baseUrl: options.baseUrl || defaults.baseUrl,
+    proxied: false,
+  };
+};
+
+// Summaries for provider pickers in the UI. With the key proxy, proxyStatus (its GET /status)
+// tells which providers have a key; until it is known every provider counts as configured.
+export const listProviders = (proxyStatus = null) => {
+  return Object.values(LLM_PROVIDERS).map(provider => {
+    const defaults = provider.getDefaults();
+    return {
+      id: provider.id,
+      label: provider.label,
+      defaultModel: defaults.model || provider.defaultModel,
+      models: provider.models,
+      configured: isProxyEnabled()
+        ? proxyStatus?.providers?.[provider.id] !== false
+        : !provider.requiresApiKey || Boolean(defaults.apiKey),
+    };
+  });
+};
+
+// Map HTTP failures to the error messages the generation services match on
+const createHttpError = async (response, label) => {
+  const errorData = await response.json().catch(() => ({}));
+  const detail = errorData.error?.message || errorData.error || 'Bad request';
+
+  if (response.status === 429) {
+    return new Error('Rate limit exceeded. Please wait before making another request.');
+  } else if (response.status === 400) {
+    return new Error(`Invalid request: ${detail}`);
+  } else if (response.status === 401 || response.status === 403) {
+    return new Error('API key invalid or insufficient permissions.');
+  } else if (response.status >= 500) {
+    return new Error(`Server error (${response.status}). Please try again later.`);
+  }
+
+  return new Error(`${label} API error: ${response.status} ${response.statusText}`);
+};
+
+// Run a request with exponential backoff, skipping retries for errors that cannot recover
+const runWithRetries = async (attempt, { maxRetries, baseDelay, label }) => {
+  let lastError;
+
+  for (let attemptIndex = 0; attemptIndex <= maxRetries; attemptIndex++) {
+    try {
+      logger.info(`${label} attempt ${attemptIndex + 1}/${maxRetries + 1}`);
+      return await attempt();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry for certain error types, or once part of a stream was delivered
+      if (error.message.includes('API key') ||
+          error.message.includes('Invalid request') ||
+          error.message.includes('safety filters') ||
+          error.name === 'AbortError' ||
+          error.partialText) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attemptIndex === maxRetries) {
+        break;
+      }
+
+      // Calculate delay with exponential backoff
+      const delay = Math.min(
+        baseDelay * Math.pow(RETRY_CONFIG.backoffFactor, attemptIndex),
+        RETRY_CONFIG.maxDelay
+      );
+
+      logger.info(`Retrying in ${delay}ms due to error:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+};
+
+const getProviderForCall = (options) => {
+  const config = resolveProviderConfig(options);
+  const provider = LLM_PROVIDERS[config.provider];
+
+  if (provider.requiresApiKey && !config.apiKey && !config.proxied) {
+    throw new Error(`${config.label} API key not found. Please add ${provider.apiKeyEnv} to your .env file.`);
+  }
+
+  return { config, provider };
+};
+
+// Send a prompt to the selected provider with retry logic
+export const callLLM = async (prompt, options = {}) => {
+  const {
+    maxRetries = RETRY_CONFIG.maxRetries,
+    baseDelay = RETRY_CONFIG.baseDelay,
+    temperature = 0.7,
+    maxOutputTokens = 4096,
+    signal,
+  } = options;
+
+  const { config, provider } = getProviderForCall(options);
+
+  return runWithRetries(async () => {
+    const request = provider.buildRequest(config, prompt, { temperature, maxOutputTokens });
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response, config.label);
+    }
+
+    const data = await response.json();
+    return provider.parseResponse(data);
+  }, { maxRetries, baseDelay, label: `${config.label} (${config.model})` });
+};
+
+// Split a server-sent events buffer into complete data payloads and the unfinished remainder
+export const parseServerSentEvents = (buffer) => {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+
+  const events = blocks
+    .map(block => block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n'))
+    .filter(Boolean);
+
+  return { events, rest };
+};
+
+// Stream a prompt to the selected provider. onChunk receives each text delta and the
+// text so far. If the stream breaks after output arrived, the thrown error carries
+// the partial text so callers can keep it on screen.
+export const streamLLM = async (prompt, options = {}) => {
+  const {
+    maxRetries = RETRY_CONFIG.maxRetries,
+    baseDelay = RETRY_CONFIG.baseDelay,
+    temperature = 0.7,
+    maxOutputTokens = 4096,
+    signal,
+    onChunk,
+  } = options;
+
+  const { config, provider } = getProviderForCall(options);
+
+  return runWithRetries(async () => {
+    const request = provider.buildStreamRequest(config, prompt, { temperature, maxOutputTokens });
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response, config.label);
+    }
+
+    if (!response.body) {
+      throw new Error(`${config.label} did not return a readable stream`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleEvents = (events) => {
+      events
+        .filter(event => event !== '[DONE]')
+        .forEach(event => {
+          const delta = provider.parseStreamChunk(JSON.parse(event));
+          if (delta) {
+            text += delta;
+            if (onChunk) {
+              onChunk(delta, text);
+            }
+          }
+        });
+    };
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const parsed = parseServerSentEvents(buffer);
+        buffer = parsed.rest;
+        handleEvents(parsed.events);
+      }
+
+      // Flush a final event that was not followed by a blank line
+      handleEvents(parseServerSentEvents(`${buffer}\n\n`).events);
+    } catch (error) {
+      if (text) {
+        error.partialText = text;
+      }
+      throw error;
+    }
+
+    if (!text) {
+      throw new Error(`Invalid or empty response from ${config.label}`);
+    }
+
+    return text;
+  }, { maxRetries, baseDelay, label: `${config.label} (${config.model}) stream` });
+};
@@ -1,4 +1,6 @@
 import JSZip from 'jszip';
+import { rewriteAssetReferences } from '../utils/figmaAssets.js';
+import { PRETTIER_OPTIONS } from '../utils/codeFormatter.js';
 
 // Generate package.json for the downloaded project
 const generatePackageJson = (componentName = 'GeneratedComponent') => {
@@ -291,9 +293,11 @@ This React project was generated from a Figma design using the Figma-to-React Ge
 \`\`\`
 ${cleanComponentName.toLowerCase()}-react-project/
 ├── public/
+│   ├── assets/                     # Images and exported layers from Figma
 │   └── vite.svg                    # Vite logo
 ├── src/
 │   ├── components/
+│   │   ├── icons/                  # SVG icons generated from vector layers
 │   │   └── ${pageGenerationMode ? 'GeneratedPage.jsx' : cleanComponentName + '.jsx'}     # Your generated component
 │   ├── theme/
 │   │   └── index.js                # Material-UI theme configuration
@@ -554,21 +558,9 @@ export default [
 };
 
 // Generate Prettier config
+// Same options as the Format action of the in-app editor
 const generatePrettierConfig = () => {
-  return JSON.stringify({
-    "semi": true,
-    "trailingComma": "es5",
-    "singleQuote": true,
-    "printWidth": 80,
-    "tabWidth": 2,
-    "useTabs": false,
-    "bracketSpacing": true,
-    "bracketSameLine": false,
-    "arrowParens": "avoid",
-    "endOfLine": "lf",
-    "jsxSingleQuote": true,
-    "quoteProps": "as-needed"
-  }, null, 2);
+  return JSON.stringify(PRETTIER_OPTIONS, null, 2);
 };
 
 // Generate TypeScript config for better development experience
@@ -610,8 +602,70 @@ const generateTsNodeConfig = () => {
   }, null, 2);
 };
 
-// Generate comprehensive theme configuration
-const generateThemeConfig = () => {
+// Component overrides and breakpoints shared by the static and Figma-driven themes
+const THEME_SHARED_OPTIONS = `  components: {
+    MuiButton: {
+      styleOverrides: {
+        root: {
+          borderRadius: 8,
+          textTransform: 'none',
+          fontWeight: 500,
+          padding: '8px 16px',
+        },
+        contained: {
+          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+          '&:hover': {
+            boxShadow: '0 4px 8px rgba(0,0,0,0.15)',
+          },
+        },
+      },
+    },
+    MuiCard: {
+      styleOverrides: {
+        root: {
+          borderRadius: 12,
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        },
+      },
+    },
+    MuiPaper: {
+      styleOverrides: {
+        root: {
+          borderRadius: 8,
+        },
+        elevation1: {
+          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+        },
+      },
+    },
+    MuiTextField: {
+      styleOverrides: {
+        root: {
+          '& .MuiOutlinedInput-root': {
+            borderRadius: 8,
+          },
+        },
+      },
+    },
+  },
+  breakpoints: {
+    values: {
+      xs: 0,
+      sm: 600,
+      md: 900,
+      lg: 1200,
+      xl: 1536,
+    },
+  },
+`;
+
+// Generate comprehensive theme configuration. When Figma variables were imported,
+// the palette, spacing, shape and typography come from the file's design tokens.
+const generateThemeConfig = (themeTokens = null) => {
+  if (themeTokens?.modes?.light) {
+    return generateTokenThemeConfig(themeTokens);
+  }
+
   return `import { createTheme } from '@mui/material/styles';
 
 // Custom theme configuration following Material Design principles
@@ -718,61 +772,43 @@ const theme = createTheme({
   shape: {
     borderRadius: 4,
   },
-  components: {
-    MuiButton: {
-      styleOverrides: {
-        root: {
-          borderRadius: 8,
-          textTransform: 'none',
-          fontWeight: 500,
-          padding: '8px 16px',
-        },
-        contained: {
-          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-          '&:hover': {
-            boxShadow: '0 4px 8px rgba(0,0,0,0.15)',
-          },
-        },
-      },
-    },
-    MuiCard: {
-      styleOverrides: {
-        root: {
-          borderRadius: 12,
-          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
-        },
-      },
-    },
-    MuiPaper: {
-      styleOverrides: {
-        root: {
-          borderRadius: 8,
-        },
-        elevation1: {
-          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-        },
-      },
-    },
-    MuiTextField: {
-      styleOverrides: {
-        root: {
-          '& .MuiOutlinedInput-root': {
-            borderRadius: 8,
-          },
-        },
-      },
+${THEME_SHARED_OPTIONS}});
+
+export default theme;
+`;
+};
+
+// Generate a theme module from Figma variable modes (light and optionally dark)
+const generateTokenThemeConfig = (themeTokens) => {
+  const hasDarkMode = Boolean(themeTokens.modes.dark);
+
+  return `import { createTheme } from '@mui/material/styles';
+
+// Design tokens imported from Figma variables (${themeTokens.collections.join(', ')})
+export const designTokens = ${JSON.stringify(themeTokens.modes, null, 2)};
+
+const sharedOptions = {
+${THEME_SHARED_OPTIONS}};
+
+// Create the theme for a color mode, falling back to the light tokens
+export const createAppTheme = (mode = 'light') => {
+  const tokens = designTokens[mode] || designTokens.light;
+
+  return createTheme({
+    ...sharedOptions,
+    ...tokens,
+    palette: {
+      ...tokens.palette,
+      mode,
     },
-  },
-  breakpoints: {
-    values: {
-      xs: 0,
-      sm: 600,
-      md: 900,
-      lg: 1200,
-      xl: 1536,
+    typography: {
+      fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
+      ...tokens.typography,
     },
-  },
-});
+  });
+};
+${hasDarkMode ? "\nexport const darkTheme = createAppTheme('dark');\n" : ''}
+const theme = createAppTheme('light');
 
 export default theme;
 `;
@@ -803,58 +839,89 @@ const cleanGeneratedCode = (code) => {
   return cleaned;
 };
 
+// Vite logo referenced by the scaffolded index.html
+const VITE_LOGO = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" aria-hidden="true" role="img" class="iconify iconify--logos" width="31.88" height="32" preserveAspectRatio="xMidYMid meet" viewBox="0 0 256 257"><defs><linearGradient id="IconifyId1813088fe1fbc01fb466" x1="-.828%" x2="57.636%" y1="7.652%" y2="78.411%"><stop offset="0%" stop-color="#41D1FF"></stop><stop offset="100%" stop-color="#BD34FE"></stop></linearGradient><linearGradient id="IconifyId1813088fe1fbc01fb467" x1="43.376%" x2="50.316%" y1="2.242%" y2="89.03%"><stop offset="0%" stop-color="#FFEA83"></stop><stop offset="8.333%" stop-color="#FFDD35"></stop><stop offset="100%" stop-color="#FFA800"></stop></linearGradient></defs><path fill="url(#IconifyId1813088fe1fbc01fb466)" d="M255.153 37.938L134.897 252.976c-2.483 4.44-8.862 4.466-11.382.048L.875 37.958c-2.746-4.814 1.371-10.646 6.827-9.67l120.385 21.517a6.537 6.537 0 0 0 2.322-.004l117.867-21.483c5.438-.991 9.574 4.796 6.877 9.62Z"></path><path fill="url(#IconifyId1813088fe1fbc01fb467)" d="M185.432.063L96.44 17.501a3.268 3.268 0 0 0-2.634 3.014l-5.474 92.456a3.268 3.268 0 0 0 3.997 3.378l24.777-5.718c2.318-.535 4.413 1.507 3.936 3.838l-7.361 36.047c-.495 2.426 1.782 4.5 4.151 3.78l15.304-4.649c2.372-.72 4.652 1.36 4.15 3.788l-11.698 56.621c-.732 3.542 3.979 5.473 5.943 2.437l1.313-2.028l72.516-144.72c1.215-2.423-.88-5.186-3.54-4.672l-25.505 4.922c-2.396.462-4.435-1.77-3.759-4.114l16.646-57.705c.677-2.35-1.37-4.583-3.769-4.113Z"></path></svg>`;
+
+// Every file of the scaffolded Vite project keyed by its path. Shared by the zip download,
+// the CLI and the local HTTP API; binary assets are returned separately.
+export const buildProjectFiles = (generatedCode, componentName = 'GeneratedComponent', pageGenerationMode = false, options = {}) => {
+  // Clean the generated code and point it at the bundled images
+  const assets = options.assets || [];
+  const cleanedCode = cleanGeneratedCode(rewriteAssetReferences(generatedCode, assets));
+  
+  // Extract actual component name from code
+  const componentNameMatch = cleanedCode.match(/(?:function|const)\s+(\w+)/);
+  const actualComponentName = componentNameMatch ? componentNameMatch[1] : componentName;
+  const cleanComponentName = actualComponentName.replace(/[^a-zA-Z0-9]/g, '');
+  
+  // Generate all project files
+  const files = {
+    'package.json': generatePackageJson(cleanComponentName),
+    'vite.config.js': generateViteConfig(),
+    'index.html': generateIndexHtml(actualComponentName),
+    'src/main.jsx': generateMainFile(),
+    'src/App.jsx': generateAppWrapper(cleanedCode, cleanComponentName, pageGenerationMode),
+    'src/index.css': generateIndexCSS(),
+    'src/theme/index.js': generateThemeConfig(options.themeTokens),
+    '.env.example': generateEnvExample(),
+    'README.md': generateReadme(actualComponentName, pageGenerationMode),
+    '.gitignore': generateGitignore(),
+    'eslint.config.js': generateEslintConfig(),
+    '.prettierrc': generatePrettierConfig(),
+    'tsconfig.json': generateTsConfig(),
+    'tsconfig.node.json': generateTsNodeConfig(),
+    'public/vite.svg': VITE_LOGO,
+  };
+  
+  // Add the generated component file
+  const componentFileName = pageGenerationMode ? 'GeneratedPage.jsx' : `${cleanComponentName}.jsx`;
+  files[`src/components/${componentFileName}`] = cleanedCode;
+  
+  // Vector layers imported by the component as SvgIcon modules
+  const icons = options.icons || [];
+  icons.forEach((icon) => {
+    files[icon.path] = icon.code;
+  });
+  
+  return {
+    files,
+    assets,
+    componentName: actualComponentName,
+    projectName: `${cleanComponentName.toLowerCase()}-react-project`,
+    iconCount: icons.length,
+  };
+};
+
+// Zip a project from buildProjectFiles; type is 'blob' in the browser and 'nodebuffer' under Node
+export const createProjectZip = (project, type = 'blob') => {
+  const zip = new JSZip();
+  
+  // Add all files to the ZIP
+  Object.entries(project.files).forEach(([filePath, content]) => {
+    zip.file(filePath, content);
+  });
+  
+  // Image fills and exported layers are served by Vite from public/assets/
+  project.assets.forEach((asset) => {
+    zip.file(asset.path, asset.data, { binary: true });
+  });
+  
+  return zip.generateAsync({ type });
+};
+
 // Main function to generate complete project download
-export const generateProjectDownload = async (generatedCode, componentName = 'GeneratedComponent', pageGenerationMode = false) => {
+export const generateProjectDownload = async (generatedCode, componentName = 'GeneratedComponent', pageGenerationMode = false, options = {}) => {
   try {
-    const zip = new JSZip();
-    
-    // Clean the generated code
-    const cleanedCode = cleanGeneratedCode(generatedCode);
-    
-    // Extract actual component name from code
-    const componentNameMatch = cleanedCode.match(/(?:function|const)\s+(\w+)/);
-    const actualComponentName = componentNameMatch ? componentNameMatch[1] : componentName;
-    const cleanComponentName = actualComponentName.replace(/[^a-zA-Z0-9]/g, '');
-    
-    // Generate all project files
-    const projectFiles = {
-      'package.json': generatePackageJson(cleanComponentName),
-      'vite.config.js': generateViteConfig(),
-      'index.html': generateIndexHtml(actualComponentName),
-      'src/main.jsx': generateMainFile(),
-      'src/App.jsx': generateAppWrapper(cleanedCode, cleanComponentName, pageGenerationMode),
-      'src/index.css': generateIndexCSS(),
-      'src/theme/index.js': generateThemeConfig(),
-      '.env.example': generateEnvExample(),
-      'README.md': generateReadme(actualComponentName, pageGenerationMode),
-      '.gitignore': generateGitignore(),
-      'eslint.config.js': generateEslintConfig(),
-      '.prettierrc': generatePrettierConfig(),
-      'tsconfig.json': generateTsConfig(),
-      'tsconfig.node.json': generateTsNodeConfig(),
-    };
-    
-    // Add the generated component file
-    const componentFileName = pageGenerationMode ? 'GeneratedPage.jsx' : `${cleanComponentName}.jsx`;
-    projectFiles[`src/components/${componentFileName}`] = cleanedCode;
-    
-    // Add Vite logo
-    const viteLogo = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" aria-hidden="true" role="img" class="iconify iconify--logos" width="31.88" height="32" preserveAspectRatio="xMidYMid meet" viewBox="0 0 256 257"><defs><linearGradient id="IconifyId1813088fe1fbc01fb466" x1="-.828%" x2="57.636%" y1="7.652%" y2="78.411%"><stop offset="0%" stop-color="#41D1FF"></stop><stop offset="100%" stop-color="#BD34FE"></stop></linearGradient><linearGradient id="IconifyId1813088fe1fbc01fb467" x1="43.376%" x2="50.316%" y1="2.242%" y2="89.03%"><stop offset="0%" stop-color="#FFEA83"></stop><stop offset="8.333%" stop-color="#FFDD35"></stop><stop offset="100%" stop-color="#FFA800"></stop></linearGradient></defs><path fill="url(#IconifyId1813088fe1fbc01fb466)" d="M255.153 37.938L134.897 252.976c-2.483 4.44-8.862 4.466-11.382.048L.875 37.958c-2.746-4.814 1.371-10.646 6.827-9.67l120.385 21.517a6.537 6.537 0 0 0 2.322-.004l117.867-21.483c5.438-.991 9.574 4.796 6.877 9.62Z"></path><path fill="url(#IconifyId1813088fe1fbc01fb467)" d="M185.432.063L96.44 17.501a3.268 3.268 0 0 0-2.634 3.014l-5.474 92.456a3.268 3.268 0 0 0 3.997 3.378l24.777-5.718c2.318-.535 4.413 1.507 3.936 3.838l-7.361 36.047c-.495 2.426 1.782 4.5 4.151 3.78l15.304-4.649c2.372-.72 4.652 1.36 4.15 3.788l-11.698 56.621c-.732 3.542 3.979 5.473 5.943 2.437l1.313-2.028l72.516-144.72c1.215-2.423-.88-5.186-3.54-4.672l-25.505 4.922c-2.396.462-4.435-1.77-3.759-4.114l16.646-57.705c.677-2.35-1.37-4.583-3.769-4.113Z"></path></svg>`;
-    projectFiles['public/vite.svg'] = viteLogo;
-    
-    // Add all files to the ZIP
-    Object.entries(projectFiles).forEach(([filePath, content]) => {
-      zip.file(filePath, content);
-    });
+    const project = buildProjectFiles(generatedCode, componentName, pageGenerationMode, options);
     
     // Generate the ZIP file
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    const zipBlob = await createProjectZip(project);
     
     // Create download
     const url = URL.createObjectURL(zipBlob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${cleanComponentName.toLowerCase()}-react-project.zip`;
+    a.download = `${project.projectName}.zip`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -862,8 +929,10 @@ export const generateProjectDownload = async (generatedCode, componentName = 'Ge
     
     return {
       success: true,
-      fileName: `${cleanComponentName.toLowerCase()}-react-project.zip`,
-      componentName: actualComponentName
+      fileName: `${project.projectName}.zip`,
+      componentName: project.componentName,
+      assetCount: project.assets.length,
+      iconCount: project.iconCount,
     };
     
   } catch (error) {
@@ -0,0 +1,437 @@
+import { extractComponentProps, parseVariantName, formatPropDefault, toPropName } from '../utils/componentProps.js';
+import { translateAutoLayout } from '../utils/autoLayout.js';
+import { getImageFillUrl, getExportAssetUrl, isExportableNode } from '../utils/figmaAssets.js';
+import { collectVectorIcons, buildIconLookup } from '../utils/svgIcons.js';
+
+// Deterministic Figma-to-JSX compiler. Walks the full node tree and emits nested
+// MUI JSX with sx styling; the same input always produces the same output.
+
+const MAX_DEPTH = 12;
+const MAX_NODES = 400;
+const MAX_INLINE_SX_LENGTH = 90;
+
+// Identifiers the generated module already uses
+const RESERVED_NAMES = ['React', 'Box', 'Typography'];
+
+const TEXT_ALIGN = {
+  CENTER: 'center',
+  RIGHT: 'right',
+  JUSTIFIED: 'justify',
+};
+
+const TEXT_CASE = {
+  UPPER: 'uppercase',
+  LOWER: 'lowercase',
+  TITLE: 'capitalize',
+};
+
+const TEXT_DECORATION = {
+  UNDERLINE: 'underline',
+  STRIKETHROUGH: 'line-through',
+};
+
+const IMAGE_SCALE_MODES = {
+  FILL: 'cover',
+  FIT: 'contain',
+  CROP: 'cover',
+  TILE: 'auto',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const px = (value) => `${round(value)}px`;
+
+// Convert a node name to a PascalCase component identifier
+export const toComponentName = (name = '', fallback = 'GeneratedComponent') => {
+  const camel = toPropName(name);
+  if (!camel) return fallback;
+  const pascal = camel.charAt(0).toUpperCase() + camel.slice(1);
+  const componentName = /^[A-Z]/.test(pascal) ? pascal : `Component${pascal.replace(/^_/, '')}`;
+  return RESERVED_NAMES.includes(componentName) ? `${componentName}Component` : componentName;
+};
+
+// Convert a Figma RGBA color and paint opacity to a CSS color
+export const toCssColor = (color, opacity = 1) => {
+  if (!color) return null;
+  const alpha = round((color.a === undefined ? 1 : color.a) * opacity);
+  const channels = [color.r, color.g, color.b].map(channel => Math.round((channel || 0) * 255));
+
+  if (alpha >= 1) {
+    return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return `rgba(${channels.join(', ')}, ${alpha})`;
+};
+
+const getVisiblePaints = (paints) => (Array.isArray(paints) ? paints.filter(paint => paint.visible !== false) : []);
+
+// Convert a gradient paint to a CSS gradient
+const gradientToCss = (paint) => {
+  const stops = (paint.gradientStops || [])
+    .map(stop => `${toCssColor(stop.color, paint.opacity ?? 1)} ${round(stop.position * 100)}%`)
+    .join(', ');
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    const [start, end] = paint.gradientHandlePositions || [];
+    const angle = start && end
+      ? round((Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI + 90)
+      : 180;
+    return `linear-gradient(${angle}deg, ${stops})`;
+  }
+
+  return `radial-gradient(circle, ${stops})`;
+};
+
+// Fill styles for shapes and frames. Figma lists paints bottom to top, so the last one wins.
+const getFillSx = (node) => {
+  const paint = getVisiblePaints(node.fills).slice(-1)[0];
+  if (!paint) return {};
+
+  if (paint.type === 'SOLID') {
+    return { bgcolor: toCssColor(paint.color, paint.opacity ?? 1) };
+  }
+  if (paint.type === 'IMAGE') {
+    return {
+      backgroundImage: `url(${getImageFillUrl(paint.imageRef || node.id.replace(/[^a-zA-Z0-9]/g, '-'))})`,
+      backgroundSize: IMAGE_SCALE_MODES[paint.scaleMode] || 'cover',
+      backgroundPosition: 'center',
+      ...(paint.scaleMode === 'TILE' && { backgroundRepeat: 'repeat' }),
+    };
+  }
+  if (paint.type.startsWith('GRADIENT_')) {
+    return { background: gradientToCss(paint) };
+  }
+  return {};
+};
+
+const getStrokeSx = (node) => {
+  const paint = getVisiblePaints(node.strokes).find(stroke => stroke.type === 'SOLID');
+  if (!paint || !node.strokeWeight) return {};
+
+  const style = Array.isArray(node.strokeDashes) && node.strokeDashes.length > 0 ? 'dashed' : 'solid';
+  return { border: `${px(node.strokeWeight)} ${style} ${toCssColor(paint.color, paint.opacity ?? 1)}` };
+};
+
+const getCornerSx = (node) => {
+  if (node.type === 'ELLIPSE') return { borderRadius: '50%' };
+
+  const radii = node.rectangleCornerRadii;
+  if (Array.isArray(radii) && radii.some(radius => radius !== radii[0])) {
+    return { borderRadius: radii.map(px).join(' ') };
+  }
+  const radius = Array.isArray(radii) ? radii[0] : node.cornerRadius;
+  return radius ? { borderRadius: px(radius) } : {};
+};
+
+const getEffectSx = (node) => {
+  const effects = (node.effects || []).filter(effect => effect.visible !== false);
+  const shadows = effects
+    .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    .map(effect => [
+      effect.type === 'INNER_SHADOW' ? 'inset' : null,
+      px(effect.offset?.x || 0),
+      px(effect.offset?.y || 0),
+      px(effect.radius || 0),
+      effect.spread ? px(effect.spread) : null,
+      toCssColor(effect.color),
+    ].filter(Boolean).join(' '));
+
+  const sx = {};
+  if (shadows.length > 0) sx.boxShadow = shadows.join(', ');
+
+  const layerBlur = effects.find(effect => effect.type === 'LAYER_BLUR');
+  if (layerBlur) sx.filter = `blur(${px(layerBlur.radius)})`;
+
+  const backgroundBlur = effects.find(effect => effect.type === 'BACKGROUND_BLUR');
+  if (backgroundBlur) sx.backdropFilter = `blur(${px(backgroundBlur.radius)})`;
+
+  return sx;
+};
+
+const getTextSx = (node) => {
+  const style = node.style || {};
+  const paint = getVisiblePaints(node.fills).slice(-1)[0];
+  const sx = {};
+
+  if (style.fontFamily) sx.fontFamily = `"${style.fontFamily}", sans-serif`;
+  if (style.fontSize) sx.fontSize = px(style.fontSize);
+  if (style.fontWeight) sx.fontWeight = style.fontWeight;
+  if (style.italic) sx.fontStyle = 'italic';
+  if (style.lineHeightPx && style.lineHeightUnit !== 'INTRINSIC_%') sx.lineHeight = px(style.lineHeightPx);
+  if (style.letterSpacing) sx.letterSpacing = px(style.letterSpacing);
+  if (TEXT_ALIGN[style.textAlignHorizontal]) sx.textAlign = TEXT_ALIGN[style.textAlignHorizontal];
+  if (TEXT_CASE[style.textCase]) sx.textTransform = TEXT_CASE[style.textCase];
+  if (TEXT_DECORATION[style.textDecoration]) sx.textDecoration = TEXT_DECORATION[style.textDecoration];
+  if (paint?.type === 'SOLID') sx.color = toCssColor(paint.color, paint.opacity ?? 1);
+  if ((node.characters || '').includes('\n')) sx.whiteSpace = 'pre-wrap';
+
+  return sx;
+};
+
+const getNodeSx = (node, parent, isRoot) => {
+  const isText = node.type === 'TEXT';
+
+  return {
+    ...translateAutoLayout(node, isRoot ? null : parent),
+    ...(isText ? getTextSx(node) : getFillSx(node)),
+    ...(!isText && getStrokeSx(node)),
+    ...(!isText && getCornerSx(node)),
+    ...getEffectSx(node),
+    ...(node.opacity !== undefined && node.opacity < 1 && { opacity: round(node.opacity) }),
+    ...(node.clipsContent && { overflow: 'hidden' }),
+  };
+};
+
+// Exportable layers are bundled as one image, so only their box and shape are kept
+const getImageSx = (node, parent) => ({
+  ...translateAutoLayout({ ...node, children: undefined }, parent),
+  ...getCornerSx(node),
+  ...(node.opacity !== undefined && node.opacity < 1 && { opacity: round(node.opacity) }),
+  objectFit: 'contain',
+});
+
+// Vector icons are separate SvgIcon components sized to the layer box
+const getIconSx = (node, parent) => ({
+  ...translateAutoLayout({ ...node, children: undefined }, parent),
+  ...(node.opacity !== undefined && node.opacity < 1 && { opacity: round(node.opacity) }),
+});
+
+const formatKey = (key) => (/^[a-zA-Z_$][\w$]*$/.test(key) ? key : `'${key}'`);
+
+const formatValue = (value) => (
+  typeof value === 'number' ? String(value) : `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+);
+
+// Serialize an sx object, inline when it is short enough
+export const formatSx = (sx, indent = '') => {
+  const entries = Object.entries(sx).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return null;
+
+  const inline = `sx={{ ${entries.map(([key, value]) => `${formatKey(key)}: ${formatValue(value)}`).join(', ')} }}`;
+  if (indent.length + inline.length <= MAX_INLINE_SX_LENGTH) return inline;
+
+  const lines = entries.map(([key, value]) => `${indent}  ${formatKey(key)}: ${formatValue(value)},`);
+  return `sx={{\n${lines.join('\n')}\n${indent}}}`;
+};
+
+const formatText = (text) => {
+  if (/^[^{}<>\n\r`]*$/.test(text) && text.trim() === text && text.length > 0) {
+    return text;
+  }
+  return `{${JSON.stringify(text)}}`;
+};
+
+// JSX string attributes cannot contain escaped quotes, so those use an expression
+const formatAttribute = (value) => (/^[^"\\{}<>\n]*$/.test(value) ? `"${value}"` : `{${JSON.stringify(value)}}`);
+
+const findPropName = (context, figmaName) => context.propsByFigmaName[figmaName] || null;
+
+// Emit the JSX lines for a node and its children
+const compileNode = (node, parent, context, indent, depth = 0) => {
+  if (node.visible === false) return [];
+
+  context.nodeCount++;
+  if (depth > MAX_DEPTH || context.nodeCount > MAX_NODES) {
+    if (!context.truncated) {
+      context.truncated = true;
+      return [`${indent}{/* Remaining layers omitted: design is larger than ${MAX_NODES} layers */}`];
+    }
+    return [];
+  }
+
+  const references = node.componentPropertyReferences || {};
+  const isRoot = depth === 0;
+  const isText = node.type === 'TEXT';
+  const isImage = !isRoot && isExportableNode(node);
+  const icon = !isRoot && !isImage ? context.icons.get(node.id) : null;
+  const tag = icon ? icon.componentName : isText ? 'Typography' : 'Box';
+  if (icon) {
+    context.iconImports.add(icon);
+  } else {
+    context.imports.add(tag);
+  }
+
+  const visibleProp = !isRoot && findPropName(context, references.visible);
+  const swapProp = !isRoot && findPropName(context, references.mainComponent);
+  const innerIndent = visibleProp || swapProp ? `${indent}  ` : indent;
+
+  const attributes = isImage
+    ? ` component="img" src="${getExportAssetUrl(node)}" alt=${formatAttribute(node.name || '')}`
+    : '';
+  const nodeSx = isImage ? getImageSx(node, parent) : icon ? getIconSx(node, parent) : getNodeSx(node, parent, isRoot);
+  const sx = formatSx(nodeSx, innerIndent);
+  const openTag = sx && sx.includes('\n')
+    ? `${innerIndent}<${tag}${attributes}\n${innerIndent}  ${sx.replace(/\n/g, '\n  ')}\n${innerIndent}>`
+    : `${innerIndent}<${tag}${attributes}${sx ? ` ${sx}` : ''}>`;
+
+  let lines;
+  if (isImage || icon) {
+    lines = [openTag.includes('\n') ? openTag.replace(/\n[^\n]*>$/, `\n${innerIndent}/>`) : openTag.replace(/>$/, ' />')];
+  } else if (isText) {
+    const textProp = findPropName(context, references.characters);
+    const content = textProp ? `{${textProp}}` : formatText(node.characters || node.name || '');
+    lines = [openTag, `${innerIndent}  ${content}`, `${innerIndent}</${tag}>`];
+  } else {
+    const children = (node.children || [])
+      .flatMap(child => compileNode(child, node, context, `${innerIndent}  `, depth + 1));
+    const selfClosingTag = openTag.includes('\n')
+      ? openTag.replace(/\n[^\n]*>$/, `\n${innerIndent}/>`)
+      : openTag.replace(/>$/, ' />');
+    lines = children.length > 0
+      ? [openTag, ...children, `${innerIndent}</${tag}>`]
+      : [selfClosingTag];
+  }
+
+  // Swappable instances render the prop when provided and the design's instance otherwise
+  if (swapProp) {
+    lines = [`${indent}{${swapProp} ?? (`, ...lines, `${indent})}`];
+  }
+  if (visibleProp) {
+    lines = swapProp
+      ? [`${indent}{${visibleProp} && (`, ...lines.map(line => `  ${line}`), `${indent})}`]
+      : [`${indent}{${visibleProp} && (`, ...lines, `${indent})}`];
+  }
+
+  return lines;
+};
+
+// Render the return statement for a node
+const compileReturn = (node, context, indent) => [
+  `${indent}return (`,
+  ...compileNode(node, null, context, `${indent}  `),
+  `${indent});`,
+];
+
+// Build the condition that selects a variant, e.g. size === 'large' && state === 'disabled'
+const getVariantCondition = (variant, props) => {
+  const values = parseVariantName(variant.name);
+  return props
+    .filter(prop => prop.type === 'VARIANT')
+    .map((prop) => {
+      const option = prop.options.find(item => item.figmaValue === values[prop.figmaName]);
+      return option && option.value !== prop.defaultValue ? `${prop.name} === '${option.value}'` : null;
+    })
+    .filter(Boolean)
+    .join(' && ');
+};
+
+// Compile one component declaration (without imports)
+const compileComponentDeclaration = (node, componentName, imports, icons) => {
+  const props = extractComponentProps(node);
+  const context = {
+    imports,
+    icons: icons.lookup,
+    iconImports: icons.imports,
+    nodeCount: 0,
+    truncated: false,
+    propsByFigmaName: Object.fromEntries(props.map(prop => [prop.figmaName, prop.name])),
+  };
+
+  const lines = [];
+  if (props.length > 0) {
+    lines.push('/**', ` * ${node.name}`, ' * @param {object} props');
+    props.forEach((prop) => {
+      lines.push(` * @param {${prop.jsType}} [props.${prop.name}=${formatPropDefault(prop)}]`);
+    });
+    lines.push(' */');
+    lines.push(`const ${componentName} = ({ ${props.map(prop => `${prop.name} = ${formatPropDefault(prop)}`).join(', ')} }) => {`);
+  } else {
+    lines.push(`const ${componentName} = () => {`);
+  }
+
+  const variants = node.type === 'COMPONENT_SET'
+    ? (node.children || []).filter(child => child.type === 'COMPONENT' && child.visible !== false)
+    : [];
+
+  if (variants.length > 0) {
+    // Each variant is its own branch; the default variant is the final return
+    const conditions = variants.map(variant => getVariantCondition(variant, props));
+    const defaultIndex = Math.max(conditions.indexOf(''), 0);
+
+    variants.forEach((variant, index) => {
+      if (index === defaultIndex || !conditions[index]) return;
+      lines.push(`  if (${conditions[index]}) {`);
+      lines.push(...compileReturn(variant, context, '    '));
+      lines.push('  }', '');
+    });
+    lines.push(...compileReturn(variants[defaultIndex], context, '  '));
+  } else {
+    lines.push(...compileReturn(node, context, '  '));
+  }
+
+  lines.push('};');
+  return lines.join('\n');
+};
+
+const buildImports = (imports, icons) => {
+  const muiImports = [...imports].sort();
+  const iconImports = [...icons.imports].sort((a, b) => a.componentName.localeCompare(b.componentName));
+  return [
+    "import React from 'react';",
+    ...(muiImports.length > 0 ? [`import { ${muiImports.join(', ')} } from '@mui/material';`] : []),
+    ...iconImports.map(icon => `import ${icon.componentName} from '${icon.importPath}';`),
+  ].join('\n');
+};
+
+// Icons are collected once per module so repeated instances share a component
+const createIconContext = (nodes) => ({
+  lookup: buildIconLookup(collectVectorIcons(nodes)),
+  imports: new Set(),
+});
+
+// Compile a Figma node (with its full subtree) into a React component module
+export const compileNodeToJsx = (node, options = {}) => {
+  if (!node || typeof node !== 'object') {
+    throw new Error('A Figma node is required to compile a component');
+  }
+
+  const componentName = options.componentName || toComponentName(node.name);
+  const imports = new Set();
+  const icons = createIconContext(node);
+  const declaration = compileComponentDeclaration(node, componentName, imports, icons);
+
+  return `${buildImports(imports, icons)}\n\n${declaration}\n\nexport default ${componentName};\n`;
+};
+
+// Compile several top-level frames into one page module, stacked in reading order
+export const compilePageToJsx = (nodes, options = {}) => {
+  const visibleNodes = (nodes || []).filter(node => node && node.visible !== false);
+  if (visibleNodes.length === 0) {
+    throw new Error('Select at least one frame or component to compile a page');
+  }
+
+  const pageName = options.pageName || 'GeneratedPage';
+  const imports = new Set(['Box']);
+  const icons = createIconContext(visibleNodes);
+  const usedNames = new Set([pageName]);
+
+  const ordered = [...visibleNodes].sort((a, b) => (
+    (a.absoluteBoundingBox?.y || 0) - (b.absoluteBoundingBox?.y || 0)
+    || (a.absoluteBoundingBox?.x || 0) - (b.absoluteBoundingBox?.x || 0)
+  ));
+
+  const sections = ordered.map((node) => {
+    const baseName = toComponentName(node.name, 'Section');
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+    usedNames.add(name);
+    return { name, declaration: compileComponentDeclaration(node, name, imports, icons) };
+  });
+
+  const page = [
+    `const ${pageName} = () => {`,
+    '  return (',
+    "    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>",
+    ...sections.map(section => `      <${section.name} />`),
+    '    </Box>',
+    '  );',
+    '};',
+  ].join('\n');
+
+  return [
+    buildImports(imports, icons),
+    ...sections.map(section => section.declaration),
+    page,
+    `export default ${pageName};\n`,
+  ].join('\n\n');
+};
@@ -0,0 +1,30 @@
+import { vi } from 'vitest'
+
+// In-memory stand-in for the IndexedDB wrapper, shared by the service tests:
+//   vi.mock('../../utils/indexedDb.js', () => import('../../test/indexedDbMock.js'))
+// Call resetStores() before each test; getStore() exposes a store's contents.
+
+const { STORES } = await vi.importActual('../utils/indexedDb.js')
+
+const stores = new Map()
+
+export const getStore = (name) => {
+  if (!stores.has(name)) stores.set(name, new Map())
+  return stores.get(name)
+}
+
+export const resetStores = () => stores.clear()
+
+export { STORES }
+
+export const isIndexedDbAvailable = () => true
+
+export const idbGet = async (store, key) => structuredClone(getStore(store).get(key))
+
+export const idbPut = async (store, key, value) => { getStore(store).set(key, structuredClone(value)) }
+
+export const idbDelete = async (store, key) => { getStore(store).delete(key) }
+
+export const idbGetAll = async (store) => [...getStore(store).values()].map(value => structuredClone(value))
+
+export const idbClear = async (store) => { getStore(store).clear() }
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import {
+  translateAutoLayout,
+  getContainerLayout,
+  getChildLayout,
+  getLayoutSizing,
+  formatCssDeclarations,
+  formatLayoutForPrompt,
+} from '../autoLayout.js'
+
+const box = (x, y, width, height) => ({ absoluteBoundingBox: { x, y, width, height } })
+
+const row = {
+  id: '1:1',
+  type: 'FRAME',
+  layoutMode: 'HORIZONTAL',
+  ...box(0, 0, 400, 100),
+}
+
+describe('autoLayout', () => {
+  describe('getContainerLayout', () => {
+    it('should translate direction, alignment, gap and padding', () => {
+      const css = getContainerLayout({
+        layoutMode: 'VERTICAL',
+        primaryAxisAlignItems: 'CENTER',
+        counterAxisAlignItems: 'MAX',
+        itemSpacing: 12,
+        paddingTop: 8,
+        paddingRight: 16,
+        paddingBottom: 8,
+        paddingLeft: 16,
+      })
+
+      expect(css).toEqual({
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'center',
+        alignItems: 'flex-end',
+        gap: '12px',
+        padding: '8px 16px',
+      })
+    })
+
+    it('should keep Figma start alignment instead of the CSS stretch default', () => {
+      expect(getContainerLayout({ layoutMode: 'HORIZONTAL' }).alignItems).toBe('flex-start')
+    })
+
+    it('should drop itemSpacing for space-between', () => {
+      const css = getContainerLayout({ layoutMode: 'HORIZONTAL', primaryAxisAlignItems: 'SPACE_BETWEEN', itemSpacing: 24 })
+      expect(css.justifyContent).toBe('space-between')
+      expect(css.gap).toBeUndefined()
+    })
+
+    it('should translate wrapping with separate row and column gaps', () => {
+      const css = getContainerLayout({
+        layoutMode: 'HORIZONTAL',
+        layoutWrap: 'WRAP',
+        itemSpacing: 8,
+        counterAxisSpacing: 16,
+        counterAxisAlignContent: 'SPACE_BETWEEN',
+        paddingTop: 1,
+        paddingRight: 2,
+        paddingBottom: 3,
+        paddingLeft: 4,
+      })
+
+      expect(css).toMatchObject({
+        flexWrap: 'wrap',
+        alignContent: 'space-between',
+        columnGap: '8px',
+        rowGap: '16px',
+        padding: '1px 2px 3px 4px',
+      })
+    })
+
+    it('should ignore frames without auto layout', () => {
+      expect(getContainerLayout({ layoutMode: 'NONE' })).toEqual({})
+    })
+  })
+
+  describe('getChildLayout', () => {
+    it('should grow FILL children along the primary axis and stretch them across it', () => {
+      const css = getChildLayout(
+        { layoutSizingHorizontal: 'FILL', layoutSizingVertical: 'FILL', ...box(0, 0, 100, 40) },
+        row
+      )
+
+      expect(css).toEqual({ flexGrow: 1, flexBasis: 0, minWidth: 0, alignSelf: 'stretch' })
+    })
+
+    it('should size HUG and FIXED children and keep them from shrinking', () => {
+      const css = getChildLayout(
+        { layoutSizingHorizontal: 'HUG', layoutSizingVertical: 'FIXED', ...box(0, 0, 80, 32) },
+        row
+      )
+
+      expect(css).toEqual({ width: 'fit-content', height: '32px', flexShrink: 0 })
+    })
+
+    it('should position ABSOLUTE children against the parent, honouring constraints', () => {
+      const css = getChildLayout(
+        {
+          layoutPositioning: 'ABSOLUTE',
+          constraints: { horizontal: 'RIGHT', vertical: 'TOP' },
+          ...box(370, 10, 20, 20),
+        },
+        row
+      )
+
+      expect(css).toEqual({ position: 'absolute', right: '10px', top: '10px', width: '20px', height: '20px' })
+    })
+
+    it('should derive sizing from legacy layoutGrow and layoutAlign', () => {
+      expect(getLayoutSizing({ layoutGrow: 1, layoutAlign: 'STRETCH' }, row)).toEqual({ horizontal: 'FILL', vertical: 'FILL' })
+      expect(getLayoutSizing(
+        { layoutMode: 'VERTICAL', primaryAxisSizingMode: 'AUTO', counterAxisSizingMode: 'FIXED' }
+      )).toEqual({ horizontal: 'FIXED', vertical: 'HUG' })
+      expect(getLayoutSizing({ type: 'TEXT', style: { textAutoResize: 'WIDTH_AND_HEIGHT' } })).toEqual({ horizontal: 'HUG', vertical: 'HUG' })
+    })
+  })
+
+  describe('translateAutoLayout', () => {
+    it('should combine item and container rules and position containers of absolute layers', () => {
+      const frame = {
+        ...row,
+        layoutSizingHorizontal: 'FILL',
+        layoutSizingVertical: 'HUG',
+        children: [{ layoutPositioning: 'ABSOLUTE', ...box(0, 0, 10, 10) }],
+      }
+      const css = translateAutoLayout(frame, { layoutMode: 'VERTICAL' })
+
+      expect(css).toMatchObject({
+        alignSelf: 'stretch',
+        flexShrink: 0,
+        position: 'relative',
+        display: 'flex',
+        flexDirection: 'row',
+      })
+      expect(css.height).toBeUndefined()
+    })
+  })
+
+  describe('prompt formatting', () => {
+    it('should format kebab-case declarations', () => {
+      expect(formatCssDeclarations({ display: 'flex', flexDirection: 'row', flexGrow: 1 }))
+        .toBe('display: flex; flex-direction: row; flex-grow: 1')
+    })
+
+    it('should list the root and child layouts', () => {
+      const section = formatLayoutForPrompt(
+        { display: 'flex', gap: '8px' },
+        [{ name: 'Title', type: 'TEXT', css: { flexGrow: 1 } }, { name: 'Empty', type: 'FRAME', css: {} }]
+      )
+
+      expect(section).toContain('• Root: display: flex; gap: 8px')
+      expect(section).toContain('• Title (TEXT): flex-grow: 1')
+      expect(section).not.toContain('Empty')
+      expect(formatLayoutForPrompt(null)).toBe('')
+    })
+  })
+})
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { formatCode } from '../codeFormatter.js'
+
+describe('codeFormatter', () => {
+  it('should format JSX with the project Prettier options', async () => {
+    const formatted = await formatCode('const Card=()=>{return <Box sx={{p:2}} title="Card">Card</Box>}\nexport default Card')
+
+    expect(formatted).toBe(`const Card = () => {
+  return (
+    <Box sx={{ p: 2 }} title='Card'>
+      Card
+    </Box>
+  );
+};
+export default Card;
+`)
+  })
+
+  it('should reject code that does not parse', async () => {
+    await expect(formatCode('const Card = () => (<Box>;')).rejects.toThrow()
+  })
+})
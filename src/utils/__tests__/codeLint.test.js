@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { lintGeneratedCode } from '../codeLint.js'
+
+const component = `import React from 'react';
+import { Box } from '@mui/material';
+
+const Card = () => <Box>Card</Box>;
+
+export default Card;`
+
+describe('codeLint', () => {
+  it('should accept valid components', () => {
+    expect(lintGeneratedCode(component)).toEqual([])
+    expect(lintGeneratedCode('')).toEqual([])
+  })
+
+  it('should report syntax errors with their location', () => {
+    const code = 'const Card = () => (\n  <Box>\n    <Typography>Card</Typography>\n  </Bx>\n);\nexport default Card;'
+
+    expect(lintGeneratedCode(code)).toEqual([{
+      severity: 'error',
+      line: 4,
+      column: 3,
+      message: 'Expected corresponding JSX closing tag for <Box>.',
+    }])
+  })
+
+  it('should warn about imports the preview cannot load and a missing default export', () => {
+    const code = component
+      .replace("import { Box } from '@mui/material';", "import { Box } from '@mui/material';\nimport dayjs from 'dayjs';")
+      .replace('export default Card;', 'export { Card };')
+
+    expect(lintGeneratedCode(code)).toEqual([
+      expect.objectContaining({ severity: 'warning', line: 3, message: expect.stringContaining('"dayjs"') }),
+      expect.objectContaining({ severity: 'warning', line: 1, message: expect.stringContaining('No default export') }),
+    ])
+  })
+})
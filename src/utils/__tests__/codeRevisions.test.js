@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createRevision,
+  addRefinement,
+  getRefinementInstructions,
+  getRevisionLabel,
+} from '../codeRevisions.js'
+
+describe('codeRevisions', () => {
+  it('should start a list from the code the first turn refined', () => {
+    const revisions = addRefinement([], null, { baseCode: 'v1', code: 'v2', instruction: 'Make the button full width' })
+
+    expect(revisions.map(revision => [revision.kind, revision.code])).toEqual([['original', 'v1'], ['refined', 'v2']])
+    expect(revisions[1].instruction).toBe('Make the button full width')
+    expect(new Set(revisions.map(revision => revision.id)).size).toBe(2)
+  })
+
+  it('should keep hand edits made before a turn as their own revision', () => {
+    const first = addRefinement([], null, { baseCode: 'v1', code: 'v2', instruction: 'Use Grid' })
+    const second = addRefinement(first, first[1].id, { baseCode: 'v2 edited', code: 'v3', instruction: 'Add a loading prop' })
+
+    expect(second.map(revision => revision.kind)).toEqual(['original', 'refined', 'edited', 'refined'])
+    expect(second[2].code).toBe('v2 edited')
+    expect(getRefinementInstructions(second, second[3].id)).toEqual(['Use Grid', 'Add a loading prop'])
+  })
+
+  it('should only pass on the instructions up to the active revision', () => {
+    const first = addRefinement([], null, { baseCode: 'v1', code: 'v2', instruction: 'Use Grid' })
+    const second = addRefinement(first, first[1].id, { baseCode: 'v2', code: 'v3', instruction: 'Add a loading prop' })
+
+    expect(second).toHaveLength(3)
+    expect(getRefinementInstructions(second, second[0].id)).toEqual([])
+    expect(getRefinementInstructions(second, second[1].id)).toEqual(['Use Grid'])
+  })
+
+  it('should label revisions for the picker', () => {
+    expect(getRevisionLabel(createRevision('code'), 0)).toBe('1. Generated code')
+    expect(getRevisionLabel(createRevision('code', { kind: 'refined', instruction: 'Use Grid' }), 2)).toBe('3. Use Grid')
+  })
+})
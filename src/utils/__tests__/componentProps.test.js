@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  toPropName,
+  parseVariantName,
+  extractComponentProps,
+  summarizeVariants,
+  formatPropsForPrompt,
+} from '../componentProps.js'
+
+const buttonSet = {
+  id: '1:1',
+  name: 'Button',
+  type: 'COMPONENT_SET',
+  componentPropertyDefinitions: {
+    Size: { type: 'VARIANT', defaultValue: 'Small', variantOptions: ['Small', 'Large'] },
+    State: { type: 'VARIANT', defaultValue: 'Default', variantOptions: ['Default', 'Disabled'] },
+    'Label#2:0': { type: 'TEXT', defaultValue: 'Click me' },
+    'Show icon#2:1': { type: 'BOOLEAN', defaultValue: false },
+    'Icon#2:2': { type: 'INSTANCE_SWAP', defaultValue: '3:4' },
+  },
+  children: [
+    {
+      id: '1:2',
+      name: 'Size=Small, State=Default',
+      type: 'COMPONENT',
+      absoluteBoundingBox: { width: 80, height: 32 },
+      fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }],
+    },
+    {
+      id: '1:3',
+      name: 'Size=Large, State=Disabled',
+      type: 'COMPONENT',
+      absoluteBoundingBox: { width: 120, height: 48 },
+      opacity: 0.5,
+    },
+  ],
+}
+
+describe('componentProps', () => {
+  it('should turn Figma names into prop identifiers', () => {
+    expect(toPropName('Show icon#2:1')).toBe('showIcon')
+    expect(toPropName('Extra Large')).toBe('extraLarge')
+    expect(toPropName('hasIcon')).toBe('hasIcon')
+    expect(toPropName('2XL')).toBe('_2xl')
+  })
+
+  it('should parse variant component names', () => {
+    expect(parseVariantName('Size=Small, State=Default')).toEqual({ Size: 'Small', State: 'Default' })
+  })
+
+  it('should build props with defaults from a component set', () => {
+    const props = extractComponentProps(buttonSet)
+
+    expect(props.map(prop => prop.name)).toEqual(['size', 'state', 'label', 'showIcon', 'icon'])
+    expect(props[0]).toMatchObject({ type: 'VARIANT', jsType: "'small' | 'large'", defaultValue: 'small' })
+    expect(props[2]).toMatchObject({ type: 'TEXT', jsType: 'string', defaultValue: 'Click me' })
+    expect(props[3]).toMatchObject({ type: 'BOOLEAN', defaultValue: false })
+    expect(props[4]).toMatchObject({ type: 'INSTANCE_SWAP', defaultValue: null, defaultInstanceId: '3:4' })
+  })
+
+  it('should derive variant options from children when definitions are missing', () => {
+    const { componentPropertyDefinitions, ...legacySet } = buttonSet
+    const props = extractComponentProps(legacySet)
+
+    expect(componentPropertyDefinitions).toBeDefined()
+    expect(props.map(prop => prop.name)).toEqual(['size', 'state'])
+    expect(props[0].options.map(option => option.value)).toEqual(['small', 'large'])
+  })
+
+  it('should cover the whole set for a single variant, defaulting to its values', () => {
+    const props = extractComponentProps(buttonSet.children[1], buttonSet)
+
+    expect(props.find(prop => prop.name === 'size').defaultValue).toBe('large')
+    expect(props.find(prop => prop.name === 'state').defaultValue).toBe('disabled')
+  })
+
+  it('should use instance property values as defaults', () => {
+    const props = extractComponentProps({
+      type: 'INSTANCE',
+      componentProperties: { Size: { type: 'VARIANT', value: 'Large' }, 'Label#2:0': { type: 'TEXT', value: 'Buy' } },
+    })
+
+    expect(props).toMatchObject([
+      { name: 'size', defaultValue: 'large' },
+      { name: 'label', defaultValue: 'Buy' },
+    ])
+  })
+
+  it('should summarize variant styles and describe them for prompts', () => {
+    const props = extractComponentProps(buttonSet)
+    const variants = summarizeVariants(buttonSet, props)
+    const section = formatPropsForPrompt(props, variants)
+
+    expect(variants[0]).toMatchObject({ props: { size: 'small', state: 'default' }, background: 'rgba(0, 0, 255, 1)' })
+    expect(section).toContain("size: 'small' | 'large' = 'small'")
+    expect(section).toContain('size=large, state=disabled: 120×48px, opacity 0.5')
+    expect(formatPropsForPrompt([])).toBe('')
+  })
+})
@@ -0,0 +1,34 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { getConfigValue, setConfigSource, isDevelopment, getProxyUrl, isProxyEnabled } from '../config.js'
+
+describe('config', () => {
+  afterEach(() => {
+    setConfigSource()
+  })
+
+  it('should read values from the configured source', () => {
+    setConfigSource({ VITE_GEMINI_MODEL: 'gemini-2.5-pro', EMPTY: '', DEV: true })
+
+    expect(getConfigValue('VITE_GEMINI_MODEL')).toBe('gemini-2.5-pro')
+    expect(getConfigValue('EMPTY', 'fallback')).toBe('fallback')
+    expect(getConfigValue('MISSING')).toBeUndefined()
+    expect(isDevelopment()).toBe(true)
+  })
+
+  it('should fall back to the build env', () => {
+    setConfigSource({})
+    expect(getConfigValue('MODE')).toBeUndefined()
+
+    setConfigSource()
+    expect(getConfigValue('MODE')).toBe(import.meta.env.MODE)
+  })
+
+  it('should report the key proxy only when a proxy URL is set', () => {
+    setConfigSource({})
+    expect(isProxyEnabled()).toBe(false)
+
+    setConfigSource({ VITE_PROXY_URL: 'http://localhost:4200/' })
+    expect(getProxyUrl()).toBe('http://localhost:4200')
+    expect(isProxyEnabled()).toBe(true)
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import {
+  collectImageAssets,
+  getExportScale,
+  getExtensionForContentType,
+  rewriteAssetReferences,
+  formatAssetsForPrompt,
+} from '../figmaAssets.js'
+
+const imageFill = (imageRef) => ({ type: 'IMAGE', imageRef, scaleMode: 'FILL' })
+
+const tree = {
+  id: '1:1',
+  name: 'Profile',
+  type: 'FRAME',
+  fills: [imageFill('bg-ref')],
+  children: [
+    { id: '1:2', name: 'Avatar', type: 'ELLIPSE', fills: [imageFill('avatar-ref')] },
+    { id: '1:3', name: 'Avatar copy', type: 'ELLIPSE', fills: [imageFill('avatar-ref')] },
+    { id: '1:4', name: 'Hidden', type: 'RECTANGLE', visible: false, fills: [imageFill('hidden-ref')] },
+    {
+      id: '1:5',
+      name: 'Logo Mark',
+      type: 'GROUP',
+      exportSettings: [{ format: 'SVG', constraint: { type: 'SCALE', value: 1 } }],
+      children: [{ id: '1:6', name: 'Inner', type: 'RECTANGLE', fills: [imageFill('inner-ref')] }],
+    },
+  ],
+}
+
+describe('figmaAssets', () => {
+  it('should collect unique image fills and exportable layers', () => {
+    const assets = collectImageAssets(tree)
+
+    expect(assets.map(asset => asset.url)).toEqual([
+      '/assets/bg-ref.png',
+      '/assets/avatar-ref.png',
+      '/assets/logo-mark-1-5.svg',
+    ])
+    expect(assets[2]).toMatchObject({ kind: 'export', nodeId: '1:5', format: 'svg', scale: 1 })
+  })
+
+  it('should derive the render scale from export constraints', () => {
+    const box = { absoluteBoundingBox: { width: 100, height: 50 } }
+
+    expect(getExportScale({ ...box, exportSettings: [{ constraint: { type: 'WIDTH', value: 300 } }] })).toBe(3)
+    expect(getExportScale({ ...box, exportSettings: [{ constraint: { type: 'HEIGHT', value: 1000 } }] })).toBe(4)
+    expect(getExportScale({ ...box, exportSettings: [{ format: 'PNG' }] })).toBe(2)
+  })
+
+  it('should map content types to extensions', () => {
+    expect(getExtensionForContentType('image/jpeg; charset=binary')).toBe('jpg')
+    expect(getExtensionForContentType('application/octet-stream', 'svg')).toBe('svg')
+  })
+
+  it('should rewrite planned URLs and image ref placeholders', () => {
+    const asset = { imageRef: 'abc123', url: '/assets/abc123.png', finalUrl: '/assets/abc123.jpg' }
+    const code = [
+      "backgroundImage: 'url(/assets/abc123.png)'",
+      "src: 'image-abc123'",
+      "src: 'abc123'",
+    ].join('\n')
+
+    expect(rewriteAssetReferences(code, [asset])).toBe([
+      "backgroundImage: 'url(/assets/abc123.jpg)'",
+      "src: '/assets/abc123.jpg'",
+      "src: '/assets/abc123.jpg'",
+    ].join('\n'))
+  })
+
+  it('should describe assets for prompts', () => {
+    const section = formatAssetsForPrompt(collectImageAssets(tree))
+
+    expect(section).toContain('/assets/avatar-ref.png: background image of "Avatar"')
+    expect(section).toContain('<Box component="img" src="/assets/logo-mark-1-5.svg" />')
+    expect(formatAssetsForPrompt([])).toBe('')
+  })
+})
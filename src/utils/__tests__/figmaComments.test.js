@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeComments,
+  groupCommentsByNode,
+  getNodeComments,
+  formatCommentsForPrompt,
+} from '../figmaComments.js'
+
+const rawComments = [
+  {
+    id: '2',
+    message: 'Disable the button while saving',
+    user: { handle: 'Ana' },
+    created_at: '2024-05-02T10:00:00Z',
+    client_meta: { node_id: '1:3', node_offset: { x: 4, y: 4 } },
+  },
+  {
+    id: '1',
+    message: 'Card lifts on hover',
+    user: { handle: 'Ben' },
+    created_at: '2024-05-01T10:00:00Z',
+    client_meta: { node_id: '1:1', node_offset: { x: 0, y: 0 } },
+  },
+  {
+    id: '3',
+    message: 'Use 200ms',
+    user: { handle: 'Ana' },
+    created_at: '2024-05-01T11:00:00Z',
+    parent_id: '1',
+  },
+  {
+    id: '4',
+    message: 'Old spacing note',
+    user: { handle: 'Ben' },
+    created_at: '2024-05-03T10:00:00Z',
+    resolved_at: '2024-05-04T10:00:00Z',
+    client_meta: { node_id: '1:3' },
+  },
+  {
+    id: '5',
+    message: 'Canvas note',
+    user: { handle: 'Ben' },
+    created_at: '2024-05-03T10:00:00Z',
+    client_meta: { x: 10, y: 20 },
+  },
+]
+
+const card = {
+  id: '1:1',
+  name: 'Card',
+  type: 'FRAME',
+  children: [
+    { id: '1:2', name: 'Title', type: 'TEXT' },
+    { id: '1:3', name: 'Save Button', type: 'INSTANCE' },
+  ],
+}
+
+describe('figmaComments', () => {
+  it('should thread replies under their comment and pin comments to layers', () => {
+    const comments = normalizeComments(rawComments)
+
+    expect(comments.map(comment => comment.id)).toEqual(['1', '2', '4', '5'])
+    expect(comments[0]).toMatchObject({ author: 'Ben', nodeId: '1:1', resolved: false })
+    expect(comments[0].replies.map(reply => reply.message)).toEqual(['Use 200ms'])
+    expect(comments[2].resolved).toBe(true)
+    expect(comments[3].nodeId).toBeNull()
+
+    const byNode = groupCommentsByNode(comments)
+    expect(Object.keys(byNode).sort()).toEqual(['1:1', '1:3'])
+    expect(byNode['1:3']).toHaveLength(2)
+  })
+
+  it('should collect comments from the selected layer and its children', () => {
+    const byNode = groupCommentsByNode(normalizeComments(rawComments))
+
+    const comments = getNodeComments(byNode, card)
+
+    expect(comments.map(comment => [comment.id, comment.nodeName])).toEqual([
+      ['1', 'Card'],
+      ['2', 'Save Button'],
+      ['4', 'Save Button'],
+    ])
+    expect(getNodeComments(byNode, card.children[0])).toEqual([])
+    expect(getNodeComments(byNode, null)).toEqual([])
+  })
+
+  it('should format only open comments as prompt instructions', () => {
+    const comments = getNodeComments(groupCommentsByNode(normalizeComments(rawComments)), card)
+
+    const section = formatCommentsForPrompt(comments)
+
+    expect(section).toContain('DESIGNER NOTES')
+    expect(section).toContain('• On "Card": Card lifts on hover / reply: Use 200ms')
+    expect(section).toContain('• On "Save Button": Disable the button while saving')
+    expect(section).not.toContain('Old spacing note')
+    expect(formatCommentsForPrompt([])).toBe('')
+    expect(formatCommentsForPrompt(comments.filter(comment => comment.resolved))).toBe('')
+  })
+})
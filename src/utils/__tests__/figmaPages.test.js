@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import { getFigmaPages, getDefaultPageId, getPageScope, isArchivePage, restorePageScope } from '../figmaPages.js'
+
+const frame = (id, name, x = 0, y = 0) => ({
+  id,
+  name,
+  type: 'FRAME',
+  absoluteBoundingBox: { x, y, width: 1440, height: 900.4 },
+  children: [],
+})
+
+const fileData = {
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [
+      { id: '0:1', name: 'Archive', type: 'CANVAS', children: [frame('1:1', 'Old home')] },
+      {
+        id: '0:2',
+        name: 'Desktop',
+        type: 'CANVAS',
+        children: [
+          frame('2:1', 'Home'),
+          frame('2:2', 'Pricing', 1600),
+          { id: '2:3', name: 'Note', type: 'TEXT' },
+          { ...frame('2:4', 'Hidden'), visible: false },
+        ],
+      },
+      { id: '0:3', name: 'Mobile', type: 'CANVAS', children: [frame('3:1', 'Home')] },
+    ],
+  },
+}
+
+describe('figmaPages', () => {
+  it('should list pages with their top-level frames', () => {
+    const pages = getFigmaPages(fileData)
+
+    expect(pages.map(page => page.name)).toEqual(['Archive', 'Desktop', 'Mobile'])
+    expect(pages[1].frames).toEqual([
+      { id: '2:1', name: 'Home', type: 'FRAME', width: 1440, height: 900 },
+      { id: '2:2', name: 'Pricing', type: 'FRAME', width: 1440, height: 900 },
+    ])
+    expect(getFigmaPages(null)).toEqual([])
+  })
+
+  it('should skip archive pages when picking the default page', () => {
+    expect(isArchivePage({ name: '🗄 Archived screens' })).toBe(true)
+    expect(isArchivePage({ name: 'Golden path' })).toBe(false)
+    expect(getDefaultPageId(getFigmaPages(fileData))).toBe('0:2')
+    expect(getDefaultPageId([{ id: '0:1', isArchive: true }])).toBe('0:1')
+    expect(getDefaultPageId([])).toBe('')
+  })
+
+  it('should scope processing to the chosen page or frame', () => {
+    expect(getPageScope(fileData, { pageId: '0:3' }).nodes.map(node => node.id)).toEqual(['0:3'])
+
+    const scope = getPageScope(fileData, { pageId: '0:2', frameId: '2:2' })
+    expect(scope.page.name).toBe('Desktop')
+    expect(scope.frame.name).toBe('Pricing')
+    expect(scope.nodes).toEqual([scope.frame])
+
+    // Unknown ids fall back to the first page and the whole page
+    expect(getPageScope(fileData, { pageId: 'x', frameId: 'y' }).root.id).toBe('0:1')
+  })
+
+  it('should keep the page and frame that still exist after a reload', () => {
+    expect(restorePageScope(fileData, { pageId: '0:2', frameId: '2:2' })).toEqual({ pageId: '0:2', frameId: '2:2' })
+    expect(restorePageScope(fileData, { pageId: '0:2', frameId: 'gone' })).toEqual({ pageId: '0:2', frameId: '' })
+    expect(restorePageScope(fileData, { pageId: 'gone', frameId: '2:2' })).toEqual({ pageId: '0:2', frameId: '' })
+  })
+
+  it('should keep node responses that are not grouped by page', () => {
+    const nodesData = { document: { type: 'DOCUMENT', children: [frame('5:1', 'Card')] } }
+    const scope = getPageScope(nodesData)
+
+    expect(scope.page).toBeNull()
+    expect(scope.nodes.map(node => node.id)).toEqual(['5:1'])
+  })
+})
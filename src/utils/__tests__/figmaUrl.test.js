@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { parseFigmaUrl, normalizeNodeId, parseFigmaTeamId } from '../figmaUrl.js'
+
+describe('figmaUrl', () => {
+  describe('normalizeNodeId', () => {
+    it('should convert URL node ids to API form', () => {
+      expect(normalizeNodeId('1-23')).toBe('1:23')
+      expect(normalizeNodeId('1%3A23')).toBe('1:23')
+      expect(normalizeNodeId('12:345')).toBe('12:345')
+    })
+
+    it('should keep instance sublayer ids intact', () => {
+      expect(normalizeNodeId('I1:2;3:4')).toBe('I1:2;3:4')
+    })
+
+    it('should reject malformed ids', () => {
+      expect(normalizeNodeId('abc')).toBeNull()
+      expect(normalizeNodeId('')).toBeNull()
+    })
+  })
+
+  describe('parseFigmaUrl', () => {
+    it('should accept a raw file key', () => {
+      expect(parseFigmaUrl('abcDEF123')).toEqual({ fileKey: 'abcDEF123', nodeIds: [] })
+    })
+
+    it('should parse design URLs with a node id', () => {
+      const result = parseFigmaUrl('https://www.figma.com/design/AbC123xyz/My-File?node-id=1-23&t=xyz-0')
+      expect(result).toEqual({ fileKey: 'AbC123xyz', nodeIds: ['1:23'] })
+    })
+
+    it('should parse legacy file URLs without a protocol', () => {
+      const result = parseFigmaUrl('figma.com/file/AbC123xyz/My-File?node-id=4%3A56')
+      expect(result).toEqual({ fileKey: 'AbC123xyz', nodeIds: ['4:56'] })
+    })
+
+    it('should use the branch key for branch URLs', () => {
+      const result = parseFigmaUrl('https://www.figma.com/design/MainKey/branch/BranchKey/My-File')
+      expect(result.fileKey).toBe('BranchKey')
+    })
+
+    it('should collect multiple node ids', () => {
+      const result = parseFigmaUrl('https://www.figma.com/design/AbC123xyz/My-File?node-id=1-2,3-4,1-2')
+      expect(result.nodeIds).toEqual(['1:2', '3:4'])
+    })
+
+    it('should reject non-Figma URLs and empty input', () => {
+      expect(parseFigmaUrl('https://example.com/design/AbC123xyz')).toBeNull()
+      expect(parseFigmaUrl('https://www.figma.com/community')).toBeNull()
+      expect(parseFigmaUrl('')).toBeNull()
+    })
+  })
+
+  describe('parseFigmaTeamId', () => {
+    it('should accept a raw team id and team URLs', () => {
+      expect(parseFigmaTeamId('1234567890')).toBe('1234567890')
+      expect(parseFigmaTeamId('https://www.figma.com/files/team/1234567890/recents-and-sharing')).toBe('1234567890')
+      expect(parseFigmaTeamId('figma.com/files/987/team/1234567890/all-projects')).toBe('1234567890')
+    })
+
+    it('should reject file URLs and other input', () => {
+      expect(parseFigmaTeamId('https://www.figma.com/design/AbC123xyz/My-File')).toBeNull()
+      expect(parseFigmaTeamId('https://example.com/files/team/123')).toBeNull()
+      expect(parseFigmaTeamId('team-abc')).toBeNull()
+      expect(parseFigmaTeamId('')).toBeNull()
+    })
+  })
+})
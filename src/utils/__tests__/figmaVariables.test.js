@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import { buildThemeTokens, figmaColorToCss, resolveVariableValue } from '../figmaVariables.js'
+
+const color = (r, g, b, a = 1) => ({ r, g, b, a })
+
+const variablesMeta = {
+  variableCollections: {
+    'VariableCollectionId:1': {
+      id: 'VariableCollectionId:1',
+      name: 'Colors',
+      defaultModeId: 'm1',
+      modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }],
+    },
+    'VariableCollectionId:2': {
+      id: 'VariableCollectionId:2',
+      name: 'Primitives',
+      defaultModeId: 'p1',
+      modes: [{ modeId: 'p1', name: 'Value' }],
+    },
+    'VariableCollectionId:3': {
+      id: 'VariableCollectionId:3',
+      name: 'Dimensions',
+      defaultModeId: 'd1',
+      modes: [{ modeId: 'd1', name: 'Mode 1' }],
+    },
+  },
+  variables: {
+    'VariableID:blue': {
+      id: 'VariableID:blue',
+      name: 'blue/600',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'VariableCollectionId:2',
+      valuesByMode: { p1: color(0, 0, 1) },
+    },
+    'VariableID:primary': {
+      id: 'VariableID:primary',
+      name: 'Primary/Main',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'VariableCollectionId:1',
+      valuesByMode: {
+        m1: { type: 'VARIABLE_ALIAS', id: 'VariableID:blue' },
+        m2: color(1, 1, 1),
+      },
+    },
+    'VariableID:bg': {
+      id: 'VariableID:bg',
+      name: 'Background/Paper',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'VariableCollectionId:1',
+      valuesByMode: { m1: color(1, 1, 1), m2: color(0, 0, 0, 0.5) },
+    },
+    'VariableID:space': {
+      id: 'VariableID:space',
+      name: 'spacing/base',
+      resolvedType: 'FLOAT',
+      variableCollectionId: 'VariableCollectionId:3',
+      valuesByMode: { d1: 4 },
+    },
+    'VariableID:radius': {
+      id: 'VariableID:radius',
+      name: 'radius/md',
+      resolvedType: 'FLOAT',
+      variableCollectionId: 'VariableCollectionId:3',
+      valuesByMode: { d1: 6 },
+    },
+    'VariableID:h1': {
+      id: 'VariableID:h1',
+      name: 'typography/h1/font-size',
+      resolvedType: 'FLOAT',
+      variableCollectionId: 'VariableCollectionId:3',
+      valuesByMode: { d1: 40 },
+    },
+    'VariableID:family': {
+      id: 'VariableID:family',
+      name: 'font/family',
+      resolvedType: 'STRING',
+      variableCollectionId: 'VariableCollectionId:3',
+      valuesByMode: { d1: 'Inter' },
+    },
+  },
+}
+
+describe('figmaVariables', () => {
+  describe('figmaColorToCss', () => {
+    it('should convert opaque and translucent colors', () => {
+      expect(figmaColorToCss(color(1, 0, 0))).toBe('#ff0000')
+      expect(figmaColorToCss(color(0, 0, 0, 0.5))).toBe('rgba(0, 0, 0, 0.5)')
+    })
+  })
+
+  describe('resolveVariableValue', () => {
+    it('should follow aliases into other collections', () => {
+      const value = resolveVariableValue(variablesMeta.variables['VariableID:primary'], 'light', variablesMeta)
+      expect(value).toEqual(color(0, 0, 1))
+    })
+  })
+
+  describe('buildThemeTokens', () => {
+    it('should map variables to palette, spacing, shape and typography', () => {
+      const { modes, collections } = buildThemeTokens(variablesMeta)
+
+      expect(collections).toEqual(['Colors', 'Primitives', 'Dimensions'])
+      expect(modes.light.palette.primary.main).toBe('#0000ff')
+      expect(modes.light.palette.background.paper).toBe('#ffffff')
+      expect(modes.light.spacing).toBe(4)
+      expect(modes.light.shape).toEqual({ borderRadius: 6 })
+      expect(modes.light.typography).toEqual({ h1: { fontSize: '2.5rem' }, fontFamily: 'Inter' })
+    })
+
+    it('should build a dark theme from dark modes', () => {
+      const { modes } = buildThemeTokens(variablesMeta)
+
+      expect(modes.dark.palette.primary.main).toBe('#ffffff')
+      expect(modes.dark.palette.background.paper).toBe('rgba(0, 0, 0, 0.5)')
+      expect(modes.dark.spacing).toBe(4)
+    })
+
+    it('should return null when nothing can be mapped', () => {
+      expect(buildThemeTokens(null)).toBeNull()
+      expect(buildThemeTokens({ variables: {}, variableCollections: {} })).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { logger, setLogLevel } from '../logger.js'
+
+describe('logger', () => {
+  afterEach(() => {
+    setLogLevel('info')
+    vi.restoreAllMocks()
+  })
+
+  it('should drop progress output below the level but keep warnings and errors', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {})
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    setLogLevel('warn')
+    logger.info('progress')
+    logger.warn('careful')
+    logger.error('failed')
+
+    expect(log).not.toHaveBeenCalled()
+    expect(warn).toHaveBeenCalledWith('careful')
+    expect(error).toHaveBeenCalledWith('failed')
+  })
+
+  it('should log everything by default and reject unknown levels', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {})
+
+    logger.info('progress', 1)
+
+    expect(log).toHaveBeenCalledWith('progress', 1)
+    expect(() => setLogLevel('verbose')).toThrow('Unknown log level "verbose"')
+  })
+})
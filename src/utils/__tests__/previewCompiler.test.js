@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import {
+  extractImportSpecifiers,
+  isPreviewModuleSupported,
+  compilePreviewCode,
+  evaluatePreviewComponent,
+  buildPreviewComponent,
+} from '../previewCompiler.js'
+
+const sampleComponent = `import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+const Card = () => {
+  return (
+    <Box sx={{ p: 2 }}>
+      <Typography>Hello</Typography>
+    </Box>
+  );
+};
+
+export default Card;`
+
+describe('previewCompiler', () => {
+  describe('extractImportSpecifiers', () => {
+    it('should list unique module specifiers', () => {
+      const code = `import React from 'react'
+import { Box } from '@mui/material'
+import Menu from '@mui/icons-material/Menu'
+import { Button } from '@mui/material'`
+      expect(extractImportSpecifiers(code)).toEqual(['react', '@mui/material', '@mui/icons-material/Menu'])
+    })
+
+    it('should return an empty list for invalid input', () => {
+      expect(extractImportSpecifiers(null)).toEqual([])
+    })
+  })
+
+  describe('isPreviewModuleSupported', () => {
+    it('should support React, MUI and icon sub paths', () => {
+      expect(isPreviewModuleSupported('react')).toBe(true)
+      expect(isPreviewModuleSupported('@mui/material')).toBe(true)
+      expect(isPreviewModuleSupported('@mui/icons-material/Search')).toBe(true)
+      expect(isPreviewModuleSupported('lodash')).toBe(false)
+    })
+
+    it('should support generated vector icons but no other relative imports', () => {
+      expect(isPreviewModuleSupported('./icons/CloseIcon')).toBe(true)
+      expect(isPreviewModuleSupported('./Button')).toBe(false)
+    })
+  })
+
+  describe('compilePreviewCode', () => {
+    it('should compile JSX into an evaluable module body', () => {
+      const result = compilePreviewCode(sampleComponent)
+      expect(result.error).toBeNull()
+      expect(result.compiled).toContain('createElement')
+      expect(result.imports).toEqual(['react', '@mui/material'])
+    })
+
+    it('should report syntax errors with a location', () => {
+      const result = compilePreviewCode('const A = () => <Box>;\nexport default A;')
+      expect(result.compiled).toBeNull()
+      expect(result.error.type).toBe('compile')
+      expect(result.error.line).toBe(1)
+    })
+
+    it('should reject imports the sandbox cannot provide', () => {
+      const result = compilePreviewCode("import axios from 'axios';\nexport default () => null;")
+      expect(result.error.message).toContain('axios')
+    })
+
+    it('should reject empty code', () => {
+      expect(compilePreviewCode('').error.message).toBe('No code to preview')
+    })
+  })
+
+  describe('evaluatePreviewComponent', () => {
+    it('should return the default export', () => {
+      const { compiled } = compilePreviewCode('const A = () => <div>Hi</div>;\nexport default A;')
+      const fakeReact = { createElement: () => null }
+      const Component = evaluatePreviewComponent(compiled, { react: { default: fakeReact } })
+      expect(typeof Component).toBe('function')
+    })
+
+    it('should throw when nothing is exported', () => {
+      const { compiled } = compilePreviewCode('const value = 1;')
+      expect(() => evaluatePreviewComponent(compiled, { react: {} })).toThrow('No React component export found')
+    })
+  })
+
+  describe('buildPreviewComponent', () => {
+    it('should resolve a renderable component', async () => {
+      const result = await buildPreviewComponent(sampleComponent)
+      expect(result.error).toBeNull()
+      expect(typeof result.Component).toBe('function')
+    })
+
+    it('should surface runtime errors raised while evaluating', async () => {
+      const result = await buildPreviewComponent("throw new Error('boom');\nexport default () => null;")
+      expect(result.Component).toBeNull()
+      expect(result.error).toEqual({ type: 'runtime', message: 'boom', line: null, column: null })
+    })
+  })
+})
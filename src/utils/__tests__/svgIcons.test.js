@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isIconNode,
+  getIconComponentName,
+  collectVectorIcons,
+  buildSvgFromGeometry,
+  optimizeSvgMarkup,
+  createSvgIconModule,
+} from '../svgIcons.js'
+
+const black = { type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }
+
+const vector = (id, name, extra = {}) => ({
+  id,
+  name,
+  type: 'VECTOR',
+  fills: [black],
+  absoluteBoundingBox: { x: 4, y: 4, width: 16, height: 16 },
+  ...extra,
+})
+
+const iconInstance = (id) => ({
+  id,
+  name: 'icon/arrow-left',
+  type: 'INSTANCE',
+  componentId: '9:9',
+  absoluteBoundingBox: { x: 0, y: 0, width: 24, height: 24 },
+  children: [vector(`${id}-v`, 'Vector')],
+})
+
+describe('svgIcons', () => {
+  it('should detect vector layers and small vector-only groups as icons', () => {
+    expect(isIconNode(vector('1:1', 'Star'))).toBe(true)
+    expect(isIconNode(iconInstance('1:2'))).toBe(true)
+    expect(isIconNode({ ...iconInstance('1:3'), children: [vector('1:4', 'V'), { id: '1:5', type: 'TEXT' }] })).toBe(false)
+    expect(isIconNode({ ...iconInstance('1:6'), absoluteBoundingBox: { width: 400, height: 400 } })).toBe(false)
+    expect(isIconNode(vector('1:7', 'Logo', { exportSettings: [{ format: 'PNG' }] }))).toBe(false)
+  })
+
+  it('should name icons after their layers', () => {
+    expect(getIconComponentName('icon/arrow-left')).toBe('ArrowLeftIcon')
+    expect(getIconComponentName('Star')).toBe('StarIcon')
+    expect(getIconComponentName('24px')).toBe('Vector24pxIcon')
+    expect(getIconComponentName('')).toBe('VectorIcon')
+  })
+
+  it('should share one icon between instances and skip the component root', () => {
+    const root = {
+      id: '1:0',
+      name: 'Toolbar',
+      type: 'FRAME',
+      children: [iconInstance('1:1'), iconInstance('1:2'), vector('1:3', 'Star'), vector('1:4', 'Star')],
+    }
+
+    const icons = collectVectorIcons(root)
+
+    expect(icons.map(icon => icon.componentName)).toEqual(['ArrowLeftIcon', 'StarIcon', 'Star2Icon'])
+    expect(icons[0].nodeIds).toEqual(['1:1', '1:2'])
+    expect(icons[0].path).toBe('src/components/icons/ArrowLeftIcon.jsx')
+    expect(collectVectorIcons(iconInstance('2:1'))).toHaveLength(1)
+  })
+
+  it('should draw icons from geometry=paths data', () => {
+    const node = {
+      ...iconInstance('1:1'),
+      children: [vector('1:2', 'Vector', {
+        relativeTransform: [[1, 0, 4], [0, 1, 4]],
+        fillGeometry: [{ path: 'M0 0L16 0L16 16Z', windingRule: 'EVENODD' }],
+      })],
+    }
+
+    expect(buildSvgFromGeometry(node)).toBe(
+      '<svg viewBox="0 0 24 24"><path d="M0 0L16 0L16 16Z" fill="#000000" fill-rule="evenodd" transform="translate(4 4)"/></svg>'
+    )
+    expect(buildSvgFromGeometry(iconInstance('1:3'))).toBeNull()
+  })
+
+  it('should optimize exported SVG markup into JSX', () => {
+    const markup = `<?xml version="1.0"?>
+<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+<!-- exported -->
+<g clip-path="url(#clip0)">
+<path id="unused" d="M1.123456 2.5L3 4" stroke="#1E1E1E" stroke-width="2" stroke-linecap="round"></path>
+</g>
+<defs><clipPath id="clip0"><rect width="24" height="24" fill="white"/></clipPath></defs>
+</svg>`
+
+    const svg = optimizeSvgMarkup(markup)
+
+    expect(svg.viewBox).toBe('0 0 24 24')
+    expect(svg.color).toBeNull()
+    expect(svg.body).toContain('<g clipPath="url(#clip0)">')
+    expect(svg.body).toContain('  <path d="M1.123 2.5L3 4" stroke="#1E1E1E" strokeWidth="2" strokeLinecap="round" />')
+    expect(svg.body).toContain('<clipPath id="clip0">')
+    expect(svg.body).not.toContain('unused')
+
+    const single = optimizeSvgMarkup('<svg viewBox="0 0 16 16"><path d="M0 0" fill="#FF0000"/><path d="M1 1" fill="#FF0000"/></svg>')
+    expect(single.color).toBe('#FF0000')
+    expect(single.body).toBe('<path d="M0 0" fill="currentColor" />\n<path d="M1 1" fill="currentColor" />')
+  })
+
+  it('should wrap the markup in an SvgIcon component module', () => {
+    const icon = { componentName: 'StarIcon', name: 'Star', width: 16, height: 16 }
+    const code = createSvgIconModule(icon, { viewBox: '0 0 16 16', body: '<path d="M0 0" fill="currentColor" />', color: '#FF0000' })
+
+    expect(code).toContain("import { SvgIcon } from '@mui/material';")
+    expect(code).toContain('<SvgIcon viewBox="0 0 16 16" htmlColor="#FF0000" {...props}>')
+    expect(code).toContain('    <path d="M0 0" fill="currentColor" />')
+    expect(code).toContain('export default StarIcon;')
+    expect(createSvgIconModule(icon)).toContain('<SvgIcon viewBox="0 0 16 16" {...props}>')
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { diffLines, summarizeLineDiff, buildDiffHunks, formatUnifiedDiff, pairDiffLines } from '../textDiff.js'
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`)
+
+describe('textDiff', () => {
+  it('should mark added and removed lines with their line numbers', () => {
+    const diff = diffLines('a\nb\nc', 'a\nB\nc\nd')
+
+    expect(diff).toEqual([
+      { type: 'equal', line: 'a', oldNumber: 1, newNumber: 1 },
+      { type: 'removed', line: 'b', oldNumber: 2, newNumber: null },
+      { type: 'added', line: 'B', oldNumber: null, newNumber: 2 },
+      { type: 'equal', line: 'c', oldNumber: 3, newNumber: 3 },
+      { type: 'added', line: 'd', oldNumber: null, newNumber: 4 },
+    ])
+    expect(summarizeLineDiff(diff)).toEqual({ added: 2, removed: 1 })
+    expect(summarizeLineDiff(diffLines('same', 'same'))).toEqual({ added: 0, removed: 0 })
+    expect(diffLines('', 'x')).toEqual([{ type: 'added', line: 'x', oldNumber: null, newNumber: 1 }])
+  })
+
+  it('should group distant changes into separate hunks with context', () => {
+    const before = lines(20)
+    const after = [...before]
+    after[2] = 'changed 3'
+    after[16] = 'changed 17'
+
+    const hunks = buildDiffHunks(diffLines(before.join('\n'), after.join('\n')), 2)
+
+    expect(hunks).toHaveLength(2)
+    expect(hunks[0].oldStart).toBe(1)
+    expect(hunks[0].lines.map(entry => entry.line)).toEqual(['line 1', 'line 2', 'line 3', 'changed 3', 'line 4', 'line 5'])
+    expect(hunks[1].oldStart).toBe(15)
+  })
+
+  it('should format a unified diff', () => {
+    const text = formatUnifiedDiff(diffLines('a\nb\nc', 'a\nc'), { oldName: 'Card.jsx (v1)', newName: 'Card.jsx (v2)' })
+
+    expect(text).toBe('--- Card.jsx (v1)\n+++ Card.jsx (v2)\n@@ -1,3 +1,2 @@\n a\n-b\n c')
+    expect(formatUnifiedDiff(diffLines('a', 'a'))).toBe('')
+  })
+
+  it('should pair changed lines side by side', () => {
+    const rows = pairDiffLines(diffLines('a\nb\nc\nd', 'a\nB\nC\nX\nd'))
+
+    expect(rows.map(({ left, right }) => [left?.line ?? null, right?.line ?? null])).toEqual([
+      ['a', 'a'],
+      ['b', 'B'],
+      ['c', 'C'],
+      [null, 'X'],
+      ['d', 'd'],
+    ])
+    expect(rows[1].left.oldNumber).toBe(2)
+    expect(rows[3].right.newNumber).toBe(4)
+  })
+})
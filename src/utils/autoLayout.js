@@ -0,0 +1,283 @@
+/**
+ * Auto Layout Utilities
+ * Translates Figma auto-layout properties into exact CSS flexbox rules
+ */
+
+const JUSTIFY_CONTENT = {
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+  SPACE_BETWEEN: 'space-between',
+};
+
+const ALIGN_ITEMS = {
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+  BASELINE: 'baseline',
+};
+
+const ALIGN_CONTENT = {
+  AUTO: 'flex-start',
+  SPACE_BETWEEN: 'space-between',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const px = (value) => `${round(value)}px`;
+
+/**
+ * Check whether a node is an auto-layout container
+ * @param {object} node - Figma node or extracted metadata
+ * @returns {boolean} True for horizontal and vertical auto layout
+ */
+export const hasAutoLayout = (node) => node?.layoutMode === 'HORIZONTAL' || node?.layoutMode === 'VERTICAL';
+
+/**
+ * Resolve how a node is sized on each axis
+ * Uses layoutSizingHorizontal/Vertical when present and derives them from the
+ * older layoutGrow, layoutAlign, axis sizing modes and text auto-resize otherwise
+ * @param {object} node - Figma node
+ * @param {object} parent - Parent node
+ * @returns {object} { horizontal, vertical } each FIXED, HUG or FILL
+ */
+export const getLayoutSizing = (node, parent = null) => {
+  const sizing = {
+    horizontal: node.layoutSizingHorizontal,
+    vertical: node.layoutSizingVertical,
+  };
+
+  if (sizing.horizontal && sizing.vertical) {
+    return sizing;
+  }
+
+  const inAutoLayout = hasAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE';
+  const parentIsRow = parent?.layoutMode === 'HORIZONTAL';
+  const derived = { horizontal: 'FIXED', vertical: 'FIXED' };
+
+  // A container's own axis sizing modes: AUTO hugs its children
+  if (hasAutoLayout(node)) {
+    const isRow = node.layoutMode === 'HORIZONTAL';
+    const primaryHug = node.primaryAxisSizingMode === 'AUTO';
+    const counterHug = node.counterAxisSizingMode === 'AUTO';
+    derived.horizontal = (isRow ? primaryHug : counterHug) ? 'HUG' : 'FIXED';
+    derived.vertical = (isRow ? counterHug : primaryHug) ? 'HUG' : 'FIXED';
+  }
+
+  // Text sizes itself from its content
+  if (node.type === 'TEXT') {
+    const textAutoResize = node.textAutoResize || node.style?.textAutoResize;
+    if (textAutoResize === 'WIDTH_AND_HEIGHT') {
+      derived.horizontal = 'HUG';
+      derived.vertical = 'HUG';
+    } else if (textAutoResize === 'HEIGHT') {
+      derived.vertical = 'HUG';
+    }
+  }
+
+  // Children fill the parent along the primary axis with layoutGrow and across it with STRETCH
+  if (inAutoLayout) {
+    if (node.layoutGrow === 1) {
+      derived[parentIsRow ? 'horizontal' : 'vertical'] = 'FILL';
+    }
+    if (node.layoutAlign === 'STRETCH') {
+      derived[parentIsRow ? 'vertical' : 'horizontal'] = 'FILL';
+    }
+  }
+
+  return {
+    horizontal: sizing.horizontal || derived.horizontal,
+    vertical: sizing.vertical || derived.vertical,
+  };
+};
+
+/**
+ * Flex container rules for an auto-layout frame
+ * @param {object} node - Figma node
+ * @returns {object} CSS properties (camelCase) for the container
+ */
+export const getContainerLayout = (node) => {
+  if (!hasAutoLayout(node)) return {};
+
+  const isRow = node.layoutMode === 'HORIZONTAL';
+  const wraps = node.layoutWrap === 'WRAP';
+  const css = {
+    display: 'flex',
+    flexDirection: isRow ? 'row' : 'column',
+  };
+
+  if (wraps) {
+    css.flexWrap = 'wrap';
+    if (ALIGN_CONTENT[node.counterAxisAlignContent]) {
+      css.alignContent = ALIGN_CONTENT[node.counterAxisAlignContent];
+    }
+  }
+
+  if (node.primaryAxisAlignItems && node.primaryAxisAlignItems !== 'MIN') {
+    css.justifyContent = JUSTIFY_CONTENT[node.primaryAxisAlignItems] || 'flex-start';
+  }
+  // CSS stretches items across the counter axis by default, Figma does not
+  css.alignItems = ALIGN_ITEMS[node.counterAxisAlignItems] || 'flex-start';
+
+  // "Auto" spacing (SPACE_BETWEEN) distributes items and ignores itemSpacing
+  const mainGap = node.primaryAxisAlignItems === 'SPACE_BETWEEN' ? 0 : Math.max(node.itemSpacing || 0, 0);
+  const crossGap = wraps ? Math.max(node.counterAxisSpacing ?? node.itemSpacing ?? 0, 0) : 0;
+
+  if (wraps && crossGap !== mainGap) {
+    if (isRow) {
+      if (crossGap) css.rowGap = px(crossGap);
+      if (mainGap) css.columnGap = px(mainGap);
+    } else {
+      if (mainGap) css.rowGap = px(mainGap);
+      if (crossGap) css.columnGap = px(crossGap);
+    }
+  } else if (mainGap) {
+    css.gap = px(mainGap);
+  }
+
+  const padding = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(value => value || 0);
+  if (padding.some(Boolean)) {
+    const [top, right, bottom, left] = padding;
+    if (padding.every(value => value === top)) {
+      css.padding = px(top);
+    } else if (top === bottom && right === left) {
+      css.padding = `${px(top)} ${px(right)}`;
+    } else {
+      css.padding = padding.map(px).join(' ');
+    }
+  }
+
+  return css;
+};
+
+/**
+ * Position rules for absolutely positioned layers, honouring right/bottom constraints
+ * @param {object} node - Figma node
+ * @param {object} parent - Parent node
+ * @returns {object} CSS properties
+ */
+const getAbsolutePosition = (node, parent) => {
+  const box = node.absoluteBoundingBox || {};
+  const parentBox = parent?.absoluteBoundingBox || {};
+  const left = (box.x || 0) - (parentBox.x || 0);
+  const top = (box.y || 0) - (parentBox.y || 0);
+  const css = { position: 'absolute' };
+
+  if (node.constraints?.horizontal === 'RIGHT' && parentBox.width !== undefined) {
+    css.right = px(parentBox.width - left - (box.width || 0));
+  } else {
+    css.left = px(left);
+  }
+
+  if (node.constraints?.vertical === 'BOTTOM' && parentBox.height !== undefined) {
+    css.bottom = px(parentBox.height - top - (box.height || 0));
+  } else {
+    css.top = px(top);
+  }
+
+  return css;
+};
+
+/**
+ * Size and position rules for a node inside its parent
+ * @param {object} node - Figma node
+ * @param {object} parent - Parent node, or null for the root
+ * @returns {object} CSS properties (camelCase) for the item
+ */
+export const getChildLayout = (node, parent = null) => {
+  const box = node.absoluteBoundingBox || {};
+  const isAbsolute = Boolean(parent) && (!hasAutoLayout(parent) || node.layoutPositioning === 'ABSOLUTE');
+  const inAutoLayout = hasAutoLayout(parent) && !isAbsolute;
+  const parentIsRow = parent?.layoutMode === 'HORIZONTAL';
+  const sizing = getLayoutSizing(node, parent);
+  const css = isAbsolute ? getAbsolutePosition(node, parent) : {};
+
+  const applyAxis = (axis, dimension, size) => {
+    const isPrimary = inAutoLayout && (axis === 'horizontal') === parentIsRow;
+
+    if (sizing[axis] === 'FILL') {
+      if (isPrimary) {
+        css.flexGrow = 1;
+        css.flexBasis = 0;
+        css[dimension === 'width' ? 'minWidth' : 'minHeight'] = 0;
+      } else if (inAutoLayout) {
+        css.alignSelf = 'stretch';
+      } else {
+        css[dimension] = '100%';
+      }
+    } else if (sizing[axis] === 'HUG') {
+      // Auto height already hugs the content; auto width would fill the containing block
+      if (dimension === 'width') css.width = 'fit-content';
+    } else if (size !== undefined) {
+      css[dimension] = px(size);
+    }
+  };
+
+  applyAxis('horizontal', 'width', box.width);
+  applyAxis('vertical', 'height', box.height);
+
+  // Figma never shrinks fixed or hugging items below their size
+  if (inAutoLayout && css.flexGrow === undefined) {
+    css.flexShrink = 0;
+  }
+
+  if (node.minWidth) css.minWidth = px(node.minWidth);
+  if (node.maxWidth) css.maxWidth = px(node.maxWidth);
+  if (node.minHeight) css.minHeight = px(node.minHeight);
+  if (node.maxHeight) css.maxHeight = px(node.maxHeight);
+
+  return css;
+};
+
+/**
+ * Translate a node's auto-layout into CSS: its own flex container rules plus
+ * how it is sized and positioned inside its parent
+ * @param {object} node - Figma node
+ * @param {object} parent - Parent node, or null for the root
+ * @returns {object} CSS properties (camelCase), ready for an sx prop
+ */
+export const translateAutoLayout = (node, parent = null) => {
+  if (!node) return {};
+
+  const css = getChildLayout(node, parent);
+
+  // Absolutely positioned children need a positioned containing block
+  const hasAbsoluteChildren = Array.isArray(node.children) && node.children.some(child =>
+    child.visible !== false && (!hasAutoLayout(node) || child.layoutPositioning === 'ABSOLUTE')
+  );
+  if (hasAbsoluteChildren && !css.position) {
+    css.position = 'relative';
+  }
+
+  return { ...css, ...getContainerLayout(node) };
+};
+
+/**
+ * Format CSS properties as declarations for prompts, e.g. "display: flex; gap: 8px"
+ * @param {object} css - CSS properties (camelCase)
+ * @returns {string} Semicolon separated declarations
+ */
+export const formatCssDeclarations = (css = {}) => Object.entries(css)
+  .map(([property, value]) => `${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value}`)
+  .join('; ');
+
+/**
+ * Describe the translated layout for the LLM prompts
+ * @param {object} layoutCss - Component CSS from translateAutoLayout
+ * @param {Array} childLayouts - [{ name, type, css }] for direct children
+ * @returns {string} Prompt section, empty when there is no layout
+ */
+export const formatLayoutForPrompt = (layoutCss, childLayouts = []) => {
+  if (!layoutCss || Object.keys(layoutCss).length === 0) return '';
+
+  let section = `LAYOUT CSS (apply exactly via the sx prop, do not approximate):\n`;
+  section += `• Root: ${formatCssDeclarations(layoutCss)}\n`;
+  childLayouts.forEach((child) => {
+    const declarations = formatCssDeclarations(child.css);
+    if (declarations) {
+      section += `• ${child.name} (${child.type}): ${declarations}\n`;
+    }
+  });
+  section += `• Keep gap and padding on the flex containers instead of margins on the children\n`;
+
+  return section;
+};
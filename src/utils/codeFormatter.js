@@ -0,0 +1,59 @@
+/**
+ * Code Formatter Utilities
+ * Prettier formatting for generated components, with the same options as the
+ * .prettierrc written into downloaded projects, and syntax checks with its parser
+ */
+
+import * as prettier from 'prettier/standalone';
+import * as babelPlugin from 'prettier/plugins/babel';
+import * as estreePlugin from 'prettier/plugins/estree';
+
+export const PRETTIER_OPTIONS = {
+  semi: true,
+  trailingComma: 'es5',
+  singleQuote: true,
+  printWidth: 80,
+  tabWidth: 2,
+  useTabs: false,
+  bracketSpacing: true,
+  bracketSameLine: false,
+  arrowParens: 'avoid',
+  endOfLine: 'lf',
+  jsxSingleQuote: true,
+  quoteProps: 'as-needed',
+};
+
+/**
+ * Format JSX code with Prettier
+ * @param {string} code - Component code
+ * @returns {Promise<string>} Formatted code
+ * @throws {Error} When the code cannot be parsed
+ */
+export const formatCode = async (code) => {
+  if (!code || typeof code !== 'string') return '';
+
+  return prettier.format(code, {
+    ...PRETTIER_OPTIONS,
+    parser: 'babel',
+    plugins: [babelPlugin, estreePlugin],
+  });
+};
+
+/**
+ * Find the first syntax error with Prettier's Babel parser, which reports exact locations
+ * @param {string} code - Component code
+ * @returns {object|null} Error with message, line and column (both 1-based), or null when the code parses
+ */
+export const findSyntaxError = (code) => {
+  try {
+    babelPlugin.parsers.babel.parse(code, {});
+    return null;
+  } catch (error) {
+    const [message] = error.message.split('\n');
+    return {
+      message: message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc?.start?.line || 1,
+      column: error.loc?.start?.column || 1,
+    };
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Code Lint Utilities
+ * Diagnostics shown as markers in the code editor: syntax errors, imports the
+ * preview cannot load and a missing default export
+ */
+
+import { extractImportSpecifiers, isPreviewModuleSupported } from './previewCompiler.js';
+import { findSyntaxError } from './codeFormatter.js';
+
+/**
+ * Find the 1-based line of the first occurrence of a piece of text
+ * @param {string} code - Source code
+ * @param {string} text - Text to look for
+ * @returns {number|null} Line number, or null when the text is not found
+ */
+const findLine = (code, text) => {
+  const index = code.indexOf(text);
+  return index === -1 ? null : code.slice(0, index).split('\n').length;
+};
+
+/**
+ * Lint generated component code
+ * @param {string} code - Component code
+ * @returns {Array<object>} Diagnostics with line, column (both 1-based), severity and message
+ */
+export const lintGeneratedCode = (code) => {
+  if (!code || typeof code !== 'string' || !code.trim()) return [];
+
+  const syntaxError = findSyntaxError(code);
+  if (syntaxError) {
+    return [{ ...syntaxError, severity: 'error' }];
+  }
+
+  const diagnostics = extractImportSpecifiers(code)
+    .filter((specifier) => !isPreviewModuleSupported(specifier))
+    .map((specifier) => ({
+      line: findLine(code, `'${specifier}'`) || findLine(code, `"${specifier}"`) || 1,
+      column: 1,
+      severity: 'warning',
+      message: `The preview cannot load "${specifier}". The downloaded project has to install it.`,
+    }));
+
+  if (!/export\s+default\b/.test(code)) {
+    diagnostics.push({
+      line: 1,
+      column: 1,
+      severity: 'warning',
+      message: 'No default export. The downloaded project imports the component as the default export.',
+    });
+  }
+
+  return diagnostics;
+};
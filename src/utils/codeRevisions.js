@@ -0,0 +1,74 @@
+/**
+ * Code Revision Utilities
+ * Revisions kept while a generated component is refined turn by turn: the code the
+ * conversation started from, hand edits made before a turn, and each refinement
+ */
+
+let revisionCount = 0;
+
+/**
+ * Create a revision
+ * @param {string} code - Component code of this revision
+ * @param {object} details - Revision kind and, for refinements, the instruction
+ * @returns {object} Revision with a unique id
+ */
+export const createRevision = (code, { kind = 'original', instruction = null } = {}) => {
+  revisionCount += 1;
+  return {
+    id: `revision-${Date.now()}-${revisionCount}`,
+    kind,
+    instruction,
+    code,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Add the result of a refinement turn. Without an active revision a new list is started
+ * from the refined code; hand edits made to the active revision are kept as their own revision.
+ * @param {Array<object>} revisions - Current revisions
+ * @param {string|null} activeRevisionId - Revision the refined code was based on
+ * @param {object} turn - baseCode sent to the model, code returned and the instruction
+ * @returns {Array<object>} New list with the refined revision last
+ */
+export const addRefinement = (revisions, activeRevisionId, { baseCode, code, instruction }) => {
+  const active = revisions.find(revision => revision.id === activeRevisionId);
+  const history = active ? [...revisions] : [createRevision(baseCode)];
+
+  if (active && active.code !== baseCode) {
+    history.push(createRevision(baseCode, { kind: 'edited' }));
+  }
+
+  return [...history, createRevision(code, { kind: 'refined', instruction })];
+};
+
+/**
+ * Instructions of the refinements up to a revision, oldest first, so a new turn keeps them
+ * @param {Array<object>} revisions - Current revisions
+ * @param {string|null} revisionId - Revision the next turn starts from
+ * @returns {string[]} Earlier instructions
+ */
+export const getRefinementInstructions = (revisions, revisionId) => {
+  const index = revisions.findIndex(revision => revision.id === revisionId);
+
+  return revisions
+    .slice(0, index + 1)
+    .filter(revision => revision.kind === 'refined')
+    .map(revision => revision.instruction);
+};
+
+/**
+ * Short label for a revision picker
+ * @param {object} revision - Revision
+ * @param {number} index - Position in the list
+ * @returns {string} Label such as "3. Make the button full width"
+ */
+export const getRevisionLabel = (revision, index) => {
+  const description = {
+    original: 'Generated code',
+    edited: 'Hand edits',
+    refined: revision.instruction,
+  }[revision.kind];
+
+  return `${index + 1}. ${description}`;
+};
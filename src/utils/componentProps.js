@@ -0,0 +1,255 @@
+/**
+ * Component Props Utilities
+ * Turns Figma component sets, variants and component properties into React props
+ */
+
+const SUPPORTED_PROPERTY_TYPES = ['VARIANT', 'BOOLEAN', 'TEXT', 'INSTANCE_SWAP'];
+const MAX_VARIANT_SUMMARIES = 8;
+
+/**
+ * Convert a Figma property or variant name to a camelCase identifier
+ * @param {string} name - Property name such as "Show icon#12:3" or "Extra Large"
+ * @returns {string} camelCase identifier
+ */
+export const toPropName = (name = '') => {
+  // Non-variant property names carry a "#nodeId" suffix that keeps them unique
+  const words = name
+    .replace(/#[^#]*$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+
+  if (words.length === 0) return '';
+
+  const identifier = words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+};
+
+/**
+ * Parse a variant component name such as "Size=Small, State=Default"
+ * @param {string} name - Variant component name
+ * @returns {object} Map of variant property names to values
+ */
+export const parseVariantName = (name = '') => {
+  return name.split(',').reduce((values, pair) => {
+    const [key, ...rest] = pair.split('=');
+    if (key && rest.length > 0) {
+      values[key.trim()] = rest.join('=').trim();
+    }
+    return values;
+  }, {});
+};
+
+/**
+ * Read property definitions from a COMPONENT_SET (or standalone COMPONENT)
+ * and fall back to the variant children's names for older files
+ * @param {object} node - Figma node with children
+ * @returns {object} Figma-style componentPropertyDefinitions
+ */
+const getPropertyDefinitions = (node) => {
+  if (node.componentPropertyDefinitions && Object.keys(node.componentPropertyDefinitions).length > 0) {
+    return node.componentPropertyDefinitions;
+  }
+
+  if (node.type !== 'COMPONENT_SET' || !Array.isArray(node.children)) {
+    return {};
+  }
+
+  const definitions = {};
+  node.children.forEach((variant) => {
+    Object.entries(parseVariantName(variant.name)).forEach(([key, value]) => {
+      if (!definitions[key]) {
+        definitions[key] = { type: 'VARIANT', defaultValue: value, variantOptions: [] };
+      }
+      if (!definitions[key].variantOptions.includes(value)) {
+        definitions[key].variantOptions.push(value);
+      }
+    });
+  });
+
+  return definitions;
+};
+
+/**
+ * Build a prop definition from a Figma component property
+ * @param {string} figmaName - Figma property name
+ * @param {object} property - Definition ({ type, defaultValue, variantOptions }) or instance value ({ type, value })
+ * @returns {object|null} Prop definition
+ */
+const createPropDefinition = (figmaName, property) => {
+  if (!property || !SUPPORTED_PROPERTY_TYPES.includes(property.type)) return null;
+
+  const name = toPropName(figmaName);
+  if (!name) return null;
+
+  const rawDefault = property.defaultValue !== undefined ? property.defaultValue : property.value;
+
+  switch (property.type) {
+    case 'VARIANT': {
+      const rawOptions = property.variantOptions?.length ? property.variantOptions : [rawDefault];
+      const options = rawOptions.filter(value => value !== undefined).map(value => ({
+        value: toPropName(String(value)) || String(value),
+        figmaValue: String(value),
+      }));
+      const defaultOption = options.find(option => option.figmaValue === String(rawDefault)) || options[0];
+      return {
+        name,
+        figmaName,
+        type: 'VARIANT',
+        jsType: options.map(option => `'${option.value}'`).join(' | ') || 'string',
+        options,
+        defaultValue: defaultOption ? defaultOption.value : undefined,
+      };
+    }
+    case 'BOOLEAN':
+      return {
+        name,
+        figmaName,
+        type: 'BOOLEAN',
+        jsType: 'boolean',
+        defaultValue: rawDefault === true || rawDefault === 'true',
+      };
+    case 'TEXT':
+      return {
+        name,
+        figmaName,
+        type: 'TEXT',
+        jsType: 'string',
+        defaultValue: rawDefault === undefined ? '' : String(rawDefault),
+      };
+    case 'INSTANCE_SWAP':
+      // Swappable instances become slot props; the default instance is rendered by the component
+      return {
+        name,
+        figmaName,
+        type: 'INSTANCE_SWAP',
+        jsType: 'React.ReactNode',
+        defaultValue: null,
+        defaultInstanceId: rawDefault || null,
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Extract React prop definitions from a Figma node
+ * @param {object} node - COMPONENT_SET, COMPONENT or INSTANCE node
+ * @param {object} parentSet - Parent COMPONENT_SET for variant components
+ * @returns {Array} Prop definitions { name, figmaName, type, jsType, options?, defaultValue }
+ */
+export const extractComponentProps = (node, parentSet = null) => {
+  if (!node) return [];
+
+  let properties = {};
+  if (node.type === 'COMPONENT_SET') {
+    properties = getPropertyDefinitions(node);
+  } else if (node.type === 'COMPONENT') {
+    // A variant inside a set covers the whole set, defaulting to its own variant values
+    const variantValues = parentSet ? parseVariantName(node.name) : {};
+    properties = Object.fromEntries(
+      Object.entries(parentSet ? getPropertyDefinitions(parentSet) : getPropertyDefinitions(node))
+        .map(([key, definition]) => [
+          key,
+          variantValues[key] !== undefined ? { ...definition, defaultValue: variantValues[key] } : definition,
+        ])
+    );
+  } else if (node.type === 'INSTANCE') {
+    properties = node.componentProperties || {};
+  }
+
+  const seen = new Set();
+  return Object.entries(properties)
+    .map(([figmaName, property]) => createPropDefinition(figmaName, property))
+    .filter((prop) => {
+      if (!prop || seen.has(prop.name)) return false;
+      seen.add(prop.name);
+      return true;
+    });
+};
+
+/**
+ * Summarize how each variant of a set looks, so one component can style all of them
+ * @param {object} setNode - COMPONENT_SET node with variant children
+ * @param {Array} props - Prop definitions from extractComponentProps
+ * @returns {Array} [{ props, width, height, background, cornerRadius, opacity }]
+ */
+export const summarizeVariants = (setNode, props = []) => {
+  if (setNode?.type !== 'COMPONENT_SET' || !Array.isArray(setNode.children)) return [];
+
+  return setNode.children.slice(0, MAX_VARIANT_SUMMARIES).map((variant) => {
+    const values = parseVariantName(variant.name);
+    const variantProps = {};
+    props.filter(prop => prop.type === 'VARIANT').forEach((prop) => {
+      const option = prop.options.find(item => item.figmaValue === values[prop.figmaName]);
+      if (option) variantProps[prop.name] = option.value;
+    });
+
+    const solidFill = (variant.fills || []).find(fill => fill.type === 'SOLID' && fill.visible !== false);
+    const color = solidFill?.color;
+
+    return {
+      props: variantProps,
+      width: variant.absoluteBoundingBox?.width,
+      height: variant.absoluteBoundingBox?.height,
+      background: color
+        ? `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, ${color.a ?? 1})`
+        : null,
+      cornerRadius: variant.cornerRadius,
+      opacity: variant.opacity,
+    };
+  });
+};
+
+/**
+ * Format a prop default as a JavaScript literal
+ * @param {object} prop - Prop definition
+ * @returns {string} Literal source
+ */
+export const formatPropDefault = (prop) => {
+  if (prop.defaultValue === null || prop.defaultValue === undefined) return 'null';
+  return typeof prop.defaultValue === 'string' ? `'${prop.defaultValue.replace(/'/g, "\\'")}'` : String(prop.defaultValue);
+};
+
+/**
+ * Describe props and variants for the LLM prompts
+ * @param {Array} props - Prop definitions
+ * @param {Array} variants - Variant summaries
+ * @returns {string} Prompt section, empty when there are no props
+ */
+export const formatPropsForPrompt = (props = [], variants = []) => {
+  if (!props || props.length === 0) return '';
+
+  let section = `COMPONENT PROPS (generate ONE component that covers every variant):\n`;
+  props.forEach((prop) => {
+    section += `• ${prop.name}: ${prop.jsType} = ${formatPropDefault(prop)}`;
+    section += ` (Figma ${prop.type.toLowerCase().replace('_', ' ')} "${prop.figmaName.replace(/#[^#]*$/, '')}")\n`;
+  });
+
+  if (variants.length > 0) {
+    section += `VARIANT STYLES:\n`;
+    variants.forEach((variant) => {
+      const selector = Object.entries(variant.props).map(([key, value]) => `${key}=${value}`).join(', ');
+      const styles = [
+        variant.width && variant.height ? `${variant.width}×${variant.height}px` : null,
+        variant.background ? `background ${variant.background}` : null,
+        variant.cornerRadius ? `radius ${variant.cornerRadius}px` : null,
+        variant.opacity !== undefined && variant.opacity < 1 ? `opacity ${variant.opacity}` : null,
+      ].filter(Boolean);
+      section += `• ${selector || 'default'}: ${styles.join(', ') || 'same as default'}\n`;
+    });
+  }
+
+  section += `• Destructure every prop with its default value in the function signature\n`;
+  section += `• Document the props with a JSDoc block using the types above\n`;
+  section += `• Render INSTANCE SWAP props as slots (render the prop when provided)\n`;
+  section += `• Use BOOLEAN props to show or hide the matching layers and TEXT props for the matching text\n`;
+
+  return section;
+};
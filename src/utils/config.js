@@ -0,0 +1,68 @@
+/**
+ * Config Utilities
+ * Runtime configuration lookup shared by the browser app and the Node entry points
+ */
+
+// Vite replaces import.meta.env in the browser build; under plain Node it is undefined
+const getBuildEnv = () => import.meta.env || {};
+
+let configSource = getBuildEnv();
+
+/**
+ * Replace the values configuration is read from
+ * @param {object} values - Key/value pairs, e.g. process.env in the CLI and servers. Defaults to the build env
+ */
+export const setConfigSource = (values = getBuildEnv()) => {
+  configSource = values || {};
+};
+
+/**
+ * Read a configuration value
+ * @param {string} name - Variable name, e.g. VITE_GEMINI_API_KEY
+ * @param {*} fallback - Returned when the value is missing or empty
+ * @returns {*} Configured value or the fallback
+ */
+export const getConfigValue = (name, fallback = undefined) => {
+  const value = configSource[name];
+  return value === undefined || value === null || value === '' ? fallback : value;
+};
+
+/**
+ * Check whether the app runs in Vite's development mode
+ * @returns {boolean} True for `vite dev`, false in builds and under Node
+ */
+export const isDevelopment = () => Boolean(getConfigValue('DEV'));
+
+/**
+ * Check whether the app runs from a production build
+ * @returns {boolean} True for `vite build` output
+ */
+export const isProduction = () => Boolean(getConfigValue('PROD'));
+
+/**
+ * Base URL of the key proxy (server/proxy.js), without a trailing slash
+ * @returns {string} Proxy URL, or an empty string when the app calls Figma and the LLM directly
+ */
+export const getProxyUrl = () => String(getConfigValue('VITE_PROXY_URL', '')).replace(/\/+$/, '');
+
+/**
+ * Check whether Figma and LLM requests go through the key proxy
+ * @returns {boolean} True when VITE_PROXY_URL is set
+ */
+export const isProxyEnabled = () => Boolean(getProxyUrl());
+
+/**
+ * Read configuration from process.env, plus a .env file in the working directory when there is one.
+ * For the Node entry points (CLI and servers); the browser build keeps using import.meta.env
+ * @returns {object} The process environment
+ */
+export const loadProcessEnv = () => {
+  const nodeProcess = globalThis.process;
+  try {
+    nodeProcess.loadEnvFile();
+  } catch {
+    // No .env file: the process environment is used as is
+  }
+  setConfigSource(nodeProcess.env);
+  return nodeProcess.env;
+};
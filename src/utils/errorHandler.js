@@ -1,3 +1,6 @@
+import { isDevelopment, isProduction } from './config.js';
+import { logger } from './logger.js';
+
 // Comprehensive error handling and user feedback system
 
 // Error categories for better classification
@@ -356,7 +359,7 @@ export const logError = (error, context = {}) => {
   const detailed = appError.toDetailed();
   
   // Log to console in development
-  if (typeof import.meta !== 'undefined' && import.meta.env?.DEV) {
+  if (isDevelopment()) {
     console.group(`🚨 ${detailed.severity.toUpperCase()} ERROR: ${detailed.title}`);
     console.error('Message:', detailed.message);
     console.error('Category:', detailed.category);
@@ -370,7 +373,7 @@ export const logError = (error, context = {}) => {
   
   // In production, you might want to send to an error tracking service
   // Example: Sentry, LogRocket, etc.
-  if (typeof import.meta !== 'undefined' && import.meta.env?.PROD && detailed.severity === ERROR_SEVERITY.CRITICAL) {
+  if (isProduction() && detailed.severity === ERROR_SEVERITY.CRITICAL) {
     // sendToErrorTracking(detailed);
   }
   
@@ -414,7 +417,7 @@ export const withRetry = async (fn, options = {}) => {
       }
       
       const delay = Math.min(baseDelay * Math.pow(backoffFactor, attempt), maxDelay);
-      console.log(`Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+      logger.info(`Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
       
       await new Promise(resolve => setTimeout(resolve, delay));
     }
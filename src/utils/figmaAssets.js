@@ -0,0 +1,186 @@
+/**
+ * Figma Assets Utilities
+ * Finds image fills and exportable layers and maps them to files under public/assets/
+ */
+
+const MAX_ASSETS = 60;
+const EXPORT_FORMATS = {
+  PNG: 'png',
+  JPG: 'jpg',
+  SVG: 'svg',
+};
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+/**
+ * Turn a layer name into a file-name friendly slug
+ * @param {string} name - Layer name
+ * @returns {string} Lowercase slug
+ */
+const slugify = (name = '') => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40) || 'asset';
+
+/**
+ * Public URL of an image fill, as referenced by generated code before download
+ * @param {string} imageRef - Figma image reference
+ * @param {string} extension - File extension
+ * @returns {string} URL under /assets/
+ */
+export const getImageFillUrl = (imageRef, extension = 'png') => `/assets/${imageRef}.${extension}`;
+
+/**
+ * Pick the image format for an exportable layer from its first export setting
+ * @param {object} node - Figma node
+ * @returns {string} png, jpg or svg (PDF exports are rendered as png)
+ */
+export const getExportFormat = (node) => EXPORT_FORMATS[node.exportSettings?.[0]?.format] || 'png';
+
+/**
+ * Public URL of an exportable layer rendered through the images endpoint
+ * @param {object} node - Figma node with exportSettings
+ * @returns {string} URL under /assets/
+ */
+export const getExportAssetUrl = (node) => {
+  const format = getExportFormat(node);
+  return `/assets/${slugify(node.name)}-${node.id.replace(/[^a-zA-Z0-9]/g, '-')}.${format}`;
+};
+
+/**
+ * Resolve the render scale of an exportable layer
+ * @param {object} node - Figma node
+ * @returns {number} Scale between 0.01 and 4, as accepted by the images endpoint
+ */
+export const getExportScale = (node) => {
+  const constraint = node.exportSettings?.[0]?.constraint;
+  const box = node.absoluteBoundingBox || {};
+  let scale = 2;
+
+  if (constraint?.type === 'SCALE' && constraint.value) {
+    scale = constraint.value;
+  } else if (constraint?.type === 'WIDTH' && box.width) {
+    scale = constraint.value / box.width;
+  } else if (constraint?.type === 'HEIGHT' && box.height) {
+    scale = constraint.value / box.height;
+  }
+
+  return Math.min(Math.max(Math.round(scale * 100) / 100, 0.01), 4);
+};
+
+/**
+ * Check whether a layer is rendered as one exported image
+ * @param {object} node - Figma node
+ * @returns {boolean} True when the layer has export settings
+ */
+export const isExportableNode = (node) => Array.isArray(node?.exportSettings) && node.exportSettings.length > 0;
+
+/**
+ * Collect image fills and exportable layers in a subtree
+ * Exportable layers are rendered as a whole, so their descendants are not visited
+ * @param {object|Array} root - Figma node or list of nodes
+ * @returns {Array} [{ kind: 'fill'|'export', nodeId, name, imageRef?, format, scale?, url }]
+ */
+export const collectImageAssets = (root) => {
+  const assets = [];
+  const seen = new Set();
+  const stack = Array.isArray(root) ? [...root].reverse() : [root];
+
+  while (stack.length > 0 && assets.length < MAX_ASSETS) {
+    const node = stack.pop();
+    if (!node || node.visible === false) continue;
+
+    if (isExportableNode(node)) {
+      if (!seen.has(node.id)) {
+        seen.add(node.id);
+        assets.push({
+          kind: 'export',
+          nodeId: node.id,
+          name: node.name,
+          format: getExportFormat(node),
+          scale: getExportScale(node),
+          url: getExportAssetUrl(node),
+        });
+      }
+      continue;
+    }
+
+    (node.fills || [])
+      .filter(fill => fill.type === 'IMAGE' && fill.imageRef && fill.visible !== false)
+      .forEach((fill) => {
+        if (seen.has(fill.imageRef)) return;
+        seen.add(fill.imageRef);
+        assets.push({
+          kind: 'fill',
+          nodeId: node.id,
+          name: node.name,
+          imageRef: fill.imageRef,
+          format: 'png',
+          url: getImageFillUrl(fill.imageRef),
+        });
+      });
+
+    if (Array.isArray(node.children)) {
+      stack.push(...[...node.children].reverse());
+    }
+  }
+
+  return assets;
+};
+
+/**
+ * Map a downloaded file's content type to an extension
+ * @param {string} contentType - Response content type
+ * @param {string} fallback - Extension to use when the type is unknown
+ * @returns {string} File extension
+ */
+export const getExtensionForContentType = (contentType = '', fallback = 'png') => (
+  CONTENT_TYPE_EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()] || fallback
+);
+
+/**
+ * Point generated code at the bundled files
+ * Rewrites the planned /assets/ URLs (and bare image refs or "image-<ref>" placeholders
+ * the LLM may emit) to the final file names
+ * @param {string} code - Generated code
+ * @param {Array} assets - Bundled assets [{ url, finalUrl, imageRef? }]
+ * @returns {string} Code referencing /assets/ files
+ */
+export const rewriteAssetReferences = (code, assets = []) => assets.reduce((result, asset) => {
+  let rewritten = result.split(asset.url).join(asset.finalUrl);
+
+  if (asset.imageRef) {
+    rewritten = rewritten
+      .replace(new RegExp(`(?:/?assets/|image-)?${asset.imageRef}(?:\\.(?:png|jpe?g|gif|webp))?`, 'g'), (match) => (
+        match === asset.finalUrl ? match : asset.finalUrl
+      ));
+  }
+
+  return rewritten;
+}, code);
+
+/**
+ * Describe the bundled assets for the LLM prompts
+ * @param {Array} assets - Assets from collectImageAssets
+ * @returns {string} Prompt section, empty when there are no assets
+ */
+export const formatAssetsForPrompt = (assets = []) => {
+  if (!assets || assets.length === 0) return '';
+
+  let section = `IMAGE ASSETS (bundled with the project, reference these exact URLs):\n`;
+  assets.slice(0, 12).forEach((asset) => {
+    const usage = asset.kind === 'fill'
+      ? `background image of "${asset.name}" (backgroundImage: url(${asset.url}), backgroundSize: cover)`
+      : `"${asset.name}" exported as an image (<Box component="img" src="${asset.url}" />)`;
+    section += `• ${asset.url}: ${usage}\n`;
+  });
+
+  return section;
+};
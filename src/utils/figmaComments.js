@@ -0,0 +1,102 @@
+/**
+ * Figma Comments Utilities
+ * Pins file comments to the layers they were left on and formats them as designer notes
+ */
+
+const MAX_PROMPT_COMMENTS = 10;
+const MAX_MESSAGE_LENGTH = 400;
+
+const byDate = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '');
+
+const toComment = (comment) => ({
+  id: comment.id,
+  message: (comment.message || '').trim(),
+  author: comment.user?.handle || 'Unknown',
+  createdAt: comment.created_at || null,
+  resolved: Boolean(comment.resolved_at),
+  // Frame-pinned comments carry the layer id; canvas-pinned comments have no layer
+  nodeId: comment.client_meta?.node_id || null,
+});
+
+/**
+ * Normalize the /files/:key/comments response into threads
+ * @param {Array} rawComments - Comments as returned by the API
+ * @returns {Array} [{ id, message, author, createdAt, resolved, nodeId, replies }] oldest first
+ */
+export const normalizeComments = (rawComments = []) => {
+  if (!Array.isArray(rawComments)) return [];
+
+  const threads = rawComments
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({ ...toComment(comment), replies: [] }));
+  const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+
+  // Replies inherit the position of the comment they answer
+  rawComments
+    .filter(comment => comment.parent_id)
+    .forEach((reply) => {
+      threadsById.get(reply.parent_id)?.replies.push(toComment(reply));
+    });
+
+  threads.forEach(thread => thread.replies.sort(byDate));
+  return threads.sort(byDate);
+};
+
+/**
+ * Index comment threads by the layer they are pinned to
+ * @param {Array} comments - Threads from normalizeComments
+ * @returns {object} Layer id → threads
+ */
+export const groupCommentsByNode = (comments = []) => comments.reduce((groups, comment) => {
+  if (comment.nodeId) {
+    groups[comment.nodeId] = [...(groups[comment.nodeId] || []), comment];
+  }
+  return groups;
+}, {});
+
+/**
+ * Collect the comments pinned to a layer or any layer inside it
+ * @param {object} commentsByNode - Result of groupCommentsByNode
+ * @param {object} node - Selected Figma node with its children
+ * @returns {Array} Threads with the name of the layer they are pinned to, in layer order
+ */
+export const getNodeComments = (commentsByNode, node) => {
+  if (!commentsByNode || !node) return [];
+
+  const comments = [];
+  const stack = [node];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    (commentsByNode[current.id] || []).forEach((comment) => {
+      comments.push({ ...comment, nodeName: current.name });
+    });
+    if (Array.isArray(current.children)) {
+      stack.push(...[...current.children].reverse());
+    }
+  }
+
+  return comments;
+};
+
+const truncate = (text) => (text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text);
+
+/**
+ * Describe open comment threads as extra instructions for the LLM prompts
+ * @param {Array} comments - Threads from getNodeComments
+ * @returns {string} Prompt section, empty when there are no open comments
+ */
+export const formatCommentsForPrompt = (comments = []) => {
+  const open = (comments || []).filter(comment => !comment.resolved && comment.message);
+  if (open.length === 0) return '';
+
+  let section = `DESIGNER NOTES (Figma comments on this design; implement the behavior they describe):\n`;
+  open.slice(0, MAX_PROMPT_COMMENTS).forEach((comment) => {
+    const replies = comment.replies
+      .filter(reply => reply.message)
+      .map(reply => ` / reply: ${truncate(reply.message.replace(/\s+/g, ' '))}`)
+      .join('');
+    section += `• On "${comment.nodeName}": ${truncate(comment.message.replace(/\s+/g, ' '))}${replies}\n`;
+  });
+
+  return section;
+};
@@ -0,0 +1,88 @@
+/**
+ * Figma Pages Utilities
+ * Lists the pages (canvases) of a file and scopes processing to one page or frame
+ */
+
+const FRAME_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'SECTION', 'GROUP'];
+const ARCHIVE_PAGE_PATTERN = /\b(archived?|deprecated|graveyard|old|trash|unused)\b/i;
+
+/**
+ * Check whether a page looks like an archive that should not be loaded by default
+ * @param {object} page - Page summary or CANVAS node
+ * @returns {boolean} True for pages named like "Archive" or "Deprecated"
+ */
+export const isArchivePage = (page) => ARCHIVE_PAGE_PATTERN.test(page?.name || '');
+
+/**
+ * List the pages of a file with their top-level frames
+ * @param {object} fileData - Response of GET /v1/files/:key (or an imported export)
+ * @returns {Array} [{ id, name, isArchive, frames: [{ id, name, type, width, height }] }]
+ */
+export const getFigmaPages = (fileData) => {
+  const pages = fileData?.document?.children || [];
+
+  return pages
+    .filter(page => page.type === 'CANVAS')
+    .map(page => ({
+      id: page.id,
+      name: page.name,
+      isArchive: isArchivePage(page),
+      frames: (page.children || [])
+        .filter(child => FRAME_TYPES.includes(child.type) && child.visible !== false)
+        .map(child => ({
+          id: child.id,
+          name: child.name,
+          type: child.type,
+          width: Math.round(child.absoluteBoundingBox?.width || 0),
+          height: Math.round(child.absoluteBoundingBox?.height || 0),
+        })),
+    }));
+};
+
+/**
+ * Pick the page to open first: the first page that is not an archive
+ * @param {Array} pages - Pages from getFigmaPages
+ * @returns {string} Page id, or an empty string when the file has no pages
+ */
+export const getDefaultPageId = (pages = []) => {
+  const page = pages.find(item => !item.isArchive) || pages[0];
+  return page ? page.id : '';
+};
+
+/**
+ * Keep a page and frame selection across a reload of the file, as far as they still exist
+ * @param {object} fileData - Reloaded Figma file data
+ * @param {object} scope - Previous { pageId, frameId }
+ * @returns {object} { pageId, frameId }; the default page when the page was removed
+ */
+export const restorePageScope = (fileData, { pageId = '', frameId = '' } = {}) => {
+  const pages = getFigmaPages(fileData);
+  const page = pages.find(item => item.id === pageId);
+  if (!page) {
+    return { pageId: getDefaultPageId(pages), frameId: '' };
+  }
+
+  return { pageId, frameId: page.frames.some(item => item.id === frameId) ? frameId : '' };
+};
+
+/**
+ * Resolve the chosen page and frame to the nodes that should be processed
+ * @param {object} fileData - Figma file data
+ * @param {object} scope - { pageId, frameId }; an empty pageId falls back to the first page
+ * @returns {object} { page, frame, root, nodes }
+ */
+export const getPageScope = (fileData, { pageId = '', frameId = '' } = {}) => {
+  const children = fileData?.document?.children || [];
+  const pages = children.filter(child => child.type === 'CANVAS');
+
+  // Node responses are not grouped by page; process everything that was loaded
+  if (pages.length === 0) {
+    return { page: null, frame: null, root: fileData?.document || null, nodes: children };
+  }
+
+  const page = pages.find(item => item.id === pageId) || pages[0];
+  const frame = frameId ? (page.children || []).find(child => child.id === frameId) || null : null;
+  const root = frame || page;
+
+  return { page, frame, root, nodes: [root] };
+};
@@ -0,0 +1,97 @@
+/**
+ * Figma URL Utilities
+ * Parses Figma share links into the file key and node ids used by the REST API
+ */
+
+const FIGMA_HOST_PATTERN = /(^|\.)figma\.com$/;
+const FILE_PATH_TYPES = ['file', 'design', 'proto', 'board', 'slides'];
+const FILE_KEY_PATTERN = /^[a-zA-Z0-9\-_]+$/;
+const TEAM_ID_PATTERN = /^\d+$/;
+
+/**
+ * Convert a node id from URL form (1-23) to API form (1:23)
+ * @param {string} nodeId - Node id as it appears in a URL or the API
+ * @returns {string|null} Node id in API form
+ */
+export const normalizeNodeId = (nodeId) => {
+  if (!nodeId || typeof nodeId !== 'string') return null;
+
+  const decoded = decodeURIComponent(nodeId.trim());
+  // Instance sublayers use ";" separators and keep their colons, e.g. I1:2;3:4
+  const normalized = decoded.includes(':') ? decoded : decoded.replace(/-/g, ':');
+
+  return /^[A-Za-z]?\d+:\d+(;\d+:\d+)*$/.test(normalized) ? normalized : null;
+};
+
+/**
+ * Parse a Figma URL or raw file key
+ * @param {string} input - A figma.com design/file URL or a file key
+ * @returns {object|null} { fileKey, nodeIds } or null when the input is not recognised
+ */
+export const parseFigmaUrl = (input) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const value = input.trim();
+
+  // A bare file key
+  if (FILE_KEY_PATTERN.test(value)) {
+    return { fileKey: value, nodeIds: [] };
+  }
+
+  let url;
+  try {
+    url = new URL(value.startsWith('http') ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+
+  if (!FIGMA_HOST_PATTERN.test(url.hostname)) return null;
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  const typeIndex = segments.findIndex((segment) => FILE_PATH_TYPES.includes(segment));
+  if (typeIndex === -1 || !segments[typeIndex + 1]) return null;
+
+  // Branch links look like /design/:fileKey/branch/:branchKey/:name
+  const branchIndex = segments.indexOf('branch', typeIndex);
+  const fileKey = branchIndex !== -1 && segments[branchIndex + 1]
+    ? segments[branchIndex + 1]
+    : segments[typeIndex + 1];
+
+  if (!FILE_KEY_PATTERN.test(fileKey)) return null;
+
+  const nodeParam = url.searchParams.get('node-id') || '';
+  const nodeIds = nodeParam
+    .split(',')
+    .map(normalizeNodeId)
+    .filter(Boolean);
+
+  return { fileKey, nodeIds: [...new Set(nodeIds)] };
+};
+
+/**
+ * Parse a Figma team URL or raw team id
+ * @param {string} input - A figma.com/files/team/:id URL or a numeric team id
+ * @returns {string|null} Team id or null when the input is not recognised
+ */
+export const parseFigmaTeamId = (input) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const value = input.trim();
+  if (TEAM_ID_PATTERN.test(value)) return value;
+
+  let url;
+  try {
+    url = new URL(value.startsWith('http') ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+
+  if (!FIGMA_HOST_PATTERN.test(url.hostname)) return null;
+
+  // Team pages look like /files/team/:teamId/... or /files/:orgId/team/:teamId/...
+  const segments = url.pathname.split('/').filter(Boolean);
+  const teamIndex = segments.indexOf('team');
+  const teamId = teamIndex !== -1 ? segments[teamIndex + 1] : null;
+
+  return teamId && TEAM_ID_PATTERN.test(teamId) ? teamId : null;
+};
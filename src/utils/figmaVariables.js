@@ -0,0 +1,341 @@
+/**
+ * Figma Variables Utilities
+ * Maps Figma local variables and their modes to Material-UI theme tokens
+ */
+
+const PALETTE_KEYS = {
+  primary: 'primary',
+  brand: 'primary',
+  secondary: 'secondary',
+  accent: 'secondary',
+  error: 'error',
+  danger: 'error',
+  negative: 'error',
+  warning: 'warning',
+  caution: 'warning',
+  info: 'info',
+  success: 'success',
+  positive: 'success',
+};
+
+const PALETTE_VARIANTS = {
+  main: 'main',
+  default: 'main',
+  base: 'main',
+  light: 'light',
+  lighter: 'light',
+  dark: 'dark',
+  darker: 'dark',
+  contrast: 'contrastText',
+  'contrast-text': 'contrastText',
+  contrasttext: 'contrastText',
+  on: 'contrastText',
+  foreground: 'contrastText',
+};
+
+const TYPOGRAPHY_VARIANTS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'subtitle1', 'subtitle2', 'body1', 'body2',
+  'button', 'caption', 'overline',
+];
+
+const TYPOGRAPHY_VARIANT_ALIASES = {
+  body: 'body1',
+  subtitle: 'subtitle1',
+  label: 'button',
+};
+
+const FONT_WEIGHT_KEYS = {
+  light: 'fontWeightLight',
+  regular: 'fontWeightRegular',
+  normal: 'fontWeightRegular',
+  medium: 'fontWeightMedium',
+  bold: 'fontWeightBold',
+};
+
+const PREFERRED_SCALE_NAMES = ['base', 'default', 'unit', 'md', 'medium'];
+const MAX_ALIAS_DEPTH = 10;
+
+/**
+ * Split a variable name into lowercase path segments
+ * @param {string} name - Variable name such as "Color/Primary/Main"
+ * @returns {string[]} Normalized segments
+ */
+const getNameSegments = (name = '') => name
+  .split('/')
+  .map(segment => segment.trim().toLowerCase().replace(/[\s_]+/g, '-'))
+  .filter(Boolean);
+
+/**
+ * Convert a Figma RGBA color (0-1 channels) to a CSS color string
+ * @param {object} color - Figma color { r, g, b, a }
+ * @returns {string} Hex color, or rgba() when the color is translucent
+ */
+export const figmaColorToCss = (color) => {
+  const channels = [color.r, color.g, color.b].map(value => Math.round((value || 0) * 255));
+  const alpha = color.a === undefined ? 1 : Math.round(color.a * 100) / 100;
+
+  if (alpha < 1) {
+    return `rgba(${channels.join(', ')}, ${alpha})`;
+  }
+
+  return `#${channels.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Pick the mode of a collection that corresponds to a theme mode
+ * @param {object} collection - Figma variable collection
+ * @param {string} themeMode - 'light' or 'dark'
+ * @returns {string} Mode id
+ */
+const getCollectionModeId = (collection, themeMode) => {
+  const matchingMode = collection.modes?.find(mode => mode.name.toLowerCase().includes(themeMode));
+  return matchingMode ? matchingMode.modeId : collection.defaultModeId;
+};
+
+/**
+ * Resolve a variable's value for a theme mode, following aliases across collections
+ * @param {object} variable - Figma variable
+ * @param {string} themeMode - 'light' or 'dark'
+ * @param {object} meta - Response of GET /v1/files/:key/variables/local
+ * @returns {*} Raw Figma value, or undefined when it cannot be resolved
+ */
+export const resolveVariableValue = (variable, themeMode, meta, depth = 0) => {
+  const collection = meta.variableCollections?.[variable.variableCollectionId];
+  if (!collection || depth > MAX_ALIAS_DEPTH) return undefined;
+
+  const value = variable.valuesByMode?.[getCollectionModeId(collection, themeMode)];
+
+  if (value && value.type === 'VARIABLE_ALIAS') {
+    const target = meta.variables?.[value.id];
+    return target ? resolveVariableValue(target, themeMode, meta, depth + 1) : undefined;
+  }
+
+  return value;
+};
+
+/**
+ * Pick a single representative value from a named scale
+ * @param {Array} entries - [{ segments, value }]
+ * @returns {number} The value named base/default/md, otherwise the median
+ */
+const pickScaleValue = (entries) => {
+  const preferred = entries.find(entry => PREFERRED_SCALE_NAMES.includes(entry.segments[entry.segments.length - 1]));
+  if (preferred) return preferred.value;
+
+  const values = entries.map(entry => entry.value).sort((a, b) => a - b);
+  return values[Math.floor((values.length - 1) / 2)];
+};
+
+/**
+ * Build a spacing option from spacing variables
+ * @param {Array} entries - [{ segments, value }]
+ * @returns {number|number[]} Base unit, or a scale array for theme.spacing(index)
+ */
+const buildSpacing = (entries) => {
+  const preferred = entries.find(entry => PREFERRED_SCALE_NAMES.includes(entry.segments[entry.segments.length - 1]));
+  if (preferred || entries.length === 1) {
+    return preferred ? preferred.value : entries[0].value;
+  }
+
+  const values = [...new Set(entries.map(entry => entry.value))].sort((a, b) => a - b);
+  return values[0] === 0 ? values : [0, ...values];
+};
+
+const toRem = (px) => `${Math.round((px / 16) * 10000) / 10000}rem`;
+
+/**
+ * Assign a color variable to its palette slot
+ * @param {object} palette - Palette being built
+ * @param {string[]} segments - Name segments (collection name first)
+ * @param {string} color - CSS color
+ */
+const assignPaletteColor = (palette, segments, color) => {
+  for (let index = 0; index < segments.length; index++) {
+    const segment = segments[index];
+    const next = segments[index + 1];
+
+    if (segment === 'text' || segment === 'foreground') {
+      const variant = ['primary', 'secondary', 'disabled'].includes(next) ? next : 'primary';
+      palette.text = { ...palette.text, [variant]: color };
+      return true;
+    }
+
+    if (['background', 'bg', 'surface'].includes(segment)) {
+      const isPaper = segment === 'surface' || ['paper', 'surface', 'card', 'elevated'].includes(next);
+      palette.background = { ...palette.background, [isPaper ? 'paper' : 'default']: color };
+      return true;
+    }
+
+    if (['divider', 'border', 'outline'].includes(segment)) {
+      palette.divider = color;
+      return true;
+    }
+
+    if (['grey', 'gray', 'neutral'].includes(segment) && /^\d+$/.test(next || '')) {
+      palette.grey = { ...palette.grey, [next]: color };
+      return true;
+    }
+
+    // Material 3 style "on-primary" names describe the contrast text color
+    const onMatch = segment.match(/^on-(.+)$/);
+    if (onMatch && PALETTE_KEYS[onMatch[1]]) {
+      const key = PALETTE_KEYS[onMatch[1]];
+      palette[key] = { ...palette[key], contrastText: color };
+      return true;
+    }
+
+    if (PALETTE_KEYS[segment]) {
+      const key = PALETTE_KEYS[segment];
+      const shade = /^\d+$/.test(next || '') ? next : null;
+      const variant = shade ? (shade === '500' ? 'main' : shade) : (PALETTE_VARIANTS[next] || 'main');
+      palette[key] = { ...palette[key], [variant]: color };
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Assign a typography variable (font size, weight, line height, family)
+ * @param {object} typography - Typography options being built
+ * @param {string[]} segments - Name segments (collection name first)
+ * @param {*} value - Resolved variable value
+ * @returns {boolean} Whether the variable was used
+ */
+const assignTypography = (typography, segments, value) => {
+  const joined = segments.join('/');
+  const variantSegment = segments.find(segment => TYPOGRAPHY_VARIANTS.includes(segment) || TYPOGRAPHY_VARIANT_ALIASES[segment]);
+  const variant = variantSegment ? (TYPOGRAPHY_VARIANT_ALIASES[variantSegment] || variantSegment) : null;
+
+  let property = null;
+  if (/family/.test(joined)) property = 'fontFamily';
+  else if (/size/.test(joined)) property = 'fontSize';
+  else if (/weight/.test(joined)) property = 'fontWeight';
+  else if (/line-?height|leading/.test(joined)) property = 'lineHeight';
+  else if (/letter|tracking/.test(joined)) property = 'letterSpacing';
+
+  if (!property) return false;
+
+  if (property === 'fontFamily') {
+    if (typeof value !== 'string') return false;
+    if (variant) {
+      typography[variant] = { ...typography[variant], fontFamily: value };
+    } else {
+      typography.fontFamily = value;
+    }
+    return true;
+  }
+
+  if (typeof value !== 'number') return false;
+
+  if (!variant) {
+    if (property === 'fontSize') {
+      typography.fontSize = value;
+      return true;
+    }
+    const weightKey = property === 'fontWeight' && FONT_WEIGHT_KEYS[segments[segments.length - 1]];
+    if (weightKey) {
+      typography[weightKey] = value;
+      return true;
+    }
+    return false;
+  }
+
+  let cssValue = value;
+  if (property === 'fontSize') cssValue = toRem(value);
+  // Figma line heights are usually pixels; small values are already ratios
+  if (property === 'lineHeight' && value > 4) cssValue = `${value}px`;
+  if (property === 'letterSpacing') cssValue = `${value}px`;
+
+  typography[variant] = { ...typography[variant], [property]: cssValue };
+  return true;
+};
+
+/**
+ * Build theme options for one mode
+ * @param {object} meta - Response of GET /v1/files/:key/variables/local
+ * @param {string} themeMode - 'light' or 'dark'
+ * @returns {object} { tokens, mappedCount }
+ */
+const buildModeTokens = (meta, themeMode) => {
+  const palette = {};
+  const typography = {};
+  const spacingEntries = [];
+  const radiusEntries = [];
+  let mappedCount = 0;
+
+  Object.values(meta.variables || {}).forEach((variable) => {
+    if (variable.remote || variable.deletedButReferenced) return;
+
+    const collection = meta.variableCollections?.[variable.variableCollectionId];
+    const segments = [...getNameSegments(collection?.name), ...getNameSegments(variable.name)];
+    const joined = segments.join('/');
+    const value = resolveVariableValue(variable, themeMode, meta);
+    if (value === undefined || value === null) return;
+
+    let mapped = false;
+
+    if (variable.resolvedType === 'COLOR' && typeof value === 'object') {
+      mapped = assignPaletteColor(palette, getNameSegments(variable.name), figmaColorToCss(value))
+        || assignPaletteColor(palette, segments, figmaColorToCss(value));
+    } else if (variable.resolvedType === 'FLOAT') {
+      if (/radius|corner|rounded/.test(joined)) {
+        radiusEntries.push({ segments, value });
+        mapped = true;
+      } else if (/spac|gap|padding|margin/.test(joined)) {
+        spacingEntries.push({ segments, value });
+        mapped = true;
+      } else if (/font|type|typo|text|line|letter/.test(joined)) {
+        mapped = assignTypography(typography, segments, value);
+      }
+    } else if (variable.resolvedType === 'STRING') {
+      mapped = assignTypography(typography, segments, value);
+    }
+
+    if (mapped) mappedCount++;
+  });
+
+  const tokens = {};
+  if (Object.keys(palette).length > 0) tokens.palette = palette;
+  if (spacingEntries.length > 0) tokens.spacing = buildSpacing(spacingEntries);
+  // "full" radii (9999) describe pills, not the default corner radius
+  const cornerRadii = radiusEntries.filter(entry => entry.value < 999);
+  if (cornerRadii.length > 0) tokens.shape = { borderRadius: pickScaleValue(cornerRadii) };
+  if (Object.keys(typography).length > 0) tokens.typography = typography;
+
+  return { tokens, mappedCount };
+};
+
+/**
+ * Convert Figma local variables into MUI theme options per color mode
+ * @param {object} meta - Response meta of GET /v1/files/:key/variables/local
+ * @returns {object|null} { modes: { light, dark? }, collections, variableCount } or null when nothing maps
+ */
+export const buildThemeTokens = (meta) => {
+  if (!meta || !meta.variables || Object.keys(meta.variables).length === 0) {
+    return null;
+  }
+
+  const collections = Object.values(meta.variableCollections || {}).filter(collection => !collection.remote);
+  const hasDarkMode = collections.some(collection =>
+    collection.modes?.some(mode => mode.name.toLowerCase().includes('dark'))
+  );
+
+  const light = buildModeTokens(meta, 'light');
+  if (light.mappedCount === 0) {
+    return null;
+  }
+
+  const modes = { light: light.tokens };
+  if (hasDarkMode) {
+    modes.dark = buildModeTokens(meta, 'dark').tokens;
+  }
+
+  return {
+    modes,
+    collections: collections.map(collection => collection.name),
+    variableCount: light.mappedCount,
+  };
+};
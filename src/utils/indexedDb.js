@@ -0,0 +1,130 @@
+/**
+ * IndexedDB Utilities
+ * Promise wrappers around the app's IndexedDB database and its object stores
+ */
+
+const DB_NAME = 'figma-react-generator';
+const DB_VERSION = 3;
+
+// Object stores created on upgrade; bump DB_VERSION when adding one
+export const STORES = {
+  FIGMA_FILE_ENTRIES: 'figmaFileEntries',
+  FIGMA_FILE_PAYLOADS: 'figmaFilePayloads',
+  SYNC_SNAPSHOTS: 'syncSnapshots',
+  GENERATION_HISTORY: 'generationHistory',
+};
+
+let databasePromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ * @returns {boolean} False in private modes without storage, Node and old test environments
+ */
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and upgrade) the app database once per session
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = () => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        Object.values(STORES).forEach((storeName) => {
+          if (!database.objectStoreNames.contains(storeName)) {
+            database.createObjectStore(storeName);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+    }).catch((error) => {
+      // Allow a later retry instead of caching the failure
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run a single operation against an object store
+ * @param {string} storeName - Object store name from STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise} Resolves with the request result once the transaction completes
+ */
+const withStore = async (storeName, mode, operation) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+
+    promisifyRequest(request).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction was aborted'));
+  });
+};
+
+/**
+ * Read a value by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+/**
+ * Write a value under a key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise} Resolves when the write is committed
+ */
+export const idbPut = (storeName, key, value) => withStore(storeName, 'readwrite', store => store.put(value, key));
+
+/**
+ * Delete a value by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise} Resolves when the delete is committed
+ */
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+/**
+ * Read every value in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Stored values in key order
+ */
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+/**
+ * Remove every value from a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise} Resolves when the store is empty
+ */
+export const idbClear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
@@ -0,0 +1,35 @@
+/**
+ * Logger Utilities
+ * Log level for the services' progress output. The browser shows everything; the CLI
+ * lowers it to warnings and errors unless --verbose is passed
+ */
+
+const LOG_LEVELS = { info: 1, warn: 2, error: 3, silent: 4 };
+
+let currentLevel = LOG_LEVELS.info;
+
+/**
+ * Set the lowest level that is logged
+ * @param {string} level - 'info', 'warn', 'error' or 'silent'
+ * @throws {Error} When the level is unknown
+ */
+export const setLogLevel = (level) => {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  currentLevel = LOG_LEVELS[level];
+};
+
+const isEnabled = (level) => LOG_LEVELS[level] >= currentLevel;
+
+export const logger = {
+  info: (...args) => {
+    if (isEnabled('info')) console.log(...args);
+  },
+  warn: (...args) => {
+    if (isEnabled('warn')) console.warn(...args);
+  },
+  error: (...args) => {
+    if (isEnabled('error')) console.error(...args);
+  },
+};
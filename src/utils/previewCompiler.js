@@ -0,0 +1,219 @@
+/**
+ * Preview Compiler Utilities
+ * Compiles generated JSX in the browser and evaluates it against a fixed set of
+ * modules. Evaluation runs in the sandboxed preview frame (src/preview), never in the app window
+ */
+
+import { transform } from 'sucrase';
+import * as ReactModule from 'react';
+import * as MaterialModule from '@mui/material';
+import * as MaterialStylesModule from '@mui/material/styles';
+
+// Modules the generated code is allowed to import. React and MUI are the preview
+// frame's own copies; the icon bundle is only fetched when a component uses icons.
+const PREVIEW_MODULE_LOADERS = {
+  react: async () => ReactModule,
+  '@mui/material': async () => MaterialModule,
+  '@mui/material/styles': async () => MaterialStylesModule,
+  '@mui/icons-material': () => import('@mui/icons-material'),
+};
+
+const ICON_SUBPATH_PREFIX = '@mui/icons-material/';
+const LOCAL_ICON_PREFIX = './icons/';
+
+/**
+ * Stand-in for a generated vector icon module; the SVG is only exported with the project download
+ * @returns {object} Module namespace with an empty SvgIcon as default export
+ */
+const createLocalIconModule = () => ({
+  __esModule: true,
+  default: (props) => ReactModule.createElement(MaterialModule.SvgIcon, { viewBox: '0 0 24 24', ...props }),
+});
+
+/**
+ * Extract the module specifiers imported by a piece of code
+ * @param {string} code - Source code
+ * @returns {string[]} Unique module specifiers in order of appearance
+ */
+export const extractImportSpecifiers = (code) => {
+  if (!code || typeof code !== 'string') return [];
+
+  const specifiers = [];
+  const importRegex = /import\s+(?:[\s\S]*?\s+from\s+)?['"]([^'"]+)['"]/g;
+  let match;
+
+  while ((match = importRegex.exec(code)) !== null) {
+    if (!specifiers.includes(match[1])) {
+      specifiers.push(match[1]);
+    }
+  }
+
+  return specifiers;
+};
+
+/**
+ * Check whether a module specifier can be resolved inside the sandbox
+ * @param {string} specifier - Module specifier
+ * @returns {boolean} True when the module is available
+ */
+export const isPreviewModuleSupported = (specifier) => {
+  return Boolean(PREVIEW_MODULE_LOADERS[specifier])
+    || specifier.startsWith(ICON_SUBPATH_PREFIX)
+    || specifier.startsWith(LOCAL_ICON_PREFIX);
+};
+
+/**
+ * Normalise a compiler error into a message with an optional location
+ * @param {Error} error - Error thrown by the compiler
+ * @returns {object} Error details
+ */
+const formatCompileError = (error) => {
+  const message = error?.message || String(error);
+  const locationMatch = message.match(/\((\d+):(\d+)\)/);
+
+  return {
+    type: 'compile',
+    message,
+    line: locationMatch ? Number(locationMatch[1]) : null,
+    column: locationMatch ? Number(locationMatch[2]) + 1 : null,
+  };
+};
+
+/**
+ * Compile JSX/ES module code into a CommonJS body that can be evaluated
+ * @param {string} code - The React component code
+ * @returns {object} Compilation result with compiled code, imports and error
+ */
+export const compilePreviewCode = (code) => {
+  if (!code || typeof code !== 'string' || !code.trim()) {
+    return {
+      compiled: null,
+      imports: [],
+      error: { type: 'compile', message: 'No code to preview', line: null, column: null },
+    };
+  }
+
+  const imports = extractImportSpecifiers(code);
+  const unsupported = imports.filter((specifier) => !isPreviewModuleSupported(specifier));
+
+  if (unsupported.length > 0) {
+    return {
+      compiled: null,
+      imports,
+      error: {
+        type: 'compile',
+        message: `Unsupported import${unsupported.length > 1 ? 's' : ''} in preview: ${unsupported.join(', ')}`,
+        line: null,
+        column: null,
+      },
+    };
+  }
+
+  try {
+    const result = transform(code, {
+      transforms: ['jsx', 'imports'],
+      production: true,
+      filePath: 'Preview.jsx',
+    });
+
+    return { compiled: result.code, imports, error: null };
+  } catch (error) {
+    return { compiled: null, imports, error: formatCompileError(error) };
+  }
+};
+
+/**
+ * Load the modules required by the compiled code
+ * @param {string[]} specifiers - Module specifiers to load
+ * @returns {Promise<object>} Map of specifier to module namespace
+ */
+export const loadPreviewModules = async (specifiers = []) => {
+  const modules = {};
+  const needsIcons = specifiers.some((specifier) => specifier.startsWith(ICON_SUBPATH_PREFIX));
+  const required = new Set(['react', ...specifiers.filter((specifier) => PREVIEW_MODULE_LOADERS[specifier])]);
+
+  if (needsIcons) {
+    required.add('@mui/icons-material');
+  }
+
+  for (const specifier of required) {
+    modules[specifier] = await PREVIEW_MODULE_LOADERS[specifier]();
+  }
+
+  // Deep icon imports such as '@mui/icons-material/Menu' resolve to the matching named export
+  specifiers
+    .filter((specifier) => specifier.startsWith(ICON_SUBPATH_PREFIX))
+    .forEach((specifier) => {
+      const iconName = specifier.slice(ICON_SUBPATH_PREFIX.length);
+      const icon = modules['@mui/icons-material'][iconName];
+      if (icon) {
+        modules[specifier] = { __esModule: true, default: icon };
+      }
+    });
+
+  // Generated vector icons keep their size in the preview but render empty
+  specifiers
+    .filter((specifier) => specifier.startsWith(LOCAL_ICON_PREFIX))
+    .forEach((specifier) => {
+      modules[specifier] = createLocalIconModule();
+    });
+
+  return modules;
+};
+
+/**
+ * Evaluate compiled code and return the component it exports
+ * @param {string} compiled - Code produced by compilePreviewCode
+ * @param {object} modules - Modules returned by loadPreviewModules
+ * @returns {Function} The exported React component
+ */
+export const evaluatePreviewComponent = (compiled, modules) => {
+  const moduleRecord = { exports: {} };
+  const requireModule = (specifier) => {
+    if (!modules[specifier]) {
+      throw new Error(`Module "${specifier}" is not available in the preview sandbox`);
+    }
+    return modules[specifier];
+  };
+
+  const React = modules.react?.default || modules.react;
+  const evaluate = new Function('React', 'require', 'module', 'exports', compiled);
+  evaluate(React, requireModule, moduleRecord, moduleRecord.exports);
+
+  const exported = moduleRecord.exports;
+  const Component = exported.default ||
+    Object.values(exported).find((value) => typeof value === 'function');
+
+  if (typeof Component !== 'function' && typeof Component?.$$typeof !== 'symbol') {
+    throw new Error('No React component export found. Export the component as default to preview it.');
+  }
+
+  return Component;
+};
+
+/**
+ * Compile, load and evaluate generated code in one step
+ * @param {string} code - The React component code
+ * @returns {Promise<object>} Result with the component or a compile/runtime error
+ */
+export const buildPreviewComponent = async (code) => {
+  const { compiled, imports, error } = compilePreviewCode(code);
+  if (error) {
+    return { Component: null, error };
+  }
+
+  try {
+    const modules = await loadPreviewModules(imports);
+    return { Component: evaluatePreviewComponent(compiled, modules), error: null };
+  } catch (evaluationError) {
+    return {
+      Component: null,
+      error: {
+        type: 'runtime',
+        message: evaluationError.message,
+        line: null,
+        column: null,
+      },
+    };
+  }
+};
@@ -0,0 +1,416 @@
+/**
+ * SVG Icon Utilities
+ * Finds vector layers, turns their geometry or exported SVG markup into optimized
+ * JSX and wraps it in an SvgIcon-compatible React component
+ */
+
+import { figmaColorToCss } from './figmaVariables.js';
+import { isExportableNode } from './figmaAssets.js';
+
+const MAX_ICONS = 40;
+const MAX_ICON_SIZE = 128;
+const NUMBER_PRECISION = 3;
+
+// Layer types Figma draws from vector paths
+export const VECTOR_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'LINE', 'REGULAR_POLYGON'];
+
+// Layers that may appear inside an icon group next to the vectors
+const SHAPE_TYPES = [...VECTOR_TYPES, 'ELLIPSE', 'RECTANGLE'];
+const ICON_PART_TYPES = [...SHAPE_TYPES, 'GROUP'];
+const ICON_CONTAINER_TYPES = ['GROUP', 'FRAME', 'INSTANCE', 'COMPONENT'];
+
+// SVG attributes whose names are not a plain kebab-to-camel conversion in JSX
+const JSX_ATTRIBUTE_NAMES = {
+  class: 'className',
+  'xlink:href': 'href',
+};
+const DROPPED_ATTRIBUTES = ['xmlns', 'xmlns:xlink', 'xml:space', 'version'];
+
+const round = (value) => Number(value.toFixed(NUMBER_PRECISION));
+
+const isVisible = (node) => node && node.visible !== false;
+
+const getBox = (node) => ({
+  x: node.absoluteBoundingBox?.x || 0,
+  y: node.absoluteBoundingBox?.y || 0,
+  width: node.size?.x ?? node.absoluteBoundingBox?.width ?? 0,
+  height: node.size?.y ?? node.absoluteBoundingBox?.height ?? 0,
+});
+
+/**
+ * Check whether a layer is drawn from vector paths
+ * @param {object} node - Figma node
+ * @returns {boolean} True for vectors, boolean operations, stars, lines and polygons
+ */
+export const isVectorNode = (node) => VECTOR_TYPES.includes(node?.type);
+
+/**
+ * Check whether every visible descendant of a container can be drawn as part of an icon
+ * @param {object} node - Figma container node
+ * @returns {boolean} True when the subtree only holds shapes and at least one vector
+ */
+const isVectorOnlySubtree = (node) => {
+  let hasVector = false;
+  const stack = [...(node.children || [])];
+
+  while (stack.length > 0) {
+    const child = stack.pop();
+    if (!isVisible(child)) continue;
+    if (!ICON_PART_TYPES.includes(child.type) || isExportableNode(child)) return false;
+    if ((child.fills || []).some(fill => fill.type === 'IMAGE')) return false;
+
+    if (isVectorNode(child)) {
+      hasVector = true;
+    } else if (Array.isArray(child.children)) {
+      stack.push(...child.children);
+    }
+  }
+
+  return hasVector;
+};
+
+/**
+ * Check whether a layer should be rendered as one SVG icon
+ * Vector layers always are; small groups and frames qualify when they only contain shapes
+ * @param {object} node - Figma node
+ * @returns {boolean} True when the layer is an icon
+ */
+export const isIconNode = (node) => {
+  if (!isVisible(node) || isExportableNode(node)) return false;
+  if (isVectorNode(node)) return true;
+  if (!ICON_CONTAINER_TYPES.includes(node.type) || !Array.isArray(node.children)) return false;
+
+  const { width, height } = getBox(node);
+  return width <= MAX_ICON_SIZE && height <= MAX_ICON_SIZE && isVectorOnlySubtree(node);
+};
+
+/**
+ * Build the component name of an icon from its layer name, e.g. "icon/arrow-left" → ArrowLeftIcon
+ * @param {string} name - Layer name
+ * @returns {string} PascalCase identifier ending in Icon
+ */
+export const getIconComponentName = (name = '') => {
+  const words = name
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(word => word && !/^icons?$/i.test(word));
+
+  const pascal = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+  const base = /^[A-Z]/.test(pascal) ? pascal : `Vector${pascal}`;
+  return `${base}Icon`;
+};
+
+/**
+ * Check whether a layer carries the paths returned with geometry=paths
+ * @param {object} node - Figma node
+ * @returns {boolean} True when the icon can be drawn without calling the images endpoint
+ */
+export const hasIconGeometry = (node) => {
+  if (!node) return false;
+  if (SHAPE_TYPES.includes(node.type)) {
+    return Array.isArray(node.fillGeometry) || Array.isArray(node.strokeGeometry);
+  }
+  return (node.children || []).filter(isVisible).every(hasIconGeometry);
+};
+
+/**
+ * Collect the icons used by the components being generated
+ * The given layers (and the variants of a component set) are the components themselves,
+ * so only their descendants become icons. Instances of the same main component share one icon.
+ * @param {object|Array} root - Figma node or list of nodes
+ * @returns {Array} [{ componentName, nodeId, nodeIds, name, width, height, importPath, path }]
+ */
+export const collectVectorIcons = (root) => {
+  const icons = [];
+  const iconsBySource = new Map();
+  const usedNames = new Set();
+  const stack = (Array.isArray(root) ? root : [root])
+    .filter(isVisible)
+    .flatMap(node => (node.type === 'COMPONENT_SET' ? node.children || [] : [node]))
+    .flatMap(node => node.children || [])
+    .reverse();
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!isVisible(node)) continue;
+
+    if (isIconNode(node)) {
+      const sourceKey = node.componentId || node.id;
+      const existing = iconsBySource.get(sourceKey);
+      if (existing) {
+        existing.nodeIds.push(node.id);
+        continue;
+      }
+      if (icons.length >= MAX_ICONS) continue;
+
+      const baseName = getIconComponentName(node.name);
+      let componentName = baseName;
+      for (let suffix = 2; usedNames.has(componentName); suffix++) {
+        componentName = `${baseName.replace(/Icon$/, '')}${suffix}Icon`;
+      }
+      usedNames.add(componentName);
+
+      const { width, height } = getBox(node);
+      const icon = {
+        componentName,
+        nodeId: node.id,
+        nodeIds: [node.id],
+        name: node.name,
+        width: round(width),
+        height: round(height),
+        importPath: `./icons/${componentName}`,
+        path: `src/components/icons/${componentName}.jsx`,
+      };
+      iconsBySource.set(sourceKey, icon);
+      icons.push(icon);
+      continue;
+    }
+
+    if (Array.isArray(node.children)) {
+      stack.push(...[...node.children].reverse());
+    }
+  }
+
+  return icons;
+};
+
+/**
+ * Index icons by every layer id that renders them
+ * @param {Array} icons - Icons from collectVectorIcons
+ * @returns {Map} Layer id → icon
+ */
+export const buildIconLookup = (icons = []) => new Map(
+  icons.flatMap(icon => icon.nodeIds.map(nodeId => [nodeId, icon]))
+);
+
+// 2x3 affine matrices as [[a, c, e], [b, d, f]], the format of relativeTransform
+const IDENTITY = [[1, 0, 0], [0, 1, 0]];
+
+const multiply = (left, right) => [
+  [
+    left[0][0] * right[0][0] + left[0][1] * right[1][0],
+    left[0][0] * right[0][1] + left[0][1] * right[1][1],
+    left[0][0] * right[0][2] + left[0][1] * right[1][2] + left[0][2],
+  ],
+  [
+    left[1][0] * right[0][0] + left[1][1] * right[1][0],
+    left[1][0] * right[0][1] + left[1][1] * right[1][1],
+    left[1][0] * right[0][2] + left[1][1] * right[1][2] + left[1][2],
+  ],
+];
+
+const formatTransform = (matrix) => {
+  const [[a, c, e], [b, d, f]] = matrix.map(row => row.map(round));
+  if (a === 1 && b === 0 && c === 0 && d === 1) {
+    return e === 0 && f === 0 ? null : `translate(${e} ${f})`;
+  }
+  return `matrix(${a} ${b} ${c} ${d} ${e} ${f})`;
+};
+
+const getSolidPaint = (paints) => (Array.isArray(paints) ? paints : [])
+  .filter(paint => paint.visible !== false && paint.type === 'SOLID')
+  .slice(-1)[0];
+
+const getPaintColor = (paint) => figmaColorToCss({
+  ...paint.color,
+  a: (paint.color?.a === undefined ? 1 : paint.color.a) * (paint.opacity ?? 1),
+});
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Draw an icon from the fillGeometry and strokeGeometry returned with geometry=paths
+ * Strokes are already outlined by Figma, so both become filled paths
+ * @param {object} node - Icon layer
+ * @returns {string|null} SVG markup, or null when the layer has no geometry
+ */
+export const buildSvgFromGeometry = (node) => {
+  if (!hasIconGeometry(node)) return null;
+
+  const origin = getBox(node);
+  const paths = [];
+
+  const visit = (current, matrix) => {
+    if (!isVisible(current)) return;
+
+    if (SHAPE_TYPES.includes(current.type)) {
+      const transform = formatTransform(matrix);
+      const fill = getSolidPaint(current.fills);
+      const stroke = getSolidPaint(current.strokes);
+      const layers = [
+        ...(fill ? (current.fillGeometry || []).map(geometry => ({ geometry, color: getPaintColor(fill) })) : []),
+        ...(stroke ? (current.strokeGeometry || []).map(geometry => ({ geometry, color: getPaintColor(stroke) })) : []),
+      ];
+
+      layers.forEach(({ geometry, color }) => {
+        const attributes = [
+          `d="${escapeAttribute(geometry.path)}"`,
+          `fill="${color}"`,
+          geometry.windingRule === 'EVENODD' ? 'fill-rule="evenodd"' : null,
+          transform ? `transform="${transform}"` : null,
+        ].filter(Boolean);
+        paths.push(`<path ${attributes.join(' ')}/>`);
+      });
+      return;
+    }
+
+    (current.children || []).forEach((child) => {
+      // relativeTransform comes with geometry=paths; bounding boxes are the fallback for older exports
+      const local = child.relativeTransform || [[1, 0, getBox(child).x - origin.x], [0, 1, getBox(child).y - origin.y]];
+      visit(child, child.relativeTransform ? multiply(matrix, local) : local);
+    });
+  };
+
+  visit(node, IDENTITY);
+
+  return `<svg viewBox="0 0 ${round(origin.width)} ${round(origin.height)}">${paths.join('')}</svg>`;
+};
+
+const toCamelCase = (name) => name.replace(/[-:]([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// style="mask-type:alpha" → style={{ maskType: 'alpha' }}
+const formatStyleAttribute = (style) => {
+  const entries = style
+    .split(';')
+    .map(rule => rule.split(':').map(part => part.trim()))
+    .filter(([property, value]) => property && value)
+    .map(([property, value]) => `${toCamelCase(property)}: '${value.replace(/'/g, "\\'")}'`);
+  return entries.length > 0 ? `{{ ${entries.join(', ')} }}` : null;
+};
+
+const roundNumbers = (value) => value.replace(/-?\d*\.\d+(?:e-?\d+)?/gi, (number) => String(round(Number(number))));
+
+// Rewrite the attributes of one tag for JSX
+const formatTag = (tag, referencedIds) => tag.replace(
+  /\s([a-zA-Z][\w:-]*)="([^"]*)"/g,
+  (match, name, value) => {
+    if (DROPPED_ATTRIBUTES.includes(name)) return '';
+    if (name === 'id' && !referencedIds.has(value)) return '';
+
+    if (name === 'style') {
+      const style = formatStyleAttribute(value);
+      return style ? ` style=${style}` : '';
+    }
+
+    const jsxName = JSX_ATTRIBUTE_NAMES[name] || toCamelCase(name);
+    const jsxValue = ['d', 'points', 'transform', 'viewBox'].includes(name) ? roundNumbers(value) : value;
+    return ` ${jsxName}="${jsxValue}"`;
+  }
+);
+
+/**
+ * Optimize SVG markup and convert it to JSX children for SvgIcon
+ * Strips metadata and unused ids, rounds coordinates, camel-cases attributes and
+ * replaces a single paint color with currentColor so the icon follows the color prop
+ * @param {string} markup - SVG markup from the images endpoint or buildSvgFromGeometry
+ * @returns {object} { viewBox, body, color } where color is the replaced paint color, if any
+ */
+export const optimizeSvgMarkup = (markup = '') => {
+  const cleaned = markup
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(title|desc|metadata)\b[\s\S]*?<\/\1>/g, '')
+    .replace(/<defs\s*\/>|<defs>\s*<\/defs>/g, '');
+
+  const svgTag = cleaned.match(/<svg\b[^>]*>/);
+  if (!svgTag) {
+    throw new Error('SVG markup is missing an <svg> element');
+  }
+
+  const attribute = (name) => svgTag[0].match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  const viewBox = attribute('viewBox')
+    || `0 0 ${parseFloat(attribute('width')) || 24} ${parseFloat(attribute('height')) || 24}`;
+
+  let inner = cleaned
+    .slice(svgTag.index + svgTag[0].length, cleaned.lastIndexOf('</svg>'))
+    .replace(/>\s+</g, '><')
+    .trim();
+
+  // A single paint color becomes currentColor; multi-color icons keep their colors
+  const colors = [...new Set(
+    [...inner.matchAll(/\s(?:fill|stroke)="([^"]+)"/g)]
+      .map(match => match[1])
+      .filter(color => color !== 'none' && color !== 'currentColor' && !color.startsWith('url('))
+  )];
+  const color = colors.length === 1 ? colors[0] : null;
+  if (color) {
+    inner = inner.replace(/\s(fill|stroke)="([^"]+)"/g, (match, name, value) => (
+      value === color ? ` ${name}="currentColor"` : match
+    ));
+  }
+
+  const referencedIds = new Set(
+    [...inner.matchAll(/url\(#([^)]+)\)|href="#([^"]+)"/g)].map(match => match[1] || match[2])
+  );
+
+  // One tag per line, indented by nesting depth
+  const lines = [];
+  let depth = 0;
+  (inner.match(/<[^>]+>/g) || []).forEach((rawTag) => {
+    const isClosing = rawTag.startsWith('</');
+    const tag = isClosing ? rawTag : formatTag(rawTag, referencedIds).replace(/\s*\/>$/, ' />');
+    if (isClosing) depth = Math.max(depth - 1, 0);
+
+    // Collapse <path ...></path> into a self-closing tag
+    const previous = lines[lines.length - 1];
+    if (isClosing && previous && previous.depth === depth && previous.tag.startsWith(`<${rawTag.slice(2, -1)}`) && !previous.tag.endsWith('/>')) {
+      previous.tag = previous.tag.replace(/>$/, ' />');
+      return;
+    }
+
+    lines.push({ depth, tag });
+    if (!isClosing && !tag.endsWith('/>')) depth++;
+  });
+
+  return {
+    viewBox: roundNumbers(viewBox),
+    body: lines.map(line => `${'  '.repeat(line.depth)}${line.tag}`).join('\n'),
+    color,
+  };
+};
+
+/**
+ * Generate the React module of an icon
+ * @param {object} icon - Icon from collectVectorIcons
+ * @param {object} svg - Result of optimizeSvgMarkup; omit for an empty placeholder
+ * @returns {string} Module source exporting an SvgIcon-compatible component
+ */
+export const createSvgIconModule = (icon, svg = null) => {
+  const viewBox = svg?.viewBox || `0 0 ${icon.width || 24} ${icon.height || 24}`;
+  const colorAttribute = svg?.color ? ` htmlColor="${svg.color}"` : '';
+  const body = svg?.body
+    ? svg.body.split('\n').map(line => `    ${line}`).join('\n')
+    : '    {/* The vector could not be exported from Figma */}';
+
+  return [
+    "import React from 'react';",
+    "import { SvgIcon } from '@mui/material';",
+    '',
+    `// Generated from the Figma layer "${String(icon.name || icon.componentName).replace(/\n/g, ' ')}"`,
+    `const ${icon.componentName} = (props) => (`,
+    `  <SvgIcon viewBox="${viewBox}"${colorAttribute} {...props}>`,
+    body,
+    '  </SvgIcon>',
+    ');',
+    '',
+    `export default ${icon.componentName};`,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Describe the generated icon components for the LLM prompts
+ * @param {Array} icons - Icons from collectVectorIcons
+ * @returns {string} Prompt section, empty when there are no icons
+ */
+export const formatIconsForPrompt = (icons = []) => {
+  if (!icons || icons.length === 0) return '';
+
+  let section = `VECTOR ICONS (generated as SvgIcon components next to this file, import and render them instead of drawing the shapes):\n`;
+  icons.slice(0, 12).forEach((icon) => {
+    section += `• import ${icon.componentName} from '${icon.importPath}'; renders "${icon.name}" at ${icon.width}×${icon.height}px (size it with sx width/height, recolor with the color prop)\n`;
+  });
+
+  return section;
+};
@@ -0,0 +1,193 @@
+/**
+ * Text Diff Utilities
+ * Line-based diffs of generated code, grouped into unified-diff style hunks
+ */
+
+// Above this many line pairs the LCS table is skipped and the middle is replaced wholesale
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = (text) => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+
+/**
+ * Longest common subsequence of two line arrays as a list of operations
+ * @param {Array<string>} before - Old lines
+ * @param {Array<string>} after - New lines
+ * @returns {Array} [{ type: 'equal'|'removed'|'added', line }]
+ */
+const diffMiddle = (before, after) => {
+  if (before.length * after.length > MAX_LCS_CELLS) {
+    return [
+      ...before.map(line => ({ type: 'removed', line })),
+      ...after.map(line => ({ type: 'added', line })),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      operations.push({ type: 'equal', line: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'removed', line: before[i++] });
+    } else {
+      operations.push({ type: 'added', line: after[j++] });
+    }
+  }
+  while (i < before.length) operations.push({ type: 'removed', line: before[i++] });
+  while (j < after.length) operations.push({ type: 'added', line: after[j++] });
+
+  return operations;
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} beforeText - Old text
+ * @param {string} afterText - New text
+ * @returns {Array} [{ type, line, oldNumber, newNumber }] with 1-based line numbers (null on the side a line is missing from)
+ */
+export const diffLines = (beforeText, afterText) => {
+  const before = splitLines(beforeText);
+  const after = splitLines(afterText);
+
+  // Trim the common prefix and suffix so the LCS only runs on the changed middle
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (
+    end < before.length - start
+    && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) end++;
+
+  const operations = [
+    ...before.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...diffMiddle(before.slice(start, before.length - end), after.slice(start, after.length - end)),
+    ...before.slice(before.length - end).map(line => ({ type: 'equal', line })),
+  ];
+
+  let oldNumber = 0;
+  let newNumber = 0;
+  return operations.map((operation) => {
+    if (operation.type !== 'added') oldNumber++;
+    if (operation.type !== 'removed') newNumber++;
+    return {
+      ...operation,
+      oldNumber: operation.type === 'added' ? null : oldNumber,
+      newNumber: operation.type === 'removed' ? null : newNumber,
+    };
+  });
+};
+
+/**
+ * Count added and removed lines
+ * @param {Array} diff - Result of diffLines
+ * @returns {{added: number, removed: number}} Line counts
+ */
+export const summarizeLineDiff = (diff) => ({
+  added: diff.filter(entry => entry.type === 'added').length,
+  removed: diff.filter(entry => entry.type === 'removed').length,
+});
+
+/**
+ * Group changed lines with surrounding context into hunks
+ * @param {Array} diff - Result of diffLines
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Array} [{ oldStart, newStart, lines }] where lines are diff entries
+ */
+export const buildDiffHunks = (diff, context = 3) => {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  diff.forEach((entry, index) => {
+    if (entry.type === 'equal') return;
+
+    const from = Math.max(0, index - context);
+    if (current && from <= lastChange + context + 1) {
+      // Close enough to the previous change to share its hunk
+      current.lines.push(...diff.slice(lastChange + 1, index + 1));
+    } else {
+      current = { lines: diff.slice(from, index + 1) };
+      hunks.push(current);
+    }
+    lastChange = index;
+    current.end = index;
+  });
+
+  return hunks.map(({ lines, end }) => {
+    const trailing = diff.slice(end + 1, end + 1 + context);
+    const allLines = [...lines, ...trailing];
+    const firstOld = allLines.find(entry => entry.oldNumber !== null);
+    const firstNew = allLines.find(entry => entry.newNumber !== null);
+    return {
+      oldStart: firstOld ? firstOld.oldNumber : 0,
+      newStart: firstNew ? firstNew.newNumber : 0,
+      lines: allLines,
+    };
+  });
+};
+
+/**
+ * Render hunks as unified diff text
+ * @param {Array} diff - Result of diffLines
+ * @param {object} options - { context, oldName, newName }
+ * @returns {string} Unified diff, empty when the texts are equal
+ */
+export const formatUnifiedDiff = (diff, { context = 3, oldName = 'before', newName = 'after' } = {}) => {
+  const hunks = buildDiffHunks(diff, context);
+  if (hunks.length === 0) return '';
+
+  const prefixes = { equal: ' ', removed: '-', added: '+' };
+  const body = hunks.map((hunk) => {
+    const oldCount = hunk.lines.filter(entry => entry.type !== 'added').length;
+    const newCount = hunk.lines.filter(entry => entry.type !== 'removed').length;
+    const header = `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`;
+    return [header, ...hunk.lines.map(entry => `${prefixes[entry.type]}${entry.line}`)].join('\n');
+  });
+
+  return [`--- ${oldName}`, `+++ ${newName}`, ...body].join('\n');
+};
+
+/**
+ * Pair diff entries into side-by-side rows. A run of removed lines is lined up with the
+ * added lines that follow it, so a changed line sits next to its replacement.
+ * @param {Array} diff - Result of diffLines
+ * @returns {Array} [{ left, right }] where either side is a diff entry or null
+ */
+export const pairDiffLines = (diff) => {
+  const rows = [];
+  let index = 0;
+
+  while (index < diff.length) {
+    const entry = diff[index];
+    if (entry.type === 'equal') {
+      rows.push({ left: entry, right: entry });
+      index++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < diff.length && diff[index].type === 'removed') removed.push(diff[index++]);
+    while (index < diff.length && diff[index].type === 'added') added.push(diff[index++]);
+
+    for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+      rows.push({ left: removed[row] || null, right: added[row] || null });
+    }
+  }
+
+  return rows;
+};
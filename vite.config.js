@@ -1,7 +1,49 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// The live preview runs in preview.html inside an iframe sandboxed without allow-same-origin,
+// so its scripts are cross-origin requests from the "null" origin. Allow that origin for
+// the files the preview loads only; the rest of the source, which has the VITE_ settings
+// inlined, stays readable by the app's own origin alone.
+const PREVIEW_FRAME_PATHS = [
+  /^\/preview\.html/,
+  /^\/src\/preview\//,
+  /^\/src\/utils\/previewCompiler\.js/,
+  /^\/src\/theme\//,
+  /^\/node_modules\//,
+  /^\/@vite\/(client|env)/,
+  /^\/@react-refresh/,
+  /^\/@id\//,
+  /^\/assets\//,
+]
+
+const allowPreviewFrame = (req, res, next) => {
+  if (req.headers.origin === 'null' && PREVIEW_FRAME_PATHS.some(pattern => pattern.test(req.url))) {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+  }
+  next()
+}
+
+const previewFrameCors = () => ({
+  name: 'preview-frame-cors',
+  configureServer: (server) => {
+    server.middlewares.use(allowPreviewFrame)
+  },
+  configurePreviewServer: (server) => {
+    server.middlewares.use(allowPreviewFrame)
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), previewFrameCors()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        preview: fileURLToPath(new URL('./preview.html', import.meta.url)),
+      },
+    },
+  },
 })